@@ -5,28 +5,39 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import Link from "next/link";
 import { SmtpMessage } from "../smtp-message";
+import { getServerTranslator } from "@/utils/i18n/server";
 
 export default async function ForgotPassword(props: {
   searchParams: Promise<Message>;
 }) {
   const searchParams = await props.searchParams;
+  const t = await getServerTranslator();
   return (
     <>
       <form className="flex-1 flex flex-col w-full gap-2 text-foreground [&>input]:mb-6 min-w-64 max-w-64 mx-auto">
         <div>
-          <h1 className="text-2xl font-medium">Reset Password</h1>
+          <h1 className="text-2xl font-medium">
+            {t("auth.forgotPassword.title")}
+          </h1>
           <p className="text-sm text-secondary-foreground">
-            Already have an account?{" "}
+            {t("auth.signUp.haveAccount")}{" "}
             <Link className="text-primary underline" href="/sign-in">
-              Sign in
+              {t("auth.signIn.title")}
             </Link>
           </p>
         </div>
         <div className="flex flex-col gap-2 [&>input]:mb-3 mt-8">
-          <Label htmlFor="email">Email</Label>
-          <Input name="email" placeholder="you@example.com" required />
-          <SubmitButton formAction={forgotPasswordAction}>
-            Reset Password
+          <Label htmlFor="email">{t("auth.email")}</Label>
+          <Input
+            name="email"
+            placeholder={t("auth.emailPlaceholder")}
+            required
+          />
+          <SubmitButton
+            formAction={forgotPasswordAction}
+            pendingText={t("auth.submitting")}
+          >
+            {t("auth.forgotPassword.title")}
           </SubmitButton>
           <FormMessage message={searchParams} />
         </div>
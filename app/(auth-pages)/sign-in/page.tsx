@@ -6,24 +6,26 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import Link from "next/link";
 import { SmtpMessage } from "../smtp-message";
+import { getServerTranslator } from "@/utils/i18n/server";
 
 export default async function Login(props: { searchParams: Promise<Message> }) {
   const searchParams = await props.searchParams;
+  const t = await getServerTranslator();
 
   return (
     <div className="flex flex-col items-center justify-center w-full h-screen px-4 py-8 text-white md:py-12">
       <div className="w-full max-w-sm md:max-w-md">
         <div className="space-y-2 mb-6">
           <h1 className="text-center text-2xl font-medium md:text-3xl">
-            Sign in
+            {t("auth.signIn.title")}
           </h1>
           <p className="text-sm text-center text-foreground">
-            Don't have an account?{" "}
+            {t("auth.signIn.noAccount")}{" "}
             <Link
               className="text-foreground text-rose-500 font-medium underline"
               href="/sign-up"
             >
-              Sign up
+              {t("auth.signUp.title")}
             </Link>
           </p>
         </div>
@@ -31,11 +33,11 @@ export default async function Login(props: { searchParams: Promise<Message> }) {
         {/* Email/Password Form */}
         <form className="flex flex-col space-y-6">
           <div className="space-y-2">
-            <Label htmlFor="email">Email</Label>
+            <Label htmlFor="email">{t("auth.email")}</Label>
             <Input
               id="email"
               name="email"
-              placeholder="you@example.com"
+              placeholder={t("auth.emailPlaceholder")}
               required
               className="w-full"
             />
@@ -43,30 +45,30 @@ export default async function Login(props: { searchParams: Promise<Message> }) {
 
           <div className="space-y-2">
             <div className="flex justify-between items-center">
-              <Label htmlFor="password">Password</Label>
+              <Label htmlFor="password">{t("auth.password")}</Label>
               <Link
                 className="text-xs text-foreground underline hover:text-primary"
                 href="/forgot-password"
               >
-                Forgot Password?
+                {t("auth.signIn.forgotPassword")}
               </Link>
             </div>
             <Input
               id="password"
               type="password"
               name="password"
-              placeholder="Your password"
+              placeholder={t("auth.passwordPlaceholder")}
               required
               className="w-full"
             />
           </div>
 
           <SubmitButton
-            pendingText="Signing In..."
+            pendingText={t("auth.signIn.pending")}
             formAction={signInAction}
             className="w-full mt-6"
           >
-            Sign in with Email
+            {t("auth.signIn.submit")}
           </SubmitButton>
         </form>
 
@@ -77,7 +79,7 @@ export default async function Login(props: { searchParams: Promise<Message> }) {
         {/* Divider */}
         <div className="flex items-center my-6">
           <div className="flex-1 border-t border-gray-300"></div>
-          <span className="px-3 text-gray-500 text-sm">OR</span>
+          <span className="px-3 text-gray-500 text-sm">{t("auth.or")}</span>
           <div className="flex-1 border-t border-gray-300"></div>
         </div>
 
@@ -91,7 +93,10 @@ export default async function Login(props: { searchParams: Promise<Message> }) {
             Sign in with Google
           </SubmitButton> */}
           <div className="w-full flex justify-center mb-6">
-            <GoogleButton onClick={signInWithGoogle} />
+            <GoogleButton
+              onClick={signInWithGoogle}
+              label={t("auth.continueWithGoogle")}
+            />
           </div>
         </form>
       </div>
@@ -7,11 +7,13 @@ import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import Link from "next/link";
 import { SmtpMessage } from "../smtp-message";
+import { getServerTranslator } from "@/utils/i18n/server";
 
 export default async function Signup(props: {
   searchParams: Promise<Message>;
 }) {
   const searchParams = await props.searchParams;
+  const t = await getServerTranslator();
   if ("message" in searchParams) {
     return (
       <div className="w-full flex-1 flex items-center h-screen sm:max-w-md justify-center gap-2 p-4">
@@ -26,37 +28,37 @@ export default async function Signup(props: {
         <form className="flex flex-col space-y-6">
           <div className="space-y-2">
             <h1 className="text-center text-2xl font-medium md:text-3xl">
-              Sign up
+              {t("auth.signUp.title")}
             </h1>
             <p className="text-center text-sm text-white">
-              Already have an account?{" "}
+              {t("auth.signUp.haveAccount")}{" "}
               <Link
                 className="text-rose-500 font-medium underline"
                 href="/sign-in"
               >
-                Sign in
+                {t("auth.signIn.title")}
               </Link>
             </p>
           </div>
 
           <div className="space-y-2">
-            <Label htmlFor="email">Email</Label>
+            <Label htmlFor="email">{t("auth.email")}</Label>
             <Input
               id="email"
               name="email"
-              placeholder="you@example.com"
+              placeholder={t("auth.emailPlaceholder")}
               required
               className="w-full"
             />
           </div>
 
           <div className="space-y-2">
-            <Label htmlFor="password">Password</Label>
+            <Label htmlFor="password">{t("auth.password")}</Label>
             <Input
               id="password"
               type="password"
               name="password"
-              placeholder="Your password"
+              placeholder={t("auth.passwordPlaceholder")}
               minLength={6}
               required
               className="w-full"
@@ -65,10 +67,10 @@ export default async function Signup(props: {
 
           <SubmitButton
             formAction={signUpAction}
-            pendingText="Signing up..."
+            pendingText={t("auth.signUp.pending")}
             className="w-full mt-6"
           >
-            Sign up
+            {t("auth.signUp.title")}
           </SubmitButton>
         </form>
 
@@ -79,12 +81,15 @@ export default async function Signup(props: {
         {/* Divider */}
         <div className="flex items-center my-6">
           <div className="flex-1 border-t border-gray-300"></div>
-          <span className="px-3 text-gray-500 text-sm">OR</span>
+          <span className="px-3 text-gray-500 text-sm">{t("auth.or")}</span>
           <div className="flex-1 border-t border-gray-300"></div>
         </div>
 
         <div className="w-full flex justify-center mb-6">
-          <GoogleButton onClick={signInWithGoogle} />
+          <GoogleButton
+            onClick={signInWithGoogle}
+            label={t("auth.continueWithGoogle")}
+          />
         </div>
       </div>
       <SmtpMessage />
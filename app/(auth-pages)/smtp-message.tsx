@@ -1,14 +1,15 @@
 import { ArrowUpRight, InfoIcon } from "lucide-react";
 import Link from "next/link";
+import { getServerTranslator } from "@/utils/i18n/server";
 
-export function SmtpMessage() {
+export async function SmtpMessage() {
+  const t = await getServerTranslator();
   return (
     <div className="bg-muted/50 px-5 py-3 border rounded-md flex gap-4">
       <InfoIcon size={16} className="mt-0.5" />
       <div className="flex flex-col gap-1">
         <small className="text-sm text-secondary-foreground">
-          <strong> Note:</strong> Emails are rate limited. Enable Custom SMTP to
-          increase the rate limit.
+          <strong> {t("auth.smtp.note")}</strong> {t("auth.smtp.rateLimited")}
         </small>
         <div>
           <Link
@@ -16,7 +17,7 @@ export function SmtpMessage() {
             target="_blank"
             className="text-primary/50 hover:text-primary flex items-center text-sm gap-1"
           >
-            Learn more <ArrowUpRight size={14} />
+            {t("auth.smtp.learnMore")} <ArrowUpRight size={14} />
           </Link>
         </div>
       </div>
@@ -2,6 +2,7 @@
 
 import { encodedRedirect } from "@/utils/utils";
 import { createClient } from "@/utils/supabase/server";
+import { getServerTranslator } from "@/utils/i18n/server";
 import { headers } from "next/headers";
 import { redirect } from "next/navigation";
 import dayjs from "dayjs";
@@ -9,16 +10,304 @@ import utc from "dayjs/plugin/utc";
 import timezone from "dayjs/plugin/timezone";
 
 import { RRule, RRuleSet, rrulestr } from "rrule";
+import {
+  buildRRuleOptions,
+  expandTaskOccurrences,
+  nextFloatingOccurrence,
+  normalizeTimesOfDay,
+  seriesDatesToUTC,
+} from "@/lib/recurrence";
+import {
+  calculateRemapImpact,
+  calculateSeriesDeleteImpact,
+  calculateSplitEditImpact,
+  calculateSplitImpact,
+  countForOccurrences,
+  planExceptionRemap,
+  planSplitExceptionMove,
+  splitRuleAt,
+} from "@/lib/seriesEdit";
+import { getTrashPurgeCutoff } from "@/lib/trash";
+import {
+  UserSettings,
+  applySettingsChanges,
+  normalizeUserSettings,
+  timelineHoursFromSettings,
+} from "@/lib/settings";
+import { normalizeTimelineHours, VisibleHours } from "@/lib/timeline";
+import {
+  ConflictCandidate,
+  ConflictIgnore,
+  conflictCheckWindow,
+  FREE_SLOT_SEARCH_DAYS,
+  findNextFreeSlot,
+  findScheduleConflicts,
+} from "@/lib/conflicts";
+import { MessageKey, Translator } from "@/lib/i18n";
 import { revalidatePath } from "next/cache"; // For refreshing UI data
 import { count } from "console";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
 
+/**
+ * Returns N for a completion-relative task ("every N days after I last did
+ * it"), which is stored without an RRULE, or null for any other task.
+ */
+const resolveRepeatAfterDays = (taskData): number | null => {
+  const { frequency, repeat_from, interval } = taskData.recurrence ?? {};
+  if (frequency !== "daily" || repeat_from !== "completion") return null;
+  return Math.max(1, parseInt(String(interval), 10) || 1);
+};
+
+/**
+ * Returns the goal settings for a goal-style task ("3 times per week, any
+ * day"), which is stored without an RRULE, or nulls for any other task.
+ */
+const resolveGoal = (
+  taskData
+): { goal_target: number | null; goal_period: string | null } => {
+  const { frequency, schedule_type, goal_target } = taskData.recurrence ?? {};
+  if (
+    schedule_type !== "goal" ||
+    (frequency !== "weekly" && frequency !== "monthly")
+  ) {
+    return { goal_target: null, goal_period: null };
+  }
+  return {
+    goal_target: Math.max(1, parseInt(String(goal_target), 10) || 1),
+    goal_period: frequency === "weekly" ? "week" : "month",
+  };
+};
+
+/**
+ * Returns the sorted times of day for a multi-time recurring task,
+ * or null when the task only has its single start time.
+ */
+const resolveTimesOfDay = (taskData): string[] | null => {
+  if (taskData.recurrence?.frequency === "once") return null;
+  if (resolveRepeatAfterDays(taskData) || resolveGoal(taskData).goal_target)
+    return null;
+  const times = normalizeTimesOfDay(taskData.times_of_day);
+  return times.length > 1 ? times : null;
+};
+
+const DEFAULT_MAX_DURATION_MINUTES = 1440;
+
+/**
+ * Reads the longest allowed task duration from `system_settings.task_limits`,
+ * falling back to a day when it isn't configured or can't be read.
+ */
+const fetchMaxDurationMinutes = async (supabase): Promise<number> => {
+  try {
+    const { data: limitsData, error: limitError } = await supabase
+      .from("system_settings")
+      .select("value")
+      .eq("key", "task_limits")
+      .maybeSingle(); // Handles null if not found
+    if (limitError)
+      console.warn(
+        "SERVER ACTION Warning: Failed to fetch duration limits.",
+        limitError.message
+      );
+    if (limitsData?.value?.max_duration_minutes) {
+      const parsedMax = parseInt(limitsData.value.max_duration_minutes, 10);
+      if (!isNaN(parsedMax) && parsedMax > 0) return parsedMax;
+    }
+  } catch (fetchLimitError) {
+    console.warn(
+      "SERVER ACTION Warning: Error fetching duration limit, using default.",
+      fetchLimitError
+    );
+  }
+  return DEFAULT_MAX_DURATION_MINUTES;
+};
+
+/**
+ * Throws unless `duration` is between 1 minute and the configured maximum.
+ */
+const validateDuration = async (supabase, duration: number) => {
+  const t = await getServerTranslator();
+  const maxDuration = await fetchMaxDurationMinutes(supabase);
+  if (isNaN(duration) || duration < 1 || duration > maxDuration) {
+    throw new Error(t("errors.durationRange", { max: maxDuration }));
+  }
+};
+
+/**
+ * Reads the user's preferences from `user_settings`, falling back to the
+ * defaults when they have none or they can't be read.
+ */
+const fetchUserSettings = async (
+  supabase,
+  userId: string
+): Promise<UserSettings> => {
+  const { data, error } = await supabase
+    .from("user_settings")
+    .select("*")
+    .eq("user_id", userId)
+    .maybeSingle();
+  if (error)
+    console.warn(
+      "SERVER ACTION Warning: Failed to fetch user settings, using defaults.",
+      error.message
+    );
+  return normalizeUserSettings(data);
+};
+
+/**
+ * Task limits the client needs to respect, e.g. when resizing a task on the
+ * timeline.
+ *
+ * @returns {Promise<{maxDurationMinutes: number}>}
+ */
+export const getTaskLimitsAction = async () => {
+  const supabase = await createClient();
+  return { maxDurationMinutes: await fetchMaxDurationMinutes(supabase) };
+};
+
+/**
+ * Converts the extra/removed dates picked in the form (YYYY-MM-DD) into the
+ * RDATE/EXDATE start times stored on a recurring task, one per time of day.
+ */
+const resolveSeriesDates = (
+  taskData,
+  timesOfDay: string[] | null,
+  timeZone: string,
+  t: Translator
+): { rdates: string[] | null; exdates: string[] | null } => {
+  if (
+    taskData.recurrence?.frequency === "once" ||
+    resolveRepeatAfterDays(taskData) ||
+    resolveGoal(taskData).goal_target
+  ) {
+    return { rdates: null, exdates: null };
+  }
+  const times = timesOfDay ?? [taskData.start_time];
+  return {
+    rdates: seriesDatesToUTC(taskData.rdates, times, timeZone, t),
+    exdates: seriesDatesToUTC(taskData.exdates, times, timeZone, t),
+  };
+};
+
+/**
+ * The schedule a task would be saved with (dtstart, RRULE, series dates...),
+ * worked out from form/API task data the same way the create action does.
+ */
+const resolveConflictCandidate = (
+  taskData,
+  weekStartsOn: number,
+  t: Translator
+): ConflictCandidate => {
+  const timesOfDay = resolveTimesOfDay(taskData);
+  const timeZone = taskData.timezone || dayjs.tz.guess() || "UTC";
+  const localStartDateTime = dayjs.tz(
+    `${taskData.start_date} ${timesOfDay?.[0] ?? taskData.start_time}`,
+    "YYYY-MM-DD HH:mm",
+    timeZone
+  );
+  if (!localStartDateTime.isValid()) throw new Error(t("errors.invalidStart"));
+  const duration = parseInt(taskData.duration_minutes, 10);
+  if (isNaN(duration) || duration < 1)
+    throw new Error(t("errors.invalidDuration"));
+
+  const repeatAfterDays = resolveRepeatAfterDays(taskData);
+  const goal = resolveGoal(taskData);
+  const ruleOptions =
+    repeatAfterDays || goal.goal_target
+      ? null
+      : buildRRuleOptions(
+          taskData.recurrence,
+          localStartDateTime,
+          timeZone,
+          weekStartsOn,
+          t
+        );
+  return {
+    dtstart: localStartDateTime.toISOString(),
+    duration_minutes: duration,
+    rrule: ruleOptions ? new RRule(ruleOptions).toString() : null,
+    timezone: timeZone,
+    times_of_day: timesOfDay,
+    ...resolveSeriesDates(taskData, timesOfDay, timeZone, t),
+    repeat_after_days: repeatAfterDays,
+    goal_target: goal.goal_target,
+  };
+};
+
+/**
+ * Loads what a conflict check over `window` (see `conflictCheckWindow`)
+ * needs: the user's task definitions, and only the exceptions that can
+ * affect instances in the window. Those are the ones keyed or moved around
+ * it, plus recent completions and skips, which place completion-relative
+ * tasks' next occurrence.
+ */
+const fetchScheduleForConflicts = async (supabase, userId, window) => {
+  const t = await getServerTranslator();
+  const { data: tasks, error: tasksError } = await supabase
+    .from("tasks")
+    .select("*")
+    .eq("user_id", userId)
+    .is("deleted_at", null);
+  if (tasksError)
+    throw new Error(t("errors.db.loadTasks", { detail: tasksError.message }));
+
+  const longestRepeat = Math.max(
+    1,
+    ...(tasks ?? []).map((task) => task.repeat_after_days ?? 0)
+  );
+  const since = dayjs
+    .utc(window.startISO)
+    .subtract(longestRepeat, "day")
+    .toISOString();
+  const until = dayjs.utc(window.endISO).add(1, "day").toISOString();
+  const { data: exceptions, error: exceptionsError } = await supabase
+    .from("task_instance_exceptions")
+    .select("*")
+    .eq("user_id", userId)
+    .is("deleted_at", null)
+    .or(
+      [
+        `and(original_occurrence_time.gte.${since},original_occurrence_time.lt.${until})`,
+        `and(new_start_time.gte.${since},new_start_time.lt.${until})`,
+        `completion_time.gte.${since}`,
+      ].join(",")
+    );
+  if (exceptionsError)
+    throw new Error(
+      t("errors.db.loadExceptions", { detail: exceptionsError.message })
+    );
+  return { tasks: tasks ?? [], exceptions: exceptions ?? [] };
+};
+
+/**
+ * Conflict report for a task that was just saved, returned alongside it so
+ * API callers get the same warning as the form. A failed check doesn't fail
+ * the save; it reports null instead.
+ */
+const reportSavedTaskConflicts = async (supabase, userId, task) => {
+  try {
+    const window = conflictCheckWindow(task);
+    if (!window) return { checked: 0, conflicts: [], titles: [] };
+    const { tasks, exceptions } = await fetchScheduleForConflicts(
+      supabase,
+      userId,
+      window
+    );
+    return findScheduleConflicts(task, tasks, exceptions, {
+      ignore: { taskId: task.id },
+    });
+  } catch (error) {
+    console.warn("SERVER ACTION Warning: Conflict check failed.", error);
+    return null;
+  }
+};
+
 // ***************
 // * CREATE ACTIONS
 // ***************
 export const createTaskAction = async (taskData) => {
+  const t = await getServerTranslator();
   console.log("SERVER ACTION (createTaskAction): Received Data:", taskData);
 
   try {
@@ -29,59 +318,38 @@ export const createTaskAction = async (taskData) => {
     } = await supabase.auth.getUser();
     if (authError || !user) {
       console.error("SERVER ACTION Error: Authentication Failed", authError);
-      throw new Error("User not authenticated");
+      throw new Error(t("errors.notAuthenticated"));
     }
 
     // --- 1. Validate Core Fields ---
-    if (!taskData.title?.trim()) throw new Error("Task title is required.");
-    if (!taskData.start_date) throw new Error("Start date is required.");
+    if (!taskData.title?.trim()) throw new Error(t("errors.titleRequired"));
+    if (!taskData.start_date) throw new Error(t("errors.startDateRequired"));
 
     // ****** VALIDATE: Ensure start_time is HH:mm ******
     if (
       !taskData.start_time ||
       !/^([01]\d|2[0-3]):([0-5]\d)$/.test(taskData.start_time)
     ) {
-      throw new Error("Start time is required in HH:mm format.");
+      throw new Error(t("errors.startTimeFormat"));
     }
     if (!taskData.duration_minutes || taskData.duration_minutes < 1) {
-      throw new Error("Duration must be at least 1 minute.");
+      throw new Error(t("errors.durationMin"));
     }
     if (!taskData.recurrence?.frequency) {
-      throw new Error("Recurrence frequency selection is required.");
+      throw new Error(t("errors.frequencyRequired"));
     }
 
     // --- 2. Validate Duration Against Limits (Optional but recommended) ---
-    let maxDuration = 1440; // Default
-    try {
-      const { data: limitsData, error: limitError } = await supabase
-        .from("system_settings")
-        .select("value")
-        .eq("key", "task_limits")
-        .maybeSingle(); // Handles null if not found
-      if (limitError)
-        console.warn(
-          "SERVER ACTION Warning: Failed to fetch duration limits.",
-          limitError.message
-        );
-      if (limitsData?.value?.max_duration_minutes) {
-        const parsedMax = parseInt(limitsData.value.max_duration_minutes, 10);
-        if (!isNaN(parsedMax) && parsedMax > 0) maxDuration = parsedMax;
-      }
-    } catch (fetchLimitError) {
-      console.warn(
-        "SERVER ACTION Warning: Error fetching duration limit, using default.",
-        fetchLimitError
-      );
-    }
     const duration = parseInt(taskData.duration_minutes, 10);
-    if (isNaN(duration) || duration < 1 || duration > maxDuration) {
-      throw new Error(`Duration must be between 1 and ${maxDuration} minutes.`);
-    }
+    await validateDuration(supabase, duration);
 
     // --- 3. Determine Timezone & Calculate `dtstart` (TIMESTAMPTZ) ---
+    // Multi-time tasks (e.g. 08:00, 14:00, 20:00) start at their earliest time
+    const timesOfDay = resolveTimesOfDay(taskData);
+    const startTime = timesOfDay?.[0] ?? taskData.start_time;
     const timeZone = taskData.timezone || dayjs.tz.guess() || "UTC";
     const localStartDateTime = dayjs.tz(
-      `${taskData.start_date} ${taskData.start_time}`,
+      `${taskData.start_date} ${startTime}`,
       "YYYY-MM-DD HH:mm", // Specify format for parsing
       timeZone // Specify the timezone of the input
     );
@@ -95,9 +363,7 @@ export const createTaskAction = async (taskData) => {
           tz: timeZone,
         }
       );
-      throw new Error(
-        "Invalid start date/time combination. Please use YYYY-MM-DD and HH:mm."
-      );
+      throw new Error(t("errors.invalidStartCombination"));
     }
 
     // Convert the local time to an ISO 8601 string. Supabase TIMESTAMPTZ handles this correctly.
@@ -108,67 +374,25 @@ export const createTaskAction = async (taskData) => {
 
     // --- 4. Generate RRULE String based on taskData.recurrence ---
     let rruleString = null; // Default: null means occurs only once on dtstart
-    const {
-      frequency,
-      interval = 1,
-      end_type = "never",
-      occurrences,
-      end_date,
-    } = taskData.recurrence;
-
-    if (frequency && frequency !== "once") {
-      const freqMap = {
-        daily: RRule.DAILY,
-        weekly: RRule.WEEKLY,
-        monthly: RRule.MONTHLY,
-        // yearly: RRule.YEARLY, // Add if needed
-      };
-
-      if (!freqMap[frequency]) {
-        throw new Error(`Invalid recurrence frequency provided: ${frequency}`);
-      }
-
-      // Base RRULE options
-      const ruleOptions = {
-        count: null,
-        until: null,
-        freq: freqMap[frequency],
-        interval: Math.max(1, parseInt(interval, 10) || 1),
-        // dtstart is implicitly handled by the context or can be explicitly set
-        // dtstart: localStartDateTime.toDate(), // rrule often prefers JS Date objects
-        // wkst: RRule.SU // Optional: Define week start if needed
-      };
-
-      // Add end condition based on end_type
-      switch (end_type) {
-        case "after":
-          const count = Math.max(1, parseInt(occurrences, 10) || 0);
-          if (count === 0)
-            throw new Error("Occurrences must be at least 1 for 'after'.");
-          ruleOptions.count = count;
-          break;
-        case "on":
-          if (!end_date) throw new Error("End date is required for 'on'.");
-          // Parse end date string (YYYY-MM-DD) IN THE TASK'S TIMEZONE.
-          // Use endOf('day') to include the whole day.
-          const untilDateTime = dayjs
-            .tz(end_date, "YYYY-MM-DD", timeZone)
-            .endOf("day");
-          if (!untilDateTime.isValid())
-            throw new Error("Invalid end date format.");
-          // Validate end date is not before start date
-          if (untilDateTime.isBefore(localStartDateTime, "day")) {
-            throw new Error("End date cannot be before the start date.");
-          }
-          // Convert to UTC Date object for RRULE 'until'
-          ruleOptions.until = untilDateTime.utc().toDate();
-          break;
-        case "never":
-        default:
-          // No end condition ('count' or 'until') needed for never-ending rules
-          break;
-      }
-
+    // Completion-relative and goal-style tasks have no fixed grid, so no RRULE either
+    const repeatAfterDays = resolveRepeatAfterDays(taskData);
+    const goal = resolveGoal(taskData);
+    const { week_start: weekStartsOn } = await fetchUserSettings(
+      supabase,
+      user.id
+    );
+    const ruleOptions =
+      repeatAfterDays || goal.goal_target
+        ? null
+        : buildRRuleOptions(
+            taskData.recurrence,
+            localStartDateTime,
+            timeZone,
+            weekStartsOn,
+            t
+          );
+
+    if (ruleOptions) {
       try {
         // Generate the RRULE string
         const rule = new RRule(ruleOptions);
@@ -180,7 +404,7 @@ export const createTaskAction = async (taskData) => {
           rruleError,
           ruleOptions
         );
-        throw new Error("Failed to process recurrence rule. Check parameters.");
+        throw new Error(t("errors.recurrenceRule"));
       }
     } else {
       console.log(
@@ -188,6 +412,13 @@ export const createTaskAction = async (taskData) => {
       );
     }
 
+    const { rdates, exdates } = resolveSeriesDates(
+      taskData,
+      timesOfDay,
+      timeZone,
+      t
+    );
+
     // --- 5. Database Insert into 'tasks' table ---
     console.log("SERVER ACTION: Task Data: ", taskData);
     console.log("SERVER ACTION: Inserting task definition into database...");
@@ -201,6 +432,12 @@ export const createTaskAction = async (taskData) => {
         duration_minutes: duration,
         rrule: rruleString, // TEXT (RRULE string or null)
         timezone: timeZone, // TEXT (IANA timezone name)
+        times_of_day: timesOfDay, // TEXT[] (HH:mm) or null for a single time
+        rdates: rdates, // TIMESTAMPTZ[] extra occurrences (RDATE) or null
+        exdates: exdates, // TIMESTAMPTZ[] removed occurrences (EXDATE) or null
+        repeat_after_days: repeatAfterDays, // INT for "N days after last completion" or null
+        goal_target: goal.goal_target, // INT completions per goal_period or null
+        goal_period: goal.goal_period, // 'week' | 'month' or null
         status: "active", // Default status
         // created_at and updated_at have defaults
       })
@@ -212,18 +449,20 @@ export const createTaskAction = async (taskData) => {
       console.error("SERVER ACTION Error: Supabase insert failed", insertError);
       // Check for specific constraint violations if helpful
       if (insertError.message.includes("check constraint")) {
-        throw new Error(`Data validation failed: ${insertError.message}`);
+        throw new Error(
+          t("errors.dataValidation", { detail: insertError.message })
+        );
       }
       if (
         insertError.message.includes(
           "invalid input syntax for type timestamp with time zone"
         )
       ) {
-        throw new Error(
-          `Database error: Invalid format for start date/time. Calculated value: ${dtstartISO}`
-        );
+        throw new Error(t("errors.invalidDtstart", { value: dtstartISO }));
       }
-      throw new Error(`Database error creating task: ${insertError.message}`);
+      throw new Error(
+        t("errors.db.createTask", { detail: insertError.message })
+      );
     }
 
     console.log(
@@ -237,7 +476,15 @@ export const createTaskAction = async (taskData) => {
     revalidatePath("/protected"); // Example path
     // Add any other specific paths where tasks are displayed
 
-    return insertedTask;
+    // Overlaps with other tasks are a warning, not an error
+    return {
+      ...insertedTask,
+      conflicts: await reportSavedTaskConflicts(
+        supabase,
+        user.id,
+        insertedTask
+      ),
+    };
   } catch (error) {
     // Log the detailed error on the server
     console.error("SERVER ACTION Error: Task creation failed.", error);
@@ -247,8 +494,137 @@ export const createTaskAction = async (taskData) => {
   }
 };
 
+// ***************
+// * CONFLICT ACTIONS
+// ***************
+/**
+ * Checks whether a task, as it would be saved, overlaps other tasks on its
+ * next occurrences. Used by the task form before saving; create and update
+ * report the same thing for the saved task.
+ *
+ * @param {object} taskData - Same shape as `createTaskAction`'s input.
+ * @param {object} [options]
+ * @param {string} [options.taskId] - Task being edited, left out of the check.
+ * @param {string} [options.occurrenceTimeUTC] - With `taskId`, only this
+ *   occurrence is left out (single-occurrence edits).
+ * @param {boolean} [options.findFreeSlot] - Also look for the next start time
+ *   that doesn't overlap anything.
+ * @param {VisibleHours} [options.hours] - The part of the day a free slot
+ *   must fit in; defaults to the user's visible hours.
+ * @returns {Promise<object>} The `ConflictReport`, plus `nextFreeSlot`
+ *   (`{ start_date, start_time }`; null when not asked for or none was found).
+ */
+export const checkTaskConflictsAction = async (
+  taskData,
+  {
+    taskId = null,
+    occurrenceTimeUTC = null,
+    findFreeSlot = false,
+    hours,
+  }: {
+    taskId?: string | null;
+    occurrenceTimeUTC?: string | null;
+    findFreeSlot?: boolean;
+    hours?: VisibleHours;
+  } = {}
+) => {
+  const t = await getServerTranslator();
+  if (!taskData) throw new Error(t("errors.taskDataRequired"));
+  if (
+    !taskData.start_date ||
+    !taskData.start_time?.match(/^([01]\d|2[0-3]):([0-5]\d)$/)
+  )
+    throw new Error(t("errors.invalidStart"));
+
+  const supabase = await createClient();
+  const {
+    data: { user },
+    error: authError,
+  } = await supabase.auth.getUser();
+  if (authError || !user) throw new Error(t("errors.notAuthenticated"));
+
+  const settings = await fetchUserSettings(supabase, user.id);
+  const candidate = resolveConflictCandidate(taskData, settings.week_start, t);
+  // The free-slot search looks further ahead than the check itself
+  const window = conflictCheckWindow(candidate, {
+    searchDays: findFreeSlot ? FREE_SLOT_SEARCH_DAYS : 0,
+  });
+  if (!window)
+    return { checked: 0, conflicts: [], titles: [], nextFreeSlot: null };
+  const { tasks, exceptions } = await fetchScheduleForConflicts(
+    supabase,
+    user.id,
+    window
+  );
+  const ignore: ConflictIgnore = { taskId, occurrenceTimeUTC };
+  const report = findScheduleConflicts(candidate, tasks, exceptions, {
+    ignore,
+  });
+  const slotISO =
+    findFreeSlot && report.conflicts.length > 0
+      ? findNextFreeSlot(candidate, tasks, exceptions, {
+          ignore,
+          hours: normalizeTimelineHours(
+            hours ?? timelineHoursFromSettings(settings)
+          ),
+        })
+      : null;
+  const slot = slotISO ? dayjs.utc(slotISO).tz(candidate.timezone) : null;
+  return {
+    ...report,
+    nextFreeSlot: slot && {
+      // Recurring tasks keep their start date and only change time of day
+      start_date: candidate.rrule
+        ? taskData.start_date
+        : slot.format("YYYY-MM-DD"),
+      start_time: slot.format("HH:mm"),
+    },
+  };
+};
+
 // *******************
 // * DELETE ACTIONS
+/**
+ * Fetches all exceptions of a task, for dry runs and exception carry-over.
+ */
+const fetchSeriesExceptions = async (supabase, taskId) => {
+  const t = await getServerTranslator();
+  const { data, error } = await supabase
+    .from("task_instance_exceptions")
+    .select("*")
+    .eq("task_id", taskId);
+  if (error)
+    throw new Error(t("errors.db.fetchExceptions", { detail: error.message }));
+  return data ?? [];
+};
+
+/**
+ * Moves a task series and its exceptions to the trash. Both get the same
+ * deleted_at, so restoring brings back exactly the exceptions trashed with
+ * the series.
+ */
+const moveTaskToTrash = async (supabase, taskId) => {
+  const t = await getServerTranslator();
+  const deletedAt = new Date().toISOString();
+  const { error: taskError } = await supabase
+    .from("tasks")
+    .update({ deleted_at: deletedAt })
+    .eq("id", taskId)
+    .is("deleted_at", null); // RLS handles the user_id check implicitly
+  if (taskError)
+    throw new Error(t("errors.db.deleteTask", { detail: taskError.message }));
+
+  const { error: exceptionsError } = await supabase
+    .from("task_instance_exceptions")
+    .update({ deleted_at: deletedAt })
+    .eq("task_id", taskId)
+    .is("deleted_at", null);
+  if (exceptionsError)
+    throw new Error(
+      t("errors.db.deleteExceptions", { detail: exceptionsError.message })
+    );
+};
+
 // *******************
 // --- Action to Delete Future Occurrences (Updates RRULE UNTIL) ---
 /**
@@ -257,47 +633,62 @@ export const createTaskAction = async (taskData) => {
  *
  * @param {string} taskId - The ID of the parent task definition in the 'tasks' table.
  * @param {string} originalOccurrenceTimeUTC - The ISO string UTC timestamp of the *first* occurrence to delete.
- * @returns {Promise<object>} Object indicating success and the updated task ID.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only report the impact (see `ScopeImpact`), without writing.
+ * @param {string} [options.undoId] - Logs the change under this id so it can be undone (see `undoTaskChangeAction`).
+ * @returns {Promise<object>} Object indicating success and the updated task ID,
+ *   or `{ dryRun: true, impact }` for a dry run.
  * @throws {Error} If validation or database operations fail.
  */
 export const deleteFutureOccurrencesAction = async (
   taskId,
-  originalOccurrenceTimeUTC
+  originalOccurrenceTimeUTC,
+  { dryRun = false, undoId = null } = {}
 ) => {
+  const t = await getServerTranslator();
   console.log(
     `SERVER ACTION: Deleting future occurrences for task ${taskId} from ${originalOccurrenceTimeUTC}`
   );
   if (!taskId || !originalOccurrenceTimeUTC) {
-    throw new Error(
-      "Task ID and the occurrence time to delete from are required."
-    );
+    throw new Error(t("errors.deleteFromRequired"));
   }
 
-  const supabase = await createClient();
+  const supabase = await createClient({ undoId });
   const {
     data: { user },
     error: authError,
   } = await supabase.auth.getUser();
   if (authError || !user) {
-    throw new Error("User not authenticated.");
+    throw new Error(t("errors.notAuthenticated"));
   }
   console.log("User : ", user);
   try {
     // 1. Fetch the parent task definition (need rrule, dtstart, user_id)
     const { data: task, error: fetchError } = await supabase
       .from("tasks")
-      .select("rrule, dtstart, user_id") // Select only necessary fields
+      .select(
+        "rrule, dtstart, user_id, timezone, times_of_day, rdates, exdates"
+      ) // Select only necessary fields
       .eq("id", taskId)
       .eq("user_id", user.id) // Ensure ownership
       .single(); // Expect one task
 
     if (fetchError)
-      throw new Error(`Database error fetching task: ${fetchError.message}`);
-    if (!task) throw new Error("Task not found or unauthorized.");
-    if (!task.rrule)
-      throw new Error(
-        "Cannot delete future occurrences of a non-recurring task."
-      ); // Should not happen if called correctly
+      throw new Error(t("errors.db.fetchTask", { detail: fetchError.message }));
+    if (!task) throw new Error(t("errors.taskNotFound"));
+    if (!task.rrule) throw new Error(t("errors.notRecurring")); // Should not happen if called correctly
+
+    if (dryRun) {
+      const exceptions = await fetchSeriesExceptions(supabase, taskId);
+      return {
+        dryRun: true,
+        impact: calculateSplitImpact(
+          task,
+          exceptions,
+          originalOccurrenceTimeUTC
+        ),
+      };
+    }
 
     // 2. Calculate the new UNTIL date/time
     // The UNTIL clause in RRULE specifies the *last possible moment* an occurrence can START.
@@ -306,7 +697,7 @@ export const deleteFutureOccurrencesAction = async (
       .utc(originalOccurrenceTimeUTC)
       .subtract(1, "millisecond"); // Go back slightly
     if (!newUntilDateTime.isValid()) {
-      throw new Error("Invalid occurrence time provided for cutoff.");
+      throw new Error(t("errors.invalidCutoff"));
     }
     const newUntilDateUTC = newUntilDateTime.toDate(); // Get JS Date object in UTC for RRule
 
@@ -341,18 +732,26 @@ export const deleteFutureOccurrencesAction = async (
         "SERVER ACTION Error: Failed to parse/update RRULE",
         rruleError
       );
-      throw new Error("Failed to update recurrence rule.");
+      throw new Error(t("errors.updateRuleFailed"));
     }
 
+    // Extra dates (RDATE) aren't bounded by UNTIL, so drop the future ones too
+    const remainingRdates = (task.rdates ?? []).filter((date) =>
+      dayjs.utc(date).isBefore(dayjs.utc(originalOccurrenceTimeUTC))
+    );
+
     // 4. Update the task in the database with the new RRULE string
     const { error: updateError } = await supabase
       .from("tasks")
-      .update({ rrule: updatedRruleString })
+      .update({
+        rrule: updatedRruleString,
+        rdates: remainingRdates.length > 0 ? remainingRdates : null,
+      })
       .eq("id", taskId); // RLS handles user_id check
 
     if (updateError)
       throw new Error(
-        `Database error updating task rule: ${updateError.message}`
+        t("errors.db.updateRule", { detail: updateError.message })
       );
 
     // 5. Optional Cleanup: Delete any exceptions whose *original* time occurs ON or AFTER the occurrence we are deleting from.
@@ -388,25 +787,51 @@ export const deleteFutureOccurrencesAction = async (
 
 // --- Action to Delete Entire Task Series (including single non-recurring tasks) ---
 /**
- * Deletes a task definition (and all its potential occurrences/exceptions)
- * from the 'tasks' table. Handles both single and recurring tasks.
+ * Moves a task definition (and all its potential occurrences/exceptions) to
+ * the trash, where it can be restored for 30 days before it's purged.
+ * Handles both single and recurring tasks.
  *
  * @param {string} taskId - The ID of the task definition in the 'tasks' table.
- * @returns {Promise<object>} Object indicating success and the deleted task ID.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only report the impact (see `ScopeImpact`), without writing.
+ * @param {string} [options.undoId] - Logs the change under this id so it can be undone (see `undoTaskChangeAction`).
+ * @returns {Promise<object>} Object indicating success and the deleted task ID,
+ *   or `{ dryRun: true, impact }` for a dry run.
  * @throws {Error} If validation or database operations fail.
  */
-export const deleteTaskSeriesAction = async (taskId) => {
+export const deleteTaskSeriesAction = async (
+  taskId,
+  { dryRun = false, undoId = null } = {}
+) => {
+  const t = await getServerTranslator();
   console.log(`SERVER ACTION: Deleting task series ${taskId}`);
-  if (!taskId) throw new Error("Task ID is required to delete the series.");
+  if (!taskId) throw new Error(t("errors.taskIdRequired"));
 
-  const supabase = await createClient();
+  const supabase = await createClient({ undoId });
   const {
     data: { user },
     error: authError,
   } = await supabase.auth.getUser();
-  if (authError || !user) throw new Error("User not authenticated.");
+  if (authError || !user) throw new Error(t("errors.notAuthenticated"));
 
   try {
+    if (dryRun) {
+      const { data: task, error: fetchError } = await supabase
+        .from("tasks")
+        .select(
+          "dtstart, rrule, timezone, times_of_day, rdates, exdates, repeat_after_days, goal_target"
+        )
+        .eq("id", taskId)
+        .eq("user_id", user.id)
+        .single();
+      if (fetchError || !task) throw new Error(t("errors.taskNotFound"));
+      const exceptions = await fetchSeriesExceptions(supabase, taskId);
+      return {
+        dryRun: true,
+        impact: calculateSeriesDeleteImpact(task, exceptions),
+      };
+    }
+
     // Optional: Verify ownership first if RLS isn't fully trusted or for logging
     // const { count, error: checkError } = await supabase
     //   .from('tasks')
@@ -414,26 +839,13 @@ export const deleteTaskSeriesAction = async (taskId) => {
     //   .eq('id', taskId)
     //   .eq('user_id', user.id);
     // if (checkError) throw new Error(`DB error checking task: ${checkError.message}`);
-    // if (count === 0) throw new Error("Task not found or unauthorized.");
+    // if (count === 0) throw new Error(t("errors.taskNotFound"));
 
-    // Delete the parent task record.
+    // Soft-delete the parent task record and its exceptions.
     // RLS on the 'tasks' table ensures the user can only delete their own tasks.
-    // The 'ON DELETE CASCADE' constraint on 'task_instance_exceptions.task_id'
-    // will automatically delete all associated exception records.
-    const { error: deleteError } = await supabase
-      .from("tasks")
-      .delete()
-      .eq("id", taskId); // RLS handles the user_id check implicitly
-
-    if (deleteError) {
-      console.error(
-        `SERVER ACTION Error: Failed deleting task ${taskId}`,
-        deleteError
-      );
-      throw new Error(`Database error deleting task: ${deleteError.message}`);
-    }
+    await moveTaskToTrash(supabase, taskId);
 
-    console.log(`SERVER ACTION: Task series ${taskId} deleted successfully.`);
+    console.log(`SERVER ACTION: Task series ${taskId} moved to the trash.`);
     revalidatePath("/"); // Revalidate relevant paths
     revalidatePath("/protected");
     return { success: true, deletedTaskId: taskId };
@@ -444,23 +856,28 @@ export const deleteTaskSeriesAction = async (taskId) => {
 };
 
 // Handles the 'single' scope correctly for both recurring and non-recurring.
-export const deleteSingleTaskOrOccurrenceAction = async (payload) => {
+// `options.undoId` logs the change so it can be undone (see `undoTaskChangeAction`).
+export const deleteSingleTaskOrOccurrenceAction = async (
+  payload,
+  { undoId = null } = {}
+) => {
+  const t = await getServerTranslator();
   const { taskId, originalOccurrenceTimeUTC, isParentRecurring, exceptionId } =
     payload;
   console.log("SERVER ACTION: Deleting Single Task/Occurrence", payload);
 
   if (!taskId) {
-    throw new Error("Task ID  required.");
+    throw new Error(t("errors.taskIdRequired"));
   }
   // originalOccurrenceTimeUTC is needed ONLY if isParentRecurring is true
 
-  const supabase = await createClient();
+  const supabase = await createClient({ undoId });
   const {
     data: { user: authUser },
     error: authError,
   } = await supabase.auth.getUser();
   if (authError || !authUser) {
-    throw new Error("User not authenticated or mismatched.");
+    throw new Error(t("errors.notAuthenticated"));
   }
 
   try {
@@ -470,9 +887,7 @@ export const deleteSingleTaskOrOccurrenceAction = async (payload) => {
         `Deleting single occurrence of recurring task ${taskId} at ${originalOccurrenceTimeUTC}`
       );
       if (!originalOccurrenceTimeUTC) {
-        throw new Error(
-          "Original occurrence time is required to delete a recurring instance."
-        );
+        throw new Error(t("errors.occurrenceTimeRequired"));
       }
 
       // Create/Update an exception to mark it as cancelled
@@ -502,7 +917,7 @@ export const deleteSingleTaskOrOccurrenceAction = async (payload) => {
           upsertError
         );
         throw new Error(
-          `Database error cancelling occurrence: ${upsertError.message}`
+          t("errors.db.cancelOccurrence", { detail: upsertError.message })
         );
       }
       console.log(
@@ -511,21 +926,11 @@ export const deleteSingleTaskOrOccurrenceAction = async (payload) => {
     } else {
       // --- Case 2: Delete a NON-RECURRING (truly single) task ---
       console.log(`Deleting non-recurring task definition ${taskId}`);
-      // Delete the parent task record itself. RLS ensures user owns it.
-      // Cascade delete should handle any potential orphaned exceptions (though unlikely).
-      const { error: deleteError } = await supabase
-        .from("tasks")
-        .delete()
-        .eq("id", taskId); // RLS implicitly checks user_id
-
-      if (deleteError) {
-        console.error(
-          "SERVER ACTION Error: Failed to delete single task definition",
-          deleteError
-        );
-        throw new Error(`Database error deleting task: ${deleteError.message}`);
-      }
-      console.log(`SERVER ACTION: Single task definition ${taskId} deleted.`);
+      // Move the parent task record (and any exceptions) to the trash. RLS ensures user owns it.
+      await moveTaskToTrash(supabase, taskId);
+      console.log(
+        `SERVER ACTION: Single task definition ${taskId} moved to the trash.`
+      );
     }
 
     // revalidatePath("/"); // Revalidate relevant paths
@@ -547,124 +952,128 @@ export const deleteSingleTaskOrOccurrenceAction = async (payload) => {
 // --- Update Task Definition (Rule) ---
 /**
  * Updates the main definition (rule) of a task in the 'tasks' table.
- * Handles scope ('future', 'all') to adjust RRULE or cleanup exceptions.
+ * Handles scope ('future', 'all') to adjust RRULE or carry exceptions over.
  * NOTE: Scope 'single' should call modifyTaskOccurrenceAction directly.
  *
+ * With scope 'all', existing exceptions are carried over to the new rule
+ * (see `planExceptionRemap`): completions are always kept, and overrides are
+ * only deleted when their occurrence has no equivalent anymore.
+ *
  * @param {string} taskId - The ID of the task definition to update.
  * @param {object} taskData - Object containing the updated fields from the form.
  *   Requires _originalOccurrenceTimeUTC if scope is 'future'.
  * @param {'future' | 'all'} scope - How widely the changes should apply.
- * @returns {Promise<object>} The updated or newly created task definition record.
+ * @param {object} [options]
+ * @param {boolean} [options.dryRun] - Only report the impact (see `ScopeImpact`), without writing.
+ * @param {string} [options.undoId] - Logs the change under this id so it can be undone (see `undoTaskChangeAction`).
+ * @returns {Promise<object>} The updated or newly created task definition record,
+ *   with a `conflicts` report (see `ConflictReport`) of what its next
+ *   occurrences overlap, or `{ dryRun: true, impact }` for a dry run.
  * @throws {Error} If validation or database operations fail.
  */
-export const updateTaskDefinitionAction = async (taskId, taskData, scope) => {
+export const updateTaskDefinitionAction = async (
+  taskId,
+  taskData,
+  scope,
+  { dryRun = false, undoId = null } = {}
+) => {
+  const t = await getServerTranslator();
   console.log(
     `SERVER ACTION (updateTaskDefinitionAction): Updating task ${taskId} with scope ${scope}`,
     taskData
   );
   // --- Basic Validation ---
-  if (!taskId) throw new Error("Task ID is required for update.");
+  if (!taskId) throw new Error(t("errors.taskIdRequired"));
   if (scope !== "future" && scope !== "all")
-    throw new Error("Update scope must be 'future' or 'all'.");
-  if (!taskData) throw new Error("Task data is required.");
+    throw new Error(t("errors.updateScope"));
+  if (!taskData) throw new Error(t("errors.taskDataRequired"));
   // ... (Add back other core field validations: title, start_date, start_time, duration, frequency if scope !='single') ...
-  if (!taskData.title?.trim()) throw new Error("Title required.");
+  if (!taskData.title?.trim()) throw new Error(t("errors.titleRequired"));
   if (
     !taskData.start_date ||
     !taskData.start_time?.match(/^([01]\d|2[0-3]):([0-5]\d)$/)
   )
-    throw new Error("Valid Start Date/Time required.");
+    throw new Error(t("errors.invalidStart"));
   if (!taskData.duration_minutes || taskData.duration_minutes < 1)
-    throw new Error("Valid Duration required.");
-  if (!taskData.recurrence?.frequency) throw new Error("Frequency required."); // Expect nested recurrence from form
+    throw new Error(t("errors.invalidDuration"));
+  if (!taskData.recurrence?.frequency)
+    throw new Error(t("errors.frequencyRequired")); // Expect nested recurrence from form
   if (scope === "future" && !taskData._originalOccurrenceTimeUTC) {
-    throw new Error(
-      "Original occurrence time context required for 'future' scope update."
-    );
+    throw new Error(t("errors.futureScopeContext"));
   }
   // --- End Validation ---
 
-  const supabase = await createClient();
+  const supabase = await createClient({ undoId });
   const {
     data: { user },
     error: authError,
   } = await supabase.auth.getUser();
-  if (authError || !user) throw new Error("User not authenticated.");
+  if (authError || !user) throw new Error(t("errors.notAuthenticated"));
 
   // --- Fetch Original Task ---
   const { data: originalTask, error: fetchError } = await supabase
     .from("tasks")
-    .select("id, user_id, dtstart, rrule, timezone, status")
+    .select(
+      "id, user_id, dtstart, rrule, timezone, status, paused_at, resume_at, icon_name, times_of_day, rdates, exdates, repeat_after_days, goal_target"
+    )
     .eq("id", taskId)
     .single();
   if (fetchError || !originalTask)
-    throw new Error("Original task not found or DB error.");
-  if (originalTask.user_id !== user.id) throw new Error("Unauthorized.");
+    throw new Error(t("errors.originalNotFound"));
+  if (originalTask.user_id !== user.id)
+    throw new Error(t("errors.unauthorized"));
 
   try {
     // --- Calculate new common properties based on taskData ---
     const timeZone = taskData.timezone || originalTask.timezone; // Use provided or original timezone
+    const timesOfDay = resolveTimesOfDay(taskData);
     const localStartDateTime = dayjs.tz(
-      `${taskData.start_date} ${taskData.start_time}`,
+      `${taskData.start_date} ${timesOfDay?.[0] ?? taskData.start_time}`,
       "YYYY-MM-DD HH:mm",
       timeZone
     );
     if (!localStartDateTime.isValid())
-      throw new Error("Invalid updated start date/time.");
+      throw new Error(t("errors.invalidUpdatedStart"));
     const newDtstartISO = localStartDateTime.toISOString(); // For DB TIMESTAMPTZ field
     const newDtstartDate = localStartDateTime.toDate(); // For RRule library
     const newDuration = parseInt(taskData.duration_minutes, 10);
+    await validateDuration(supabase, newDuration);
     const newTitle = taskData.title.trim();
     const newStatus = taskData.status || originalTask.status || "active";
+    const { rdates, exdates } = resolveSeriesDates(
+      taskData,
+      timesOfDay,
+      timeZone,
+      t
+    );
 
     // --- Generate the NEW RRULE String based on form's recurrence data ---
     let newRruleString = null;
-    const {
-      frequency,
-      interval = 1,
-      end_type = "never",
-      occurrences,
-      end_date,
-    } = taskData.recurrence || {};
-    if (frequency && frequency !== "once") {
-      const freqMap = {
-        daily: RRule.DAILY,
-        weekly: RRule.WEEKLY,
-        monthly: RRule.MONTHLY,
-      };
-      if (!freqMap[frequency])
-        throw new Error(`Invalid frequency: ${frequency}`);
-      const ruleOptions: any = {
-        freq: freqMap[frequency],
-        interval: Math.max(1, parseInt(interval, 10) || 1),
-        // Base the rule generation on the NEW dtstart date/time
-        dtstart: newDtstartDate,
-      };
-      // Apply end condition FROM THE FORM DATA
-      switch (end_type) {
-        case "after":
-          ruleOptions.count = Math.max(1, parseInt(occurrences, 10) || 1);
-          break;
-        case "on":
-          if (!end_date) throw new Error("End date required for 'on'.");
-          const untilDateTime = dayjs
-            .tz(end_date, "YYYY-MM-DD", timeZone)
-            .endOf("day");
-          if (
-            !untilDateTime.isValid() ||
-            untilDateTime.isBefore(localStartDateTime, "day")
-          )
-            throw new Error("Invalid end date.");
-          ruleOptions.until = untilDateTime.utc().toDate();
-          break;
-        case "never":
-        default:
-          break;
-      }
+    const repeatAfterDays = resolveRepeatAfterDays(taskData);
+    const goal = resolveGoal(taskData);
+    const { week_start: weekStartsOn } = await fetchUserSettings(
+      supabase,
+      user.id
+    );
+    const ruleOptions =
+      repeatAfterDays || goal.goal_target
+        ? null
+        : buildRRuleOptions(
+            taskData.recurrence,
+            localStartDateTime,
+            timeZone,
+            weekStartsOn,
+            t
+          );
+    if (ruleOptions) {
       try {
-        newRruleString = new RRule(ruleOptions).toString();
+        // Base the rule generation on the NEW dtstart date/time
+        newRruleString = new RRule({
+          ...ruleOptions,
+          dtstart: newDtstartDate,
+        }).toString();
       } catch (e) {
-        throw new Error(`Failed to generate new rule: ${e.message}`);
+        throw new Error(t("errors.newRuleFailed", { detail: e.message }));
       }
     }
 
@@ -673,9 +1082,15 @@ export const updateTaskDefinitionAction = async (taskId, taskData, scope) => {
       title: newTitle,
       // dtstart: newDtstartISO, // Decide: Update start for 'all' or only for new task in 'future'? Let's update only for 'all'.
       duration_minutes: newDuration,
-      icon_name: taskData.icon_name || "Activity",
+      icon_name: taskData.icon_name || originalTask.icon_name || "Activity",
       rrule: newRruleString, // The new rule based on form input
       timezone: timeZone,
+      times_of_day: timesOfDay,
+      rdates: rdates,
+      exdates: exdates,
+      repeat_after_days: repeatAfterDays,
+      goal_target: goal.goal_target,
+      goal_period: goal.goal_period,
       status: newStatus,
       updated_at: new Date().toISOString(),
     };
@@ -688,23 +1103,43 @@ export const updateTaskDefinitionAction = async (taskId, taskData, scope) => {
       console.log(
         `SERVER ACTION: Updating task ${taskId} for ALL occurrences.`
       );
-      // Update the original task record with the full payload, INCLUDING new dtstart
-      const { data: updatedTask, error: updateError } = await supabase
-        .from("tasks")
-        .update({ ...taskUpdatePayload, dtstart: newDtstartISO }) // Update dtstart for 'all'
-        .eq("id", taskId)
-        .select()
-        .single();
+
+      // Work out where each existing exception goes under the new rule
+      const updatedShape = { ...taskUpdatePayload, dtstart: newDtstartISO };
+      const remapPlan = planExceptionRemap(
+        originalTask,
+        updatedShape,
+        await fetchSeriesExceptions(supabase, taskId)
+      );
+
+      if (dryRun) {
+        return {
+          dryRun: true,
+          impact: calculateRemapImpact(updatedShape, remapPlan),
+        };
+      }
+
+      // Update the task and re-key its exceptions in one transaction, so a
+      // failure halfway can't leave the history behind
+      const { data: updatedTask, error: updateError } = await supabase.rpc(
+        "edit_task_series",
+        {
+          p_task_id: taskId,
+          p_changes: { ...taskUpdatePayload, dtstart: newDtstartISO }, // Update dtstart for 'all'
+          p_drop_ids: remapPlan.drop.map((exception) => exception.id),
+          p_remap: remapPlan.remap.map(
+            ({ exception, original_occurrence_time }) => ({
+              id: exception.id,
+              original_occurrence_time,
+            })
+          ),
+        }
+      );
       if (updateError)
-        throw new Error(`DB update error ('all'): ${updateError.message}`);
+        throw new Error(
+          t("errors.db.updateTask", { detail: updateError.message })
+        );
       finalResultTask = updatedTask;
-
-      // Delete ALL existing exceptions
-      console.log(`Deleting ALL exceptions for task ${taskId}`);
-      await supabase
-        .from("task_instance_exceptions")
-        .delete()
-        .eq("task_id", taskId);
     } else if (scope === "future") {
       // --- "This and Future" Logic (Series Splitting) ---
       console.log(
@@ -712,85 +1147,127 @@ export const updateTaskDefinitionAction = async (taskId, taskData, scope) => {
       );
       const originalOccurrenceTimeUTC = taskData._originalOccurrenceTimeUTC; // Get from payload
       if (!originalOccurrenceTimeUTC)
-        throw new Error("Original time missing for future scope.");
+        throw new Error(t("errors.originalTimeMissing"));
+
+      // Extra/removed dates are split at the same point as the rule, so an
+      // RDATE doesn't show up in both series
+      const isBeforeSplit = (date: string) =>
+        dayjs.utc(date).isBefore(dayjs.utc(originalOccurrenceTimeUTC));
+      const keepDates = (dates: string[] | null, beforeSplit: boolean) => {
+        const kept = (dates ?? []).filter(
+          (date) => isBeforeSplit(date) === beforeSplit
+        );
+        return kept.length > 0 ? kept : null;
+      };
 
-      // 1. End the OLD task rule just before the split point
-      const oldUntilDateTime = dayjs
-        .utc(originalOccurrenceTimeUTC)
-        .subtract(1, "millisecond");
+      // 1. End the OLD task rule just before the split point (a COUNT rule
+      // also reports how many of its occurrences are left)
       let oldRruleUpdated = null;
+      let occurrencesLeft = null;
       if (originalTask.rrule) {
         try {
-          const oldRule = rrulestr(originalTask.rrule, {
-            dtstart: dayjs.utc(originalTask.dtstart).toDate(),
-          });
-          const oldOptions = {
-            ...oldRule.options,
-            until: oldUntilDateTime.toDate(),
-            count: undefined,
-          };
-          // Only update if the new end is after the original start
-          if (oldUntilDateTime.isAfter(dayjs.utc(originalTask.dtstart))) {
-            oldRruleUpdated = new RRule(oldOptions).toString();
-          }
+          ({ oldRule: oldRruleUpdated, occurrencesLeft } = splitRuleAt(
+            originalTask,
+            originalOccurrenceTimeUTC
+          ));
         } catch (e) {
-          throw new Error(`Failed to modify original task rule: ${e.message}`);
+          throw new Error(t("errors.modifyRuleFailed", { detail: e.message }));
         }
       }
-      // Update original task - ONLY change rrule and updated_at
-      const { error: updateOldError } = await supabase
-        .from("tasks")
-        .update({
-          rrule: oldRruleUpdated,
-          updated_at: new Date().toISOString(),
-        })
-        .eq("id", taskId);
-      if (updateOldError)
-        throw new Error(
-          `DB error ending original task: ${updateOldError.message}`
-        );
-      console.log(
-        `Ended original task ${taskId} with rule: ${oldRruleUpdated}`
+
+      // Asked to keep the total: the new series gets what's left of the old
+      // COUNT instead of the form's
+      let futureRruleString = newRruleString;
+      if (occurrencesLeft && taskData.keep_total_count && ruleOptions?.count) {
+        futureRruleString = new RRule({
+          ...ruleOptions,
+          dtstart: newDtstartDate,
+          count: countForOccurrences(
+            {
+              rrule: newRruleString,
+              dtstart: newDtstartISO,
+              timezone: timeZone,
+              times_of_day: timesOfDay,
+              rdates: keepDates(rdates, false),
+              exdates: keepDates(exdates, false),
+              repeat_after_days: null,
+              goal_target: null,
+            },
+            occurrencesLeft
+          ),
+        }).toString();
+      }
+
+      // 2. The NEW task for the future series carries over every field of the
+      // edited one (icon, status and pause window included) and links back to
+      // the series it was split from
+      const futureTask = {
+        ...taskUpdatePayload,
+        dtstart: newDtstartISO, // Starts at the NEW time specified in form
+        rrule: futureRruleString, // The NEW rule, with the old COUNT's remainder
+        rdates: keepDates(rdates, false),
+        exdates: keepDates(exdates, false),
+      };
+
+      // 3. Exceptions from the split on move to the new series, re-keyed onto
+      // its schedule like an 'all' edit; completions are never dropped
+      const movePlan = planSplitExceptionMove(
+        originalTask,
+        futureTask,
+        await fetchSeriesExceptions(supabase, taskId),
+        originalOccurrenceTimeUTC
       );
 
-      // 2. Create a NEW task definition for the future series
-      const { data: newTask, error: insertNewError } = await supabase
-        .from("tasks")
-        .insert({
-          // Insert new row with updated details
-          user_id: user.id,
-          title: newTitle,
-          dtstart: newDtstartISO, // Starts at the NEW time specified in form
-          duration_minutes: newDuration,
-          rrule: newRruleString, // The NEW rule (with form's end condition)
-          timezone: timeZone,
-          status: "active",
-        })
-        .select()
-        .single();
-      if (insertNewError)
+      if (dryRun) {
+        return {
+          dryRun: true,
+          impact: calculateSplitEditImpact(
+            originalTask,
+            movePlan,
+            originalOccurrenceTimeUTC
+          ),
+        };
+      }
+
+      // End the old task, create the new one and move the exceptions in one
+      // transaction, so a failure halfway can't leave the split half done
+      const { data: newTask, error: splitError } = await supabase.rpc(
+        "split_task_series",
+        {
+          p_task_id: taskId,
+          p_old_changes: {
+            rrule: oldRruleUpdated,
+            rdates: keepDates(originalTask.rdates, true),
+            exdates: keepDates(originalTask.exdates, true),
+            updated_at: new Date().toISOString(),
+          },
+          p_new_task: futureTask,
+          p_drop_ids: movePlan.drop.map((exception) => exception.id),
+          p_move: [
+            ...movePlan.keep.map((exception) => ({
+              id: exception.id,
+              original_occurrence_time: exception.original_occurrence_time,
+            })),
+            ...movePlan.remap.map(
+              ({ exception, original_occurrence_time }) => ({
+                id: exception.id,
+                original_occurrence_time,
+              })
+            ),
+          ],
+        }
+      );
+      if (splitError)
         throw new Error(
-          `DB error creating new future task: ${insertNewError.message}`
+          t("errors.db.splitSeries", { detail: splitError.message })
         );
       console.log(
-        `Created new task ${newTask.id} for future occurrences starting ${newDtstartISO}.`
+        `Split task ${taskId} at ${originalOccurrenceTimeUTC}: ended with rule ${oldRruleUpdated}, new task ${newTask.id} starts ${newDtstartISO}.`
       );
       finalResultTask = newTask; // Return the NEW task
-
-      // 3. Delete exceptions from OLD task occurring ON or AFTER the split point
-      console.log(
-        `Deleting future exceptions for OLD task ${taskId} from ${originalOccurrenceTimeUTC}`
-      );
-      await supabase
-        .from("task_instance_exceptions")
-        .delete()
-        .eq("task_id", taskId)
-        .gte("original_occurrence_time", originalOccurrenceTimeUTC);
     } else {
       // Should have been caught earlier or handled as 'single' via modifyTaskOccurrenceAction
-      throw new Error(
-        `Invalid scope '${scope}' reached in updateTaskDefinitionAction.`
-      );
+      throw new Error(t("errors.invalidScope", { scope }));
     }
 
     console.log(
@@ -798,7 +1275,14 @@ export const updateTaskDefinitionAction = async (taskId, taskData, scope) => {
     );
     revalidatePath("/");
     revalidatePath("/protected");
-    return finalResultTask;
+    return {
+      ...finalResultTask,
+      conflicts: await reportSavedTaskConflicts(
+        supabase,
+        user.id,
+        finalResultTask
+      ),
+    };
   } catch (error) {
     console.error(
       "SERVER ACTION Error: Updating task definition failed.",
@@ -822,10 +1306,16 @@ export const updateTaskDefinitionAction = async (taskId, taskData, scope) => {
  * @param {string} payload.originalOccurrenceTimeUTC - ISO string UTC timestamp of the occurrence.
  * @param {boolean} payload.newCompletionState - The desired state (true for complete, false for incomplete).
  * @param {string} [payload.exceptionId] - Optional: The existing ID of the exception if known (for potential update optimization, though upsert handles it).
+ * @param {object} [options]
+ * @param {string} [options.undoId] - Logs the change under this id so it can be undone (see `undoTaskChangeAction`).
  * @returns {Promise<object>} The created or updated exception record.
  * @throws {Error} If validation or database operations fail.
  */
-export const toggleTaskOccurrenceCompletionAction = async (payload) => {
+export const toggleTaskOccurrenceCompletionAction = async (
+  payload,
+  { undoId = null } = {}
+) => {
+  const t = await getServerTranslator();
   const { taskId, originalOccurrenceTimeUTC, newCompletionState, exceptionId } =
     payload;
   console.log(
@@ -833,10 +1323,10 @@ export const toggleTaskOccurrenceCompletionAction = async (payload) => {
   );
 
   if (!taskId || !originalOccurrenceTimeUTC) {
-    throw new Error("Task ID and original occurrence time are required.");
+    throw new Error(t("errors.occurrenceRequired"));
   }
   if (typeof newCompletionState !== "boolean") {
-    throw new Error("New completion state (true/false) is required.");
+    throw new Error(t("errors.completionStateRequired"));
   }
 
   // Note: We don't necessarily need to fetch the current state first with UPSERT.
@@ -849,7 +1339,7 @@ export const toggleTaskOccurrenceCompletionAction = async (payload) => {
     error: authError,
   } = await supabase.auth.getUser();
   if (authError || !user) {
-    throw new Error("User not authenticated.");
+    throw new Error(t("errors.notAuthenticated"));
   }
 
   // Prepare payload for the modify/upsert action
@@ -870,11 +1360,44 @@ export const toggleTaskOccurrenceCompletionAction = async (payload) => {
 
   try {
     // Call the generic modify action which handles the upsert logic
-    const result = await modifyTaskOccurrenceAction(exceptionPayload);
+    const result = await modifyTaskOccurrenceAction(exceptionPayload, {
+      undoId,
+    });
     console.log(
       `SERVER ACTION: Completion toggled successfully for task ${taskId} at ${originalOccurrenceTimeUTC}. New state: ${newCompletionState}`
     );
 
+    // Completion-relative tasks move on to their next occurrence, counted
+    // from the completion just recorded (or back to the previous one on undo)
+    const { data: task } = await supabase
+      .from("tasks")
+      .select("dtstart, timezone, repeat_after_days")
+      .eq("id", taskId)
+      .single();
+    if (task?.repeat_after_days) {
+      const { data: taskExceptions, error: exceptionsError } = await supabase
+        .from("task_instance_exceptions")
+        .select(
+          "original_occurrence_time, is_complete, completion_time, is_cancelled"
+        )
+        .eq("task_id", taskId);
+      if (exceptionsError) {
+        throw new Error(
+          t("errors.db.fetchCompletions", { detail: exceptionsError.message })
+        );
+      }
+      const nextOccurrenceTimeUTC = nextFloatingOccurrence(
+        task,
+        taskExceptions ?? []
+      ).toISOString();
+      console.log(
+        `SERVER ACTION: Task ${taskId} next occurrence is now ${nextOccurrenceTimeUTC}`
+      );
+      revalidatePath("/");
+      revalidatePath("/protected");
+      return { ...result, next_occurrence_time_utc: nextOccurrenceTimeUTC };
+    }
+
     // Revalidate paths after modification
     revalidatePath("/");
     revalidatePath("/protected");
@@ -888,16 +1411,21 @@ export const toggleTaskOccurrenceCompletionAction = async (payload) => {
 
 // --- Ensure modifyTaskOccurrenceAction Exists and Handles Upsert ---
 // (Should be similar to the version provided previously)
-export const modifyTaskOccurrenceAction = async (payload) => {
+// `options.undoId` logs the change so it can be undone (see `undoTaskChangeAction`).
+export const modifyTaskOccurrenceAction = async (
+  payload,
+  { undoId = null } = {}
+) => {
+  const t = await getServerTranslator();
   console.log("SERVER ACTION (modifyTaskOccurrenceAction): Received:", payload);
-  const supabase = await createClient(); // Get server client
+  const supabase = await createClient({ undoId }); // Get server client
   const {
     data: { user },
     error: authError,
   } = await supabase.auth.getUser();
   if (authError || !user) {
     console.error("SERVER ACTION Error: Authentication Failed", authError);
-    throw new Error("User not authenticated");
+    throw new Error(t("errors.notAuthenticated"));
   }
 
   const userId = user.id;
@@ -912,21 +1440,31 @@ export const modifyTaskOccurrenceAction = async (payload) => {
 
   // Basic validation
   if (!taskId) {
-    throw new Error("Task ID is required for modification.");
+    throw new Error(t("errors.taskIdRequired"));
   }
   if (!originalOccurrenceTimeUTC) {
-    throw new Error("Original occurrence time is required for modification.");
+    throw new Error(t("errors.occurrenceTimeRequired"));
   }
   if (!userId) {
-    throw new Error("User ID is required for modification.");
+    throw new Error(t("errors.userIdRequired"));
   }
   if (userId.includes("placeholder")) {
-    throw new Error("User ID contains an invalid placeholder value.");
+    throw new Error(t("errors.userIdPlaceholder"));
   }
 
   const originalTime = dayjs.utc(originalOccurrenceTimeUTC);
   if (!originalTime.isValid()) {
-    throw new Error("Invalid original occurrence time format.");
+    throw new Error(t("errors.invalidOccurrenceTime"));
+  }
+
+  if (
+    overrides.newDurationMinutes !== undefined &&
+    overrides.newDurationMinutes !== null
+  ) {
+    await validateDuration(
+      supabase,
+      parseInt(overrides.newDurationMinutes, 10)
+    );
   }
 
   // Prepare data for upsert, handling potential null/undefined overrides
@@ -981,7 +1519,7 @@ export const modifyTaskOccurrenceAction = async (payload) => {
       upsertError
     );
     throw new Error(
-      `Database error modifying occurrence: ${upsertError.message}`
+      t("errors.db.modifyOccurrence", { detail: upsertError.message })
     );
   }
 
@@ -997,11 +1535,635 @@ export const modifyTaskOccurrenceAction = async (payload) => {
   return upsertedException;
 };
 
+// **********************************************************
+// GOAL ACTIONS
+// **********************************************************
+
+/**
+ * Fetches a goal-style task owned by the current user, or throws.
+ */
+const fetchOwnGoalTask = async (supabase, taskId) => {
+  const t = await getServerTranslator();
+  const {
+    data: { user },
+    error: authError,
+  } = await supabase.auth.getUser();
+  if (authError || !user) throw new Error(t("errors.notAuthenticated"));
+
+  const { data: task, error: fetchError } = await supabase
+    .from("tasks")
+    .select("id, user_id, goal_target, goal_period, parent_task_id")
+    .eq("id", taskId)
+    .eq("user_id", user.id)
+    .single();
+  if (fetchError || !task) throw new Error(t("errors.goalNotFound"));
+  if (!task.goal_target) throw new Error(t("errors.notAGoal"));
+  return task;
+};
+
+/**
+ * Ids of a task and of the series it was split from (see
+ * getSeriesLineageIds), read up the `parent_task_id` chain.
+ */
+const fetchSeriesLineageIds = async (supabase, task) => {
+  const t = await getServerTranslator();
+  const ids = [task.id];
+  let parentId = task.parent_task_id;
+  while (parentId && !ids.includes(parentId)) {
+    ids.push(parentId);
+    const { data: parent, error } = await supabase
+      .from("tasks")
+      .select("parent_task_id")
+      .eq("id", parentId)
+      .maybeSingle();
+    if (error)
+      throw new Error(t("errors.db.fetchTask", { detail: error.message }));
+    parentId = parent?.parent_task_id;
+  }
+  return ids;
+};
+
+/**
+ * Logs one completion of a goal-style task ("3 times per week, any day").
+ * Each completion is its own exception record, keyed by the time it was logged.
+ *
+ * @param {string} taskId - The ID of the goal task.
+ * @returns {Promise<object>} The created exception record.
+ * @throws {Error} If the task isn't the user's goal or the insert fails.
+ */
+export const logGoalCompletionAction = async (taskId) => {
+  const t = await getServerTranslator();
+  console.log(`SERVER ACTION: Logging goal completion for task ${taskId}`);
+  if (!taskId) throw new Error(t("errors.taskIdRequired"));
+
+  const supabase = await createClient();
+  await fetchOwnGoalTask(supabase, taskId);
+
+  const nowISO = dayjs.utc().toISOString();
+  const result = await modifyTaskOccurrenceAction({
+    taskId,
+    originalOccurrenceTimeUTC: nowISO,
+    isComplete: true,
+    completionTimeISO: nowISO,
+    isCancelled: false,
+  });
+
+  revalidatePath("/");
+  revalidatePath("/protected");
+  return result;
+};
+
+/**
+ * Removes the most recent logged completion of a goal within a period,
+ * e.g. to undo an accidental tap. Completions logged on the series the goal
+ * was split from count as the goal's own.
+ *
+ * @param {string} taskId - The ID of the goal task.
+ * @param {string} periodStartISO - Start of the goal period (inclusive).
+ * @param {string} periodEndISO - End of the goal period (inclusive).
+ * @returns {Promise<{success: boolean}>}
+ * @throws {Error} If the task isn't the user's goal or nothing was logged.
+ */
+export const undoGoalCompletionAction = async (
+  taskId,
+  periodStartISO,
+  periodEndISO
+) => {
+  const t = await getServerTranslator();
+  console.log(
+    `SERVER ACTION: Undoing latest goal completion for task ${taskId} between ${periodStartISO} and ${periodEndISO}`
+  );
+  if (!taskId || !periodStartISO || !periodEndISO) {
+    throw new Error(t("errors.goalPeriodRequired"));
+  }
+
+  const supabase = await createClient();
+  const goal = await fetchOwnGoalTask(supabase, taskId);
+  const lineageIds = await fetchSeriesLineageIds(supabase, goal);
+
+  const { data: latest, error: fetchError } = await supabase
+    .from("task_instance_exceptions")
+    .select("id")
+    .in("task_id", lineageIds)
+    .is("deleted_at", null)
+    .eq("is_complete", true)
+    .gte("completion_time", dayjs.utc(periodStartISO).toISOString())
+    .lte("completion_time", dayjs.utc(periodEndISO).toISOString())
+    .order("completion_time", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (fetchError)
+    throw new Error(
+      t("errors.db.fetchCompletions", { detail: fetchError.message })
+    );
+  if (!latest) throw new Error(t("errors.noCompletionInPeriod"));
+
+  const { error: deleteError } = await supabase
+    .from("task_instance_exceptions")
+    .delete()
+    .eq("id", latest.id);
+  if (deleteError)
+    throw new Error(
+      t("errors.db.removeCompletion", { detail: deleteError.message })
+    );
+
+  revalidatePath("/");
+  revalidatePath("/protected");
+  return { success: true };
+};
+
+// **********************************************************
+// SERIES STATUS ACTIONS
+// **********************************************************
+
+/**
+ * Fetches a task series owned by the current user with the fields needed to
+ * change its status, or throws.
+ */
+const fetchOwnSeries = async (supabase, taskId) => {
+  const t = await getServerTranslator();
+  const {
+    data: { user },
+    error: authError,
+  } = await supabase.auth.getUser();
+  if (authError || !user) throw new Error(t("errors.notAuthenticated"));
+
+  const { data: task, error: fetchError } = await supabase
+    .from("tasks")
+    .select(
+      "id, user_id, dtstart, rrule, timezone, times_of_day, rdates, exdates, status, paused_at, resume_at"
+    )
+    .eq("id", taskId)
+    .eq("user_id", user.id)
+    .single();
+  if (fetchError || !task) throw new Error(t("errors.taskNotFound"));
+  return task;
+};
+
+/**
+ * Ends a paused series' pause window at `untilISO` and returns the series'
+ * exdates with the occurrences that fell inside the window added, so the
+ * paused stretch stays empty once the series is active again. Occurrences
+ * that were completed anyway are kept.
+ */
+const foldPauseWindowIntoExdates = async (supabase, task, untilISO) => {
+  const t = await getServerTranslator();
+  const exdates = task.exdates ?? [];
+  if (task.status !== "paused" || !task.paused_at) return exdates;
+  if (!task.rrule && !task.rdates?.length) return exdates;
+
+  const windowStart = dayjs.utc(task.paused_at);
+  const windowEnd =
+    task.resume_at && dayjs.utc(task.resume_at).isBefore(untilISO)
+      ? dayjs.utc(task.resume_at)
+      : dayjs.utc(untilISO);
+  if (!windowEnd.isAfter(windowStart)) return exdates;
+
+  const { data: completed, error: fetchError } = await supabase
+    .from("task_instance_exceptions")
+    .select("original_occurrence_time")
+    .eq("task_id", task.id)
+    .eq("is_complete", true)
+    .gte("original_occurrence_time", windowStart.toISOString())
+    .lt("original_occurrence_time", windowEnd.toISOString());
+  if (fetchError)
+    throw new Error(
+      t("errors.db.fetchCompletions", { detail: fetchError.message })
+    );
+  const completedTimes = new Set(
+    (completed ?? []).map((ex) =>
+      dayjs.utc(ex.original_occurrence_time).toISOString()
+    )
+  );
+
+  const skipped = expandTaskOccurrences(
+    task,
+    windowStart.toDate(),
+    windowEnd.toDate()
+  )
+    .map((date) => dayjs.utc(date).toISOString())
+    .filter(
+      (iso) => dayjs.utc(iso).isBefore(windowEnd) && !completedTimes.has(iso)
+    );
+
+  return Array.from(
+    new Set([...exdates.map((d) => dayjs.utc(d).toISOString()), ...skipped])
+  ).sort();
+};
+
+/**
+ * Writes a status change to a series and refreshes the planner.
+ */
+const updateSeriesStatus = async (supabase, taskId, fields) => {
+  const t = await getServerTranslator();
+  const { data, error: updateError } = await supabase
+    .from("tasks")
+    .update(fields)
+    .eq("id", taskId)
+    .select()
+    .single();
+  if (updateError)
+    throw new Error(
+      t("errors.db.updateStatus", { detail: updateError.message })
+    );
+
+  revalidatePath("/");
+  revalidatePath("/protected");
+  return data;
+};
+
+/**
+ * Pauses a task series from now on. No occurrences are generated while it's
+ * paused; with a resume date it becomes active again at the start of that day
+ * (in the task's timezone), otherwise it stays paused until resumed by hand.
+ *
+ * @param {string} taskId - The ID of the task series.
+ * @param {string | null} [resumeDate] - Optional resume date as YYYY-MM-DD.
+ * @returns {Promise<object>} The updated task record.
+ * @throws {Error} If the series is archived or the resume date isn't in the future.
+ */
+export const pauseTaskSeriesAction = async (taskId, resumeDate = null) => {
+  const t = await getServerTranslator();
+  console.log(
+    `SERVER ACTION: Pausing task series ${taskId} until ${resumeDate ?? "resumed"}`
+  );
+  if (!taskId) throw new Error(t("errors.taskIdRequired"));
+
+  const supabase = await createClient();
+  const task = await fetchOwnSeries(supabase, taskId);
+  if (task.status === "archived")
+    throw new Error(t("errors.restoreBeforePause"));
+
+  const now = dayjs.utc();
+  let resumeAtISO = null;
+  if (resumeDate) {
+    const resumeAt = dayjs.tz(resumeDate, task.timezone).startOf("day");
+    if (!resumeAt.isValid()) throw new Error(t("errors.invalidResumeDate"));
+    if (!resumeAt.isAfter(now)) throw new Error(t("errors.resumeDateInPast"));
+    resumeAtISO = resumeAt.toISOString();
+  }
+
+  // Re-pausing keeps whatever the previous pause already skipped
+  const exdates = await foldPauseWindowIntoExdates(
+    supabase,
+    task,
+    now.toISOString()
+  );
+
+  return updateSeriesStatus(supabase, taskId, {
+    status: "paused",
+    paused_at: now.toISOString(),
+    resume_at: resumeAtISO,
+    exdates: exdates.length ? exdates : null,
+  });
+};
+
+/**
+ * Resumes a paused task series now. Occurrences skipped while it was paused
+ * stay skipped.
+ *
+ * @param {string} taskId - The ID of the task series.
+ * @returns {Promise<object>} The updated task record.
+ * @throws {Error} If the series isn't paused.
+ */
+export const resumeTaskSeriesAction = async (taskId) => {
+  const t = await getServerTranslator();
+  console.log(`SERVER ACTION: Resuming task series ${taskId}`);
+  if (!taskId) throw new Error(t("errors.taskIdRequired"));
+
+  const supabase = await createClient();
+  const task = await fetchOwnSeries(supabase, taskId);
+  if (task.status !== "paused") throw new Error(t("errors.notPaused"));
+
+  const exdates = await foldPauseWindowIntoExdates(
+    supabase,
+    task,
+    dayjs.utc().toISOString()
+  );
+
+  return updateSeriesStatus(supabase, taskId, {
+    status: "active",
+    paused_at: null,
+    resume_at: null,
+    exdates: exdates.length ? exdates : null,
+  });
+};
+
+/**
+ * Archives a task series: it disappears from the planner, along with its
+ * past occurrences, until it's restored from the archive list.
+ *
+ * @param {string} taskId - The ID of the task series.
+ * @returns {Promise<object>} The updated task record.
+ */
+export const archiveTaskSeriesAction = async (taskId) => {
+  const t = await getServerTranslator();
+  console.log(`SERVER ACTION: Archiving task series ${taskId}`);
+  if (!taskId) throw new Error(t("errors.taskIdRequired"));
+
+  const supabase = await createClient();
+  const task = await fetchOwnSeries(supabase, taskId);
+  if (task.status === "archived") return task;
+
+  // An archived series restores as active, so settle any pause first
+  const exdates = await foldPauseWindowIntoExdates(
+    supabase,
+    task,
+    dayjs.utc().toISOString()
+  );
+
+  return updateSeriesStatus(supabase, taskId, {
+    status: "archived",
+    paused_at: null,
+    resume_at: null,
+    exdates: exdates.length ? exdates : null,
+  });
+};
+
+/**
+ * Restores an archived task series as active.
+ *
+ * @param {string} taskId - The ID of the task series.
+ * @returns {Promise<object>} The updated task record.
+ * @throws {Error} If the series isn't archived.
+ */
+export const restoreTaskSeriesAction = async (taskId) => {
+  const t = await getServerTranslator();
+  console.log(`SERVER ACTION: Restoring task series ${taskId}`);
+  if (!taskId) throw new Error(t("errors.taskIdRequired"));
+
+  const supabase = await createClient();
+  const task = await fetchOwnSeries(supabase, taskId);
+  if (task.status !== "archived") throw new Error(t("errors.notArchived"));
+
+  return updateSeriesStatus(supabase, taskId, { status: "active" });
+};
+
+// **********************************************************
+// UNDO ACTIONS
+// **********************************************************
+
+/**
+ * Undoes or redoes the mutation logged under `undoId` (apply_task_undo).
+ */
+const applyTaskUndo = async (undoId, redo) => {
+  const t = await getServerTranslator();
+  console.log(
+    `SERVER ACTION: ${redo ? "Redoing" : "Undoing"} task change ${undoId}`
+  );
+  if (!undoId) throw new Error(t("errors.undoIdRequired"));
+
+  const supabase = await createClient();
+  const {
+    data: { user },
+    error: authError,
+  } = await supabase.auth.getUser();
+  if (authError || !user) throw new Error(t("errors.notAuthenticated"));
+
+  const { error } = await supabase.rpc("apply_task_undo", {
+    p_undo_id: undoId,
+    p_redo: redo,
+  });
+  if (error?.message === "undo_not_found")
+    throw new Error(t("errors.undoNotFound"));
+  if (error?.message === "undo_conflict")
+    throw new Error(t("errors.undoConflict"));
+  if (error)
+    throw new Error(t("errors.db.restoreTasks", { detail: error.message }));
+
+  revalidatePath("/");
+  revalidatePath("/protected");
+  return { success: true };
+};
+
+/**
+ * Undoes a task mutation made with `options.undoId`: the task and exception
+ * rows it changed are put back as they were, in one transaction. Only rows
+ * still as the mutation left them are touched; if any has changed since,
+ * nothing is.
+ *
+ * @param {string} undoId - The id the mutation was made with.
+ * @returns {Promise<{success: boolean}>}
+ * @throws {Error} If nothing was logged under the id or a row has changed since.
+ */
+export const undoTaskChangeAction = async (undoId) =>
+  applyTaskUndo(undoId, false);
+
+/**
+ * Re-applies a mutation undone with `undoTaskChangeAction`, under the same
+ * conditions.
+ *
+ * @param {string} undoId - The id the mutation was made with.
+ * @returns {Promise<{success: boolean}>}
+ * @throws {Error} If nothing was logged under the id or a row has changed since.
+ */
+export const redoTaskChangeAction = async (undoId) =>
+  applyTaskUndo(undoId, true);
+
+// **********************************************************
+// TRASH ACTIONS
+// **********************************************************
+
+/**
+ * Brings a trashed task series back, with the exceptions that were trashed
+ * along with it.
+ *
+ * @param {string} taskId - The ID of the trashed task definition.
+ * @returns {Promise<{success: boolean}>}
+ * @throws {Error} If the task isn't in the user's trash or a write fails.
+ */
+export const restoreTrashedTaskAction = async (taskId) => {
+  const t = await getServerTranslator();
+  console.log(`SERVER ACTION: Restoring task ${taskId} from the trash`);
+  if (!taskId) throw new Error(t("errors.taskIdRequired"));
+
+  const supabase = await createClient();
+  const {
+    data: { user },
+    error: authError,
+  } = await supabase.auth.getUser();
+  if (authError || !user) throw new Error(t("errors.notAuthenticated"));
+
+  const { data: task, error: fetchError } = await supabase
+    .from("tasks")
+    .select("id, deleted_at")
+    .eq("id", taskId)
+    .eq("user_id", user.id)
+    .single();
+  if (fetchError || !task) throw new Error(t("errors.taskNotFound"));
+  if (!task.deleted_at) throw new Error(t("errors.notInTrash"));
+
+  const { error: exceptionsError } = await supabase
+    .from("task_instance_exceptions")
+    .update({ deleted_at: null })
+    .eq("task_id", taskId)
+    .eq("deleted_at", task.deleted_at);
+  if (exceptionsError)
+    throw new Error(
+      t("errors.db.restoreExceptions", { detail: exceptionsError.message })
+    );
+
+  const { error: updateError } = await supabase
+    .from("tasks")
+    .update({ deleted_at: null })
+    .eq("id", taskId);
+  if (updateError)
+    throw new Error(
+      t("errors.db.restoreTask", { detail: updateError.message })
+    );
+
+  revalidatePath("/");
+  revalidatePath("/protected");
+  return { success: true };
+};
+
+/**
+ * Permanently deletes a trashed task series. Its exceptions are removed by
+ * the ON DELETE CASCADE on 'task_instance_exceptions.task_id'.
+ *
+ * @param {string} taskId - The ID of the trashed task definition.
+ * @returns {Promise<{success: boolean, deletedTaskId: string}>}
+ * @throws {Error} If the task isn't in the user's trash or the delete fails.
+ */
+export const deleteTrashedTaskAction = async (taskId) => {
+  const t = await getServerTranslator();
+  console.log(`SERVER ACTION: Permanently deleting task ${taskId}`);
+  if (!taskId) throw new Error(t("errors.taskIdRequired"));
+
+  const supabase = await createClient();
+  const {
+    data: { user },
+    error: authError,
+  } = await supabase.auth.getUser();
+  if (authError || !user) throw new Error(t("errors.notAuthenticated"));
+
+  const { data, error } = await supabase
+    .from("tasks")
+    .delete()
+    .eq("id", taskId)
+    .eq("user_id", user.id)
+    .not("deleted_at", "is", null) // Only from the trash
+    .select("id");
+  if (error)
+    throw new Error(t("errors.db.deleteTask", { detail: error.message }));
+  if (!data?.length) throw new Error(t("errors.notInTrash"));
+
+  revalidatePath("/");
+  revalidatePath("/protected");
+  return { success: true, deletedTaskId: taskId };
+};
+
+/**
+ * Permanently deletes the user's task series that have been in the trash for
+ * longer than `TRASH_RETENTION_DAYS`. Runs when the planner loads, alongside
+ * the nightly `purge_expired_trash()` job where pg_cron is available.
+ *
+ * @returns {Promise<{purged: number}>} How many series were purged.
+ * @throws {Error} If the user isn't authenticated or the delete fails.
+ */
+export const purgeExpiredTrashAction = async () => {
+  const t = await getServerTranslator();
+  const supabase = await createClient();
+  const {
+    data: { user },
+    error: authError,
+  } = await supabase.auth.getUser();
+  if (authError || !user) throw new Error(t("errors.notAuthenticated"));
+
+  const { data, error } = await supabase
+    .from("tasks")
+    .delete()
+    .eq("user_id", user.id)
+    .lt("deleted_at", getTrashPurgeCutoff())
+    .select("id");
+  if (error)
+    throw new Error(t("errors.db.purgeTrash", { detail: error.message }));
+
+  if (data?.length)
+    console.log(`SERVER ACTION: Purged ${data.length} expired trashed tasks.`);
+  return { purged: data?.length ?? 0 };
+};
+
+// **********************************************************
+// PREFERENCE ACTIONS
+// **********************************************************
+
+/**
+ * Saves changes to the user's preferences in `user_settings`, creating their
+ * row on first save. Other devices pick the change up through realtime.
+ *
+ * @param {object} changes - Any of the `UserSettings` columns, e.g.
+ *   `{ day_hours_mode: "fit" }` or `{ default_duration_minutes: 45 }`.
+ * @returns {Promise<object>} The saved settings.
+ * @throws {Error} If a value is invalid or the update fails.
+ */
+export const updateUserSettingsAction = async (
+  changes: Partial<UserSettings>
+) => {
+  const t = await getServerTranslator();
+  const supabase = await createClient();
+  const {
+    data: { user },
+    error: authError,
+  } = await supabase.auth.getUser();
+  if (authError || !user) throw new Error(t("errors.notAuthenticated"));
+
+  const { data: currentRow, error: fetchError } = await supabase
+    .from("user_settings")
+    .select("*")
+    .eq("user_id", user.id)
+    .maybeSingle();
+  if (fetchError)
+    throw new Error(
+      t("errors.db.loadSettings", { detail: fetchError.message })
+    );
+
+  const settings = applySettingsChanges(
+    normalizeUserSettings(currentRow),
+    changes,
+    t
+  );
+  if ("default_duration_minutes" in (changes ?? {}))
+    await validateDuration(supabase, settings.default_duration_minutes);
+
+  const { data, error } = await supabase
+    .from("user_settings")
+    .upsert({
+      ...settings,
+      user_id: user.id,
+      updated_at: new Date().toISOString(),
+    })
+    .select()
+    .single();
+  if (error)
+    throw new Error(t("errors.db.saveSettings", { detail: error.message }));
+  return normalizeUserSettings(data);
+};
+
 // **********************************************************
 // AUTH ACTIONS
 // **********************************************************
 
+// Supabase Auth error codes with a message in the catalogs
+const AUTH_ERROR_MESSAGES: Record<string, MessageKey> = {
+  invalid_credentials: "auth.errors.invalidCredentials",
+  email_not_confirmed: "auth.errors.emailNotConfirmed",
+  user_already_exists: "auth.errors.userExists",
+  weak_password: "auth.errors.weakPassword",
+  over_email_send_rate_limit: "auth.errors.rateLimited",
+};
+
+/**
+ * A Supabase Auth error in the user's language; errors without a catalog
+ * message keep Supabase's (English) one.
+ */
+const describeAuthError = (error, t: Translator): string =>
+  AUTH_ERROR_MESSAGES[error.code]
+    ? t(AUTH_ERROR_MESSAGES[error.code])
+    : error.message;
+
 export const signUpAction = async (formData: FormData) => {
+  const t = await getServerTranslator();
   const email = formData.get("email")?.toString();
   const password = formData.get("password")?.toString();
   const supabase = await createClient();
@@ -1011,7 +2173,7 @@ export const signUpAction = async (formData: FormData) => {
     return encodedRedirect(
       "error",
       "/sign-up",
-      "Email and password are required"
+      t("auth.errors.emailPasswordRequired")
     );
   }
 
@@ -1025,17 +2187,14 @@ export const signUpAction = async (formData: FormData) => {
 
   if (error) {
     console.error(error.code + " " + error.message);
-    return encodedRedirect("error", "/sign-up", error.message);
+    return encodedRedirect("error", "/sign-up", describeAuthError(error, t));
   } else {
-    return encodedRedirect(
-      "success",
-      "/sign-up",
-      "Thanks for signing up! Please check your email for a verification link."
-    );
+    return encodedRedirect("success", "/sign-up", t("auth.signUp.checkEmail"));
   }
 };
 
 export const signInAction = async (formData: FormData) => {
+  const t = await getServerTranslator();
   const email = formData.get("email") as string;
   const password = formData.get("password") as string;
   const supabase = await createClient();
@@ -1046,7 +2205,7 @@ export const signInAction = async (formData: FormData) => {
   });
 
   if (error) {
-    return encodedRedirect("error", "/sign-in", error.message);
+    return encodedRedirect("error", "/sign-in", describeAuthError(error, t));
   }
 
   return redirect("/");
@@ -1054,13 +2213,18 @@ export const signInAction = async (formData: FormData) => {
 };
 
 export const forgotPasswordAction = async (formData: FormData) => {
+  const t = await getServerTranslator();
   const email = formData.get("email")?.toString();
   const supabase = await createClient();
   const origin = (await headers()).get("origin");
   const callbackUrl = formData.get("callbackUrl")?.toString();
 
   if (!email) {
-    return encodedRedirect("error", "/forgot-password", "Email is required");
+    return encodedRedirect(
+      "error",
+      "/forgot-password",
+      t("auth.errors.emailRequired")
+    );
   }
 
   const { error } = await supabase.auth.resetPasswordForEmail(email, {
@@ -1072,7 +2236,7 @@ export const forgotPasswordAction = async (formData: FormData) => {
     return encodedRedirect(
       "error",
       "/forgot-password",
-      "Could not reset password"
+      t("auth.errors.resetFailed")
     );
   }
 
@@ -1083,7 +2247,7 @@ export const forgotPasswordAction = async (formData: FormData) => {
   return encodedRedirect(
     "success",
     "/forgot-password",
-    "Check your email for a link to reset your password."
+    t("auth.forgotPassword.checkEmail")
   );
 };
 
@@ -1107,6 +2271,7 @@ export const signInWithGoogle = async () => {
 };
 
 export const resetPasswordAction = async (formData: FormData) => {
+  const t = await getServerTranslator();
   const supabase = await createClient();
 
   const password = formData.get("password") as string;
@@ -1116,7 +2281,7 @@ export const resetPasswordAction = async (formData: FormData) => {
     encodedRedirect(
       "error",
       "/protected/reset-password",
-      "Password and confirm password are required"
+      t("auth.errors.passwordsRequired")
     );
   }
 
@@ -1124,7 +2289,7 @@ export const resetPasswordAction = async (formData: FormData) => {
     encodedRedirect(
       "error",
       "/protected/reset-password",
-      "Passwords do not match"
+      t("auth.errors.passwordsMismatch")
     );
   }
 
@@ -1136,11 +2301,15 @@ export const resetPasswordAction = async (formData: FormData) => {
     encodedRedirect(
       "error",
       "/protected/reset-password",
-      "Password update failed"
+      t("auth.errors.passwordUpdateFailed")
     );
   }
 
-  encodedRedirect("success", "/protected/reset-password", "Password updated");
+  encodedRedirect(
+    "success",
+    "/protected/reset-password",
+    t("auth.resetPassword.updated")
+  );
 };
 
 export const signOutAction = async () => {
@@ -2,6 +2,7 @@
 import { Geist } from "next/font/google";
 import { ThemeProvider } from "next-themes";
 import "./globals.css";
+import { getServerLocale } from "@/utils/i18n/server";
 
 const defaultUrl = process.env.VERCEL_URL
   ? `https://${process.env.VERCEL_URL}`
@@ -21,13 +22,17 @@ const geistSans = Geist({
   subsets: ["latin"],
 });
 
-export default function RootLayout({
+export default async function RootLayout({
   children,
 }: Readonly<{
   children: React.ReactNode;
 }>) {
   return (
-    <html lang="en" className={geistSans.className} suppressHydrationWarning>
+    <html
+      lang={await getServerLocale()}
+      className={geistSans.className}
+      suppressHydrationWarning
+    >
       <head>
         {/* PWA tags  */}
         <link rel="manifest" href="/manifest.json" />
@@ -3,10 +3,16 @@
 import { useAuthStore } from "@/app/stores/useAuthStore";
 import { useEffect, useState } from "react";
 import { useTaskStore } from "@/app/stores/useTaskStore";
+import {
+  selectLocale,
+  selectTranslator,
+  selectUses24HourClock,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 import PushSubscriptionManager from "@/components/push-subscription-manager";
 import { createClient as createSupabaseBrowserClient } from "@/utils/supabase/client";
 import { Loader2, XCircle } from "lucide-react";
-import { Toaster } from "sonner";
+import { Toaster, toast } from "sonner";
 
 import OneSignal from "react-onesignal";
 // Store OneSignal initialization status to prevent multiple runs
@@ -20,8 +26,14 @@ import {
 export default function AppLayout({ children }) {
   const { fetchUser } = useAuthStore();
   const loadInitialTaskData = useTaskStore((state) => state.loadInitialData);
+  const loadSettings = useSettingsStore((state) => state.loadSettings);
+  const locale = useSettingsStore(selectLocale);
+  const use24HourClock = useSettingsStore(selectUses24HourClock);
+  const t = useSettingsStore(selectTranslator);
   const isTaskDataLoading = useTaskStore((state) => state.isLoading);
   const setIsLoading = useTaskStore((state) => state.setIsLoading);
+  const undo = useTaskStore((state) => state.undo);
+  const redo = useTaskStore((state) => state.redo);
   // Local state for initial overall loading (including auth)
   const [isInitializing, setIsInitializing] = useState(true);
   const [initError, setInitError] = useState(null);
@@ -34,20 +46,25 @@ export default function AppLayout({ children }) {
   useEffect(() => {
     let isMounted = true;
     let unsubscribeRealtime = () => {};
+    let unsubscribeSettings = () => {};
 
     const loadData = async () => {
       setInitError(null);
       setIsInitializing(true); // Start overall initialization indicator
       try {
         await fetchUser(); // Fetch user first
+        // Settings shape the timeline and form defaults, so they come before tasks
+        unsubscribeSettings = await loadSettings();
         // loadInitialTaskData now sets its own isLoading state in the store
         unsubscribeRealtime = await loadInitialTaskData();
         // Initial data load attempt finished (success or handled error)
       } catch (err) {
         console.error("Error during initial data load:", err);
         if (isMounted) {
-          setInitError(err.message || "Failed to initialize application data.");
-          toast.error(err.message || "Failed to load planner data.");
+          // Read at the time of the error, so the effect doesn't re-run on a locale change
+          const t = selectTranslator(useSettingsStore.getState());
+          setInitError(err.message || t("planner.initFailed"));
+          toast.error(err.message || t("planner.loadFailed"));
         }
       } finally {
         // Regardless of success/error of loadInitialTaskData,
@@ -64,8 +81,39 @@ export default function AppLayout({ children }) {
       isMounted = false;
       console.log("AppLayout unmounting, calling unsubscribe...");
       unsubscribeRealtime();
+      unsubscribeSettings();
+    };
+  }, [fetchUser, loadSettings, loadInitialTaskData]);
+
+  // ************************************
+  // * Undo / redo shortcuts
+  // ************************************
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.metaKey || event.ctrlKey)) return;
+      // Leave text fields their own undo
+      const target = event.target;
+      if (
+        target instanceof HTMLElement &&
+        (target.isContentEditable ||
+          ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName))
+      ) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redo();
+      }
     };
-  }, [fetchUser, loadInitialTaskData]);
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
 
   // ************************************
   // * OneSignal Initialization Effect
@@ -173,19 +221,21 @@ export default function AppLayout({ children }) {
         <div className="flex flex-col items-center text-center p-4">
           <Loader2 className="text-rose-400 mb-4 h-12 w-12 sm:h-16 sm:w-16 animate-spin" />
           <span className="text-gray-300 text-lg sm:text-xl font-medium">
-            Initializing planner...
+            {t("planner.initializing")}
           </span>
         </div>
       </div>
     );
   }
 
+  // dayjs/date-fns format with a global locale, so a change of locale or
+  // clock re-renders the whole planner
   return (
-    <div className="w-full">
+    <div className="w-full" key={`${locale}:${use24HourClock}`}>
       {/* <PushSubscriptionManager /> */}
       <Toaster richColors position="top-right" />
       {/* Option A: Overlay Spinner */}
-      <LoadingIndicator show={isTaskDataLoading} text="Syncing tasks..." />
+      <LoadingIndicator show={isTaskDataLoading} text={t("planner.syncing")} />
       {children}
     </div>
   );
@@ -3,33 +3,40 @@ import { FormMessage, Message } from "@/components/form-message";
 import { SubmitButton } from "@/components/submit-button";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
+import { getServerTranslator } from "@/utils/i18n/server";
 
 export default async function ResetPassword(props: {
   searchParams: Promise<Message>;
 }) {
   const searchParams = await props.searchParams;
+  const t = await getServerTranslator();
   return (
     <form className="flex flex-col w-full max-w-md p-4 gap-2 [&>input]:mb-4">
-      <h1 className="text-2xl font-medium">Reset password</h1>
+      <h1 className="text-2xl font-medium">{t("auth.resetPassword.title")}</h1>
       <p className="text-sm text-foreground/60">
-        Please enter your new password below.
+        {t("auth.resetPassword.description")}
       </p>
-      <Label htmlFor="password">New password</Label>
+      <Label htmlFor="password">{t("auth.resetPassword.newPassword")}</Label>
       <Input
         type="password"
         name="password"
-        placeholder="New password"
+        placeholder={t("auth.resetPassword.newPassword")}
         required
       />
-      <Label htmlFor="confirmPassword">Confirm password</Label>
+      <Label htmlFor="confirmPassword">
+        {t("auth.resetPassword.confirmPassword")}
+      </Label>
       <Input
         type="password"
         name="confirmPassword"
-        placeholder="Confirm password"
+        placeholder={t("auth.resetPassword.confirmPassword")}
         required
       />
-      <SubmitButton formAction={resetPasswordAction}>
-        Reset password
+      <SubmitButton
+        formAction={resetPasswordAction}
+        pendingText={t("auth.submitting")}
+      >
+        {t("auth.resetPassword.title")}
       </SubmitButton>
       <FormMessage message={searchParams} />
     </form>
@@ -0,0 +1,21 @@
+import { createClient } from "@/utils/supabase/server";
+import { redirect } from "next/navigation";
+
+import SettingsView from "@/components/settings-view";
+export default async function SettingsPage() {
+  const supabase = await createClient();
+
+  const {
+    data: { user },
+  } = await supabase.auth.getUser();
+
+  if (!user) {
+    return redirect("/sign-in");
+  }
+
+  return (
+    <main className="flex flex-col w-full h-screen text-white overflow-hidden">
+      <SettingsView />
+    </main>
+  );
+}
@@ -13,6 +13,10 @@ import dayjs from "dayjs";
 
 import { create } from "zustand";
 import { isSameDay, addDays, startOfWeek, addWeeks, getDay } from "date-fns";
+import { useSettingsStore } from "@/app/stores/useSettingsStore";
+
+/** The user's first day of the week (0 = Sunday), from their settings. */
+const getWeekStartsOn = () => useSettingsStore.getState().settings.week_start;
 
 /**
  * Calendar store with Zustand
@@ -21,7 +25,9 @@ import { isSameDay, addDays, startOfWeek, addWeeks, getDay } from "date-fns";
 const useCalendarStore = create((set, get) => ({
   // Time and date state
   currentTime: new Date(),
-  currentWeekStart: startOfWeek(new Date()),
+  currentWeekStart: startOfWeek(new Date(), {
+    weekStartsOn: getWeekStartsOn(),
+  }),
 
   // UI state
   drawerOpen: false,
@@ -79,8 +85,8 @@ const useCalendarStore = create((set, get) => ({
   changeWeek: (direction) => {
     const { currentWeekStart, selectedDay } = get();
 
-    // Get the day of week of the currently selected day (0 = Sunday, 6 = Saturday)
-    const selectedDayOfWeek = getDay(selectedDay);
+    // Position of the selected day in its week (0 = the week's first day)
+    const selectedDayOfWeek = (getDay(selectedDay) - getWeekStartsOn() + 7) % 7;
 
     // Calculate the new week start
     const newWeekStart = addWeeks(
@@ -113,7 +119,9 @@ const useCalendarStore = create((set, get) => ({
     const { currentWeekStart } = get();
 
     // Get the start of the week containing the selected date
-    const targetWeekStart = startOfWeek(date);
+    const targetWeekStart = startOfWeek(date, {
+      weekStartsOn: getWeekStartsOn(),
+    });
 
     // If we're already on this week, just select the day
     if (isSameDay(targetWeekStart, currentWeekStart)) {
@@ -216,4 +224,16 @@ const useCalendarStore = create((set, get) => ({
   },
 }));
 
+// Keep the shown week aligned when the week start changes (or first loads)
+useSettingsStore.subscribe((state, previousState) => {
+  const weekStartsOn = state.settings.week_start;
+  if (weekStartsOn === previousState.settings.week_start) return;
+  const { currentWeekStart, selectedDay } = useCalendarStore.getState();
+  const weekStart = startOfWeek(selectedDay ?? currentWeekStart, {
+    weekStartsOn,
+  });
+  if (!isSameDay(weekStart, currentWeekStart))
+    useCalendarStore.setState({ currentWeekStart: weekStart });
+});
+
 export default useCalendarStore;
@@ -0,0 +1,132 @@
+// src/stores/useSettingsStore.js
+
+import { create } from "zustand";
+import { createClient as createSupabaseBrowserClient } from "@/utils/supabase/client";
+
+import { DEFAULT_USER_SETTINGS, normalizeUserSettings } from "@/lib/settings";
+import { applyLocale, resolveLocale, uses24HourClock } from "@/lib/format";
+import { getTranslator, storeLocalePreference } from "@/lib/i18n";
+import { updateUserSettingsAction } from "@/app/actions";
+
+export const useSettingsStore = create((set, get) => ({
+  // **********************************************************
+  // INITIAL STATE
+  // **********************************************************
+  /** @type {object} The user's preferences (see `UserSettings` in lib/settings) */
+  settings: DEFAULT_USER_SETTINGS,
+  /** @type {boolean} Indicates the settings have been read from `user_settings` */
+  isLoaded: false,
+
+  // **********************************************************
+  // DATA FETCHING & SUBSCRIPTIONS
+  // **********************************************************
+
+  /**
+   * Loads the user's `user_settings` row (defaults when they have none) and
+   * keeps it in sync with changes made on other devices.
+   * @returns {Promise<Function>} A function to unsubscribe from realtime.
+   */
+  loadSettings: async () => {
+    const supabase = createSupabaseBrowserClient();
+    let unsubscribe = () => {};
+
+    try {
+      const {
+        data: { user },
+        error: authError,
+      } = await supabase.auth.getUser();
+      if (authError || !user)
+        throw new Error("User not authenticated for settings load");
+
+      const { data, error } = await supabase
+        .from("user_settings")
+        .select("*")
+        .eq("user_id", user.id)
+        .maybeSingle();
+      if (error) throw error;
+      set({ settings: normalizeUserSettings(data), isLoaded: true });
+
+      const channelName = `public:user_settings:${user.id}`;
+      supabase
+        .getChannels()
+        .filter((channel) => channel?.channelName === channelName)
+        .forEach((channel) => supabase.removeChannel(channel));
+
+      const channel = supabase
+        .channel(channelName)
+        .on(
+          "postgres_changes",
+          {
+            event: "*",
+            schema: "public",
+            table: "user_settings",
+            filter: `user_id=eq.${user.id}`,
+          },
+          (payload) =>
+            set({
+              settings: normalizeUserSettings(
+                payload.eventType === "DELETE" ? null : payload.new
+              ),
+            })
+        )
+        .subscribe((status, err) => {
+          if (err)
+            console.error(
+              `Store: Settings Channel (${channelName}) subscription error:`,
+              err
+            );
+        });
+      unsubscribe = () => supabase.removeChannel(channel);
+    } catch (error) {
+      // The planner still works on the defaults
+      console.error("Store Error: Failed to load settings:", error);
+      set({ isLoaded: true });
+    }
+    return unsubscribe;
+  },
+
+  // **********************************************************
+  // CRUD ACTIONS
+  // **********************************************************
+
+  /**
+   * Changes some of the user's settings. Applied right away and rolled back
+   * if saving fails.
+   * @param {object} changes - Any of the `UserSettings` fields.
+   * @throws {Error} If saving fails.
+   */
+  updateSettings: async (changes) => {
+    const previous = get().settings;
+    set({ settings: { ...previous, ...changes } });
+    try {
+      set({ settings: await updateUserSettingsAction(changes) });
+    } catch (error) {
+      console.error("Store Error: Failed to save settings:", error);
+      set({ settings: previous });
+      throw error;
+    }
+  },
+}));
+
+/** The locale dates and times are shown in: the user's choice, or the browser's. */
+export const selectLocale = (state) => resolveLocale(state.settings.locale);
+
+/** Whether times are shown on a 24-hour clock. */
+export const selectUses24HourClock = (state) =>
+  uses24HourClock(state.settings.time_format, selectLocale(state));
+
+/** Translates UI strings into the user's language (see lib/i18n). */
+export const selectTranslator = (state) => getTranslator(selectLocale(state));
+
+// dayjs and date-fns format in the user's locale from the start
+applyLocale(selectLocale(useSettingsStore.getState()));
+useSettingsStore.subscribe((state, previousState) => {
+  if (selectLocale(state) !== selectLocale(previousState))
+    applyLocale(selectLocale(state));
+  // The server reads the choice from a cookie (see utils/i18n/server)
+  if (
+    state.isLoaded !== previousState.isLoaded ||
+    state.settings.locale !== previousState.settings.locale
+  )
+    storeLocalePreference(state.settings.locale);
+});
@@ -6,13 +6,42 @@ import { createClient as createSupabaseBrowserClient } from "@/utils/supabase/cl
 import dayjs from "dayjs";
 import timezone from "dayjs/plugin/timezone";
 import isSameOrBefore from "dayjs/plugin/isSameOrBefore";
-import { RRule, rrulestr } from "rrule";
 import utc from "dayjs/plugin/utc";
+import { toast } from "sonner";
+import { parseRRuleForForm, seriesDatesToLocal } from "@/lib/recurrence";
+import { calculateGoalProgress } from "@/lib/goals";
+import { isTrashed } from "@/lib/trash";
+import { startOfWeek } from "@/lib/week";
+import { timePattern } from "@/lib/format";
+import {
+  applyMoveToFormValues,
+  buildTaskUpdatePayload,
+} from "@/lib/taskPayload";
+import {
+  getTaskLimitsAction,
+  modifyTaskOccurrenceAction,
+  purgeExpiredTrashAction,
+  redoTaskChangeAction,
+  undoTaskChangeAction,
+  updateTaskDefinitionAction,
+} from "@/app/actions";
+import {
+  selectTranslator,
+  selectUses24HourClock,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
 dayjs.extend(isSameOrBefore);
 
+// Toasts are shown outside React, so they read the translator straight from the store
+const translate = (key, params) =>
+  selectTranslator(useSettingsStore.getState())(key, params);
+
+const UNDO_STACK_LIMIT = 20;
+const UNDO_WINDOW_MS = 8000; // How long the Undo button stays on screen
+
 export const useTaskStore = create((set, get) => ({
   // **********************************************************
   // INITIAL STATE
@@ -21,6 +50,8 @@ export const useTaskStore = create((set, get) => ({
   tasks: [],
   /** @type {Array<object>} Holds raw exception records from 'task_instance_exceptions' table */
   exceptions: [],
+  /** @type {Array<object>} Task definitions in the trash (deleted_at set); kept out of `tasks` */
+  trashedTasks: [],
   /** @type {object | null} Holds the specific *calculated* instance object the user interacted with */
   selectedInstance: null,
   /** @type {boolean} Controls visibility of the Task Form sheet */
@@ -32,11 +63,22 @@ export const useTaskStore = create((set, get) => ({
   /** @type {object} Stores initial values for the Task Form */
   taskFormValues: {},
   /** @type {string} The ISO string start date of the currently viewed week/period */
-  currentViewStartDate: dayjs().startOf("week").toISOString(),
+  currentViewStartDate: startOfWeek(
+    dayjs(),
+    useSettingsStore.getState().settings.week_start
+  ).toISOString(),
   /** @type {boolean} Indicates if data is loading */
   isLoading: false,
   /** @type {string | null} Stores last error message */
   error: null,
+  /** @type {Array<{ label: string, undoId: string }>} Undoable mutations, most recent last; `undoId` keys the rows the server logged for it (see `apply_task_undo`) */
+  undoStack: [],
+  /** @type {Array<{ label: string, undoId: string }>} Undone mutations that can be redone, most recent last */
+  redoStack: [],
+  /** @type {boolean} Indicates an undo or redo is being written */
+  isRestoring: false,
+  /** @type {number | null} Longest allowed task duration (system_settings.task_limits), once loaded */
+  maxDurationMinutes: null,
 
   // **********************************************************
   // SETTERS (Simple state updates)
@@ -56,7 +98,10 @@ export const useTaskStore = create((set, get) => ({
   setTaskForm: (bool) => set({ isTaskFormOpen: bool }),
   setTaskMenu: (bool) => set({ isTaskMenuOpen: bool }),
   setCurrentViewStartDate: (date) => {
-    const newStartDate = dayjs(date).startOf("week").toISOString();
+    const newStartDate = startOfWeek(
+      date,
+      useSettingsStore.getState().settings.week_start
+    ).toISOString();
     console.log(`Store: Setting current view start date to: ${newStartDate}`);
     set({ currentViewStartDate: newStartDate });
   },
@@ -84,6 +129,18 @@ export const useTaskStore = create((set, get) => ({
       if (authError || !user)
         throw new Error("User not authenticated for initial load");
 
+      // Limits only constrain editing, so they load alongside the data
+      getTaskLimitsAction()
+        .then(({ maxDurationMinutes }) => set({ maxDurationMinutes }))
+        .catch((error) =>
+          console.warn("Store: Failed to load task limits:", error)
+        );
+
+      // Drop trash past its retention period before loading it
+      await purgeExpiredTrashAction().catch((error) =>
+        console.warn("Store: Failed to purge expired trash:", error)
+      );
+
       const [tasksResult, exceptionsResult] = await Promise.all([
         supabase
           .from("tasks")
@@ -102,9 +159,13 @@ export const useTaskStore = create((set, get) => ({
       console.log(
         `Store: Loaded ${tasksResult.data?.length ?? 0} tasks and ${exceptionsResult.data?.length ?? 0} exceptions.`
       );
+      const allTasks = tasksResult.data || [];
       set({
-        tasks: tasksResult.data || [],
-        exceptions: exceptionsResult.data || [],
+        tasks: allTasks.filter((task) => !isTrashed(task)),
+        trashedTasks: allTasks.filter(isTrashed),
+        exceptions: (exceptionsResult.data || []).filter(
+          (exception) => !isTrashed(exception)
+        ),
         isLoading: false,
       });
 
@@ -115,7 +176,7 @@ export const useTaskStore = create((set, get) => ({
       const errorMsg =
         error instanceof Error ? error.message : "Failed to load data";
       set({ error: errorMsg, isLoading: false });
-      toast.error("Failed to load initial task data.");
+      toast.error(translate("planner.loadTasksFailed"));
     }
     return unsubscribe; // Return the actual or no-op unsubscribe function
   },
@@ -196,7 +257,7 @@ export const useTaskStore = create((set, get) => ({
             `Store: Tasks Channel (${taskChannelName}) subscription error:`,
             err
           );
-          toast.error("Realtime connection error (Tasks). Check console.");
+          toast.error(translate("planner.realtimeError.tasks"));
           // Consider retry logic here if needed
         }
       });
@@ -223,7 +284,7 @@ export const useTaskStore = create((set, get) => ({
             `Store: Exceptions Channel (${exceptionChannelName}) subscription error:`,
             err
           );
-          toast.error("Realtime connection error (Exceptions). Check console.");
+          toast.error(translate("planner.realtimeError.exceptions"));
           // Consider retry logic here if needed
         }
       });
@@ -251,44 +312,68 @@ export const useTaskStore = create((set, get) => ({
 
   /**
    * Internal handler for realtime changes on the 'tasks' table.
+   * Trashed rows (deleted_at set) go to `trashedTasks` instead of `tasks`,
+   * and move back when restored.
    * @param {object} payload - The realtime payload from Supabase.
    */
   _handleTaskChange: (payload) => {
     console.log("Store: Realtime Task Change Received:", payload);
-    console.log("Store: Realtime Task Change PLEASE");
     set((state) => {
       let updatedTasks = [...state.tasks];
+      let updatedTrashedTasks = [...state.trashedTasks];
       switch (payload.eventType) {
         case "INSERT":
-          // Avoid adding duplicates if optimistic update already happened
-          if (!updatedTasks.some((t) => t.id === payload.new?.id)) {
-            updatedTasks.push(payload.new);
-          }
-          break;
-        case "UPDATE":
-          updatedTasks = updatedTasks.map((t) =>
-            t.id === payload.new?.id ? payload.new : t
+        case "UPDATE": {
+          const row = payload.new;
+          updatedTasks = updatedTasks.filter((t) => t.id !== row?.id);
+          updatedTrashedTasks = updatedTrashedTasks.filter(
+            (t) => t.id !== row?.id
           );
+          if (isTrashed(row)) {
+            updatedTrashedTasks.push(row);
+            // A trashed parent task takes the selected instance with it
+            if (state.selectedInstance?.task_id === row.id) {
+              return {
+                tasks: updatedTasks,
+                trashedTasks: updatedTrashedTasks,
+                selectedInstance: null,
+              };
+            }
+          } else {
+            // Keep the task's position on updates
+            const index = state.tasks.findIndex((t) => t.id === row?.id);
+            if (index === -1) updatedTasks.push(row);
+            else updatedTasks.splice(index, 0, row);
+          }
           break;
+        }
         case "DELETE":
           updatedTasks = updatedTasks.filter((t) => t.id !== payload.old?.id);
+          updatedTrashedTasks = updatedTrashedTasks.filter(
+            (t) => t.id !== payload.old?.id
+          );
           // If the deleted task definition matches the selected instance's parent, clear selection
           if (state.selectedInstance?.task_id === payload.old?.id) {
             console.log(
               "Parent task of selected instance deleted, clearing selection."
             );
-            return { tasks: updatedTasks, selectedInstance: null };
+            return {
+              tasks: updatedTasks,
+              trashedTasks: updatedTrashedTasks,
+              selectedInstance: null,
+            };
           }
           break;
         default:
           return state;
       }
-      return { tasks: updatedTasks };
+      return { tasks: updatedTasks, trashedTasks: updatedTrashedTasks };
     });
   },
 
   /**
    * Internal handler for realtime changes on the 'task_instance_exceptions' table.
+   * Trashed exceptions are left out, and come back when their series is restored.
    * @param {object} payload - The realtime payload from Supabase.
    */
   _handleExceptionChange: (payload) => {
@@ -311,6 +396,7 @@ export const useTaskStore = create((set, get) => ({
 
       switch (payload.eventType) {
         case "INSERT":
+          if (isTrashed(payload.new)) return state;
           if (!updatedExceptions.some((e) => e.id === payload.new?.id)) {
             updatedExceptions.push(payload.new);
           }
@@ -326,9 +412,18 @@ export const useTaskStore = create((set, get) => ({
           }
           break;
         case "UPDATE":
-          updatedExceptions = updatedExceptions.map((e) =>
-            e.id === payload.new?.id ? payload.new : e
-          );
+          if (isTrashed(payload.new)) {
+            updatedExceptions = updatedExceptions.filter(
+              (e) => e.id !== payload.new?.id
+            );
+          } else if (updatedExceptions.some((e) => e.id === payload.new?.id)) {
+            updatedExceptions = updatedExceptions.map((e) =>
+              e.id === payload.new?.id ? payload.new : e
+            );
+          } else {
+            // Restored from the trash
+            updatedExceptions.push(payload.new);
+          }
           if (
             state.selectedInstance?.task_id === payload.new?.task_id &&
             selectedInstanceOriginalTimeISO === newExceptionOriginalTimeISO
@@ -367,6 +462,200 @@ export const useTaskStore = create((set, get) => ({
     });
   },
 
+  // **********************************************************
+  // UNDO / REDO
+  // **********************************************************
+
+  /**
+   * Runs a task mutation so it can be undone. The mutation gets an undo id to
+   * pass to its server action, which logs the rows it changes under it on
+   * the server; undo and redo only send the id back, so the stacks don't
+   * depend on `tasks`/`exceptions` and are unaffected by the realtime echo
+   * of the change.
+   * Shows a toast with an Undo button for a few seconds.
+   * @param {string} label - What the mutation did, e.g. "Task deleted.".
+   * @param {(undoId: string) => Promise<any>} mutate - Calls the server action with `{ undoId }`.
+   * @returns {Promise<any>} The mutation's result.
+   */
+  runUndoable: async (label, mutate) => {
+    const undoId = crypto.randomUUID();
+    const result = await mutate(undoId);
+
+    set((state) => ({
+      undoStack: [...state.undoStack, { label, undoId }].slice(
+        -UNDO_STACK_LIMIT
+      ),
+      redoStack: [],
+    }));
+    toast.success(label, {
+      duration: UNDO_WINDOW_MS,
+      action: {
+        label: translate("common.undo"),
+        onClick: () => get().undo(),
+      },
+    });
+    return result;
+  },
+
+  /**
+   * Reverts the most recent undoable mutation and makes it redoable.
+   */
+  undo: async () => {
+    const entry = get().undoStack.at(-1);
+    if (!entry || get().isRestoring) return;
+
+    set((state) => ({
+      undoStack: state.undoStack.slice(0, -1),
+      isRestoring: true,
+    }));
+    try {
+      await undoTaskChangeAction(entry.undoId);
+      set((state) => ({
+        redoStack: [...state.redoStack, entry].slice(-UNDO_STACK_LIMIT),
+        selectedInstance: null,
+        isRestoring: false,
+      }));
+      toast(translate("undo.undone", { label: entry.label }), {
+        duration: UNDO_WINDOW_MS,
+        action: {
+          label: translate("common.redo"),
+          onClick: () => get().redo(),
+        },
+      });
+    } catch (error) {
+      console.error("Store Error: Undo failed:", error);
+      set((state) => ({
+        undoStack: [...state.undoStack, entry],
+        isRestoring: false,
+      }));
+      toast.error(error.message || translate("undo.undoFailed"));
+    }
+  },
+
+  /**
+   * Re-applies the most recently undone mutation.
+   */
+  redo: async () => {
+    const entry = get().redoStack.at(-1);
+    if (!entry || get().isRestoring) return;
+
+    set((state) => ({
+      redoStack: state.redoStack.slice(0, -1),
+      isRestoring: true,
+    }));
+    try {
+      await redoTaskChangeAction(entry.undoId);
+      set((state) => ({
+        undoStack: [...state.undoStack, entry].slice(-UNDO_STACK_LIMIT),
+        selectedInstance: null,
+        isRestoring: false,
+      }));
+      toast(translate("undo.redone", { label: entry.label }), {
+        duration: UNDO_WINDOW_MS,
+        action: {
+          label: translate("common.undo"),
+          onClick: () => get().undo(),
+        },
+      });
+    } catch (error) {
+      console.error("Store Error: Redo failed:", error);
+      set((state) => ({
+        redoStack: [...state.redoStack, entry],
+        isRestoring: false,
+      }));
+      toast.error(error.message || translate("undo.redoFailed"));
+    }
+  },
+
+  // **********************************************************
+  // RESCHEDULING
+  // **********************************************************
+
+  /**
+   * Moves and/or resizes a calculated instance (e.g. dragged on the
+   * timeline), as an undoable mutation.
+   * @param {object} instance - The calculated instance being changed.
+   * @param {object} changes
+   * @param {string} [changes.startISO] - New start time (UTC ISO string).
+   * @param {number} [changes.durationMinutes] - New duration.
+   * @param {"single" | "future" | "all"} scope - Which occurrences change.
+   * @param {object} [options]
+   * @param {boolean} [options.dryRun] - Only report the impact (see `ScopeImpact`), without writing.
+   * @returns {Promise<any>} The action's result, or `{ dryRun: true, impact }` for a dry run.
+   * @throws {Error} If the task can't be found or the action fails.
+   */
+  rescheduleInstance: async (
+    instance,
+    { startISO, durationMinutes },
+    scope,
+    { dryRun = false } = {}
+  ) => {
+    const taskId = instance.task_id;
+    const newStartISO = startISO ?? instance.scheduled_time_utc;
+    const newDuration = durationMinutes ?? instance.duration_minutes;
+    const change = startISO ? "Moved" : "Resized";
+    console.log(
+      `Store: Rescheduling instance ${instance.id} to ${newStartISO} for ${newDuration} min (scope: ${scope}${dryRun ? ", dry run" : ""})`
+    );
+
+    if (scope === "single") {
+      if (dryRun) {
+        return {
+          dryRun: true,
+          impact: {
+            occurrences: 1,
+            completionsDeleted: 0,
+            overridesDeleted: 0,
+            overridesMoved: 0,
+            newEndDate: null,
+          },
+        };
+      }
+      return get().runUndoable(
+        translate(`undo.occurrence${change}`),
+        (undoId) =>
+          modifyTaskOccurrenceAction(
+            {
+              taskId,
+              originalOccurrenceTimeUTC: instance.original_occurrence_time_utc,
+              ...(startISO && { newStartTimeISO: startISO }),
+              ...(durationMinutes && { newDurationMinutes: durationMinutes }),
+              exceptionId: instance.id.startsWith(taskId + "-")
+                ? undefined
+                : instance.id,
+            },
+            { undoId }
+          )
+      );
+    }
+
+    const taskDefinition = get().tasks.find((t) => t.id === taskId);
+    const formValues = get().getEditFormValues(instance);
+    if (!taskDefinition || !formValues)
+      throw new Error(translate("planner.errors.taskNotFound"));
+
+    const payload = buildTaskUpdatePayload(
+      {
+        ...applyMoveToFormValues(formValues, {
+          fromISO: instance.scheduled_time_utc,
+          toISO: newStartISO,
+          timeZone: taskDefinition.timezone,
+          seriesStartISO: scope === "all" ? taskDefinition.dtstart : undefined,
+        }),
+        duration_minutes: newDuration,
+      },
+      taskDefinition.timezone
+    );
+    if (dryRun)
+      return updateTaskDefinitionAction(taskId, payload, scope, { dryRun });
+    return get().runUndoable(
+      translate(
+        scope === "future" ? `undo.future${change}` : `undo.task${change}`
+      ),
+      (undoId) => updateTaskDefinitionAction(taskId, payload, scope, { undoId })
+    );
+  },
+
   // **********************************************************
   // UI CONTROL ACTIONS
   // **********************************************************
@@ -381,6 +670,7 @@ export const useTaskStore = create((set, get) => ({
     const defaultStartDate = initialDate
       ? dayjs(initialDate).toDate()
       : new Date();
+    const { settings } = useSettingsStore.getState();
 
     set({
       isTaskFormOpen: true,
@@ -390,43 +680,53 @@ export const useTaskStore = create((set, get) => ({
         title: "",
         start_date: defaultStartDate,
         start_time: "09:00", // Use HH:mm
-        icon_name: "Activity",
-        duration_minutes: 30,
+        icon_name: settings.default_icon_name,
+        duration_minutes: settings.default_duration_minutes,
         frequency: "once",
         interval: 1,
         end_type: "never",
         occurrences: 10,
         end_date: dayjs().add(1, "month").toDate(),
+        by_weekday: [],
+        monthly_mode: "day_of_month",
+        times_of_day: [],
+        use_custom_rrule: false,
+        custom_rrule: "",
+        repeat_from: "schedule",
+        schedule_type: "fixed",
+        goal_target: 3,
+        rdates: [],
+        exdates: [],
       },
       selectedInstance: null, // Not editing a specific instance
     });
   },
 
   /**
-   * Opens the Task Form pre-filled for editing, for editing rule or definition, using an instance for context.
-   * The user will choose the edit scope (single/future/all) AFTER submitting changes.
+   * Builds the Task Form values for editing a rule or definition, using an instance for context.
    * Requires RRULE parsing to populate recurrence fields from the parent task.
    * @param {object} instanceContext - The calculated instance object that was interacted with.
+   * @returns {object | null} Form values, or null (with an error toast) if the task can't be edited.
    */
-  openTaskFormForEdit: (instanceContext) => {
+  getEditFormValues: (instanceContext) => {
     if (
       !instanceContext ||
       !instanceContext.task_id ||
       !instanceContext.original_occurrence_time_utc
     ) {
-      toast.error("Cannot edit task: Essential instance details missing.");
-      return;
+      toast.error(translate("planner.errors.missingInstance"));
+      return null;
     }
     const taskId = instanceContext.task_id;
     console.log(
-      `Store: Opening Task Form in Edit Mode for Task ID: ${taskId}, using instance at ${instanceContext.original_occurrence_time_utc} for context.`
+      `Store: Building edit form values for Task ID: ${taskId}, using instance at ${instanceContext.original_occurrence_time_utc} for context.`
     );
 
     // Find the parent task definition
     const taskDefinition = get().tasks.find((t) => t.id === taskId);
     if (!taskDefinition) {
-      toast.error("Cannot find original task definition to edit.");
-      return;
+      toast.error(translate("planner.errors.editTaskNotFound"));
+      return null;
     }
 
     // --- Default & RRULE Parsing Logic ---
@@ -434,39 +734,52 @@ export const useTaskStore = create((set, get) => ({
       interval = 1,
       end_type = "never",
       occurrences,
-      end_date;
+      end_date,
+      by_weekday = [],
+      monthly_mode = "day_of_month",
+      custom_rrule = "",
+      use_custom_rrule = false,
+      repeat_from = "schedule",
+      schedule_type = "fixed",
+      goal_target = 3;
     // Parse parent's RRULE if it exists
     if (taskDefinition.rrule) {
       try {
-        const rule = rrulestr(taskDefinition.rrule, {
-          dtstart: dayjs.utc(taskDefinition.dtstart).toDate(),
-        });
-        const options = rule.options;
-        const freqMapReverse = {
-          [RRule.DAILY]: "daily",
-          [RRule.WEEKLY]: "weekly",
-          [RRule.MONTHLY]: "monthly",
-        };
-        frequency = freqMapReverse[options.freq] || "once";
-        interval = options.interval || 1;
-        if (options.count) {
-          end_type = "after";
-          occurrences = options.count;
-        } else if (options.until) {
-          end_type = "on";
-          end_date = dayjs
-            .utc(options.until)
-            .tz(taskDefinition.timezone)
-            .toDate();
-        } else {
-          end_type = "never";
-        }
+        ({
+          frequency,
+          interval,
+          end_type,
+          occurrences,
+          end_date,
+          by_weekday,
+          monthly_mode,
+          custom_rrule,
+          use_custom_rrule,
+        } = parseRRuleForForm(
+          taskDefinition.rrule,
+          taskDefinition.dtstart,
+          taskDefinition.timezone
+        ));
       } catch (e) {
         console.error("RRULE Parse Error:", e);
-        toast.error("Could not parse recurrence rule.");
+        toast.error(translate("planner.errors.parseRule"));
       }
     }
 
+    // Completion-relative tasks have no RRULE, just "every N days after completion"
+    if (taskDefinition.repeat_after_days) {
+      frequency = "daily";
+      interval = taskDefinition.repeat_after_days;
+      repeat_from = "completion";
+    }
+
+    // Goal-style tasks have no RRULE either, just "N times per week/month"
+    if (taskDefinition.goal_target) {
+      frequency = taskDefinition.goal_period === "month" ? "monthly" : "weekly";
+      schedule_type = "goal";
+      goal_target = taskDefinition.goal_target;
+    }
+
     // --- Prepare Form Values ---
     // Populate with CURRENT values of the selected INSTANCE for core fields,
     // but use parsed/default recurrence values from the PARENT RULE.
@@ -482,20 +795,49 @@ export const useTaskStore = create((set, get) => ({
         .tz(instanceContext.timezone)
         .format("HH:mm"), // Instance time
       duration_minutes: instanceContext.duration_minutes, // Instance duration
+      times_of_day: taskDefinition.times_of_day ?? [], // All daily times of a multi-time series
+      rdates: seriesDatesToLocal(
+        taskDefinition.rdates,
+        taskDefinition.timezone
+      ), // Extra dates (RDATE)
+      exdates: seriesDatesToLocal(
+        taskDefinition.exdates,
+        taskDefinition.timezone
+      ), // Removed dates (EXDATE)
       // --- Recurrence from parsed parent rule ---
       frequency: frequency,
       interval: interval,
       end_type: end_type,
       occurrences: occurrences,
+      keep_total_count: end_type === "after", // A split keeps counting unless unticked
       end_date: end_date,
+      by_weekday: by_weekday,
+      monthly_mode: monthly_mode,
+      custom_rrule: custom_rrule,
+      use_custom_rrule: use_custom_rrule, // Rules the simple controls can't express open in the Advanced editor
+      repeat_from: repeat_from,
+      schedule_type: schedule_type,
+      goal_target: goal_target,
       // --- Hidden fields for context ---
       _isExceptionEdit: false, // Initially assume we MIGHT edit the rule
       _taskId: taskDefinition.id,
+      _timezone: taskDefinition.timezone, // Dates and times above are in the task's timezone
       _originalOccurrenceTimeUTC: instanceContext.original_occurrence_time_utc, // Time of the instance clicked
       _exceptionId: instanceContext.id.startsWith(taskId + "-")
         ? undefined
         : instanceContext.id, // Existing exception ID if applicable
     };
+    return formValues;
+  },
+
+  /**
+   * Opens the Task Form pre-filled for editing, for editing rule or definition, using an instance for context.
+   * The user will choose the edit scope (single/future/all) AFTER submitting changes.
+   * @param {object} instanceContext - The calculated instance object that was interacted with.
+   */
+  openTaskFormForEdit: (instanceContext) => {
+    const formValues = get().getEditFormValues(instanceContext);
+    if (!formValues) return;
 
     set({
       isTaskFormOpen: true,
@@ -505,6 +847,29 @@ export const useTaskStore = create((set, get) => ({
     });
   },
 
+  /**
+   * Opens the Task Form to edit a goal-style task. Goals have no calculated
+   * instances, so the task's dtstart stands in for the instance context.
+   * @param {string} taskId - ID of the goal task definition.
+   */
+  openGoalForEdit: (taskId) => {
+    const task = get().tasks.find((t) => t.id === taskId);
+    if (!task) {
+      toast.error(translate("planner.errors.goalNotFound"));
+      return;
+    }
+    get().openTaskFormForEdit({
+      id: `${task.id}-${task.dtstart}`,
+      task_id: task.id,
+      original_occurrence_time_utc: task.dtstart,
+      scheduled_time_utc: task.dtstart,
+      title: task.title,
+      icon_name: task.icon_name,
+      duration_minutes: task.duration_minutes,
+      timezone: task.timezone,
+    });
+  },
+
   /**
    * Opens the Task Action Menu for a specific calculated instance.
    * Stores the selected calculated instance context.
@@ -533,8 +898,23 @@ export const useTaskStore = create((set, get) => ({
   // **********************************************************
   // HELPERS
   // **********************************************************
+  /**
+   * Progress of every goal-style task ("3 times per week") in the period
+   * containing the given day.
+   * @param {Date | string} date - Any day in the period (usually the selected day).
+   * @returns {Array<object>} GoalProgress objects (see lib/goals.ts).
+   */
+  getGoalProgress: (date) =>
+    calculateGoalProgress(
+      get().tasks,
+      get().exceptions,
+      date,
+      useSettingsStore.getState().settings.week_start
+    ),
+
   /**
    * Returns time slot of task in format 9:00 AM – 9:30 AM for example
+   * (09:00 – 09:30 on a 24-hour clock, per the user's settings)
    * @param {*} inst
    * @returns
    */
@@ -544,7 +924,7 @@ export const useTaskStore = create((set, get) => ({
       !inst?.duration_minutes ||
       !inst?.timezone
     ) {
-      return "Time N/A"; // Handle missing data
+      return translate("planner.time.unavailable"); // Handle missing data
     }
     // Convert UTC scheduled time to the task's original timezone for display
     const startTimeLocal = dayjs.utc(inst.scheduled_time_utc).tz(inst.timezone);
@@ -552,9 +932,20 @@ export const useTaskStore = create((set, get) => ({
 
     // Check if conversion was successful
     if (!startTimeLocal.isValid() || !endTimeLocal.isValid()) {
-      return "Invalid Time";
+      return translate("planner.time.invalid");
     }
 
-    return `${startTimeLocal.format("h:mm A")} – ${endTimeLocal.format("h:mm A")}`;
+    const pattern = timePattern(
+      selectUses24HourClock(useSettingsStore.getState())
+    );
+    return `${startTimeLocal.format(pattern)} – ${endTimeLocal.format(pattern)}`;
   },
 }));
+
+// Keep the viewed week aligned when the week start changes (or first loads)
+useSettingsStore.subscribe((state, previousState) => {
+  if (state.settings.week_start === previousState.settings.week_start) return;
+  useTaskStore
+    .getState()
+    .setCurrentViewStartDate(useTaskStore.getState().currentViewStartDate);
+});
@@ -1,37 +1,48 @@
 "use client";
 
 import { Inbox, Calendar, Sparkles, Settings } from "lucide-react";
+import Link from "next/link";
+import { usePathname } from "next/navigation";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 import { cn } from "@/lib/utils";
 import { UserProfileMenu } from "@/components/user-profile-menu";
 
 const navItems = [
   //   { icon: Inbox, label: "Inbox", href: "#inbox" },
-  { icon: Calendar, label: "Planner", href: "#Planner", active: true },
+  { icon: Calendar, label: "nav.planner", href: "/protected" },
   //   { icon: Sparkles, label: "AI", href: "#ai" },
-  // { icon: Settings, label: "Settings", href: "#settings" },
+  { icon: Settings, label: "settings.title", href: "/protected/settings" },
 ];
 
 export function BottomNavigation() {
+  const pathname = usePathname();
+  const t = useSettingsStore(selectTranslator);
+
   return (
     <div className="fixed bottom-0 left-0 right-0 bg-[#1a1a1a] border-t border-gray-800 h-16 flex items-center justify-around px-4 z-[30]">
       {navItems.map((item) => (
-        <a
+        <Link
           key={item.label}
           href={item.href}
           className={cn(
             "flex flex-col items-center justify-center",
-            item.active ? "text-primary" : "text-gray-400"
+            pathname === item.href ? "text-primary" : "text-gray-400"
           )}
         >
           <item.icon className="w-6 h-6" />
-          <span className="text-xs mt-1">{item.label}</span>
-        </a>
+          <span className="text-xs mt-1">{t(item.label)}</span>
+        </Link>
       ))}
 
       {/* User profile menu */}
       <div className="flex flex-col items-center justify-center py-4">
         <UserProfileMenu />
-        <span className="text-xs mt-1 text-gray-400">Profile</span>
+        <span className="text-xs mt-1 text-gray-400">
+          {t("profileMenu.profile")}
+        </span>
       </div>
     </div>
   );
@@ -1,8 +1,14 @@
 "use client";
 
 import type React from "react";
-import { useEffect, useState } from "react";
+import { useEffect, useMemo, useState } from "react";
 import useCalendarStore from "@/app/stores/useCalendarStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+import { monthCalendarWeeks, weekdayOrder } from "@/lib/week";
+import { monthNames, shortWeekdayNames } from "@/lib/format";
 
 import { ChevronLeft, ChevronRight, X } from "lucide-react";
 import dayjs from "dayjs";
@@ -10,21 +16,6 @@ import dayjs from "dayjs";
 import { DateWheelPicker } from "./date-wheel-picker";
 import { Drawer } from "vaul";
 
-const months = [
-  "January",
-  "February",
-  "March",
-  "April",
-  "May",
-  "June",
-  "July",
-  "August",
-  "September",
-  "October",
-  "November",
-  "December",
-];
-
 const currentYear = dayjs().year();
 const years = Array.from({ length: 21 }, (_, i) =>
   String(currentYear - 10 + i)
@@ -49,6 +40,9 @@ const ToggleDatePickerSheet: React.FC<ToggleDatePickerSheetProps> = ({
     selectedDate ?? new Date()
   );
   const [isWheelOpen, setIsWheelOpen] = useState(false);
+  const t = useSettingsStore(selectTranslator);
+  // In the user's locale (the planner re-renders when it changes)
+  const months = useMemo(() => monthNames(), []);
   const [viewportWidth, setViewportWidth] = useState(
     typeof window !== "undefined" ? window.innerWidth : 0
   );
@@ -141,7 +135,7 @@ const ToggleDatePickerSheet: React.FC<ToggleDatePickerSheetProps> = ({
                     className="hover:cursor-pointer"
                     onClick={toggleWheelPicker}
                   >
-                    Select Date
+                    {t("common.selectDate")}
                   </span>
 
                   {!isWheelOpen && (
@@ -158,7 +152,7 @@ const ToggleDatePickerSheet: React.FC<ToggleDatePickerSheetProps> = ({
                     onClick={handleApplyMonthYear}
                     className="flex items-center gap-x-1 text-rose-400 hover:text-rose-300 hover:bg-transparent"
                   >
-                    <span>Apply</span>
+                    <span>{t("common.apply")}</span>
                   </button>
                 )}
               </div>
@@ -171,7 +165,7 @@ const ToggleDatePickerSheet: React.FC<ToggleDatePickerSheetProps> = ({
                 }}
                 className="px-3 py-1.5 text-sm rounded-full bg-rose-400/20 hover:bg-rose-400/30 text-rose-400 transition-colors"
               >
-                Today
+                {t("common.today")}
               </button>
             </h1>
 
@@ -281,8 +275,12 @@ const MonthCalendar: React.FC<MonthCalendarProps> = ({
   selectedDate,
   onDateSelect,
 }) => {
-  const daysOfWeek = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
-  const weeks = getCalendarDays(month);
+  const weekStartsOn = useSettingsStore((state) => state.settings.week_start);
+  const weekdayNames = shortWeekdayNames();
+  const daysOfWeek = weekdayOrder(weekStartsOn).map((day) =>
+    weekdayNames[day].toUpperCase()
+  );
+  const weeks = monthCalendarWeeks(month, weekStartsOn);
   const today = dayjs().startOf("day");
 
   return (
@@ -340,18 +338,4 @@ const MonthCalendar: React.FC<MonthCalendarProps> = ({
   );
 };
 
-function getCalendarDays(month: Date): Date[][] {
-  const start = dayjs(month).startOf("month").startOf("week");
-  const end = dayjs(month).endOf("month").endOf("week");
-  const days: Date[] = [];
-  let curr = start;
-  while (curr.isBefore(end)) {
-    days.push(curr.toDate());
-    curr = curr.add(1, "day");
-  }
-  return Array.from({ length: Math.ceil(days.length / 7) }, (_, i) =>
-    days.slice(i * 7, i * 7 + 7)
-  );
-}
-
 export default ToggleDatePickerSheet;
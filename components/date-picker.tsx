@@ -2,27 +2,18 @@
 
 "use client";
 
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { ChevronLeft, ChevronRight } from "lucide-react";
 import dayjs from "dayjs";
 
 import { DateWheelPicker } from "./date-wheel-picker";
 import useCalendarStore from "@/app/stores/useCalendarStore";
-
-const months = [
-  "January",
-  "February",
-  "March",
-  "April",
-  "May",
-  "June",
-  "July",
-  "August",
-  "September",
-  "October",
-  "November",
-  "December",
-];
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+import { monthCalendarWeeks, weekdayOrder } from "@/lib/week";
+import { monthNames, shortWeekdayNames } from "@/lib/format";
 
 const currentYear = dayjs().year();
 const years = Array.from({ length: 21 }, (_, i) =>
@@ -43,6 +34,9 @@ export const DatePicker: React.FC<DatePickerProps> = ({
     selectedDate ?? new Date()
   );
   const [isWheelOpen, setIsWheelOpen] = useState(false);
+  const t = useSettingsStore(selectTranslator);
+  // In the user's locale (the planner re-renders when it changes)
+  const months = useMemo(() => monthNames(), []);
   const [viewportWidth, setViewportWidth] = useState(
     typeof window !== "undefined" ? window.innerWidth : 0
   );
@@ -107,7 +101,7 @@ export const DatePicker: React.FC<DatePickerProps> = ({
 
           <h1 className="mx-6 text-2xl font-semibold text-white">
             <span className="hover:cursor-pointer" onClick={toggleWheelPicker}>
-              Select Date
+              {t("common.selectDate")}
             </span>
 
             {!isWheelOpen && (
@@ -125,7 +119,7 @@ export const DatePicker: React.FC<DatePickerProps> = ({
               onClick={handleApplyMonthYear}
               className="flex items-center gap-x-1 text-rose-400 hover:text-rose-300"
             >
-              <span>Apply</span>
+              <span>{t("common.apply")}</span>
             </button>
           )}
         </div>
@@ -138,7 +132,7 @@ export const DatePicker: React.FC<DatePickerProps> = ({
           }}
           className="px-3 py-1.5 text-sm rounded-full bg-rose-400/20 hover:bg-rose-400/30 text-rose-400 transition-colors"
         >
-          Today
+          {t("common.today")}
         </button>
       </h1>
 
@@ -228,8 +222,12 @@ const MonthCalendar: React.FC<MonthCalendarProps> = ({
   selectedDate,
   onDateSelect,
 }) => {
-  const daysOfWeek = ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
-  const weeks = getCalendarDays(month);
+  const weekStartsOn = useSettingsStore((state) => state.settings.week_start);
+  const weekdayNames = shortWeekdayNames();
+  const daysOfWeek = weekdayOrder(weekStartsOn).map((day) =>
+    weekdayNames[day].toUpperCase()
+  );
+  const weeks = monthCalendarWeeks(month, weekStartsOn);
   const today = dayjs().startOf("day");
 
   return (
@@ -286,17 +284,3 @@ const MonthCalendar: React.FC<MonthCalendarProps> = ({
     </div>
   );
 };
-
-function getCalendarDays(month: Date): Date[][] {
-  const start = dayjs(month).startOf("month").startOf("week");
-  const end = dayjs(month).endOf("month").endOf("week");
-  const days: Date[] = [];
-  let curr = start;
-  while (curr.isBefore(end)) {
-    days.push(curr.toDate());
-    curr = curr.add(1, "day");
-  }
-  return Array.from({ length: Math.ceil(days.length / 7) }, (_, i) =>
-    days.slice(i * 7, i * 7 + 7)
-  );
-}
@@ -1,6 +1,6 @@
 "use client";
 
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc";
 import timezone from "dayjs/plugin/timezone";
@@ -10,17 +10,27 @@ import isSameOrAfter from "dayjs/plugin/isSameOrAfter";
 import { Moon } from "lucide-react";
 import TaskItem from "./task-item"; // Assuming TaskItem is updated for CalculatedInstance
 import useCalendarStore from "@/app/stores/useCalendarStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+import {
+  DEFAULT_VISIBLE_HOURS,
+  HOUR_HEIGHT,
+  MIN_LANE_WIDTH_PX,
+  dayProgressPercent,
+  instanceOffset,
+  layoutTimelineLanes,
+  timelineHeight,
+} from "@/lib/timeline";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
 dayjs.extend(isSameOrBefore);
 dayjs.extend(isSameOrAfter);
 
-// Constants for timeline configuration
-const dayStartHour = 8; // 8 AM (0-23 range)
-const dayEndHour = 24; // End of 11 PM hour (effectively up to 11 PM)
-const hourHeight = 60; // Height of one hour in pixels
-const totalTimelineHeight = (dayEndHour - dayStartHour) * hourHeight;
+// Constants for timeline configuration (shared with TimeLabels and dragging)
+const hourHeight = HOUR_HEIGHT; // Height of one hour in pixels
 
 /**
  * DayColumn component (Refactored for new schema/instances)
@@ -32,30 +42,27 @@ const totalTimelineHeight = (dayEndHour - dayStartHour) * hourHeight;
  * @param {Date|string} props.date - The date this column represents (local date).
  * @param {Array<CalculatedInstance>} props.tasks - Array of calculated task instances for this day.
  * @param {boolean} props.isNext - Whether this column is in the next week view (for animation).
+ * @param {VisibleHours} [props.hours] - Hours the column shows (see resolveVisibleHours); shared with TimeLabels.
+ * @param {Function} [props.onTaskDrop] - Called with (instance, dayKey, startMinutes) when a task is dragged to a new slot.
+ * @param {Function} [props.onTaskResize] - Called with (instance, durationMinutes) when a task's bottom edge is dragged.
  * @returns {JSX.Element} Rendered component
  */
-export default function DayColumn({ date, tasks = [], isNext = false }) {
+export default function DayColumn({
+  date,
+  tasks = [],
+  isNext = false,
+  hours = DEFAULT_VISIBLE_HOURS,
+  onTaskDrop,
+  onTaskResize,
+}) {
   // Default tasks to empty array
   // Get currentTime from store (assuming it's a Date object or similar)
-  const { currentTime, updateCurrentTime } = useCalendarStore();
+  const { currentTime, updateCurrentTime, selectDay } = useCalendarStore();
+  const t = useSettingsStore(selectTranslator);
 
-  // Memoize progress calculation? Maybe not needed if updated frequently anyway.
-  const calculateProgress = (targetDate, now) => {
-    const startOfDay = dayjs(targetDate).startOf("day").hour(dayStartHour); // Start at 8 AM
-    const endOfDay = dayjs(targetDate).startOf("day").hour(dayEndHour); // End at 11 PM
-    const current = dayjs(now);
-
-    // Check if current time is outside the displayed range
-    if (current.isBefore(startOfDay)) return 0;
-    if (current.isAfter(endOfDay)) return 100;
-
-    // Calculate percentage based on time passed since dayStartHour within the visible range
-    const totalMinutesInRange = (dayEndHour - dayStartHour) * 60;
-    const minutesPassed = current.diff(startOfDay, "minute");
-    const progressPercent = (minutesPassed / totalMinutesInRange) * 100;
-
-    return Math.min(100, Math.max(0, progressPercent)); // Clamp between 0 and 100
-  };
+  // How far the day is through its visible hours
+  const calculateProgress = (targetDate, now) =>
+    dayProgressPercent(targetDate, now, hours);
 
   const [progress, setProgress] = useState(() =>
     calculateProgress(date, currentTime)
@@ -94,36 +101,16 @@ export default function DayColumn({ date, tasks = [], isNext = false }) {
   // Update progress whenever currentTime changes (triggered by interval or external)
   useEffect(() => {
     setProgress(calculateProgress(date, currentTime));
-  }, [currentTime, date]); // Rerun calculation when time/date changes
+  }, [currentTime, date, hours]); // Rerun calculation when time/date/hours change
 
   /**
-   * Calculates the vertical top position of a calculated task instance.
-   * Converts the instance's UTC start time to the local time of the column's date
-   * to find its position relative to the dayStartHour.
+   * Calculates the vertical top position of a calculated task instance,
+   * from its start time in its own timezone (see instanceOffset).
    *
    * @param {CalculatedInstance} instance - The calculated task instance object.
    * @returns {number} Top position in pixels relative to the column top.
    */
-  const calculateTaskPosition = (instance) => {
-    if (!instance?.scheduled_time_utc || !instance?.timezone) return 0;
-
-    // Convert the instance's scheduled UTC time to the local timezone of the task
-    const startTimeLocal = dayjs
-      .utc(instance.scheduled_time_utc)
-      .tz(instance.timezone);
-
-    if (!startTimeLocal.isValid()) return 0;
-
-    // Get hours and minutes from the local start time
-    const hours = startTimeLocal.hour(); // 0-23
-    const minutes = startTimeLocal.minute();
-
-    // Calculate position relative to the start hour of the column (dayStartHour)
-    const timeFromDayStartInHours = hours - dayStartHour + minutes / 60;
-
-    // Calculate pixel offset, ensuring it's not negative if task starts before dayStartHour
-    return Math.max(0, timeFromDayStartInHours * hourHeight);
-  };
+  const calculateTaskPosition = (instance) => instanceOffset(instance, hours);
 
   /**
    * Calculates the height of a task based on its duration.
@@ -136,13 +123,45 @@ export default function DayColumn({ date, tasks = [], isNext = false }) {
     return (instance.duration_minutes / 60) * hourHeight;
   };
 
+  // How many side-by-side lanes of overlapping tasks fit in the column
+  const columnRef = useRef(null);
+  const [maxLanes, setMaxLanes] = useState(2);
+  useEffect(() => {
+    const column = columnRef.current;
+    if (!column || typeof ResizeObserver === "undefined") return;
+    const observer = new ResizeObserver(([entry]) =>
+      setMaxLanes(
+        Math.max(1, Math.floor(entry.contentRect.width / MIN_LANE_WIDTH_PX))
+      )
+    );
+    observer.observe(column);
+    return () => observer.disconnect();
+  }, []);
+
+  // Position every task, then spread overlapping ones across lanes
+  const positionedTasks = tasks.map((instance) => ({
+    instance,
+    top: calculateTaskPosition(instance),
+    height: calculateTaskHeight(instance),
+  }));
+  const { placements, overflows } = layoutTimelineLanes(
+    positionedTasks.map(({ instance, top, height }) => ({
+      id: instance.id,
+      top,
+      height,
+    })),
+    maxLanes
+  );
+
   return (
     <div
+      ref={columnRef}
       className="relative"
-      style={{ height: `${totalTimelineHeight}px` }} // Use calculated total height
+      style={{ height: `${timelineHeight(hours)}px` }} // Use calculated total height
+      data-timeline-day={columnDate.format("YYYY-MM-DD")} // Drop target for dragged tasks
     >
       {/* Hour grid lines */}
-      {Array.from({ length: dayEndHour - dayStartHour }, (_, i) => (
+      {Array.from({ length: hours.endHour - hours.startHour }, (_, i) => (
         <div
           key={`line-${i}`}
           className="absolute w-full border-t border-gray-700/50" // Adjusted border color/opacity
@@ -177,9 +196,9 @@ export default function DayColumn({ date, tasks = [], isNext = false }) {
       </div>
 
       {/* Tasks - Map over the calculated instances */}
-      {tasks.map((instance) => {
-        const top = calculateTaskPosition(instance);
-        const height = calculateTaskHeight(instance);
+      {positionedTasks.map(({ instance, top, height }) => {
+        const placement = placements[instance.id];
+        if (!placement) return null; // In a "+N" overflow
 
         return (
           <TaskItem
@@ -188,10 +207,32 @@ export default function DayColumn({ date, tasks = [], isNext = false }) {
             date={date}
             top={top} // Pass calculated top position
             height={height}
+            lane={placement.lane}
+            laneCount={placement.laneCount}
             isNext={isNext} // Pass isNext for potential animation sync
+            hours={hours}
+            onDrop={onTaskDrop}
+            onResize={onTaskResize}
           />
         );
       })}
+
+      {/* Overlapping tasks that don't fit; tapping selects the day to list them */}
+      {overflows.map((overflow) => (
+        <button
+          key={overflow.key}
+          type="button"
+          onClick={() => selectDay(date)}
+          aria-label={t("timeline.moreTasks", { count: overflow.ids.length })}
+          className="absolute z-10 -translate-x-1/2 h-6 min-w-5 px-1 rounded-full bg-zinc-700 text-[.6rem] font-medium text-white"
+          style={{
+            top: `${overflow.top}px`,
+            left: `${((overflow.lane + 0.5) / overflow.laneCount) * 100}%`,
+          }}
+        >
+          +{overflow.ids.length}
+        </button>
+      ))}
     </div>
   );
 }
@@ -0,0 +1,207 @@
+"use client";
+
+import { memo, useState } from "react";
+import { toast } from "sonner";
+import { Edit, Minus, Plus, Trash2 } from "lucide-react";
+
+import { useTaskStore } from "@/app/stores/useTaskStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+import {
+  deleteTaskSeriesAction,
+  logGoalCompletionAction,
+  undoGoalCompletionAction,
+} from "@/app/actions";
+import { getTaskIcon } from "@/lib/icons";
+import { cn } from "@/lib/utils";
+import { ConfirmationModal } from "@/components/modals/confirmation-modal";
+
+/**
+ * One goal-style task ("3 times per week") with its progress in the current
+ * period, a button to log a completion and controls to undo/edit/delete.
+ *
+ * @param {object} props
+ * @param {object} props.progress - GoalProgress (see lib/goals.ts).
+ * @param {"chip" | "row"} [props.variant] - Compact chip (week view) or full-width row (task drawer).
+ */
+const GoalProgressItem = memo(({ progress, variant = "chip" }) => {
+  const openGoalForEdit = useTaskStore((state) => state.openGoalForEdit);
+  const t = useSettingsStore(selectTranslator);
+  const [isBusy, setIsBusy] = useState(false);
+  const [isDeleteOpen, setIsDeleteOpen] = useState(false);
+
+  const { task, count, target, isMet, isAtRisk, daysLeft, period } = progress;
+  const percent = Math.min(100, Math.round((count / target) * 100));
+
+  const run = async (action, errorMessage) => {
+    setIsBusy(true);
+    try {
+      await action();
+    } catch (error) {
+      console.error(errorMessage, error);
+      toast.error(error.message || errorMessage);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleLog = () =>
+    run(() => logGoalCompletionAction(task.id), t("goals.errors.log"));
+
+  const handleUndo = () =>
+    run(
+      () =>
+        undoGoalCompletionAction(
+          task.id,
+          progress.periodStart,
+          progress.periodEnd
+        ),
+      t("goals.errors.undo")
+    );
+
+  const handleDelete = () => {
+    setIsDeleteOpen(false);
+    run(() => deleteTaskSeriesAction(task.id), t("goals.errors.delete"));
+  };
+
+  return (
+    <div
+      className={cn(
+        "flex items-center gap-3 rounded-lg bg-zinc-800/70 p-2",
+        variant === "chip" ? "min-w-[220px]" : "w-full"
+      )}
+    >
+      <div
+        className={cn(
+          "w-9 h-9 rounded-lg flex items-center justify-center text-white flex-shrink-0",
+          isMet
+            ? "bg-green-600/80"
+            : isAtRisk
+              ? "bg-amber-500/80"
+              : "bg-primary"
+        )}
+      >
+        {getTaskIcon(task.icon_name)}
+      </div>
+
+      <div className="flex-1 min-w-0">
+        <div className="flex items-center gap-2">
+          <span className="truncate text-sm font-medium text-gray-100">
+            {task.title}
+          </span>
+          <span className="ml-auto text-xs text-gray-300 flex-shrink-0">
+            {count}/{target}
+          </span>
+        </div>
+        <div className="mt-1 h-1.5 rounded-full bg-zinc-700 overflow-hidden">
+          <div
+            className={cn(
+              "h-full rounded-full",
+              isMet ? "bg-green-500" : "bg-rose-400"
+            )}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+        {variant === "row" && !isMet && (
+          <div className="mt-1 text-xs text-gray-400">
+            {t(`goals.remaining.${period}`, {
+              remaining: target - count,
+              count: daysLeft,
+            })}
+          </div>
+        )}
+      </div>
+
+      <div className="flex items-center gap-1 flex-shrink-0">
+        {count > 0 && (
+          <button
+            type="button"
+            disabled={isBusy}
+            onClick={handleUndo}
+            aria-label={t("goals.undo", { title: task.title })}
+            className="p-1.5 rounded-full text-gray-400 hover:text-white hover:bg-zinc-700/60 disabled:opacity-50"
+          >
+            <Minus size={16} />
+          </button>
+        )}
+        <button
+          type="button"
+          disabled={isBusy}
+          onClick={handleLog}
+          aria-label={t("goals.log", { title: task.title })}
+          className="p-1.5 rounded-full bg-rose-400 text-white hover:bg-rose-500 disabled:opacity-50"
+        >
+          <Plus size={16} />
+        </button>
+        {variant === "row" && (
+          <>
+            <button
+              type="button"
+              onClick={() => openGoalForEdit(task.id)}
+              aria-label={t("goals.edit", { title: task.title })}
+              className="p-1.5 rounded-full text-gray-400 hover:text-white hover:bg-zinc-700/60"
+            >
+              <Edit size={16} />
+            </button>
+            <button
+              type="button"
+              disabled={isBusy}
+              onClick={() => setIsDeleteOpen(true)}
+              aria-label={t("goals.delete", { title: task.title })}
+              className="p-1.5 rounded-full text-gray-400 hover:text-red-400 hover:bg-zinc-700/60 disabled:opacity-50"
+            >
+              <Trash2 size={16} />
+            </button>
+          </>
+        )}
+      </div>
+
+      <ConfirmationModal
+        isOpen={isDeleteOpen}
+        onClose={() => setIsDeleteOpen(false)}
+        onConfirm={handleDelete}
+        title={t("goals.confirmDelete.title")}
+        message={t("goals.confirmDelete.message", { title: task.title })}
+        confirmText={t("common.delete")}
+        cancelText={t("common.cancel")}
+        destructive
+      />
+    </div>
+  );
+});
+
+GoalProgressItem.displayName = "GoalProgressItem";
+
+/**
+ * List of goal progress items.
+ *
+ * @param {object} props
+ * @param {Array<object>} props.goals - GoalProgress objects.
+ * @param {"chip" | "row"} [props.variant] - Horizontal chips or stacked rows.
+ * @param {string} [props.className]
+ */
+export const GoalProgressList = ({ goals, variant = "chip", className }) => {
+  if (!goals?.length) return null;
+  return (
+    <div
+      className={cn(
+        variant === "chip"
+          ? "flex gap-2 overflow-x-auto scrollbar-none"
+          : "space-y-2",
+        className
+      )}
+    >
+      {goals.map((progress) => (
+        <GoalProgressItem
+          key={progress.task.id}
+          progress={progress}
+          variant={variant}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default GoalProgressList;
@@ -1,6 +1,9 @@
 "use client";
 
-export default function GoogleAuthButton({ onClick }) {
+export default function GoogleAuthButton({
+  onClick,
+  label = "Continue with Google",
+}) {
   return (
     <button type="button" className="gsi-material-button" onClick={onClick}>
       <div className="gsi-material-button-state"></div>
@@ -26,10 +29,8 @@ export default function GoogleAuthButton({ onClick }) {
             <path fill="none" d="M0 0h48v48H0z"></path>
           </svg>
         </div>
-        <span className="gsi-material-button-contents">
-          Continue with Google
-        </span>
-        <span style={{ display: "none" }}>Continue with Google</span>
+        <span className="gsi-material-button-contents">{label}</span>
+        <span style={{ display: "none" }}>{label}</span>
       </div>
     </button>
   );
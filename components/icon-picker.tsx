@@ -69,8 +69,24 @@ const iconList = Object.entries(allowedIcons).map(([name, Component]) => ({
   Component,
 }));
 
-export function IconPicker({ value, onChange, className }) {
+/**
+ * @param props.names - Only offer these icons (default: all of them).
+ */
+export function IconPicker({
+  value,
+  onChange,
+  className,
+  names,
+}: {
+  value: string;
+  onChange: (name: string) => void;
+  className?: string;
+  names?: readonly string[];
+}) {
   const SelectedIcon = allowedIcons[value as IconName] || Dumbbell;
+  const icons = names
+    ? iconList.filter(({ name }) => names.includes(name))
+    : iconList;
 
   return (
     <Popover className="relative">
@@ -95,7 +111,7 @@ export function IconPicker({ value, onChange, className }) {
               {" "}
               {/* Native scrolling */}
               <div className="grid grid-cols-6 gap-2 p-2">
-                {iconList.map(({ name, Component }) => (
+                {icons.map(({ name, Component }) => (
                   <Button
                     key={name}
                     variant="ghost"
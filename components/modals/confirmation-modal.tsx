@@ -11,6 +11,10 @@ import {
   DialogTitle,
 } from "@/components/ui/dialog";
 import { X } from "lucide-react";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 
 export const ConfirmationModal = ({
   isOpen,
@@ -18,11 +22,12 @@ export const ConfirmationModal = ({
   onConfirm,
   title,
   message,
-  confirmText = "Confirm",
-  cancelText = "Cancel",
+  confirmText = undefined,
+  cancelText = undefined,
   destructive = false,
   showControls = true,
 }) => {
+  const t = useSettingsStore(selectTranslator);
   return (
     <Dialog open={isOpen} onOpenChange={onClose}>
       <DialogContent className="max-w-md bg-zinc-900 border-zinc-800 rounded-lg z-[900]">
@@ -44,14 +49,14 @@ export const ConfirmationModal = ({
               variant="outline"
               className="w-full text-zinc-100 border-zinc-700 hover:bg-zinc-800 hover:text-white"
             >
-              {cancelText}
+              {cancelText ?? t("common.cancel")}
             </Button>
             <Button
               onClick={onConfirm}
               variant={destructive ? "destructive" : "default"}
               className="w-full"
             >
-              {confirmText}
+              {confirmText ?? t("common.confirm")}
             </Button>
           </DialogFooter>
         )}
@@ -1,55 +1,75 @@
 // components/recurrence-action-modal.tsx
 "use client";
 
+import { useEffect, useState } from "react";
+import dayjs from "dayjs";
+import localizedFormat from "dayjs/plugin/localizedFormat";
 import { Button } from "@/components/ui/button";
 import { CheckCircle, ChevronRight, Trash2 } from "lucide-react";
 import { ConfirmationModal } from "./confirmation-modal";
+import { TRASH_RETENTION_DAYS } from "@/lib/trash";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+
+dayjs.extend(localizedFormat);
+
+const SCOPES = ["single", "future", "all"];
 
 const OPTIONS = {
   delete: {
     icon: <Trash2 className="w-5 h-5" />,
-    title: "Delete Recurring Task",
-    actions: [
-      {
-        value: "single",
-        title: "Delete this instance only",
-        description: "Remove only this occurrence",
-      },
-      {
-        value: "future",
-        title: "Delete this and future instances",
-        description: "Remove this occurrence and all following ones",
-      },
-      {
-        value: "all",
-        title: "Delete all instances",
-        description: "Remove entire series completely",
-      },
-    ],
+    messages: "recurrenceModal.delete",
   },
   modify: {
     icon: <CheckCircle className="w-5 h-5" />,
-    title: "Modify Recurring Task",
-    actions: [
-      {
-        value: "single",
-        title: "Update this instance only",
-        description: "Change only this occurrence",
-      },
-      {
-        value: "future",
-        title: "Update this and future instances",
-        description: "Apply changes to this and following ones",
-      },
-      {
-        value: "all",
-        title: "Update all instances",
-        description: "Modify entire series completely",
-      },
-    ],
+    messages: "recurrenceModal.modify",
   },
 };
 
+/**
+ * Human-readable lines for a ScopeImpact (see lib/seriesEdit.ts).
+ */
+const describeImpact = (impact, t) => {
+  const lines = [
+    impact.occurrences === null
+      ? t("recurrenceModal.impact.everyOccurrence")
+      : t("recurrenceModal.impact.occurrences", { count: impact.occurrences }),
+  ];
+  // A deleted series keeps its exceptions in the trash, where it can be restored
+  const fate = impact.movedToTrash ? "Trashed" : "Deleted";
+  if (impact.completionsDeleted > 0)
+    lines.push(
+      t(`recurrenceModal.impact.completions${fate}`, {
+        count: impact.completionsDeleted,
+      })
+    );
+  if (impact.overridesDeleted > 0)
+    lines.push(
+      t(`recurrenceModal.impact.overrides${fate}`, {
+        count: impact.overridesDeleted,
+      })
+    );
+  if (impact.movedToTrash)
+    lines.push(
+      t("recurrenceModal.impact.restorable", { count: TRASH_RETENTION_DAYS })
+    );
+  if (impact.overridesMoved > 0)
+    lines.push(
+      t("recurrenceModal.impact.overridesMoved", {
+        count: impact.overridesMoved,
+      })
+    );
+  if (impact.newEndDate)
+    lines.push(
+      t("recurrenceModal.impact.newEndDate", {
+        date: dayjs(impact.newEndDate).format("ddd, ll"),
+      })
+    );
+  return lines;
+};
+
 export const RecurrenceActionModal = ({
   actionType = "delete",
   isOpen,
@@ -57,34 +77,72 @@ export const RecurrenceActionModal = ({
   onConfirm,
   selectedOption,
   setSelectedOption,
+  getImpact, // Optional: async (scope) => ScopeImpact, previewed for the selected option
 }) => {
   const config = OPTIONS[actionType];
+  const t = useSettingsStore(selectTranslator);
+  const [impact, setImpact] = useState(null);
+  const [impactError, setImpactError] = useState(null);
+
+  useEffect(() => {
+    setImpact(null);
+    setImpactError(null);
+    if (!isOpen || !selectedOption || !getImpact) return;
+
+    let isCancelled = false;
+    Promise.resolve(getImpact(selectedOption))
+      .then((result) => {
+        if (!isCancelled) setImpact(result ?? null);
+      })
+      .catch((error) => {
+        console.error("RecurrenceActionModal: Impact preview failed:", error);
+        if (!isCancelled) setImpactError(t("recurrenceModal.impact.failed"));
+      });
+    return () => {
+      isCancelled = true;
+    };
+  }, [isOpen, selectedOption, getImpact, t]);
 
   return (
     <ConfirmationModal
       isOpen={isOpen}
       onClose={onClose}
       onConfirm={() => onConfirm(selectedOption)}
-      title={config.title}
+      title={t(`${config.messages}.title`)}
       message={
         <div className="space-y-4 pt-2">
-          {config.actions.map((action) => (
+          {SCOPES.map((scope) => (
             <Button
-              key={action.value}
+              key={scope}
               variant="ghost"
-              onClick={() => setSelectedOption(action.value)}
+              onClick={() => setSelectedOption(scope)}
               className={`w-full h-auto p-3 justify-start text-left hover:bg-zinc-800 ${
-                selectedOption === action.value
+                selectedOption === scope
                   ? "bg-zinc-800 border border-primary"
                   : "bg-zinc-900"
               }`}
             >
               <span className="text-primary mr-3">{config.icon}</span>
               <div className="flex-1">
-                <div className="font-medium text-zinc-100">{action.title}</div>
+                <div className="font-medium text-zinc-100">
+                  {t(`${config.messages}.${scope}.title`)}
+                </div>
                 <div className="text-sm text-zinc-400">
-                  {action.description}
+                  {t(`${config.messages}.${scope}.description`)}
                 </div>
+                {getImpact && selectedOption === scope && (
+                  <div className="text-sm text-amber-400 mt-1 whitespace-normal space-y-0.5">
+                    {impact ? (
+                      describeImpact(impact, t).map((line) => (
+                        <div key={line}>{line}</div>
+                      ))
+                    ) : (
+                      <div>
+                        {impactError ?? t("recurrenceModal.impact.checking")}
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
               <ChevronRight className="ml-2 text-zinc-400" />
             </Button>
@@ -92,9 +150,9 @@ export const RecurrenceActionModal = ({
         </div>
       }
       confirmText={
-        config.actions.find((a) => a.value === selectedOption)?.title
+        selectedOption && t(`${config.messages}.${selectedOption}.title`)
       }
-      cancelText="Cancel"
+      cancelText={t("common.cancel")}
       destructive={actionType === "delete"}
       showControls={!!selectedOption}
     />
@@ -6,6 +6,10 @@ import { createClient } from "@/utils/supabase/client";
 import { Button } from "@/components/ui/button";
 import { BellRing, BellOff } from "lucide-react";
 import { toast } from "sonner";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 
 // Helper function to convert VAPID key
 function urlBase64ToUint8Array(base64String) {
@@ -27,6 +31,7 @@ export default function PushSubscriptionManager() {
   const [isLoading, setIsLoading] = useState(true); // Check existing status on load
   const [permissionStatus, setPermissionStatus] = useState("default"); // 'granted', 'denied', 'default'
   const supabase = createClient(); // Initialize client
+  const t = useSettingsStore(selectTranslator);
 
   const VAPID_PUBLIC_KEY = process.env.NEXT_PUBLIC_VAPID_PUBLIC_KEY;
 
@@ -61,7 +66,7 @@ export default function PushSubscriptionManager() {
   // --- Subscription Logic ---
   const subscribeUser = async () => {
     if (!VAPID_PUBLIC_KEY) {
-      toast.error("VAPID Key configuration missing.");
+      toast.error(t("push.errors.missingKey"));
       return;
     }
 
@@ -71,11 +76,11 @@ export default function PushSubscriptionManager() {
         const permissionResult = await Notification.requestPermission();
         setPermissionStatus(permissionResult);
         if (permissionResult !== "granted") {
-          toast.error("Notification permission denied.");
+          toast.error(t("push.errors.permissionDenied"));
           return;
         }
       } else if (Notification.permission === "denied") {
-        toast.error("Notification permission was previously denied.");
+        toast.error(t("push.errors.previouslyDenied"));
         // Optionally guide user to browser settings
         return;
       }
@@ -98,7 +103,7 @@ export default function PushSubscriptionManager() {
         data: { user },
       } = await supabase.auth.getUser(); // Ensure user is logged in
       if (!user) {
-        toast.error("You must be logged in to enable notifications.");
+        toast.error(t("push.errors.signedOut"));
         // Attempt to unsubscribe if subscription happened before auth check
         await sub.unsubscribe();
         return;
@@ -113,7 +118,9 @@ export default function PushSubscriptionManager() {
 
       if (insertError) {
         console.error("Error saving subscription:", insertError);
-        toast.error(`Failed to save subscription: ${insertError.message}`);
+        toast.error(
+          t("push.errors.saveFailed", { detail: insertError.message })
+        );
         // Attempt to unsubscribe the user since saving failed
         await sub.unsubscribe();
         throw insertError; // Re-throw to indicate failure
@@ -121,15 +128,15 @@ export default function PushSubscriptionManager() {
 
       setSubscription(sub);
       setIsSubscribed(true);
-      toast.success("Notifications Enabled!");
+      toast.success(t("push.enabled"));
     } catch (error) {
       console.error("Failed to subscribe user:", error);
       setIsSubscribed(false);
       setSubscription(null);
       if (error.name === "NotAllowedError") {
-        toast.error("Notification permission denied.");
+        toast.error(t("push.errors.permissionDenied"));
       } else {
-        toast.error("Failed to enable notifications. Check console.");
+        toast.error(t("push.errors.enableFailed"));
       }
     }
   };
@@ -150,9 +157,7 @@ export default function PushSubscriptionManager() {
       if (deleteError) {
         // Log error but proceed to unsubscribe from browser anyway
         console.error("Error deleting subscription from DB:", deleteError);
-        toast.error(
-          "Could not remove subscription from server, but unsubscribing locally."
-        );
+        toast.error(t("push.errors.removeFailed"));
       } else {
         console.log("Subscription removed from server.");
       }
@@ -163,14 +168,14 @@ export default function PushSubscriptionManager() {
         console.log("Successfully unsubscribed from PushManager.");
         setSubscription(null);
         setIsSubscribed(false);
-        toast.success("Notifications Disabled.");
+        toast.success(t("push.disabled"));
       } else {
         console.error("Failed to unsubscribe from PushManager.");
-        toast.error("Failed to fully disable notifications locally.");
+        toast.error(t("push.errors.unsubscribeFailed"));
       }
     } catch (error) {
       console.error("Error unsubscribing:", error);
-      toast.error("Failed to disable notifications.");
+      toast.error(t("push.errors.disableFailed"));
     }
   };
 
@@ -178,7 +183,7 @@ export default function PushSubscriptionManager() {
   if (isLoading) {
     return (
       <Button variant="outline" disabled>
-        Checking Notifications...
+        {t("push.checking")}
       </Button>
     );
   }
@@ -186,7 +191,7 @@ export default function PushSubscriptionManager() {
   if (permissionStatus === "denied") {
     return (
       <Button variant="destructive" disabled>
-        Permissions Denied
+        {t("push.denied")}
       </Button>
     );
   }
@@ -194,13 +199,13 @@ export default function PushSubscriptionManager() {
   if (isSubscribed) {
     return (
       <Button variant="outline" onClick={unsubscribeUser}>
-        <BellOff className="mr-2 h-4 w-4" /> Disable Notifications
+        <BellOff className="mr-2 h-4 w-4" /> {t("push.disable")}
       </Button>
     );
   } else {
     return (
       <Button onClick={subscribeUser}>
-        <BellRing className="mr-2 h-4 w-4" /> Enable Notifications
+        <BellRing className="mr-2 h-4 w-4" /> {t("push.enable")}
       </Button>
     );
   }
@@ -2,6 +2,7 @@
 import dayjs from "dayjs";
 import { useState, useEffect } from "react";
 import useCalendarStore from "@/app/stores/useCalendarStore";
+import { useSettingsStore } from "@/app/stores/useSettingsStore";
 
 import { ChevronLeft, ChevronRight } from "lucide-react";
 import { Button } from "@/components/ui/button";
@@ -151,9 +152,12 @@ export function ResponsiveCalendar({
  * MonthCalendar - Displays a single month calendar
  */
 function MonthCalendar({ month, selected, onSelect, isSingleMonth }) {
+  const weekStartsOn = useSettingsStore((state) => state.settings.week_start);
+
   return (
     <Calendar
       mode="single"
+      weekStartsOn={weekStartsOn}
       selected={selected}
       onSelect={onSelect}
       month={month}
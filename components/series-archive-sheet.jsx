@@ -0,0 +1,162 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import dayjs from "dayjs";
+import { toast } from "sonner";
+import { Drawer } from "vaul";
+import { Play, RotateCcw, X } from "lucide-react";
+
+import { useTaskStore } from "@/app/stores/useTaskStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+import { restoreTaskSeriesAction, resumeTaskSeriesAction } from "@/app/actions";
+import { getTaskIcon } from "@/lib/icons";
+import { getSeriesStatus } from "@/lib/seriesStatus";
+
+/**
+ * Slide-up list of paused and archived task series, with a button to bring
+ * each one back (resume or restore).
+ *
+ * @param {object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ */
+export function SeriesArchiveSheet({ open, onOpenChange }) {
+  const tasks = useTaskStore((state) => state.tasks);
+  const t = useSettingsStore(selectTranslator);
+  const [busyTaskId, setBusyTaskId] = useState(null);
+
+  const { paused, archived } = useMemo(() => {
+    const byStatus = { paused: [], archived: [] };
+    for (const task of tasks ?? []) {
+      const status = getSeriesStatus(task);
+      if (status === "paused" || status === "archived") {
+        byStatus[status].push(task);
+      }
+    }
+    return byStatus;
+  }, [tasks]);
+
+  const bringBack = async (task, action, successMessage, errorMessage) => {
+    setBusyTaskId(task.id);
+    try {
+      await action(task.id);
+      toast.success(successMessage);
+    } catch (error) {
+      console.error(errorMessage, error);
+      toast.error(error.message || errorMessage);
+    } finally {
+      setBusyTaskId(null);
+    }
+  };
+
+  const renderRow = (task, { subtitle, label, Icon, onClick }) => (
+    <li
+      key={task.id}
+      className="flex items-center gap-3 rounded-xl bg-zinc-800 p-3"
+    >
+      <div className="w-9 h-9 rounded-lg bg-primary flex items-center justify-center text-white flex-shrink-0">
+        {getTaskIcon(task.icon_name)}
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className="truncate font-medium">{task.title}</p>
+        <p className="text-xs text-gray-400">{subtitle}</p>
+      </div>
+      <button
+        type="button"
+        disabled={busyTaskId === task.id}
+        onClick={onClick}
+        className="flex items-center gap-1.5 rounded-full bg-rose-400 px-3 py-1.5 text-sm text-white hover:bg-rose-500 disabled:opacity-50"
+      >
+        <Icon size={14} />
+        {label}
+      </button>
+    </li>
+  );
+
+  return (
+    <Drawer.Root open={open} onOpenChange={onOpenChange}>
+      <Drawer.Portal>
+        <Drawer.Overlay className="fixed inset-0 bg-black/40 z-[40]" />
+        <Drawer.Content className="flex flex-col rounded-t-[10px] h-fit max-h-[85vh] fixed bottom-0 left-0 right-0 outline-none z-[40]">
+          <div className="p-6 mx-auto w-full max-w-sm md:max-w-md mb-12 overflow-y-auto rounded-3xl bg-zinc-900 text-white shadow-xl">
+            <div className="flex items-center justify-between mb-4">
+              <Drawer.Title className="text-xl font-bold">
+                {t("archive.title")}
+              </Drawer.Title>
+              <button
+                onClick={() => onOpenChange(false)}
+                aria-label={t("common.close")}
+                className="h-8 w-8 rounded-full bg-gray-600 flex items-center justify-center"
+              >
+                <X className="h-5 w-5" />
+              </button>
+            </div>
+
+            {paused.length === 0 && archived.length === 0 && (
+              <p className="text-gray-500 text-center py-6 text-sm">
+                {t("archive.empty")}
+              </p>
+            )}
+
+            {paused.length > 0 && (
+              <section className="mb-4">
+                <h3 className="text-xs uppercase tracking-wide text-gray-400 mb-2">
+                  {t("archive.paused")}
+                </h3>
+                <ul className="space-y-2">
+                  {paused.map((task) =>
+                    renderRow(task, {
+                      subtitle: task.resume_at
+                        ? t("archive.resumesOn", {
+                            date: dayjs(task.resume_at).format("ddd, MMM D"),
+                          })
+                        : t("archive.pausedUntilResumed"),
+                      label: t("archive.resume"),
+                      Icon: Play,
+                      onClick: () =>
+                        bringBack(
+                          task,
+                          resumeTaskSeriesAction,
+                          t("taskMenu.series.resumed"),
+                          t("taskMenu.series.resumeFailed")
+                        ),
+                    })
+                  )}
+                </ul>
+              </section>
+            )}
+
+            {archived.length > 0 && (
+              <section>
+                <h3 className="text-xs uppercase tracking-wide text-gray-400 mb-2">
+                  {t("archive.archived")}
+                </h3>
+                <ul className="space-y-2">
+                  {archived.map((task) =>
+                    renderRow(task, {
+                      subtitle: t("archive.hidden"),
+                      label: t("common.restore"),
+                      Icon: RotateCcw,
+                      onClick: () =>
+                        bringBack(
+                          task,
+                          restoreTaskSeriesAction,
+                          t("archive.restored"),
+                          t("archive.restoreFailed")
+                        ),
+                    })
+                  )}
+                </ul>
+              </section>
+            )}
+          </div>
+        </Drawer.Content>
+      </Drawer.Portal>
+    </Drawer.Root>
+  );
+}
+
+export default SeriesArchiveSheet;
@@ -0,0 +1,81 @@
+"use client";
+import React, { useState } from "react";
+import dayjs from "dayjs";
+import { Drawer } from "vaul";
+import { Plus, X } from "lucide-react";
+import { DatePicker } from "@/components/date-picker";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+
+export interface SeriesDatesEditorProps {
+  label: string;
+  description?: string;
+  value: string[]; // YYYY-MM-DD
+  onChange: (value: string[]) => void;
+}
+
+/**
+ * Editable list of dates for a recurring series, used for the extra (RDATE)
+ * and removed (EXDATE) dates in the task form.
+ */
+export function SeriesDatesEditor({
+  label,
+  description,
+  value,
+  onChange,
+}: SeriesDatesEditorProps) {
+  const [isPickerOpen, setIsPickerOpen] = useState(false);
+  const t = useSettingsStore(selectTranslator);
+  const dates = Array.from(new Set(value ?? [])).sort();
+
+  const addDate = (date: Date) => {
+    onChange(
+      Array.from(new Set([...dates, dayjs(date).format("YYYY-MM-DD")])).sort()
+    );
+    setIsPickerOpen(false);
+  };
+
+  return (
+    <div>
+      <label className="text-sm text-gray-400 block mb-1.5 sm:mb-2">
+        {label}
+      </label>
+      <div className="flex flex-wrap items-center gap-2">
+        {dates.map((date) => (
+          <span
+            key={date}
+            className="flex items-center gap-1 rounded-full bg-zinc-800 px-3 py-1 text-sm text-white"
+          >
+            {dayjs(date).format("ddd, MMM D, YYYY")}
+            <button
+              type="button"
+              aria-label={t("seriesDates.remove", { date })}
+              onClick={() => onChange(dates.filter((d) => d !== date))}
+              className="text-gray-400 hover:text-white"
+            >
+              <X size={14} />
+            </button>
+          </span>
+        ))}
+        <Drawer.NestedRoot open={isPickerOpen} onOpenChange={setIsPickerOpen}>
+          <Drawer.Trigger className="flex items-center gap-1 rounded-full bg-zinc-900/50 px-3 py-1 text-sm text-rose-400 hover:bg-rose-400/10 hover:text-rose-300">
+            <Plus size={14} />
+            {t("seriesDates.add")}
+          </Drawer.Trigger>
+          <Drawer.Portal>
+            <Drawer.Overlay className="fixed inset-0 bg-black/40" />
+            <Drawer.Content className="h-fit fixed bottom-0 left-0 right-0 outline-none shadow-lg z-[50]">
+              <Drawer.Title className="hidden">{label}</Drawer.Title>
+              <DatePicker onDateSelect={addDate} />
+            </Drawer.Content>
+          </Drawer.Portal>
+        </Drawer.NestedRoot>
+      </div>
+      {description && (
+        <p className="text-xs text-gray-400 mt-1.5">{description}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,218 @@
+"use client";
+
+import { toast } from "sonner";
+
+import {
+  selectTranslator,
+  selectUses24HourClock,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+import { BottomNavigation } from "@/components/bottom-navigation";
+import { IconPicker } from "@/components/icon-picker";
+import { SegmentedControl } from "@/components/segmented-control";
+import { TASK_ICON_NAMES } from "@/components/task-form";
+import { minutesToTimeString } from "@/lib/timeline";
+import { SUPPORTED_LOCALES, formatTimeOfDay } from "@/lib/format";
+
+const modeOptions = [
+  { label: "settings.dayHours.fixed", value: "fixed" },
+  { label: "settings.dayHours.fit", value: "fit" },
+];
+
+// Values are weekday numbers (0 = Sunday), kept as strings for the control
+const weekStartOptions = [
+  { label: "settings.weekStart.sunday", value: "0" },
+  { label: "settings.weekStart.monday", value: "1" },
+];
+
+const timeFormatOptions = [
+  { label: "settings.timeFormat.auto", value: "auto" },
+  { label: "settings.timeFormat.12h", value: "12h" },
+  { label: "settings.timeFormat.24h", value: "24h" },
+];
+
+// Options with their labels (message keys) in the user's language
+const translateOptions = (t, options) =>
+  options.map(({ label, value }) => ({ label: t(label), value }));
+
+// Default durations offered for new tasks (minutes)
+const DURATION_OPTIONS = [5, 10, 15, 20, 30, 45, 60, 90, 120];
+
+const selectClassName =
+  "mt-1.5 w-full rounded-md border border-gray-700 bg-zinc-800 p-2 text-white focus:border-rose-500 focus:outline-none";
+
+const Section = ({ title, description, children }) => (
+  <section className="rounded-3xl bg-zinc-900 p-5">
+    <h2 className="text-lg font-bold">{title}</h2>
+    {description && (
+      <p className="text-xs text-gray-400 mt-1 mb-4">{description}</p>
+    )}
+    {children}
+  </section>
+);
+
+/**
+ * The Settings screen: the user's preferences from `user_settings`. Changes
+ * save as they're made and reach the user's other devices through realtime.
+ */
+export default function SettingsView() {
+  const settings = useSettingsStore((state) => state.settings);
+  const updateSettings = useSettingsStore((state) => state.updateSettings);
+  const use24HourClock = useSettingsStore(selectUses24HourClock);
+  const t = useSettingsStore(selectTranslator);
+
+  const update = async (changes) => {
+    try {
+      await updateSettings(changes);
+    } catch (error) {
+      toast.error(error.message || t("settings.saveFailed"));
+    }
+  };
+
+  const renderHourSelect = (label, field, hours) => (
+    <label className="flex-1 text-sm text-gray-400">
+      {label}
+      <select
+        value={settings[field]}
+        onChange={(event) => update({ [field]: Number(event.target.value) })}
+        className={selectClassName}
+      >
+        {hours.map((hour) => (
+          <option key={hour} value={hour}>
+            {formatTimeOfDay(minutesToTimeString(hour * 60), use24HourClock)}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+
+  const durations = DURATION_OPTIONS.includes(settings.default_duration_minutes)
+    ? DURATION_OPTIONS
+    : [...DURATION_OPTIONS, settings.default_duration_minutes].sort(
+        (a, b) => a - b
+      );
+
+  return (
+    <div className="w-full flex flex-col h-screen bg-background text-white py-4">
+      <div className="flex-1 overflow-y-auto px-4 pb-24">
+        <h1 className="text-4xl font-bold mb-6">{t("settings.title")}</h1>
+
+        <div className="mx-auto w-full max-w-md space-y-4">
+          <Section
+            title={t("settings.language.title")}
+            description={t("settings.language.description")}
+          >
+            <label className="block text-sm text-gray-400">
+              {t("settings.language.label")}
+              <select
+                value={settings.locale ?? ""}
+                onChange={(event) =>
+                  update({ locale: event.target.value || null })
+                }
+                className={selectClassName}
+              >
+                <option value="">{t("settings.language.auto")}</option>
+                {SUPPORTED_LOCALES.map(({ code, label }) => (
+                  <option key={code} value={code}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <div className="mt-4">
+              <SegmentedControl
+                data={translateOptions(t, timeFormatOptions)}
+                value={settings.time_format}
+                onChange={(timeFormat) => update({ time_format: timeFormat })}
+                fullWidth
+              />
+            </div>
+          </Section>
+
+          <Section
+            title={t("settings.weekStart.title")}
+            description={t("settings.weekStart.description")}
+          >
+            <SegmentedControl
+              data={translateOptions(t, weekStartOptions)}
+              value={String(settings.week_start)}
+              onChange={(day) => update({ week_start: Number(day) })}
+              fullWidth
+            />
+          </Section>
+
+          <Section
+            title={t("settings.dayHours.title")}
+            description={t("settings.dayHours.description")}
+          >
+            <SegmentedControl
+              data={translateOptions(t, modeOptions)}
+              value={settings.day_hours_mode}
+              onChange={(mode) => update({ day_hours_mode: mode })}
+              fullWidth
+            />
+            <div className="flex gap-3 mt-4">
+              {renderHourSelect(
+                t("settings.dayHours.from"),
+                "day_start_hour",
+                Array.from({ length: settings.day_end_hour }, (_, i) => i)
+              )}
+              {renderHourSelect(
+                t("settings.dayHours.until"),
+                "day_end_hour",
+                Array.from(
+                  { length: 24 - settings.day_start_hour },
+                  (_, i) => settings.day_start_hour + 1 + i
+                )
+              )}
+            </div>
+            {settings.day_hours_mode === "fit" && (
+              <p className="text-xs text-gray-400 mt-3">
+                {t("settings.dayHours.fitHint")}
+              </p>
+            )}
+          </Section>
+
+          <Section
+            title={t("settings.newTasks.title")}
+            description={t("settings.newTasks.description")}
+          >
+            <div className="flex items-end gap-3">
+              <div className="text-sm text-gray-400">
+                {t("settings.newTasks.icon")}
+                <div className="mt-1.5">
+                  <IconPicker
+                    value={settings.default_icon_name}
+                    onChange={(name) => update({ default_icon_name: name })}
+                    names={TASK_ICON_NAMES}
+                    className="border-none border-0"
+                  />
+                </div>
+              </div>
+              <label className="flex-1 text-sm text-gray-400">
+                {t("settings.newTasks.duration")}
+                <select
+                  value={settings.default_duration_minutes}
+                  onChange={(event) =>
+                    update({
+                      default_duration_minutes: Number(event.target.value),
+                    })
+                  }
+                  className={selectClassName}
+                >
+                  {durations.map((minutes) => (
+                    <option key={minutes} value={minutes}>
+                      {t("settings.newTasks.minutes", { minutes })}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            </div>
+          </Section>
+        </div>
+      </div>
+
+      <BottomNavigation />
+    </div>
+  );
+}
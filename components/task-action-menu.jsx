@@ -1,24 +1,48 @@
 "use client";
 
-import { useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useState } from "react";
 import { useTaskStore } from "@/app/stores/useTaskStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 import dayjs from "dayjs";
+import localizedFormat from "dayjs/plugin/localizedFormat";
+import { toast } from "sonner";
 import {
+  archiveTaskSeriesAction,
   deleteFutureOccurrencesAction,
   deleteSingleTaskOrOccurrenceAction,
   deleteTaskSeriesAction,
+  pauseTaskSeriesAction,
+  resumeTaskSeriesAction,
   toggleTaskOccurrenceCompletionAction,
 } from "@/app/actions";
 
-import { CheckCircle, Circle, Edit, Trash2, X } from "lucide-react";
+import {
+  Archive,
+  CheckCircle,
+  Circle,
+  Edit,
+  Pause,
+  Play,
+  Trash2,
+  X,
+} from "lucide-react";
 
 import { getTaskIcon } from "@/lib/icons";
+import { getSeriesStatus } from "@/lib/seriesStatus";
+import { TRASH_RETENTION_DAYS } from "@/lib/trash";
+import { formatDayHeading } from "@/lib/format";
+import { Input } from "@/components/ui/input";
 
 import { ConfirmationModal } from "@/components/modals/confirmation-modal";
 import { RecurrenceActionModal } from "@/components/modals/recurrence-action-modal";
 
 import { Drawer } from "vaul";
 
+dayjs.extend(localizedFormat); // "L": the date in the user's locale, e.g. 10/21/2026
+
 /**
  * TaskActionMenu component (JSX Version - Responsive Refactor)
  * Displays a responsive slide-up menu with actions for a selected task.
@@ -29,15 +53,19 @@ export default function TaskActionMenu({ open, onOpenChange }) {
     closeTaskMenu,
     formatTimeRange,
     openTaskFormForEdit,
+    runUndoable,
     selectedInstance: selectedTask,
     tasks,
   } = useTaskStore();
+  const t = useSettingsStore(selectTranslator);
 
   // State for scope modal (now only used for DELETE)
   const [isConfirmationModalOpen, setIsConfirmationModalOpen] = useState(false);
   const [isRecurring, setIsRecurring] = useState(null);
   const [isRecurrenceModalOpen, setIsRecurrenceModalOpen] = useState(false);
   const [scopeActionType, setScopeActionType] = useState(null);
+  const [isPauseModalOpen, setIsPauseModalOpen] = useState(false);
+  const [resumeDate, setResumeDate] = useState("");
 
   // Find the parent task definition from the store's tasks array
   const parentTaskDefinition = useMemo(() => {
@@ -47,6 +75,14 @@ export default function TaskActionMenu({ open, onOpenChange }) {
 
   // Determine if the series is recurring based on the parent task's rrule
   const isParentRecurring = !!parentTaskDefinition?.rrule;
+  // Series that can be paused/archived (anything that repeats)
+  const isSeries =
+    isParentRecurring ||
+    !!parentTaskDefinition?.repeat_after_days ||
+    !!parentTaskDefinition?.rdates?.length;
+  const isPaused =
+    !!parentTaskDefinition &&
+    getSeriesStatus(parentTaskDefinition) === "paused";
 
   useEffect(() => {
     setIsRecurring(selectedTask?.tasks?.is_recurring || false);
@@ -58,29 +94,40 @@ export default function TaskActionMenu({ open, onOpenChange }) {
       !selectedTask.task_id ||
       !selectedTask.original_occurrence_time_utc
     ) {
-      toast.error("Cannot toggle completion: Task details missing.");
+      toast.error(t("taskMenu.errors.missingDetails"));
       return;
     }
 
     const newCompletionState = !selectedTask.is_complete;
 
     try {
-      await toggleTaskOccurrenceCompletionAction({
-        taskId: selectedTask.task_id,
-        originalOccurrenceTimeUTC: selectedTask.original_occurrence_time_utc,
-        newCompletionState: newCompletionState,
-        // Pass exception ID if available (from calculated instance)
-        exceptionId: selectedTask.id.startsWith(selectedTask.task_id + "-")
-          ? null
-          : selectedTask.id,
-      });
-      // toast.success(
-      //   `Task marked as ${newCompletionState ? "complete" : "incomplete"}.`
-      // );
+      await runUndoable(
+        t(
+          newCompletionState
+            ? "taskMenu.markedComplete"
+            : "taskMenu.markedIncomplete"
+        ),
+        (undoId) =>
+          toggleTaskOccurrenceCompletionAction(
+            {
+              taskId: selectedTask.task_id,
+              originalOccurrenceTimeUTC:
+                selectedTask.original_occurrence_time_utc,
+              newCompletionState: newCompletionState,
+              // Pass exception ID if available (from calculated instance)
+              exceptionId: selectedTask.id.startsWith(
+                selectedTask.task_id + "-"
+              )
+                ? null
+                : selectedTask.id,
+            },
+            { undoId }
+          )
+      );
       closeTaskMenu();
     } catch (error) {
       console.error("Failed to toggle task completion:", error);
-      // toast.error(error.message || "Failed to update task status.");
+      toast.error(error.message || t("taskMenu.errors.updateStatus"));
     }
   };
 
@@ -104,6 +151,34 @@ export default function TaskActionMenu({ open, onOpenChange }) {
     setIsConfirmationModalOpen(true);
   };
 
+  // Previews what deleting with a scope would remove, via the actions' dry runs
+  const getDeleteImpact = useCallback(
+    async (scope) => {
+      if (!selectedTask?.task_id) return null;
+      const taskId = selectedTask.task_id;
+      if (scope === "single") {
+        const hasException = !selectedTask.id.startsWith(taskId + "-");
+        return {
+          occurrences: 1,
+          completionsDeleted: selectedTask.is_complete ? 1 : 0,
+          overridesDeleted: hasException && !selectedTask.is_complete ? 1 : 0,
+          overridesMoved: 0,
+          newEndDate: null,
+        };
+      }
+      const { impact } =
+        scope === "future"
+          ? await deleteFutureOccurrencesAction(
+              taskId,
+              selectedTask.original_occurrence_time_utc,
+              { dryRun: true }
+            )
+          : await deleteTaskSeriesAction(taskId, { dryRun: true });
+      return impact;
+    },
+    [selectedTask]
+  );
+
   // Step 3: User confirms deletion in ConfirmationModal
   const handleFinalDeleteConfirmed = async () => {
     if (!selectedTask || !scopeActionType) return;
@@ -113,49 +188,103 @@ export default function TaskActionMenu({ open, onOpenChange }) {
     const originalTimeUTC = selectedTask.original_occurrence_time_utc;
 
     try {
-      let successMessage = "Task deleted.";
+      let successMessage = t("taskMenu.deleted.task");
+      let deleteTask;
       switch (scopeActionType) {
         case "single":
           console.log(
             `Action: Deleting single occurrence at ${originalTimeUTC}`
           );
-          await deleteSingleTaskOrOccurrenceAction({
-            taskId: taskId,
-            originalOccurrenceTimeUTC: originalTimeUTC,
-            isParentRecurring: isParentRecurring,
-            // Pass exception ID if known, so action can potentially update instead of insert
-            exceptionId: selectedTask.id.startsWith(taskId + "-")
-              ? null
-              : selectedTask.id,
-          });
-          successMessage = "Task occurrence deleted.";
+          deleteTask = (undoId) =>
+            deleteSingleTaskOrOccurrenceAction(
+              {
+                taskId: taskId,
+                originalOccurrenceTimeUTC: originalTimeUTC,
+                isParentRecurring: isParentRecurring,
+                // Pass exception ID if known, so action can potentially update instead of insert
+                exceptionId: selectedTask.id.startsWith(taskId + "-")
+                  ? null
+                  : selectedTask.id,
+              },
+              { undoId }
+            );
+          successMessage = t("taskMenu.deleted.single");
           break;
         case "future":
           console.log(
             `Action: Deleting future occurrences from ${originalTimeUTC}`
           );
-          await deleteFutureOccurrencesAction(taskId, originalTimeUTC);
-          successMessage = "Future occurrences deleted.";
+          deleteTask = (undoId) =>
+            deleteFutureOccurrencesAction(taskId, originalTimeUTC, { undoId });
+          successMessage = t("taskMenu.deleted.future");
           break;
         case "all":
           console.log(`Action: Deleting entire task series ${taskId}`);
-          await deleteTaskSeriesAction(taskId); // Use the new specific action
-          successMessage = "Entire task series deleted.";
+          deleteTask = (undoId) => deleteTaskSeriesAction(taskId, { undoId }); // Use the new specific action
+          successMessage = t("taskMenu.deleted.all");
           break;
         default:
-          throw new Error("Invalid delete scope selected.");
+          throw new Error(t("taskMenu.errors.invalidScope"));
       }
 
-      // toast.success(successMessage);
+      // Shows the success toast, with an Undo button
+      await runUndoable(successMessage, deleteTask);
       closeTaskMenu(); // Close menu on success
     } catch (error) {
       console.error("Delete failed:", error);
-      // toast.error(error.message || "Failed to delete task.");
+      toast.error(error.message || t("taskMenu.errors.delete"));
     } finally {
       setScopeActionType(null);
     }
   };
 
+  // --- PAUSE / RESUME / ARCHIVE FLOW ---
+  const runSeriesAction = async (action, successMessage, errorMessage) => {
+    if (!selectedTask?.task_id) return;
+    try {
+      await action(selectedTask.task_id);
+      toast.success(successMessage);
+      closeTaskMenu();
+    } catch (error) {
+      console.error(errorMessage, error);
+      toast.error(error.message || errorMessage);
+    }
+  };
+
+  const handlePauseRequest = () => {
+    if (isPaused) {
+      runSeriesAction(
+        resumeTaskSeriesAction,
+        t("taskMenu.series.resumed"),
+        t("taskMenu.series.resumeFailed")
+      );
+      return;
+    }
+    onOpenChange(false);
+    setResumeDate("");
+    setIsPauseModalOpen(true);
+  };
+
+  const handlePauseConfirmed = () => {
+    setIsPauseModalOpen(false);
+    runSeriesAction(
+      (taskId) => pauseTaskSeriesAction(taskId, resumeDate || null),
+      resumeDate
+        ? t("taskMenu.series.pausedUntil", {
+            date: formatDayHeading(resumeDate),
+          })
+        : t("taskMenu.series.paused"),
+      t("taskMenu.series.pauseFailed")
+    );
+  };
+
+  const handleArchiveRequest = () =>
+    runSeriesAction(
+      archiveTaskSeriesAction,
+      t("taskMenu.series.archived"),
+      t("taskMenu.series.archiveFailed")
+    );
+
   // --- EDIT FLOW ---
   const handleEditRequest = () => {
     if (!selectedTask) return;
@@ -171,7 +300,7 @@ export default function TaskActionMenu({ open, onOpenChange }) {
   };
 
   const dateFormatted = selectedTask
-    ? dayjs(selectedTask.scheduled_date).format("M/D/YY")
+    ? dayjs(selectedTask.scheduled_date).format("L")
     : "";
 
   const handleCloseMenu = () => {
@@ -199,7 +328,7 @@ export default function TaskActionMenu({ open, onOpenChange }) {
           <Drawer.Overlay className="fixed inset-0 bg-black/40 z-[40]" />
           <Drawer.Content className="flex flex-col rounded-t-[10px] h-fit fixed bottom-0 left-0 right-0 outline-none z-[40]">
             <Drawer.Title className="hidden font-medium mb-4 text-gray-900">
-              Action menu
+              {t("taskMenu.title")}
             </Drawer.Title>
 
             {/* <div className="w-[95vw] max-w-[900px] px-8 py-8 mx-auto mb-12 overflow-hidden rounded-xl bg-drawer shadow-lg border-2 text-white shadow-xl"> */}
@@ -216,14 +345,14 @@ export default function TaskActionMenu({ open, onOpenChange }) {
                       <h2 className="text-2xl font-bold truncate">
                         {selectedTask?.override_title ??
                           selectedTask?.title ??
-                          "Task"}
+                          t("taskMenu.untitled")}
                       </h2>
                     </div>
                   </div>
 
                   <button
                     onClick={handleCloseMenu}
-                    aria-label="Close menu"
+                    aria-label={t("taskMenu.close")}
                     className="h-8 w-8 rounded-full bg-gray-600 flex items-center justify-center"
                   >
                     <X className="h-5 w-5" />
@@ -239,7 +368,7 @@ export default function TaskActionMenu({ open, onOpenChange }) {
                     className="flex flex-col items-center justify-center bg-zinc-800 p-3 sm:p-4 rounded-xl hover:bg-zinc-700/80 transition-colors"
                   >
                     <Trash2 size={28} className="text-pink-500 mb-1 sm:mb-2" />
-                    <span className="text-xl">Delete</span>
+                    <span className="text-xl">{t("common.delete")}</span>
                   </button>
 
                   {/* Complete Button */}
@@ -259,7 +388,9 @@ export default function TaskActionMenu({ open, onOpenChange }) {
                       />
                     )}
                     <span className="text-xl">
-                      {selectedTask?.is_complete ? "Uncheck" : "Complete"}
+                      {selectedTask?.is_complete
+                        ? t("taskMenu.uncheck")
+                        : t("taskMenu.complete")}
                     </span>
                   </button>
 
@@ -269,9 +400,39 @@ export default function TaskActionMenu({ open, onOpenChange }) {
                     className="flex flex-col items-center justify-center bg-zinc-800 p-3 sm:p-4 rounded-xl hover:bg-zinc-700/80 transition-colors"
                   >
                     <Edit size={28} className="text-blue-500 mb-1 sm:mb-2" />
-                    <span className="text-xl">Edit</span>
+                    <span className="text-xl">{t("common.edit")}</span>
                   </button>
                 </div>
+
+                {/* Series status: pause/resume and archive */}
+                {isSeries && (
+                  <div className="grid grid-cols-2 gap-3 sm:gap-4 mt-3 sm:mt-4">
+                    <button
+                      onClick={handlePauseRequest}
+                      className="flex items-center justify-center gap-2 bg-zinc-800 p-3 rounded-xl hover:bg-zinc-700/80 transition-colors"
+                    >
+                      {isPaused ? (
+                        <Play size={20} className="text-green-500" />
+                      ) : (
+                        <Pause size={20} className="text-amber-400" />
+                      )}
+                      <span className="text-base">
+                        {isPaused
+                          ? t("taskMenu.series.resume")
+                          : t("taskMenu.series.pause")}
+                      </span>
+                    </button>
+                    <button
+                      onClick={handleArchiveRequest}
+                      className="flex items-center justify-center gap-2 bg-zinc-800 p-3 rounded-xl hover:bg-zinc-700/80 transition-colors"
+                    >
+                      <Archive size={20} className="text-gray-400" />
+                      <span className="text-base">
+                        {t("taskMenu.series.archive")}
+                      </span>
+                    </button>
+                  </div>
+                )}
               </div>
             }
           </Drawer.Content>
@@ -285,6 +446,7 @@ export default function TaskActionMenu({ open, onOpenChange }) {
         onConfirm={handleScopeActionTypeSelected}
         selectedOption={scopeActionType}
         setSelectedOption={setScopeActionType}
+        getImpact={getDeleteImpact}
       />
 
       <ConfirmationModal
@@ -294,22 +456,44 @@ export default function TaskActionMenu({ open, onOpenChange }) {
           setScopeActionType(null);
         }}
         onConfirm={handleFinalDeleteConfirmed}
-        title="Confirm Deletion"
+        title={t("taskMenu.confirmDelete.title")}
         message={
           isRecurring && scopeActionType
-            ? `Are you sure you want to delete ${
-                scopeActionType === "single"
-                  ? "this instance"
-                  : scopeActionType === "future"
-                    ? "this and all future instances"
-                    : "all instances in this series"
-              }? This cannot be undone.`
-            : "Are you sure you want to delete this task? This action cannot be undone."
+            ? t(`taskMenu.confirmDelete.${scopeActionType}`, {
+                count: TRASH_RETENTION_DAYS,
+              })
+            : t("taskMenu.confirmDelete.task", { count: TRASH_RETENTION_DAYS })
         }
-        confirmText="Delete"
-        cancelText="Cancel"
+        confirmText={t("common.delete")}
+        cancelText={t("common.cancel")}
         destructive={true}
       />
+
+      <ConfirmationModal
+        isOpen={isPauseModalOpen}
+        onClose={() => setIsPauseModalOpen(false)}
+        onConfirm={handlePauseConfirmed}
+        title={t("taskMenu.series.pause")}
+        message={
+          <div className="space-y-3">
+            <p>{t("taskMenu.pause.description")}</p>
+            <label className="block">
+              <span className="block mb-1.5 text-zinc-400">
+                {t("taskMenu.pause.resumeOn")}
+              </span>
+              <Input
+                type="date"
+                value={resumeDate}
+                min={dayjs().add(1, "day").format("YYYY-MM-DD")}
+                onChange={(e) => setResumeDate(e.target.value)}
+                className="bg-zinc-800 border-zinc-700 text-white"
+              />
+            </label>
+          </div>
+        }
+        confirmText={t("taskMenu.pause.confirm")}
+        cancelText={t("common.cancel")}
+      />
     </>
   );
 }
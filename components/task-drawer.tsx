@@ -3,6 +3,10 @@
 import React, { useRef, useEffect, useState, memo, useMemo } from "react";
 import useCalendarStore from "@/app/stores/useCalendarStore";
 import { useTaskStore } from "@/app/stores/useTaskStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 
 import { calculateInstancesForRange } from "@/lib/taskCalculator";
 
@@ -15,8 +19,10 @@ import utc from "dayjs/plugin/utc";
 import { ChevronUp, ChevronDown } from "lucide-react";
 import { Drawer } from "vaul";
 import TaskActionMenu from "./task-action-menu";
+import { GoalProgressList } from "./goal-progress";
 
 import { getTaskIcon } from "@/lib/icons";
+import { formatDayHeading } from "@/lib/format";
 
 dayjs.extend(utc);
 dayjs.extend(timezone);
@@ -41,6 +47,7 @@ interface DrawerTaskItemProps {
 const DrawerTaskItem = memo(
   ({ instance, isSelected, onClick }: DrawerTaskItemProps) => {
     const formatTimeRange = useTaskStore((state) => state.formatTimeRange);
+    const t = useSettingsStore(selectTranslator);
 
     const isCompleted = instance.is_complete;
 
@@ -86,7 +93,7 @@ const DrawerTaskItem = memo(
               {/* Use isCompleted from instance */}
               {isCompleted && (
                 <span className="ml-auto text-xs bg-green-500/80 text-white px-1.5 py-0.5 rounded-full flex-shrink-0">
-                  Done
+                  {t("drawer.done")}
                 </span>
               )}
             </div>
@@ -114,6 +121,10 @@ const TaskDrawer = ({ drawerRef }) => {
   );
   const selectedInstance = useTaskStore((state) => state.selectedInstance);
   const isLoading = useTaskStore((state) => state.isLoading);
+  const getGoalProgress = useTaskStore((state) => state.getGoalProgress);
+  // Weekly goals count from the user's week start
+  const weekStartsOn = useSettingsStore((state) => state.settings.week_start);
+  const t = useSettingsStore(selectTranslator);
 
   const [showActionMenu, setShowActionMenu] = useState(false);
   const [snap, setSnap] = useState<number | string | null>(snapPoints[0]);
@@ -133,6 +144,12 @@ const TaskDrawer = ({ drawerRef }) => {
     }
   }, [selectedDay, tasks, exceptions]); // Dependencies
 
+  // Unmet goals surface here near the end of their period
+  const goalsAtRisk = useMemo(() => {
+    if (!selectedDay) return [];
+    return getGoalProgress(selectedDay).filter((goal) => goal.isAtRisk);
+  }, [selectedDay, tasks, exceptions, weekStartsOn, getGoalProgress]);
+
   // Determine drawer height (keep original logic, maybe adjust numbers)
   const minDrawerHeight =
     tasksForSelectedDay.length > 0
@@ -198,8 +215,8 @@ const TaskDrawer = ({ drawerRef }) => {
                 {" "}
                 <Drawer.Title className="text-base sm:text-lg font-semibold text-gray-100">
                   {selectedDay
-                    ? dayjs(selectedDay).format("ddd, MMM D")
-                    : "Tasks"}
+                    ? formatDayHeading(selectedDay)
+                    : t("drawer.tasks")}
                 </Drawer.Title>
                 <button
                   onClick={() =>
@@ -209,7 +226,9 @@ const TaskDrawer = ({ drawerRef }) => {
                   }
                   className="p-1.5 hover:bg-zinc-700/60 rounded-full transition-colors text-gray-400 hover:text-white"
                   aria-label={
-                    snap === snapPoints[0] ? "Expand drawer" : "Collapse drawer"
+                    snap === snapPoints[0]
+                      ? t("drawer.expand")
+                      : t("drawer.collapse")
                   }
                 >
                   {snap === snapPoints[0] ? (
@@ -229,15 +248,26 @@ const TaskDrawer = ({ drawerRef }) => {
                   {/* Display loading state */}
                   {isLoading && tasksForSelectedDay.length === 0 && (
                     <div className="text-gray-500 text-center py-6 text-sm">
-                      Loading tasks...
+                      {t("drawer.loading")}
                     </div>
                   )}
-                  {/* Display no tasks message */}
-                  {!isLoading && tasksForSelectedDay.length === 0 && (
-                    <div className="text-gray-500 text-center py-6 text-sm">
-                      No tasks scheduled for this day.
+                  {/* Goals that still need completions this period */}
+                  {goalsAtRisk.length > 0 && (
+                    <div className="mb-3">
+                      <div className="text-xs uppercase tracking-wide text-amber-400 mb-2">
+                        {t("drawer.goalsAtRisk")}
+                      </div>
+                      <GoalProgressList goals={goalsAtRisk} variant="row" />
                     </div>
                   )}
+                  {/* Display no tasks message */}
+                  {!isLoading &&
+                    tasksForSelectedDay.length === 0 &&
+                    goalsAtRisk.length === 0 && (
+                      <div className="text-gray-500 text-center py-6 text-sm">
+                        {t("drawer.empty")}
+                      </div>
+                    )}
                   {/* Render Task Items */}
                   {tasksForSelectedDay.length > 0 && (
                     <div className="space-y-2 pb-12 sm:space-y-3">
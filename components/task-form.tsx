@@ -1,8 +1,19 @@
 "use client";
 
-import React, { useEffect, useState, useMemo, useCallback } from "react";
+import React, {
+  useEffect,
+  useState,
+  useMemo,
+  useCallback,
+  useRef,
+} from "react";
 import { useForm, Controller } from "react-hook-form";
 import { useTaskStore } from "@/app/stores/useTaskStore";
+import {
+  selectTranslator,
+  selectUses24HourClock,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc";
@@ -46,8 +57,33 @@ import { Input } from "@/components/ui/input";
 import { IconPicker } from "@/components/icon-picker";
 import { SegmentedControl } from "@/components/segmented-control";
 import { WheelPicker } from "@/components/wheel-picker";
+import { WeekdayPicker } from "@/components/weekday-picker";
+import { SeriesDatesEditor } from "@/components/series-dates-editor";
+import {
+  MONTHLY_MODES,
+  WEEKDAY_CODES,
+  buildRRuleOptions,
+  describeMonthlyMode,
+  describeRRule,
+  normalizeTimesOfDay,
+  previewRRule,
+  validateRRuleString,
+  weekdayCodeFromDate,
+} from "@/lib/recurrence";
+import {
+  buildTaskBasePayload,
+  buildTaskCreatePayload,
+  buildTaskUpdatePayload,
+  TaskFormValues,
+} from "@/lib/taskPayload";
+import { describeConflicts } from "@/lib/conflicts";
+import { minutesToTimeString } from "@/lib/timeline";
+import { formatTimeOfDay, timePattern } from "@/lib/format";
+import { MessageKey, Translator } from "@/lib/i18n";
+import { RRule } from "rrule";
 
 import {
+  checkTaskConflictsAction,
   createTaskAction,
   updateTaskDefinitionAction,
   modifyTaskOccurrenceAction,
@@ -84,109 +120,222 @@ const allowedIcons = {
 
 type IconName = keyof typeof allowedIcons;
 
-const formSchema = z
-  .object({
-    // Core Fields
-    icon_name: z
-      .enum(Object.keys(allowedIcons) as [IconName, ...IconName[]])
-      .optional()
-      .default("Dumbbell"),
-    title: z.string().min(1, "Title is required"),
-    // icon: z.enum(["education", "fitness", "busy", "rest"]),
-    start_date: z.date({ required_error: "Start date is required" }),
-    start_time: z
-      .string()
-      .min(1, "Start time is required")
-      .regex(/^([01]\d|2[0-3]):([0-5]\d)$/, {
-        message: "Time must be in 24-hour HH:mm format",
+/** Icons a task can have; other IconPicker icons don't pass validation. */
+export const TASK_ICON_NAMES = Object.keys(allowedIcons) as IconName[];
+
+// Validation messages are in the user's language, so the schema is built per translator
+const buildFormSchema = (t: Translator) =>
+  z
+    .object({
+      // Core Fields
+      icon_name: z
+        .enum(TASK_ICON_NAMES as [IconName, ...IconName[]])
+        .optional()
+        .default("Dumbbell"),
+      title: z.string().min(1, t("taskForm.errors.titleRequired")),
+      // icon: z.enum(["education", "fitness", "busy", "rest"]),
+      start_date: z.date({
+        required_error: t("taskForm.errors.startDateRequired"),
       }),
-    duration_minutes: z
-      .number({
-        required_error: "Duration required",
-        invalid_type_error: "Duration must be a number",
-      })
-      .min(1, "Duration must be at least 1 minute"),
-
-    // Recurrence Fields
-    frequency: z.enum(["once", "daily", "weekly", "monthly"], {
-      required_error: "Frequency is required",
-    }),
-    interval: z.number().min(1, "Interval must be at least 1").optional(),
-    end_type: z.enum(["never", "after", "on"]).optional(),
-    occurrences: z.number().min(1, "Must occur at least once").optional(),
-    end_date: z.date().optional(),
-
-    // Hidden fields for edit context
-    _isExceptionEdit: z.boolean().optional().default(false),
-    _taskId: z.string().optional(),
-    _originalOccurrenceTimeUTC: z.string().optional(),
-    _exceptionId: z.string().optional(),
-  })
-
-  // --- Refinements for conditional validation ---
-  .refine(
-    (data) =>
-      data.frequency === "once" ||
-      (data.interval !== undefined && data.interval >= 1),
-    {
-      message: "Interval required & must be >= 1 for recurring",
-      path: ["interval"],
-    }
-  )
-  .refine((data) => data.frequency === "once" || data.end_type !== undefined, {
-    message: "End type required for recurring",
-    path: ["end_type"],
-  })
-  .refine(
-    (data) =>
-      !(
-        data.frequency !== "once" &&
-        data.end_type === "after" &&
-        (!data.occurrences || data.occurrences < 1)
-      ),
-    {
-      message: "Occurrences required when ending 'after'",
-      path: ["occurrences"],
-    }
-  )
-  .refine(
-    (data) =>
-      !(data.frequency !== "once" && data.end_type === "on" && !data.end_date),
-    {
-      message: "End date required when ending 'on'",
-      path: ["end_date"],
-    }
-  )
-  .refine(
-    (data) =>
-      !(
-        data.frequency !== "once" &&
-        data.end_type === "on" &&
-        data.end_date &&
-        dayjs(data.end_date).isBefore(dayjs(data.start_date), "day")
-      ),
-    {
-      message: "End date cannot be before start date",
-      path: ["end_date"],
-    }
-  );
+      start_time: z
+        .string()
+        .min(1, t("taskForm.errors.startTimeRequired"))
+        .regex(/^([01]\d|2[0-3]):([0-5]\d)$/, {
+          message: t("taskForm.errors.startTimeFormat"),
+        }),
+      duration_minutes: z
+        .number({
+          required_error: t("taskForm.errors.durationRequired"),
+          invalid_type_error: t("taskForm.errors.durationNumber"),
+        })
+        .min(1, t("taskForm.errors.durationMin")),
+
+      // Recurrence Fields
+      frequency: z.enum(["once", "daily", "weekly", "monthly", "yearly"], {
+        required_error: t("taskForm.errors.frequencyRequired"),
+      }),
+      interval: z.number().min(1, t("taskForm.errors.intervalMin")).optional(),
+      end_type: z.enum(["never", "after", "on"]).optional(),
+      occurrences: z
+        .number()
+        .min(1, t("taskForm.errors.occurrencesMin"))
+        .optional(),
+      keep_total_count: z.boolean().optional(),
+      end_date: z.date().optional(),
+      by_weekday: z.array(z.enum(WEEKDAY_CODES)).optional(),
+      times_of_day: z
+        .array(z.string().regex(/^([01]\d|2[0-3]):([0-5]\d)$/))
+        .optional(),
+      monthly_mode: z.enum(MONTHLY_MODES).optional(),
+      use_custom_rrule: z.boolean().optional(),
+      custom_rrule: z.string().optional(),
+      repeat_from: z.enum(["schedule", "completion"]).optional(),
+      schedule_type: z.enum(["fixed", "goal"]).optional(),
+      goal_target: z
+        .number()
+        .min(1, t("taskForm.errors.goalTargetMin"))
+        .optional(),
+      rdates: z.array(z.string()).optional(),
+      exdates: z.array(z.string()).optional(),
 
-// --- UI Options ---
+      // Hidden fields for edit context
+      _isExceptionEdit: z.boolean().optional().default(false),
+      _taskId: z.string().optional(),
+      _timezone: z.string().optional(),
+      _originalOccurrenceTimeUTC: z.string().optional(),
+      _exceptionId: z.string().optional(),
+    })
+
+    // --- Refinements for conditional validation ---
+    .refine(
+      (data) =>
+        data.frequency === "once" ||
+        (data.interval !== undefined && data.interval >= 1),
+      {
+        message: t("taskForm.errors.intervalRequired"),
+        path: ["interval"],
+      }
+    )
+    .refine(
+      (data) =>
+        data.frequency !== "weekly" ||
+        data.use_custom_rrule ||
+        data.schedule_type === "goal" ||
+        data.by_weekday?.length > 0,
+      {
+        message: t("taskForm.errors.weekdayRequired"),
+        path: ["by_weekday"],
+      }
+    )
+    .refine(
+      (data) => data.frequency === "once" || data.end_type !== undefined,
+      {
+        message: t("taskForm.errors.endTypeRequired"),
+        path: ["end_type"],
+      }
+    )
+    .refine(
+      (data) =>
+        !(
+          data.frequency !== "once" &&
+          data.end_type === "after" &&
+          (!data.occurrences || data.occurrences < 1)
+        ),
+      {
+        message: t("taskForm.errors.occurrencesRequired"),
+        path: ["occurrences"],
+      }
+    )
+    .refine(
+      (data) =>
+        !(
+          data.frequency !== "once" &&
+          data.end_type === "on" &&
+          !data.end_date
+        ),
+      {
+        message: t("taskForm.errors.endDateRequired"),
+        path: ["end_date"],
+      }
+    )
+    .refine(
+      (data) =>
+        !(
+          data.frequency !== "once" &&
+          data.end_type === "on" &&
+          data.end_date &&
+          dayjs(data.end_date).isBefore(dayjs(data.start_date), "day")
+        ),
+      {
+        message: t("taskForm.errors.endDateBeforeStart"),
+        path: ["end_date"],
+      }
+    )
+    .superRefine((data, ctx) => {
+      if (data.frequency === "once" || !data.use_custom_rrule) return;
+      try {
+        // Floating wall-clock start, the same clock the rule is expanded on
+        validateRRuleString(
+          data.custom_rrule ?? "",
+          new Date(
+            `${dayjs(data.start_date).format("YYYY-MM-DD")}T${data.start_time}:00Z`
+          ),
+          t
+        );
+      } catch (error) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: error.message,
+          path: ["custom_rrule"],
+        });
+      }
+    });
+
+// --- UI Options (labels are message keys) ---
 const durationOptions = [
-  { label: "15m", value: "15" },
-  { label: "30m", value: "30" },
-  { label: "45m", value: "45" },
-  { label: "1h", value: "60" },
-  { label: "1.5h", value: "90" },
-  { label: "2h", value: "120" },
-];
+  { label: "taskForm.duration.15", value: "15" },
+  { label: "taskForm.duration.30", value: "30" },
+  { label: "taskForm.duration.45", value: "45" },
+  { label: "taskForm.duration.60", value: "60" },
+  { label: "taskForm.duration.90", value: "90" },
+  { label: "taskForm.duration.120", value: "120" },
+] as const;
+
+const repeatFromOptions = [
+  { label: "taskForm.repeatFrom.schedule", value: "schedule" },
+  { label: "taskForm.repeatFrom.completion", value: "completion" },
+] as const;
+
+const scheduleTypeOptions = {
+  weekly: [
+    { label: "taskForm.scheduleType.weeklyFixed", value: "fixed" },
+    { label: "taskForm.scheduleType.weeklyGoal", value: "goal" },
+  ],
+  monthly: [
+    { label: "taskForm.scheduleType.monthlyFixed", value: "fixed" },
+    { label: "taskForm.scheduleType.monthlyGoal", value: "goal" },
+  ],
+} as const;
 
 const frequencyOptions = [
-  { label: "Once", value: "once" },
-  { label: "Daily", value: "daily" },
-  { label: "Weekly", value: "weekly" },
-  { label: "Monthly", value: "monthly" },
-];
+  { label: "taskForm.frequency.once", value: "once" },
+  { label: "taskForm.frequency.daily", value: "daily" },
+  { label: "taskForm.frequency.weekly", value: "weekly" },
+  { label: "taskForm.frequency.monthly", value: "monthly" },
+  { label: "taskForm.frequency.yearly", value: "yearly" },
+] as const;
+
+const endTypeOptions = [
+  { label: "taskForm.endType.never", value: "never" },
+  { label: "taskForm.endType.after", value: "after" },
+  { label: "taskForm.endType.on", value: "on" },
+] as const;
+
+// A heading like "Edit {noun}" with the noun highlighted
+const highlightNoun = (template: string, noun: string) => {
+  const [before, after = ""] = template.split("{noun}");
+  return (
+    <>
+      {before}
+      <span className="text-primary">{noun}</span>
+      {after}
+    </>
+  );
+};
+
+// Options with their labels in the user's language
+const translateOptions = (
+  t: Translator,
+  options: readonly { label: MessageKey; value: string }[]
+) => options.map(({ label, value }) => ({ label: t(label), value }));
+
+// Wait for the form to settle before checking for conflicts (ms)
+const CONFLICT_CHECK_DELAY_MS = 400;
+
+// Dates and times in the form are in the edited task's timezone; a new task
+// takes the device's
+const formTimeZone = (taskTimeZone?: string) =>
+  taskTimeZone || dayjs.tz.guess() || "UTC";
 // ---
 
 export function TaskForm({ selectedDate }) {
@@ -196,6 +345,7 @@ export function TaskForm({ selectedDate }) {
     isEditingTask: isEditing,
     taskFormValues: initialValues,
     setTaskForm,
+    runUndoable,
     tasks,
   } = useTaskStore();
 
@@ -208,6 +358,12 @@ export function TaskForm({ selectedDate }) {
   const [scopeActionType, setScopeActionType] = useState(null); // 'modify' or 'delete' (for modal text context)
   const [selectedScopeOption, setSelectedScopeOption] = useState(null); // 'single', 'future', 'all' (set by modal clicks)
   const [showRecurrenceOptions, setShowRecurrenceOptions] = useState(false);
+  const [conflictReport, setConflictReport] = useState(null); // Overlaps of the chosen slot
+  const [isFindingFreeSlot, setIsFindingFreeSlot] = useState(false);
+  const [freeSlotMessage, setFreeSlotMessage] = useState(null);
+
+  const t = useSettingsStore(selectTranslator);
+  const formSchema = useMemo(() => buildFormSchema(t), [t]);
 
   // --- React Hook Form Setup ---
   const {
@@ -226,16 +382,39 @@ export function TaskForm({ selectedDate }) {
   const formStartDate = watch("start_date");
   const isExceptionEditMode = watch("_isExceptionEdit");
   const taskIdToEdit = watch("_taskId"); // From initialValues if editing
+  const timeZone = formTimeZone(watch("_timezone"));
+  const byWeekday = watch("by_weekday");
+  const startTime = watch("start_time");
+  const useCustomRRule = watch("use_custom_rrule");
+  const customRRule = watch("custom_rrule");
+  const repeatFrom = watch("repeat_from");
+  const scheduleType = watch("schedule_type");
+  // "Every N days after I last did it": no fixed grid, end date or extra times
+  const isCompletionRelative =
+    frequency === "daily" && repeatFrom === "completion" && !useCustomRRule;
+  // "3 times per week": a target count per period, logged on any day
+  const isGoal =
+    (frequency === "weekly" || frequency === "monthly") &&
+    scheduleType === "goal" &&
+    !useCustomRRule;
+  const hasFixedSchedule = !isCompletionRelative && !isGoal;
+  const showTimesOfDay =
+    frequency !== "once" && !isExceptionEditMode && hasFixedSchedule;
 
-  // Time slots (Ensure HH:mm format)
-  // In TaskForm.tsx, update the timeSlots generation
+  const use24HourClock = useSettingsStore(selectUses24HourClock);
+
+  // Time slots every 15 minutes across the user's visible hours, which is
+  // also where "Find next free slot" looks (HH:mm; the wheel shows them in
+  // the user's clock format)
+  const dayStartHour = useSettingsStore(
+    (state) => state.settings.day_start_hour
+  );
+  const dayEndHour = useSettingsStore((state) => state.settings.day_end_hour);
   const timeSlots = useMemo(() => {
-    return Array.from({ length: (23 - 9) * 4 + 1 }, (_, i) => {
-      const hour = 9 + Math.floor(i / 4);
-      const minute = (i % 4) * 15;
-      return dayjs().hour(hour).minute(minute).format("hh:mm A"); // Changed to hh:mm A
-    });
-  }, []);
+    return Array.from({ length: (dayEndHour - dayStartHour) * 4 }, (_, i) =>
+      minutesToTimeString(dayStartHour * 60 + i * 15)
+    );
+  }, [dayStartHour, dayEndHour]);
 
   // --- Effects ---
 
@@ -251,6 +430,200 @@ export function TaskForm({ selectedDate }) {
     }
   }, [frequency, isExceptionEditMode, setValue]);
 
+  // Default weekly rules to the weekday of the start date, once, when the
+  // frequency becomes weekly; unticking every day afterwards is left to the
+  // "pick at least one day" validation
+  const previousFrequency = useRef(frequency);
+  useEffect(() => {
+    const becameWeekly =
+      frequency === "weekly" && previousFrequency.current !== "weekly";
+    previousFrequency.current = frequency;
+    if (becameWeekly && !byWeekday?.length && formStartDate) {
+      setValue("by_weekday", [weekdayCodeFromDate(dayjs(formStartDate))]);
+    }
+  }, [frequency, byWeekday, formStartDate, setValue]);
+
+  // Payload and context for a conflict check of the current form values
+  const buildConflictCheck = useCallback(() => {
+    const formValues = watch();
+    if (!formValues.start_date || !formValues.start_time) return null;
+    // The title isn't part of the schedule and may not be filled in yet
+    const values = { ...formValues, title: "" } as TaskFormValues;
+    const tz = formTimeZone(formValues._timezone);
+    const payload = formValues._isExceptionEdit
+      ? {
+          ...buildTaskBasePayload(values, tz),
+          recurrence: { frequency: "once" },
+        }
+      : values._taskId
+        ? buildTaskUpdatePayload(values, tz)
+        : buildTaskCreatePayload(values, tz);
+    return {
+      payload,
+      options: {
+        taskId: values._taskId ?? null,
+        occurrenceTimeUTC: formValues._isExceptionEdit
+          ? (values._originalOccurrenceTimeUTC ?? null)
+          : null,
+      },
+    };
+  }, [watch]);
+
+  // Warn when the chosen slot overlaps other tasks (checked on the server,
+  // which reports the same thing when the task is saved)
+  const conflictCheckKey = JSON.stringify({
+    ...watch(),
+    title: undefined,
+    icon_name: undefined,
+  });
+  useEffect(() => {
+    setConflictReport(null);
+    setFreeSlotMessage(null);
+    if (!isOpen || isGoal) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      const check = buildConflictCheck();
+      if (!check) return;
+      try {
+        const report = await checkTaskConflictsAction(
+          check.payload,
+          check.options
+        );
+        if (!cancelled) setConflictReport(report);
+      } catch (error) {
+        // Incomplete values fail validation; the form reports those on submit
+        console.warn("Conflict check failed:", error?.message);
+      }
+    }, CONFLICT_CHECK_DELAY_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [conflictCheckKey, isOpen, isGoal, buildConflictCheck]);
+
+  // Moves the task to the next start time that doesn't overlap anything
+  const handleFindFreeSlot = async () => {
+    const check = buildConflictCheck();
+    if (!check) return;
+    setIsFindingFreeSlot(true);
+    setFreeSlotMessage(null);
+    try {
+      const { nextFreeSlot } = await checkTaskConflictsAction(check.payload, {
+        ...check.options,
+        findFreeSlot: true,
+        hours: { startHour: dayStartHour, endHour: dayEndHour },
+      });
+      if (!nextFreeSlot) {
+        setFreeSlotMessage(t("taskForm.freeSlot.none"));
+        return;
+      }
+      setValue("start_date", dayjs(nextFreeSlot.start_date).toDate(), {
+        shouldDirty: true,
+      });
+      setValue("start_time", nextFreeSlot.start_time, { shouldDirty: true });
+    } catch (error) {
+      console.error("Finding a free slot failed:", error);
+      setFreeSlotMessage(error?.message || t("taskForm.freeSlot.failed"));
+    } finally {
+      setIsFindingFreeSlot(false);
+    }
+  };
+
+  // Live description and next occurrences for the Advanced RRULE editor
+  const customRRulePreview = useMemo(() => {
+    if (!useCustomRRule || !formStartDate || !startTime) return null;
+    const dtstart = dayjs.tz(
+      `${dayjs(formStartDate).format("YYYY-MM-DD")} ${startTime}`,
+      "YYYY-MM-DD HH:mm",
+      timeZone
+    );
+    try {
+      const { text, occurrences } = previewRRule(
+        customRRule ?? "",
+        dtstart.toISOString(),
+        timeZone,
+        t
+      );
+      return {
+        text,
+        occurrences: occurrences.map((date) =>
+          dayjs
+            .utc(date)
+            .tz(timeZone)
+            .format(`ddd, ll ${timePattern(use24HourClock)}`)
+        ),
+        error: null,
+      };
+    } catch (error) {
+      return { text: null, occurrences: [], error: error.message };
+    }
+  }, [
+    useCustomRRule,
+    customRRule,
+    formStartDate,
+    startTime,
+    timeZone,
+    use24HourClock,
+    t,
+  ]);
+
+  // The rule the simple recurrence controls describe (throws on incomplete values)
+  const buildSimpleRRuleOptions = () => {
+    const localStart = dayjs.tz(
+      `${dayjs(formStartDate).format("YYYY-MM-DD")} ${startTime}`,
+      "YYYY-MM-DD HH:mm",
+      timeZone
+    );
+    const values = watch();
+    return buildRRuleOptions(
+      {
+        frequency: values.frequency,
+        interval: values.interval,
+        end_type: values.end_type,
+        occurrences: values.occurrences,
+        end_date: values.end_date
+          ? dayjs(values.end_date).format("YYYY-MM-DD")
+          : undefined,
+        by_weekday: values.by_weekday,
+        monthly_mode: values.monthly_mode,
+      },
+      localStart,
+      timeZone,
+      useSettingsStore.getState().settings.week_start,
+      t
+    );
+  };
+
+  // Summary of the simple controls, e.g. "Every 2 weeks on Monday, 5 times"
+  let recurrenceSummary = null;
+  if (showRecurrenceOptions && hasFixedSchedule && !useCustomRRule) {
+    try {
+      const options = buildSimpleRRuleOptions();
+      recurrenceSummary = options && describeRRule(options, t);
+    } catch {
+      // Incomplete values; the form reports those on submit
+    }
+  }
+
+  // Switching to the Advanced editor starts from the rule the simple controls describe
+  const toggleCustomRRule = () => {
+    const enable = !useCustomRRule;
+    if (enable && !customRRule?.trim()) {
+      try {
+        const options = buildSimpleRRuleOptions();
+        if (options) {
+          setValue(
+            "custom_rrule",
+            RRule.optionsToString(options).replace(/^RRULE:/, "")
+          );
+        }
+      } catch {
+        // Leave the editor empty; the user can type a rule from scratch
+      }
+    }
+    setValue("use_custom_rrule", enable, { shouldDirty: true });
+  };
+
   // Trigger validation for dependent recurrence fields
   useEffect(() => {
     if (frequency !== "once" && !isExceptionEditMode) {
@@ -264,19 +637,34 @@ export function TaskForm({ selectedDate }) {
       const defaultStartDate = selectedDate
         ? dayjs(selectedDate).toDate()
         : new Date();
+      // Read once per opening, so a change synced mid-edit doesn't reset the form
+      const { settings } = useSettingsStore.getState();
 
       const baseDefaults = {
         title: "",
         start_date: defaultStartDate,
         start_time: "09:00",
-        duration_minutes: 30,
+        icon_name: settings.default_icon_name,
+        duration_minutes: settings.default_duration_minutes,
         frequency: "once",
         interval: 1,
         end_type: "never",
         occurrences: 10,
+        keep_total_count: false,
         end_date: dayjs().add(1, "month").toDate(),
+        by_weekday: [],
+        monthly_mode: "day_of_month",
+        times_of_day: [],
+        use_custom_rrule: false,
+        custom_rrule: "",
+        repeat_from: "schedule",
+        schedule_type: "fixed",
+        goal_target: 3,
+        rdates: [],
+        exdates: [],
         _isExceptionEdit: false,
         _taskId: undefined,
+        _timezone: undefined,
         _originalOccurrenceTimeUTC: undefined,
         _exceptionId: undefined,
       };
@@ -300,6 +688,7 @@ export function TaskForm({ selectedDate }) {
                   : baseDefaults.start_time,
               _isExceptionEdit: initialValues._isExceptionEdit === true,
               _taskId: initialValues._taskId ?? undefined,
+              _timezone: initialValues._timezone ?? undefined,
               _originalOccurrenceTimeUTC:
                 initialValues._originalOccurrenceTimeUTC ?? undefined,
               _exceptionId: initialValues._exceptionId ?? undefined,
@@ -341,22 +730,13 @@ export function TaskForm({ selectedDate }) {
         data.start_time = parsedTime.format("HH:mm");
         setValue("start_time", data.start_time); // Update form value if parsed
       } else {
-        setFormError("Invalid start time. Please select time in HH:mm format.");
+        setFormError(t("taskForm.errors.invalidStartTime"));
         return;
       }
     }
 
-    // --- 2. Prepare Base Payload ---
-    // These fields are common to most actions
-    const guessedTimezone = dayjs.tz.guess() || "UTC";
-    const basePayload = {
-      title: data.title.trim(), // Trim title whitespace
-      start_date: dayjs(data.start_date).format("YYYY-MM-DD"), // Format date
-      start_time: data.start_time, // Use validated HH:mm time
-      duration_minutes: data.duration_minutes,
-      icon_name: data.icon_name,
-      timezone: guessedTimezone, // Pass timezone for server-side dtstart calculation
-    };
+    // --- 2. Timezone for the payloads ---
+    const payloadTimezone = formTimeZone(data._timezone);
 
     // --- 3. Differentiate Logic based on Mode ---
     // Use isEditing prop and hidden form field _isExceptionEdit
@@ -366,26 +746,10 @@ export function TaskForm({ selectedDate }) {
       // --- EDIT MODE ---
 
       // Prepare the payload containing all form changes
-      const updatePayload = {
-        ...basePayload, // title, start_date, start_time, duration, timezone
-        recurrence: {
-          // Include recurrence fields for the action
-          frequency: data.frequency,
-          interval: data.interval,
-          end_type: data.end_type,
-          occurrences: data.occurrences,
-          end_date: data.end_date
-            ? dayjs(data.end_date).format("YYYY-MM-DD")
-            : undefined,
-        },
-        // Pass context needed for 'single'/'future' scope handling in action/confirmation
-        _originalOccurrenceTimeUTC: data._originalOccurrenceTimeUTC,
-        _exceptionId: data._exceptionId,
-        _taskId: data._taskId, // Ensure taskId is in payload if needed by action directly
-      };
+      const updatePayload = buildTaskUpdatePayload(data, payloadTimezone);
 
       // Check if the parent task (identified by _taskId) is recurring
-      const parentTask = tasks.find((t) => t.id === data._taskId); // Use data._taskId
+      const parentTask = tasks.find((task) => task.id === data._taskId); // Use data._taskId
       const isParentRecurring = !!parentTask?.rrule;
 
       if (isParentRecurring) {
@@ -404,26 +768,7 @@ export function TaskForm({ selectedDate }) {
       }
     } else {
       // * --- CREATING NEW TASK ---
-      const createPayload = {
-        ...basePayload, // Title, start date/time, duration, timezone
-        // Pass recurrence details object for action to parse
-        recurrence: {
-          frequency: data.frequency,
-          // Only include recurrence details if frequency is not 'once'
-          ...(data.frequency !== "once" && {
-            interval: data.interval || 1, // Default interval if not set but recurring
-            end_type: data.end_type || "never", // Default end_type
-            ...(data.end_type === "after" && { occurrences: data.occurrences }),
-            ...(data.end_type === "on" && {
-              end_date: data.end_date
-                ? dayjs(data.end_date).format("YYYY-MM-DD")
-                : undefined,
-            }),
-          }),
-          // Ensure frequency is always present even if 'once'
-          ...(data.frequency === "once" && { frequency: "once" }),
-        },
-      };
+      const createPayload = buildTaskCreatePayload(data, payloadTimezone);
       await executeSubmit(createTaskAction, createPayload, null);
     }
   };
@@ -433,7 +778,7 @@ export function TaskForm({ selectedDate }) {
     // ****** Ensure closeForm is valid before proceeding ******
     if (typeof closeForm !== "function") {
       console.error("TaskForm Error: closeForm action is not available!");
-      setFormError("Internal configuration error. Cannot close form.");
+      setFormError(t("taskForm.errors.cannotClose"));
       setIsSubmitting(false);
       return;
     }
@@ -451,30 +796,32 @@ export function TaskForm({ selectedDate }) {
         await action(payload);
       } else if (action === modifyTaskOccurrenceAction) {
         console.log("Modifying occurrence with payload:", payload);
-        await action(payload);
+        await runUndoable(t("taskForm.occurrenceUpdated"), (undoId) =>
+          action(payload, { undoId })
+        );
       } else if (action === updateTaskDefinitionAction) {
         console.log("Updating task with payload:", payload);
         console.log("Updating task with scope:", scope);
         // Ensure taskIdToEdit is available for update definition calls
         const idToUpdate = taskIdToEdit || payload?._taskId; // Get ID from context or payload
-        if (!idToUpdate)
-          throw new Error("Task ID missing for definition update.");
-        await action(idToUpdate, payload, scope); // Pass ID, payload, scope
+        if (!idToUpdate) throw new Error(t("taskForm.errors.missingTaskId"));
+        await runUndoable(t("taskForm.taskUpdated"), (undoId) =>
+          action(idToUpdate, payload, scope, { undoId })
+        ); // Pass ID, payload, scope
       } else {
-        throw new Error("Unknown action type.");
+        throw new Error(t("taskForm.errors.unknownAction"));
       }
 
-      console.log(
-        `Task ${isEditing ? (isExceptionEditMode ? "occurrence updated" : "updated") : "created"}!`
-      );
-      // toast.success(
-      //   `Task ${isEditing ? (isExceptionEditMode ? "occurrence updated" : "updated") : "created"}!`
-      // );
       closeForm();
     } catch (error) {
       console.error("Submission Execute Error:", error);
       const message =
-        error?.message || `Failed to ${isEditing ? "update" : "create"} task.`;
+        error?.message ||
+        t(
+          isEditing
+            ? "taskForm.errors.updateFailed"
+            : "taskForm.errors.createFailed"
+        );
       setFormError(message);
       // toast.error(message);
     } finally {
@@ -486,6 +833,30 @@ export function TaskForm({ selectedDate }) {
     }
   };
 
+  // Previews what the selected scope would change, via the actions' dry runs
+  const getScopeImpact = useCallback(
+    async (scope) => {
+      if (!pendingPayload?._taskId) return null;
+      if (scope === "single") {
+        return {
+          occurrences: 1,
+          completionsDeleted: 0,
+          overridesDeleted: 0,
+          overridesMoved: 0,
+          newEndDate: null,
+        };
+      }
+      const { impact } = await updateTaskDefinitionAction(
+        pendingPayload._taskId,
+        pendingPayload,
+        scope,
+        { dryRun: true }
+      );
+      return impact;
+    },
+    [pendingPayload]
+  );
+
   // ****** CHANGE: Handles confirmation from RecurrenceActionModal ******
   // This is now called when the user clicks the main confirm button in the modal,
   // after having selected an option (single/future/all).
@@ -517,11 +888,11 @@ export function TaskForm({ selectedDate }) {
       const originalTime = pendingPayload._originalOccurrenceTimeUTC;
       const taskId = pendingPayload._taskId;
       if (!originalTime || !taskId) {
-        setFormError("Missing context.");
+        setFormError(t("taskForm.errors.missingContext"));
         return;
       }
 
-      const tz = pendingPayload.timezone || dayjs.tz.guess() || "UTC";
+      const tz = formTimeZone(pendingPayload.timezone);
 
       payloadForAction = {
         // Overwrite payload entirely for modify action
@@ -564,7 +935,7 @@ export function TaskForm({ selectedDate }) {
           <Drawer.Overlay className="fixed inset-0 bg-black/50" />
           <Drawer.Content className="fixed inset-0  z-[50]">
             <Drawer.Title className="hidden font-medium mb-4 text-gray-900">
-              Task form
+              {t("taskForm.drawerTitle")}
             </Drawer.Title>
             <form
               onSubmit={handleSubmit(onSubmit)}
@@ -573,25 +944,19 @@ export function TaskForm({ selectedDate }) {
               {/* Header */}
               <div className="flex items-center justify-between p-4 sm:p-5 border-b border-gray-700/50 flex-shrink-0">
                 <h1 className="text-white text-xl sm:text-2xl font-semibold">
-                  {isEditing ? (
-                    isExceptionEditMode ? (
-                      <>
-                        Edit <span className="text-primary">Occurrence</span>
-                      </>
-                    ) : (
-                      <>
-                        Edit <span className="text-primary">Task</span>
-                      </>
+                  {highlightNoun(
+                    t(isEditing ? "taskForm.title.edit" : "taskForm.title.new"),
+                    t(
+                      isExceptionEditMode
+                        ? "taskForm.title.occurrence"
+                        : "taskForm.title.task"
                     )
-                  ) : (
-                    <>
-                      New <span className="text-primary">Task</span>
-                    </>
                   )}
                 </h1>
                 <button
                   type="button"
                   onClick={closeForm}
+                  aria-label={t("taskForm.close")}
                   className="rounded-full p-1.5 text-gray-400 hover:text-white hover:bg-gray-700/60 transition-colors"
                 >
                   <X size={20} />
@@ -618,7 +983,7 @@ export function TaskForm({ selectedDate }) {
                     render={({ field }) => (
                       <Input
                         {...field}
-                        placeholder="Task name"
+                        placeholder={t("taskForm.namePlaceholder")}
                         className="text-xl sm:text-2xl flex-grow"
                       />
                     )}
@@ -627,7 +992,7 @@ export function TaskForm({ selectedDate }) {
                 {/* Time Picker & Start Date */}
                 <div>
                   <h3 className="text-lg sm:text-xl font-semibold text-gray-300 mb-3 sm:mb-4">
-                    When
+                    {t("taskForm.when")}
                   </h3>
                   <Controller
                     name="start_time"
@@ -641,6 +1006,7 @@ export function TaskForm({ selectedDate }) {
                           itemHeight={40}
                           duration={watch("duration_minutes")}
                           defaultValue={field.value}
+                          use24HourClock={use24HourClock}
                         />
                         {errors.start_time && (
                           <p className="text-red-400 text-xs mt-2 text-center">
@@ -651,6 +1017,78 @@ export function TaskForm({ selectedDate }) {
                     )}
                   />
 
+                  {/* Multiple times per day (recurring only) */}
+                  {showTimesOfDay && (
+                    <Controller
+                      name="times_of_day"
+                      control={control}
+                      render={({ field }) => {
+                        const times = normalizeTimesOfDay(field.value);
+                        return (
+                          <div className="mt-4 space-y-2">
+                            <div className="flex flex-wrap items-center gap-2">
+                              {times.map((time) => (
+                                <span
+                                  key={time}
+                                  className="flex items-center gap-1 rounded-full bg-zinc-800 px-3 py-1 text-sm text-white"
+                                >
+                                  {formatTimeOfDay(time, use24HourClock)}
+                                  <button
+                                    type="button"
+                                    aria-label={t("taskForm.removeTime", {
+                                      time: formatTimeOfDay(
+                                        time,
+                                        use24HourClock
+                                      ),
+                                    })}
+                                    onClick={() =>
+                                      field.onChange(
+                                        times.filter(
+                                          (existing) => existing !== time
+                                        )
+                                      )
+                                    }
+                                    className="text-gray-400 hover:text-white"
+                                  >
+                                    <X size={14} />
+                                  </button>
+                                </span>
+                              ))}
+                              <Button
+                                type="button"
+                                variant="ghost"
+                                size="sm"
+                                disabled={
+                                  !startTime || times.includes(startTime)
+                                }
+                                onClick={() =>
+                                  field.onChange(
+                                    normalizeTimesOfDay([...times, startTime])
+                                  )
+                                }
+                                className="rounded-full bg-zinc-900/50 text-rose-400 hover:bg-rose-400/10 hover:text-rose-300"
+                              >
+                                {startTime
+                                  ? t("taskForm.addTime", {
+                                      time: formatTimeOfDay(
+                                        startTime,
+                                        use24HourClock
+                                      ),
+                                    })
+                                  : t("taskForm.addAnyTime")}
+                              </Button>
+                            </div>
+                            {times.length === 1 && (
+                              <p className="text-xs text-gray-400">
+                                {t("taskForm.timesOfDayHint")}
+                              </p>
+                            )}
+                          </div>
+                        );
+                      }}
+                    />
+                  )}
+
                   {/* Start Date Picker */}
                   <Controller
                     name="start_date"
@@ -665,10 +1103,8 @@ export function TaskForm({ selectedDate }) {
                                   <CalendarIcon className="w-4 h-4 sm:w-5 sm:h-5" />
                                   <span>
                                     {field.value
-                                      ? dayjs(field.value).format(
-                                          "MMMM D, YYYY"
-                                        )
-                                      : "Select Start Date"}
+                                      ? dayjs(field.value).format("LL")
+                                      : t("taskForm.selectStartDate")}
                                   </span>
                                   {isStartDatePickerOpen ? (
                                     <ChevronUp className="w-4 h-4" />
@@ -716,7 +1152,7 @@ export function TaskForm({ selectedDate }) {
                 {/* Duration Picker */}
                 <div>
                   <h3 className="text-lg sm:text-xl font-semibold text-gray-300 mb-3 sm:mb-4">
-                    Duration
+                    {t("taskForm.duration")}
                   </h3>
                   <Controller
                     name="duration_minutes"
@@ -724,7 +1160,7 @@ export function TaskForm({ selectedDate }) {
                     render={({ field }) => (
                       <>
                         <SegmentedControl
-                          data={durationOptions}
+                          data={translateOptions(t, durationOptions)}
                           value={String(field.value ?? 30)}
                           onChange={(v) => field.onChange(Number(v))}
                           fullWidth
@@ -746,14 +1182,14 @@ export function TaskForm({ selectedDate }) {
                   }
                 >
                   <h3 className="text-lg sm:text-xl font-semibold text-gray-300 mb-3 sm:mb-4">
-                    How often?
+                    {t("taskForm.howOften")}
                   </h3>
                   <Controller
                     name="frequency"
                     control={control}
                     render={({ field }) => (
                       <SegmentedControl
-                        data={frequencyOptions}
+                        data={translateOptions(t, frequencyOptions)}
                         value={field.value ?? "once"}
                         onChange={field.onChange}
                         fullWidth
@@ -769,8 +1205,7 @@ export function TaskForm({ selectedDate }) {
                   )}
                   {isExceptionEditMode && (
                     <p className="text-xs text-amber-400 mt-1">
-                      Recurrence cannot be changed when editing a single
-                      occurrence.
+                      {t("taskForm.recurrenceLocked")}
                     </p>
                   )}
                 </div>
@@ -778,191 +1213,495 @@ export function TaskForm({ selectedDate }) {
                 {showRecurrenceOptions && (
                   <div className="space-y-4 sm:space-y-6 border-t border-gray-700/50 pt-4 sm:pt-6">
                     <h3 className="text-lg sm:text-xl font-semibold text-gray-300">
-                      Recurrence Settings
+                      {t("taskForm.recurrenceSettings")}
                     </h3>
-                    {/* Interval */}
-                    <div>
-                      <Controller
-                        name="interval"
-                        control={control}
-                        render={({ field }) => (
+                    {recurrenceSummary && (
+                      <p className="text-sm text-white">{recurrenceSummary}</p>
+                    )}
+                    {!useCustomRRule && (
+                      <>
+                        {/* Repeat from (daily only) */}
+                        {frequency === "daily" && (
                           <div>
-                            <label
-                              htmlFor="intervalInput"
-                              className="text-sm text-gray-400 block mb-1.5 sm:mb-2"
-                            >
-                              Repeat every
+                            <label className="text-sm text-gray-400 block mb-1.5 sm:mb-2">
+                              {t("taskForm.repeat")}
                             </label>
-                            <div className="flex items-center gap-2">
-                              <Input
-                                id="intervalInput"
-                                type="number"
-                                min="1"
-                                step="1"
-                                className="w-20 bg-zinc-800 border-gray-700 focus:border-rose-500 focus:ring-rose-500 text-white rounded-md"
-                                {...field}
-                                onChange={(e) => {
-                                  const val = parseInt(e.target.value, 10);
-                                  field.onChange(
-                                    isNaN(val) || val < 1 ? 1 : val
-                                  );
-                                }}
-                                value={field.value ?? ""} // Use empty string for better controlled input handling
-                              />
-                              <span className="text-gray-400 text-sm">
-                                {frequency === "daily" &&
-                                  `day${(field.value ?? 1) > 1 ? "s" : ""}`}
-                                {frequency === "weekly" &&
-                                  `week${(field.value ?? 1) > 1 ? "s" : ""}`}
-                                {frequency === "monthly" &&
-                                  `month${(field.value ?? 1) > 1 ? "s" : ""}`}
-                              </span>
-                            </div>
+                            <Controller
+                              name="repeat_from"
+                              control={control}
+                              render={({ field }) => (
+                                <SegmentedControl
+                                  data={translateOptions(t, repeatFromOptions)}
+                                  value={field.value ?? "schedule"}
+                                  onChange={field.onChange}
+                                  fullWidth
+                                />
+                              )}
+                            />
                           </div>
                         )}
-                      />
-                      {errors.interval && (
-                        <p className="text-red-400 text-xs mt-1">
-                          {errors.interval.message}
-                        </p>
-                      )}
-                    </div>
 
-                    {/* End Type */}
-                    <div>
-                      <label className="text-sm text-gray-400 block mb-1.5 sm:mb-2">
-                        Ends
-                      </label>
-                      <Controller
-                        name="end_type"
-                        control={control}
-                        render={({ field }) => (
-                          <SegmentedControl
-                            data={[
-                              { label: "Never", value: "never" },
-                              { label: "After", value: "after" },
-                              { label: "On Date", value: "on" },
-                            ]}
-                            value={field.value ?? "never"}
-                            onChange={field.onChange}
-                            fullWidth
-                          />
+                        {/* Schedule type (weekly/monthly only) */}
+                        {(frequency === "weekly" ||
+                          frequency === "monthly") && (
+                          <div>
+                            <label className="text-sm text-gray-400 block mb-1.5 sm:mb-2">
+                              {t("taskForm.schedule")}
+                            </label>
+                            <Controller
+                              name="schedule_type"
+                              control={control}
+                              render={({ field }) => (
+                                <SegmentedControl
+                                  data={translateOptions(
+                                    t,
+                                    scheduleTypeOptions[frequency]
+                                  )}
+                                  value={field.value ?? "fixed"}
+                                  onChange={field.onChange}
+                                  fullWidth
+                                />
+                              )}
+                            />
+                          </div>
                         )}
-                      />
-                      {errors.end_type && (
-                        <p className="text-red-400 text-xs mt-1">
-                          {errors.end_type.message}
-                        </p>
-                      )}
-                    </div>
 
-                    {/* Occurrences */}
-                    {endType === "after" && (
-                      <div>
-                        <Controller
-                          name="occurrences"
-                          control={control}
-                          render={({ field }) => (
-                            <div>
-                              <label
-                                htmlFor="occurrencesInput"
-                                className="text-sm text-gray-400 block mb-1.5 sm:mb-2"
-                              >
-                                Number of occurrences
-                              </label>
-                              <Input
-                                id="occurrencesInput"
-                                type="number"
-                                min="1"
-                                step="1"
-                                className="w-full bg-zinc-800 border-gray-700 focus:border-rose-500 focus:ring-rose-500 text-white rounded-md"
-                                {...field}
-                                onChange={(e) => {
-                                  const val = parseInt(e.target.value, 10);
-                                  field.onChange(
-                                    isNaN(val) || val < 1 ? 1 : val
-                                  );
-                                }}
-                                value={field.value ?? ""}
-                              />
-                            </div>
-                          )}
-                        />
-                        {errors.occurrences && (
-                          <p className="text-red-400 text-xs mt-1">
-                            {errors.occurrences.message}
-                          </p>
+                        {/* Goal target (goal schedule only) */}
+                        {isGoal && (
+                          <div>
+                            <Controller
+                              name="goal_target"
+                              control={control}
+                              render={({ field }) => (
+                                <div>
+                                  <label
+                                    htmlFor="goalTargetInput"
+                                    className="text-sm text-gray-400 block mb-1.5 sm:mb-2"
+                                  >
+                                    {t("taskForm.target")}
+                                  </label>
+                                  <div className="flex items-center gap-2">
+                                    <Input
+                                      id="goalTargetInput"
+                                      type="number"
+                                      min="1"
+                                      step="1"
+                                      className="w-20 bg-zinc-800 border-gray-700 focus:border-rose-500 focus:ring-rose-500 text-white rounded-md"
+                                      {...field}
+                                      onChange={(e) => {
+                                        const val = parseInt(
+                                          e.target.value,
+                                          10
+                                        );
+                                        field.onChange(
+                                          isNaN(val) || val < 1 ? 1 : val
+                                        );
+                                      }}
+                                      value={field.value ?? ""}
+                                    />
+                                    <span className="text-gray-400 text-sm">
+                                      {t(
+                                        frequency === "weekly"
+                                          ? "taskForm.goal.perWeek"
+                                          : "taskForm.goal.perMonth",
+                                        { count: field.value ?? 1 }
+                                      )}
+                                    </span>
+                                  </div>
+                                </div>
+                              )}
+                            />
+                            {errors.goal_target && (
+                              <p className="text-red-400 text-xs mt-1">
+                                {errors.goal_target.message}
+                              </p>
+                            )}
+                          </div>
                         )}
-                      </div>
-                    )}
 
-                    {/* End Date */}
-                    {endType === "on" && (
-                      <div>
-                        <Controller
-                          name="end_date"
-                          control={control}
-                          render={({ field }) => (
-                            <>
-                              <div className="flex flex-col items-center mt-4 sm:mt-6">
-                                <Drawer.NestedRoot>
-                                  <Drawer.Trigger className="rounded-md mt-4 w-full bg-gray-900 px-3.5 py-2.5 text-sm font-semibold text-white shadow-sm hover:bg-gray-800 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-gray-600">
-                                    <div className="flex justify-center items-center gap-2">
-                                      <span className="flex items-center gap-2 text-center text-rose-400 px-4 py-2 rounded-lg hover:bg-gray-800/60 transition-colors text-sm sm:text-base">
-                                        <CalendarIcon className="w-4 h-4 sm:w-5 sm:h-5" />
-                                        <span>
-                                          {field.value
-                                            ? dayjs(field.value).format(
-                                                "MMMM D, YYYY"
-                                              )
-                                            : "Select End Date"}
-                                        </span>
-                                        {isEndDatePickerOpen ? (
-                                          <ChevronUp className="w-4 h-4" />
-                                        ) : (
-                                          <ChevronDown className="w-4 h-4" />
+                        {/* Interval */}
+                        {!isGoal && (
+                          <div>
+                            <Controller
+                              name="interval"
+                              control={control}
+                              render={({ field }) => (
+                                <div>
+                                  <label
+                                    htmlFor="intervalInput"
+                                    className="text-sm text-gray-400 block mb-1.5 sm:mb-2"
+                                  >
+                                    {t("taskForm.repeatEvery")}
+                                  </label>
+                                  <div className="flex items-center gap-2">
+                                    <Input
+                                      id="intervalInput"
+                                      type="number"
+                                      min="1"
+                                      step="1"
+                                      className="w-20 bg-zinc-800 border-gray-700 focus:border-rose-500 focus:ring-rose-500 text-white rounded-md"
+                                      {...field}
+                                      onChange={(e) => {
+                                        const val = parseInt(
+                                          e.target.value,
+                                          10
+                                        );
+                                        field.onChange(
+                                          isNaN(val) || val < 1 ? 1 : val
+                                        );
+                                      }}
+                                      value={field.value ?? ""} // Use empty string for better controlled input handling
+                                    />
+                                    <span className="text-gray-400 text-sm">
+                                      {frequency === "daily" &&
+                                        t(
+                                          isCompletionRelative
+                                            ? "taskForm.interval.daysAfterCompletion"
+                                            : "taskForm.interval.days",
+                                          { count: field.value ?? 1 }
                                         )}
-                                      </span>
-                                    </div>
-                                  </Drawer.Trigger>
-                                  <Drawer.Portal>
-                                    <Drawer.Overlay className="fixed inset-0 bg-black/40" />
-                                    <Drawer.Content className="h-fit fixed bottom-0 left-0 right-0 outline-none shadow-lg z-[50]">
-                                      <Drawer.Title className="hidden">
-                                        Form datepicker
-                                      </Drawer.Title>
+                                      {frequency === "weekly" &&
+                                        t("taskForm.interval.weeks", {
+                                          count: field.value ?? 1,
+                                        })}
+                                      {frequency === "monthly" &&
+                                        t("taskForm.interval.months", {
+                                          count: field.value ?? 1,
+                                        })}
+                                      {frequency === "yearly" &&
+                                        t("taskForm.interval.years", {
+                                          count: field.value ?? 1,
+                                          date: new Intl.DateTimeFormat(
+                                            t.locale,
+                                            { month: "long", day: "numeric" }
+                                          ).format(formStartDate ?? new Date()),
+                                        })}
+                                    </span>
+                                  </div>
+                                </div>
+                              )}
+                            />
+                            {errors.interval && (
+                              <p className="text-red-400 text-xs mt-1">
+                                {errors.interval.message}
+                              </p>
+                            )}
+                          </div>
+                        )}
+
+                        {/* Weekdays (weekly only) */}
+                        {frequency === "weekly" && !isGoal && (
+                          <div>
+                            <label className="text-sm text-gray-400 block mb-1.5 sm:mb-2">
+                              {t("taskForm.on")}
+                            </label>
+                            <Controller
+                              name="by_weekday"
+                              control={control}
+                              render={({ field }) => (
+                                <WeekdayPicker
+                                  value={field.value ?? []}
+                                  onChange={field.onChange}
+                                />
+                              )}
+                            />
+                            {errors.by_weekday && (
+                              <p className="text-red-400 text-xs mt-1">
+                                {errors.by_weekday.message}
+                              </p>
+                            )}
+                          </div>
+                        )}
+
+                        {/* Monthly mode (monthly only) */}
+                        {frequency === "monthly" && !isGoal && (
+                          <div>
+                            <label className="text-sm text-gray-400 block mb-1.5 sm:mb-2">
+                              {t("taskForm.repeatOn")}
+                            </label>
+                            <Controller
+                              name="monthly_mode"
+                              control={control}
+                              render={({ field }) => (
+                                <div className="grid grid-cols-2 gap-2">
+                                  {MONTHLY_MODES.map((mode) => (
+                                    <Button
+                                      key={mode}
+                                      type="button"
+                                      variant="ghost"
+                                      onClick={() => field.onChange(mode)}
+                                      className={`h-auto py-3 text-sm whitespace-normal hover:text-white ${
+                                        (field.value ?? "day_of_month") === mode
+                                          ? "bg-rose-400 text-white hover:bg-rose-500"
+                                          : "bg-zinc-900/50 text-gray-300 hover:bg-rose-400/10"
+                                      }`}
+                                    >
+                                      {describeMonthlyMode(
+                                        mode,
+                                        dayjs(formStartDate ?? new Date()),
+                                        t
+                                      )}
+                                    </Button>
+                                  ))}
+                                </div>
+                              )}
+                            />
+                          </div>
+                        )}
+
+                        {/* End Type */}
+                        {hasFixedSchedule && (
+                          <div>
+                            <label className="text-sm text-gray-400 block mb-1.5 sm:mb-2">
+                              {t("taskForm.ends")}
+                            </label>
+                            <Controller
+                              name="end_type"
+                              control={control}
+                              render={({ field }) => (
+                                <SegmentedControl
+                                  data={translateOptions(t, endTypeOptions)}
+                                  value={field.value ?? "never"}
+                                  onChange={field.onChange}
+                                  fullWidth
+                                />
+                              )}
+                            />
+                            {errors.end_type && (
+                              <p className="text-red-400 text-xs mt-1">
+                                {errors.end_type.message}
+                              </p>
+                            )}
+                          </div>
+                        )}
+
+                        {/* Occurrences */}
+                        {endType === "after" && hasFixedSchedule && (
+                          <div>
+                            <Controller
+                              name="occurrences"
+                              control={control}
+                              render={({ field }) => (
+                                <div>
+                                  <label
+                                    htmlFor="occurrencesInput"
+                                    className="text-sm text-gray-400 block mb-1.5 sm:mb-2"
+                                  >
+                                    {t("taskForm.occurrences")}
+                                  </label>
+                                  <Input
+                                    id="occurrencesInput"
+                                    type="number"
+                                    min="1"
+                                    step="1"
+                                    className="w-full bg-zinc-800 border-gray-700 focus:border-rose-500 focus:ring-rose-500 text-white rounded-md"
+                                    {...field}
+                                    onChange={(e) => {
+                                      const val = parseInt(e.target.value, 10);
+                                      field.onChange(
+                                        isNaN(val) || val < 1 ? 1 : val
+                                      );
+                                    }}
+                                    value={field.value ?? ""}
+                                  />
+                                </div>
+                              )}
+                            />
+                            {errors.occurrences && (
+                              <p className="text-red-400 text-xs mt-1">
+                                {errors.occurrences.message}
+                              </p>
+                            )}
+                            {/* Only matters when the edit splits the series */}
+                            {isEditing && !isExceptionEditMode && (
+                              <Controller
+                                name="keep_total_count"
+                                control={control}
+                                render={({ field }) => (
+                                  <label className="flex items-start gap-2 mt-2 text-xs text-gray-400">
+                                    <input
+                                      type="checkbox"
+                                      className="mt-0.5 accent-rose-500"
+                                      checked={!!field.value}
+                                      onChange={(e) =>
+                                        field.onChange(e.target.checked)
+                                      }
+                                    />
+                                    {t("taskForm.keepTotalCount")}
+                                  </label>
+                                )}
+                              />
+                            )}
+                          </div>
+                        )}
+
+                        {/* End Date */}
+                        {endType === "on" && hasFixedSchedule && (
+                          <div>
+                            <Controller
+                              name="end_date"
+                              control={control}
+                              render={({ field }) => (
+                                <>
+                                  <div className="flex flex-col items-center mt-4 sm:mt-6">
+                                    <Drawer.NestedRoot>
+                                      <Drawer.Trigger className="rounded-md mt-4 w-full bg-gray-900 px-3.5 py-2.5 text-sm font-semibold text-white shadow-sm hover:bg-gray-800 focus-visible:outline focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-gray-600">
+                                        <div className="flex justify-center items-center gap-2">
+                                          <span className="flex items-center gap-2 text-center text-rose-400 px-4 py-2 rounded-lg hover:bg-gray-800/60 transition-colors text-sm sm:text-base">
+                                            <CalendarIcon className="w-4 h-4 sm:w-5 sm:h-5" />
+                                            <span>
+                                              {field.value
+                                                ? dayjs(field.value).format(
+                                                    "LL"
+                                                  )
+                                                : t("taskForm.selectEndDate")}
+                                            </span>
+                                            {isEndDatePickerOpen ? (
+                                              <ChevronUp className="w-4 h-4" />
+                                            ) : (
+                                              <ChevronDown className="w-4 h-4" />
+                                            )}
+                                          </span>
+                                        </div>
+                                      </Drawer.Trigger>
+                                      <Drawer.Portal>
+                                        <Drawer.Overlay className="fixed inset-0 bg-black/40" />
+                                        <Drawer.Content className="h-fit fixed bottom-0 left-0 right-0 outline-none shadow-lg z-[50]">
+                                          <Drawer.Title className="hidden">
+                                            Form datepicker
+                                          </Drawer.Title>
+                                          <DatePicker
+                                            selectedDate={field.value}
+                                            onDateSelect={(date) => {
+                                              field.onChange(date); // Update react-hook-form value
+                                            }}
+                                          />
+                                        </Drawer.Content>
+                                      </Drawer.Portal>
+                                    </Drawer.NestedRoot>
+                                    {isEndDatePickerOpen && (
                                       <DatePicker
                                         selectedDate={field.value}
                                         onDateSelect={(date) => {
                                           field.onChange(date); // Update react-hook-form value
                                         }}
                                       />
-                                    </Drawer.Content>
-                                  </Drawer.Portal>
-                                </Drawer.NestedRoot>
-                                {isEndDatePickerOpen && (
-                                  <DatePicker
-                                    selectedDate={field.value}
-                                    onDateSelect={(date) => {
-                                      field.onChange(date); // Update react-hook-form value
-                                    }}
+                                    )}
+                                    {errors.end_date && (
+                                      <p className="text-red-400 text-xs mt-1">
+                                        {errors.end_date.message}
+                                      </p>
+                                    )}
+                                  </div>
+                                </>
+                              )}
+                            />
+                            {errors.end_date && (
+                              <p className="text-red-400 text-xs mt-1">
+                                {errors.end_date.message}
+                              </p>
+                            )}
+                          </div>
+                        )}
+                      </>
+                    )}
+
+                    {hasFixedSchedule && (
+                      <>
+                        {/* Extra and removed dates */}
+                        <Controller
+                          name="rdates"
+                          control={control}
+                          render={({ field }) => (
+                            <SeriesDatesEditor
+                              label={t("taskForm.rdates.label")}
+                              description={t("taskForm.rdates.description")}
+                              value={field.value ?? []}
+                              onChange={field.onChange}
+                            />
+                          )}
+                        />
+                        <Controller
+                          name="exdates"
+                          control={control}
+                          render={({ field }) => (
+                            <SeriesDatesEditor
+                              label={t("taskForm.exdates.label")}
+                              description={t("taskForm.exdates.description")}
+                              value={field.value ?? []}
+                              onChange={field.onChange}
+                            />
+                          )}
+                        />
+
+                        {/* Advanced: raw RRULE */}
+                        <div className="border-t border-gray-700/50 pt-4">
+                          <button
+                            type="button"
+                            onClick={toggleCustomRRule}
+                            aria-expanded={!!useCustomRRule}
+                            className="flex w-full items-center justify-between text-sm text-gray-400 hover:text-white transition-colors"
+                          >
+                            <span>{t("taskForm.advanced.toggle")}</span>
+                            {useCustomRRule ? (
+                              <ChevronUp className="w-4 h-4" />
+                            ) : (
+                              <ChevronDown className="w-4 h-4" />
+                            )}
+                          </button>
+                          {useCustomRRule && (
+                            <div className="mt-3 space-y-3">
+                              <Controller
+                                name="custom_rrule"
+                                control={control}
+                                render={({ field }) => (
+                                  <textarea
+                                    {...field}
+                                    value={field.value ?? ""}
+                                    rows={3}
+                                    spellCheck={false}
+                                    placeholder="FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1"
+                                    className="w-full rounded-md border border-gray-700 bg-zinc-800 p-3 font-mono text-sm text-white focus:border-rose-500 focus:outline-none"
                                   />
                                 )}
-                                {errors.end_date && (
-                                  <p className="text-red-400 text-xs mt-1">
-                                    {errors.end_date.message}
+                              />
+                              {(customRRulePreview?.error ||
+                                errors.custom_rrule) && (
+                                <p className="text-red-400 text-xs mt-1">
+                                  {customRRulePreview?.error ??
+                                    errors.custom_rrule?.message}
+                                </p>
+                              )}
+                              {customRRulePreview?.text && (
+                                <div>
+                                  <p className="text-sm text-white first-letter:uppercase">
+                                    {customRRulePreview.text}
                                   </p>
-                                )}
-                              </div>
-                            </>
+                                  <p className="text-xs text-gray-400 mt-3 mb-1.5">
+                                    {customRRulePreview.occurrences.length > 0
+                                      ? t("taskForm.advanced.next", {
+                                          count:
+                                            customRRulePreview.occurrences
+                                              .length,
+                                        })
+                                      : t("taskForm.advanced.none")}
+                                  </p>
+                                  <ul className="space-y-1 text-sm text-gray-300">
+                                    {customRRulePreview.occurrences.map(
+                                      (occurrence) => (
+                                        <li key={occurrence}>{occurrence}</li>
+                                      )
+                                    )}
+                                  </ul>
+                                </div>
+                              )}
+                              <p className="text-xs text-gray-400">
+                                {t("taskForm.advanced.hint")}
+                              </p>
+                            </div>
                           )}
-                        />
-                        {errors.end_date && (
-                          <p className="text-red-400 text-xs mt-1">
-                            {errors.end_date.message}
-                          </p>
-                        )}
-                      </div>
+                        </div>
+                      </>
                     )}
                   </div>
                 )}
@@ -971,6 +1710,38 @@ export function TaskForm({ selectedDate }) {
 
               {/* Footer */}
               <div className="p-4 pb-10 border-t border-gray-700/50 flex-shrink-0">
+                {conflictReport?.conflicts?.length > 0 && (
+                  <div className="bg-amber-800/30 border border-amber-600/50 text-amber-200 p-3 rounded-md mb-3 sm:mb-4 text-sm">
+                    <p className="font-medium">
+                      {describeConflicts(conflictReport, t)}
+                    </p>
+                    {conflictReport.checked > 1 && (
+                      <p className="text-xs text-amber-300/80 mt-0.5">
+                        {t("conflicts.with", {
+                          titles: conflictReport.titles.join(", "),
+                        })}
+                      </p>
+                    )}
+                    <div className="flex items-center gap-3 mt-2">
+                      <button
+                        type="button"
+                        onClick={handleFindFreeSlot}
+                        disabled={isFindingFreeSlot}
+                        className="flex items-center gap-1.5 rounded-full bg-amber-500/20 px-3 py-1 text-xs text-amber-100 hover:bg-amber-500/30 disabled:opacity-50"
+                      >
+                        {isFindingFreeSlot && (
+                          <Loader2 className="h-3 w-3 animate-spin" />
+                        )}
+                        {t("taskForm.freeSlot.find")}
+                      </button>
+                      {freeSlotMessage && (
+                        <span className="text-xs text-amber-300/80">
+                          {freeSlotMessage}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                )}
                 {formError && (
                   <div className="bg-red-800/30 border border-red-600/50 text-red-300 p-3 rounded-md mb-3 sm:mb-4 text-sm text-center">
                     {formError}
@@ -984,12 +1755,10 @@ export function TaskForm({ selectedDate }) {
                   {isSubmitting ? (
                     <>
                       <Loader2 className="mr-2 h-4 w-4 sm:h-5 sm:w-5 animate-spin" />
-                      {isEditing ? "Saving..." : "Creating..."}
+                      {t(isEditing ? "taskForm.saving" : "taskForm.creating")}
                     </>
-                  ) : isEditing ? (
-                    "Save Changes"
                   ) : (
-                    "Create Task"
+                    t(isEditing ? "taskForm.save" : "taskForm.create")
                   )}
                 </Button>
               </div>
@@ -1010,6 +1779,7 @@ export function TaskForm({ selectedDate }) {
         onConfirm={handleScopeConfirm}
         selectedOption={selectedScopeOption} // State to display selection
         setSelectedOption={setSelectedScopeOption}
+        getImpact={getScopeImpact}
       />
     </>
   );
@@ -8,10 +8,273 @@
  *
  * @component
  */
+import { useCallback, useEffect, useRef, useState } from "react";
 import { isAfter } from "date-fns";
 import useCalendarStore from "@/app/stores/useCalendarStore";
 import { useTaskStore } from "@/app/stores/useTaskStore";
+import {
+  selectTranslator,
+  selectUses24HourClock,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+import { formatTimeOfDay } from "@/lib/format";
 import { getTaskIcon } from "@/lib/icons";
+import {
+  DEFAULT_VISIBLE_HOURS,
+  DRAG_FINE_SNAP_MINUTES,
+  DRAG_SNAP_MINUTES,
+  HOUR_HEIGHT,
+  minutesToOffset,
+  minutesToTimeString,
+  offsetToMinutes,
+  snapDurationMinutes,
+  snapStartMinutes,
+} from "@/lib/timeline";
+
+const LONG_PRESS_MS = 350; // Touch: hold this long before the pill can be dragged
+const MOUSE_DRAG_THRESHOLD_PX = 4; // Mouse: move this far before a click becomes a drag
+const TOUCH_SLOP_PX = 8; // Touch: moving further before the long press ends it (it's a scroll)
+
+/** The timeline day column (see DayColumn) under a screen point, if any. */
+const findDayColumnAt = (x, y) =>
+  document
+    .elementsFromPoint(x, y)
+    .find(
+      (element) => element instanceof HTMLElement && element.dataset.timelineDay
+    );
+
+/**
+ * Long-press (touch) or click-and-drag (mouse) to move a task pill, vertically
+ * within its day and across the day columns of the week.
+ *
+ * @param {object} task - The calculated instance being dragged.
+ * @param {VisibleHours} hours - Hours the day columns show.
+ * @param {Function} [onDrop] - Called with (task, dayKey, startMinutes) on drop.
+ * @returns {{ drag: object | null, dragHandlers: object, consumeClick: Function }}
+ *   The live drag preview ({ dayKey, minutes, offsetX }), the pointer handlers
+ *   for the pill, and a check that swallows the click ending a drag.
+ */
+const useTimelineDrag = (task, hours, onDrop) => {
+  const elementRef = useRef(null);
+  const gestureRef = useRef(null); // { pointerId, pointerType, startX, startY, grabOffsetY, active, timer }
+  const suppressClickRef = useRef(false);
+  const [drag, setDrag] = useState(null);
+
+  const endGesture = useCallback(() => {
+    clearTimeout(gestureRef.current?.timer);
+    gestureRef.current = null;
+    setDrag(null);
+  }, []);
+
+  const activate = useCallback((target) => {
+    const gesture = gestureRef.current;
+    if (!gesture) return;
+    gesture.active = true;
+    target.setPointerCapture?.(gesture.pointerId);
+    navigator.vibrate?.(10);
+  }, []);
+
+  const updatePreview = useCallback(
+    (event) => {
+      const gesture = gestureRef.current;
+      const column = findDayColumnAt(event.clientX, event.clientY);
+      const ownColumn = elementRef.current?.closest("[data-timeline-day]");
+      if (!gesture || !column || !ownColumn) return;
+
+      const columnRect = column.getBoundingClientRect();
+      const minutes = snapStartMinutes(
+        offsetToMinutes(
+          event.clientY - columnRect.top - gesture.grabOffsetY,
+          hours
+        ),
+        task.duration_minutes ?? DRAG_SNAP_MINUTES,
+        event.altKey ? DRAG_FINE_SNAP_MINUTES : DRAG_SNAP_MINUTES,
+        hours
+      );
+      setDrag({
+        dayKey: column.dataset.timelineDay,
+        minutes,
+        offsetX: columnRect.left - ownColumn.getBoundingClientRect().left,
+      });
+    },
+    [task.duration_minutes, hours]
+  );
+
+  // A dragged pill mustn't scroll the timeline (React touch listeners are passive)
+  useEffect(() => {
+    const element = elementRef.current;
+    if (!element) return;
+    const preventScroll = (event) => {
+      if (gestureRef.current?.active) event.preventDefault();
+    };
+    element.addEventListener("touchmove", preventScroll, { passive: false });
+    return () => element.removeEventListener("touchmove", preventScroll);
+  }, []);
+
+  useEffect(() => () => clearTimeout(gestureRef.current?.timer), []);
+
+  const onPointerDown = (event) => {
+    if (!onDrop || event.button > 0) return;
+    const target = event.currentTarget;
+    gestureRef.current = {
+      pointerId: event.pointerId,
+      pointerType: event.pointerType,
+      startX: event.clientX,
+      startY: event.clientY,
+      grabOffsetY: event.clientY - target.getBoundingClientRect().top,
+      active: false,
+      timer:
+        event.pointerType === "mouse"
+          ? null
+          : setTimeout(() => {
+              activate(target);
+              setDrag({ dayKey: null, minutes: null, offsetX: 0 });
+            }, LONG_PRESS_MS),
+    };
+  };
+
+  const onPointerMove = (event) => {
+    const gesture = gestureRef.current;
+    if (!gesture || gesture.pointerId !== event.pointerId) return;
+    const distance = Math.hypot(
+      event.clientX - gesture.startX,
+      event.clientY - gesture.startY
+    );
+
+    if (!gesture.active) {
+      if (gesture.pointerType === "mouse") {
+        if (distance < MOUSE_DRAG_THRESHOLD_PX) return;
+        activate(event.currentTarget);
+      } else {
+        // Moved before the long press: it's a scroll or a swipe, not a drag
+        if (distance > TOUCH_SLOP_PX) endGesture();
+        return;
+      }
+    }
+    event.preventDefault();
+    updatePreview(event);
+  };
+
+  const onPointerUp = (event) => {
+    const gesture = gestureRef.current;
+    if (!gesture || gesture.pointerId !== event.pointerId) return;
+    if (gesture.active) {
+      suppressClickRef.current = true;
+      if (drag?.dayKey && drag.minutes !== null) {
+        onDrop(task, drag.dayKey, drag.minutes);
+      }
+    }
+    endGesture();
+  };
+
+  // Keep the week from changing while a pill is dragged sideways (see useSwipe)
+  const stopWhileDragging = (event) => {
+    if (gestureRef.current?.active) event.stopPropagation();
+  };
+
+  const consumeClick = () => {
+    const wasDrag = suppressClickRef.current;
+    suppressClickRef.current = false;
+    return wasDrag;
+  };
+
+  return {
+    drag,
+    dragHandlers: {
+      ref: elementRef,
+      onPointerDown,
+      onPointerMove,
+      onPointerUp,
+      onPointerCancel: endGesture,
+      onTouchMove: stopWhileDragging,
+      onTouchEnd: stopWhileDragging,
+      onContextMenu: (event) => {
+        // Long presses open the context menu on some browsers
+        if (gestureRef.current) event.preventDefault();
+      },
+    },
+    consumeClick,
+  };
+};
+
+/**
+ * Drag the bottom edge of a task pill to change its duration. Snaps like
+ * moves do, and stops at the configured maximum duration and the end of the
+ * day.
+ *
+ * @param {object} task - The calculated instance being resized.
+ * @param {number} top - The pill's top position (px).
+ * @param {VisibleHours} hours - Hours the day column shows.
+ * @param {Function} [onResize] - Called with (task, durationMinutes) on release.
+ * @returns {{ resize: object | null, resizeHandlers: object }} The live
+ *   preview ({ durationMinutes }) and the pointer handlers for the handle.
+ */
+const useTimelineResize = (task, top, hours, onResize) => {
+  const maxDurationMinutes = useTaskStore((state) => state.maxDurationMinutes);
+  const gestureRef = useRef(null); // { pointerId, startY, active }
+  const [resize, setResize] = useState(null);
+
+  const endGesture = () => {
+    gestureRef.current = null;
+    setResize(null);
+  };
+
+  const onPointerDown = (event) => {
+    if (!onResize || event.button > 0) return;
+    event.stopPropagation(); // Resizing, not moving
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    gestureRef.current = {
+      pointerId: event.pointerId,
+      startY: event.clientY,
+      active: false,
+    };
+  };
+
+  const onPointerMove = (event) => {
+    const gesture = gestureRef.current;
+    if (!gesture || gesture.pointerId !== event.pointerId) return;
+    const deltaY = event.clientY - gesture.startY;
+    if (!gesture.active && Math.abs(deltaY) < MOUSE_DRAG_THRESHOLD_PX) return;
+    gesture.active = true;
+    event.preventDefault();
+    event.stopPropagation();
+
+    const untilDayEnd = hours.endHour * 60 - offsetToMinutes(top, hours);
+    setResize({
+      durationMinutes: snapDurationMinutes(
+        (task.duration_minutes ?? DRAG_SNAP_MINUTES) +
+          (deltaY / HOUR_HEIGHT) * 60,
+        event.altKey ? DRAG_FINE_SNAP_MINUTES : DRAG_SNAP_MINUTES,
+        Math.min(maxDurationMinutes ?? Infinity, untilDayEnd)
+      ),
+    });
+  };
+
+  const onPointerUp = (event) => {
+    const gesture = gestureRef.current;
+    if (!gesture || gesture.pointerId !== event.pointerId) return;
+    event.stopPropagation();
+    if (
+      gesture.active &&
+      resize &&
+      resize.durationMinutes !== task.duration_minutes
+    ) {
+      onResize(task, resize.durationMinutes);
+    }
+    endGesture();
+  };
+
+  return {
+    resize,
+    resizeHandlers: {
+      onPointerDown,
+      onPointerMove,
+      onPointerUp,
+      onPointerCancel: endGesture,
+      onClick: (event) => event.stopPropagation(), // Don't open the task
+    },
+  };
+};
 
 /**
  * TaskItem component
@@ -21,7 +284,12 @@ import { getTaskIcon } from "@/lib/icons";
  * @param {Date} props.date - The date this task belongs to
  * @param {number} props.top - Top position in pixels
  * @param {number} props.height - Height in pixels
+ * @param {number} [props.lane] - Lane of the pill among overlapping tasks (see layoutTimelineLanes)
+ * @param {number} [props.laneCount] - Number of side-by-side lanes at this time
+ * @param {VisibleHours} [props.hours] - Hours the day column shows (see resolveVisibleHours)
  * @param {boolean} props.isNext - Whether this task is in the next week view
+ * @param {Function} [props.onDrop] - Enables dragging; called with (task, dayKey, startMinutes) on drop
+ * @param {Function} [props.onResize] - Enables the resize handle; called with (task, durationMinutes)
  * @returns {JSX.Element} Rendered component
  */
 export default function TaskItem({
@@ -29,60 +297,126 @@ export default function TaskItem({
   date,
   top,
   height,
+  lane = 0,
+  laneCount = 1,
+  hours = DEFAULT_VISIBLE_HOURS,
   isNext = false,
+  onDrop,
+  onResize,
 }) {
   const { currentTime, getTaskProgress, selectDay } = useCalendarStore();
 
   const { setSelectedInstance } = useTaskStore();
+  const use24HourClock = useSettingsStore(selectUses24HourClock);
+  const t = useSettingsStore(selectTranslator);
 
   const progress = getTaskProgress(task, currentTime);
   const isActive = progress > 0 && progress < 100;
   const isGrayed = isAfter(date, currentTime) || isNext;
 
+  const { drag, dragHandlers, consumeClick } = useTimelineDrag(
+    task,
+    hours,
+    onDrop
+  );
+  const isDragging = !!drag;
+  const dragTop =
+    drag?.minutes != null ? minutesToOffset(drag.minutes, hours) : top;
+  const { resize, resizeHandlers } = useTimelineResize(
+    task,
+    top,
+    hours,
+    onResize
+  );
+  const isResizing = !!resize;
+  const displayHeight = resize
+    ? (resize.durationMinutes / 60) * HOUR_HEIGHT
+    : height;
+
   const handleTaskClick = () => {
+    if (consumeClick()) return; // The click that ends a drag
     selectDay(date);
     setSelectedInstance(task);
   };
 
   return (
     <div
-      className={`absolute left-1/2 transform -translate-x-1/2 w-10 rounded-full overflow-hidden transition-all duration-300 cursor-pointer
+      {...dragHandlers}
+      className={`absolute rounded-full overflow-visible select-none
+        ${isDragging || isResizing ? "z-30 opacity-80 shadow-lg shadow-black/50" : "transition-all duration-300"}
+        ${isDragging ? "cursor-grabbing" : "cursor-pointer"}
         ${isActive ? "ring-2 ring-white" : ""}`}
       style={{
-        top: `${top}px`,
-        height: `${height}px`,
+        top: `${dragTop}px`,
+        height: `${displayHeight}px`,
+        // Centered in its lane; lanes split the column between overlapping tasks
+        left: `${((lane + 0.5) / laneCount) * 100}%`,
+        width:
+          laneCount > 1
+            ? `min(2.5rem, calc(${100 / laneCount}% - 2px))`
+            : "2.5rem",
+        transform: `translateX(calc(-50% + ${drag?.offsetX ?? 0}px))`,
+        WebkitTouchCallout: "none",
       }}
       onClick={handleTaskClick}
     >
-      {/* Task background */}
-      <div
-        className={`absolute inset-0 ${
-          isGrayed
-            ? "bg-gray-700"
-            : task?.color === "pink"
-              ? "bg-pink-500"
-              : "bg-primary"
-        }`}
-      />
-
-      {/* Progress overlay - fills from bottom to top */}
-      <div
-        className={`absolute inset-0 bg-gradient-to-t ${
-          isGrayed
-            ? "from-gray-700 to-transparent"
-            : task?.color === "pink"
-              ? "from-pink-500 to-transparent"
-              : "from-primary to-transparent"
-        } transition-all duration-1000`}
-        style={{ height: `${progress}%`, top: "auto" }}
-      />
-
-      {/* Task icon */}
-      <div
-        className={`absolute inset-0 flex items-center justify-center border-2-white ring-white ${isGrayed ? "text-gray-500" : "text-white"}`}
-      >
-        {getTaskIcon(task.icon_name)}
+      {/* New start time while dragging */}
+      {drag?.minutes != null && (
+        <div className="absolute -top-5 left-1/2 -translate-x-1/2 rounded bg-zinc-800 px-1 text-[.6rem] text-white whitespace-nowrap">
+          {formatTimeOfDay(minutesToTimeString(drag.minutes), use24HourClock)}
+        </div>
+      )}
+      {/* New end time while resizing */}
+      {resize && (
+        <div className="absolute -bottom-5 left-1/2 -translate-x-1/2 rounded bg-zinc-800 px-1 text-[.6rem] text-white whitespace-nowrap">
+          {formatTimeOfDay(
+            minutesToTimeString(
+              Math.round(offsetToMinutes(top, hours)) + resize.durationMinutes
+            ),
+            use24HourClock
+          )}
+        </div>
+      )}
+      <div className="absolute inset-0 rounded-full overflow-hidden">
+        {/* Task background */}
+        <div
+          className={`absolute inset-0 ${
+            isGrayed
+              ? "bg-gray-700"
+              : task?.color === "pink"
+                ? "bg-pink-500"
+                : "bg-primary"
+          }`}
+        />
+
+        {/* Progress overlay - fills from bottom to top */}
+        <div
+          className={`absolute inset-0 bg-gradient-to-t ${
+            isGrayed
+              ? "from-gray-700 to-transparent"
+              : task?.color === "pink"
+                ? "from-pink-500 to-transparent"
+                : "from-primary to-transparent"
+          } transition-all duration-1000`}
+          style={{ height: `${progress}%`, top: "auto" }}
+        />
+
+        {/* Task icon */}
+        <div
+          className={`absolute inset-0 flex items-center justify-center border-2-white ring-white ${isGrayed ? "text-gray-500" : "text-white"}`}
+        >
+          {getTaskIcon(task.icon_name)}
+        </div>
       </div>
+
+      {/* Resize handle on the bottom edge */}
+      {onResize && (
+        <div
+          {...resizeHandlers}
+          aria-label={t("planner.resizeTask")}
+          className="absolute bottom-0 inset-x-0 h-2 cursor-ns-resize touch-none"
+        />
+      )}
     </div>
   );
 }
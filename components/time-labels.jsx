@@ -1,21 +1,30 @@
 import { format, setHours } from "date-fns";
+import {
+  selectUses24HourClock,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+import { hourLabelPattern } from "@/lib/format";
+import {
+  DEFAULT_VISIBLE_HOURS,
+  HOUR_HEIGHT,
+  timelineHeight,
+} from "@/lib/timeline";
 
 // Constants for timeline configuration
-const dayStart = 8; // 8 AM
-const dayEnd = 24; // 11 PM
-const hourHeight = 60; // Height of one hour in pixels
+const hourHeight = HOUR_HEIGHT; // Height of one hour in pixels
 
 /**
  * TimeLabels component
  *
+ * @param {object} props
+ * @param {VisibleHours} [props.hours] - Hours to label; the same as the day columns'.
  * @returns {JSX.Element} Rendered component
  */
-export default function TimeLabels() {
+export default function TimeLabels({ hours = DEFAULT_VISIBLE_HOURS }) {
+  const { startHour: dayStart, endHour: dayEnd } = hours;
+  const use24HourClock = useSettingsStore(selectUses24HourClock);
   return (
-    <div
-      className="relative"
-      style={{ height: `${(dayEnd - dayStart) * hourHeight}px` }}
-    >
+    <div className="relative" style={{ height: `${timelineHeight(hours)}px` }}>
       {/* Generate hour labels from dayStart to dayEnd */}
       {Array.from({ length: dayEnd - dayStart }, (_, i) => (
         <div
@@ -23,7 +32,10 @@ export default function TimeLabels() {
           className="absolute text-[.6rem] text-gray-400 w-full"
           style={{ top: `${i * hourHeight}px` }}
         >
-          {format(setHours(new Date(), dayStart + i), "ha")}
+          {format(
+            setHours(new Date(), dayStart + i),
+            hourLabelPattern(use24HourClock)
+          )}
         </div>
       ))}
     </div>
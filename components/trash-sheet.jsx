@@ -0,0 +1,167 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import dayjs from "dayjs";
+import { toast } from "sonner";
+import { Drawer } from "vaul";
+import { RotateCcw, Trash2, X } from "lucide-react";
+
+import { useTaskStore } from "@/app/stores/useTaskStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+import {
+  deleteTrashedTaskAction,
+  restoreTrashedTaskAction,
+} from "@/app/actions";
+import { getTaskIcon } from "@/lib/icons";
+import { getTrashPurgeDate, TRASH_RETENTION_DAYS } from "@/lib/trash";
+import { ConfirmationModal } from "@/components/modals/confirmation-modal";
+
+/**
+ * Slide-up list of deleted task series, most recently deleted first, with
+ * buttons to restore each one or delete it for good.
+ *
+ * @param {object} props
+ * @param {boolean} props.open
+ * @param {(open: boolean) => void} props.onOpenChange
+ */
+export function TrashSheet({ open, onOpenChange }) {
+  const trashedTasks = useTaskStore((state) => state.trashedTasks);
+  const t = useSettingsStore(selectTranslator);
+  const [busyTaskId, setBusyTaskId] = useState(null);
+  const [taskToPurge, setTaskToPurge] = useState(null);
+
+  const sortedTasks = useMemo(
+    () =>
+      [...(trashedTasks ?? [])].sort((a, b) =>
+        dayjs(b.deleted_at).diff(dayjs(a.deleted_at))
+      ),
+    [trashedTasks]
+  );
+
+  const runTrashAction = async (task, action, successMessage, errorMessage) => {
+    setBusyTaskId(task.id);
+    try {
+      await action(task.id);
+      toast.success(successMessage);
+    } catch (error) {
+      console.error(errorMessage, error);
+      toast.error(error.message || errorMessage);
+    } finally {
+      setBusyTaskId(null);
+    }
+  };
+
+  const handlePurgeConfirmed = () => {
+    const task = taskToPurge;
+    setTaskToPurge(null);
+    if (!task) return;
+    runTrashAction(
+      task,
+      deleteTrashedTaskAction,
+      t("trash.deleted"),
+      t("trash.deleteFailed")
+    );
+  };
+
+  return (
+    <>
+      <Drawer.Root open={open} onOpenChange={onOpenChange}>
+        <Drawer.Portal>
+          <Drawer.Overlay className="fixed inset-0 bg-black/40 z-[40]" />
+          <Drawer.Content className="flex flex-col rounded-t-[10px] h-fit max-h-[85vh] fixed bottom-0 left-0 right-0 outline-none z-[40]">
+            <div className="p-6 mx-auto w-full max-w-sm md:max-w-md mb-12 overflow-y-auto rounded-3xl bg-zinc-900 text-white shadow-xl">
+              <div className="flex items-center justify-between mb-1">
+                <Drawer.Title className="text-xl font-bold">
+                  {t("trash.title")}
+                </Drawer.Title>
+                <button
+                  onClick={() => onOpenChange(false)}
+                  aria-label={t("common.close")}
+                  className="h-8 w-8 rounded-full bg-gray-600 flex items-center justify-center"
+                >
+                  <X className="h-5 w-5" />
+                </button>
+              </div>
+              <p className="text-xs text-gray-400 mb-4">
+                {t("trash.retention", { count: TRASH_RETENTION_DAYS })}
+              </p>
+
+              {sortedTasks.length === 0 ? (
+                <p className="text-gray-500 text-center py-6 text-sm">
+                  {t("trash.empty")}
+                </p>
+              ) : (
+                <ul className="space-y-2">
+                  {sortedTasks.map((task) => (
+                    <li
+                      key={task.id}
+                      className="flex items-center gap-3 rounded-xl bg-zinc-800 p-3"
+                    >
+                      <div className="w-9 h-9 rounded-lg bg-zinc-600 flex items-center justify-center text-white flex-shrink-0">
+                        {getTaskIcon(task.icon_name)}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="truncate font-medium">{task.title}</p>
+                        <p className="text-xs text-gray-400">
+                          {t("trash.dates", {
+                            deleted: dayjs(task.deleted_at).format("MMM D"),
+                            purged: dayjs(getTrashPurgeDate(task)).format(
+                              "MMM D"
+                            ),
+                          })}
+                        </p>
+                      </div>
+                      <button
+                        type="button"
+                        disabled={busyTaskId === task.id}
+                        onClick={() =>
+                          runTrashAction(
+                            task,
+                            restoreTrashedTaskAction,
+                            t("trash.restored"),
+                            t("trash.restoreFailed")
+                          )
+                        }
+                        className="flex items-center gap-1.5 rounded-full bg-rose-400 px-3 py-1.5 text-sm text-white hover:bg-rose-500 disabled:opacity-50"
+                      >
+                        <RotateCcw size={14} />
+                        {t("common.restore")}
+                      </button>
+                      <button
+                        type="button"
+                        disabled={busyTaskId === task.id}
+                        onClick={() => setTaskToPurge(task)}
+                        aria-label={t("trash.deletePermanently")}
+                        className="h-8 w-8 rounded-full bg-zinc-700 flex items-center justify-center text-gray-300 hover:text-red-400 disabled:opacity-50"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </Drawer.Content>
+        </Drawer.Portal>
+      </Drawer.Root>
+
+      <ConfirmationModal
+        isOpen={!!taskToPurge}
+        onClose={() => setTaskToPurge(null)}
+        onConfirm={handlePurgeConfirmed}
+        title={t("trash.confirm.title")}
+        message={t("trash.confirm.message", {
+          title: taskToPurge?.title ?? "",
+        })}
+        confirmText={t("common.delete")}
+        cancelText={t("common.cancel")}
+        destructive={true}
+      />
+    </>
+  );
+}
+
+export default TrashSheet;
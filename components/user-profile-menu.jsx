@@ -1,11 +1,15 @@
 "use client";
 
 import { useAuthStore } from "@/app/stores/useAuthStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 import { useRouter } from "next/navigation";
 import { useEffect, useState } from "react";
 import { useTheme } from "next-themes";
 
-import { LogOut, Moon, Sun, User } from "lucide-react";
+import { Archive, LogOut, Moon, Sun, Trash2, User } from "lucide-react";
 import { Button } from "@/components/ui/button";
 import {
   DropdownMenu,
@@ -18,13 +22,18 @@ import {
 
 import Image from "next/image";
 import { ThemeSwitcher } from "./theme-switcher";
+import { SeriesArchiveSheet } from "./series-archive-sheet";
+import { TrashSheet } from "./trash-sheet";
 
 export function UserProfileMenu() {
   const { user, signOut } = useAuthStore();
   const [mounted, setMounted] = useState(false);
   const [isOpen, setIsOpen] = useState(false);
+  const [isArchiveOpen, setIsArchiveOpen] = useState(false);
+  const [isTrashOpen, setIsTrashOpen] = useState(false);
   const router = useRouter();
   const { resolvedTheme, setTheme } = useTheme(); // Use resolvedTheme for accurate current theme
+  const t = useSettingsStore(selectTranslator);
 
   useEffect(() => {
     setMounted(true);
@@ -56,59 +65,80 @@ export function UserProfileMenu() {
   };
 
   return (
-    <DropdownMenu open={isOpen} onOpenChange={setIsOpen}>
-      <DropdownMenuTrigger asChild>
-        {user?.user_metadata?.picture ? (
-          <Image
-            src={user?.user_metadata?.picture}
-            width={32}
-            height={32}
-            alt="Profile Picture"
-            className="h-8 w-8 rounded-full object-cover hover:cursor-pointer"
-          />
-        ) : (
-          <Button
-            variant="ghost"
-            className="relative rounded-full h-8 w-8  bg-rose-400 text-white hover:text-white"
-          >
-            {getInitials()}
-          </Button>
-        )}
-      </DropdownMenuTrigger>
-
-      <DropdownMenuContent className="w-56" align="end" forceMount>
-        <DropdownMenuLabel className="font-normal">
-          <div className="flex flex-col space-y-1">
-            <p className="text-sm font-medium leading-none">
-              {user.user_metadata?.full_name || "User"}
-            </p>
-            <p className="text-xs leading-none text-muted-foreground">
-              {user.email}
-            </p>
-          </div>
-        </DropdownMenuLabel>
-        <DropdownMenuSeparator />
-        <DropdownMenuItem>
-          <User className="mr-2 h-4 w-4" />
-          <span>Profile</span>
-        </DropdownMenuItem>
-        {/* Theme Toggle Item */}
-        <DropdownMenuItem
-          onClick={() => setTheme(resolvedTheme === "dark" ? "light" : "dark")}
-        >
-          {resolvedTheme === "dark" ? (
-            <Sun className="mr-2 h-4 w-4" />
+    <>
+      <DropdownMenu open={isOpen} onOpenChange={setIsOpen}>
+        <DropdownMenuTrigger asChild>
+          {user?.user_metadata?.picture ? (
+            <Image
+              src={user?.user_metadata?.picture}
+              width={32}
+              height={32}
+              alt={t("profileMenu.picture")}
+              className="h-8 w-8 rounded-full object-cover hover:cursor-pointer"
+            />
           ) : (
-            <Moon className="mr-2 h-4 w-4" />
+            <Button
+              variant="ghost"
+              className="relative rounded-full h-8 w-8  bg-rose-400 text-white hover:text-white"
+            >
+              {getInitials()}
+            </Button>
           )}
-          <span>{resolvedTheme === "dark" ? "Light Mode" : "Dark Mode"}</span>
-        </DropdownMenuItem>
-        <DropdownMenuSeparator />
-        <DropdownMenuItem onClick={handleSignOut}>
-          <LogOut className="mr-2 h-4 w-4" />
-          <span>Log out</span>
-        </DropdownMenuItem>
-      </DropdownMenuContent>
-    </DropdownMenu>
+        </DropdownMenuTrigger>
+
+        <DropdownMenuContent className="w-56" align="end" forceMount>
+          <DropdownMenuLabel className="font-normal">
+            <div className="flex flex-col space-y-1">
+              <p className="text-sm font-medium leading-none">
+                {user.user_metadata?.full_name || t("profileMenu.user")}
+              </p>
+              <p className="text-xs leading-none text-muted-foreground">
+                {user.email}
+              </p>
+            </div>
+          </DropdownMenuLabel>
+          <DropdownMenuSeparator />
+          <DropdownMenuItem>
+            <User className="mr-2 h-4 w-4" />
+            <span>{t("profileMenu.profile")}</span>
+          </DropdownMenuItem>
+          {/* Theme Toggle Item */}
+          <DropdownMenuItem
+            onClick={() =>
+              setTheme(resolvedTheme === "dark" ? "light" : "dark")
+            }
+          >
+            {resolvedTheme === "dark" ? (
+              <Sun className="mr-2 h-4 w-4" />
+            ) : (
+              <Moon className="mr-2 h-4 w-4" />
+            )}
+            <span>
+              {resolvedTheme === "dark"
+                ? t("profileMenu.lightMode")
+                : t("profileMenu.darkMode")}
+            </span>
+          </DropdownMenuItem>
+          <DropdownMenuItem onClick={() => setIsArchiveOpen(true)}>
+            <Archive className="mr-2 h-4 w-4" />
+            <span>{t("archive.title")}</span>
+          </DropdownMenuItem>
+          <DropdownMenuItem onClick={() => setIsTrashOpen(true)}>
+            <Trash2 className="mr-2 h-4 w-4" />
+            <span>{t("trash.title")}</span>
+          </DropdownMenuItem>
+          <DropdownMenuSeparator />
+          <DropdownMenuItem onClick={handleSignOut}>
+            <LogOut className="mr-2 h-4 w-4" />
+            <span>{t("profileMenu.logOut")}</span>
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+      <SeriesArchiveSheet
+        open={isArchiveOpen}
+        onOpenChange={setIsArchiveOpen}
+      />
+      <TrashSheet open={isTrashOpen} onOpenChange={setIsTrashOpen} />
+    </>
   );
 }
@@ -11,6 +11,10 @@
 import { format, isSameDay } from "date-fns";
 import useCalendarStore from "@/app/stores/useCalendarStore";
 import { useTaskStore } from "@/app/stores/useTaskStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 import { useRef, useState, useCallback, memo } from "react";
 
 import { BottomNavigation } from "@/components/bottom-navigation";
@@ -137,15 +141,18 @@ export default memo(VerticalGanttChart);
 import { Plus } from "lucide-react";
 import DatePickerSheet from "@/components/date-picker-sheet";
 
-const FloatingActionButton = memo(({ onClick }) => (
-  <button
-    className="fixed right-3 bottom-20 z-[35] w-14 h-14 bg-primary rounded-full flex items-center justify-center shadow-lg hover:bg-primary/80 transition-colors"
-    onClick={onClick}
-    aria-label="Create new task"
-  >
-    <Plus className="w-8 h-8 text-white" />
-  </button>
-));
+const FloatingActionButton = memo(({ onClick }) => {
+  const t = useSettingsStore(selectTranslator);
+  return (
+    <button
+      className="fixed right-3 bottom-20 z-[35] w-14 h-14 bg-primary rounded-full flex items-center justify-center shadow-lg hover:bg-primary/80 transition-colors"
+      onClick={onClick}
+      aria-label={t("planner.createTask")}
+    >
+      <Plus className="w-8 h-8 text-white" />
+    </button>
+  );
+});
 
 FloatingActionButton.displayName = "FloatingActionButton";
 
@@ -1,7 +1,11 @@
 "use client";
 
-import { format, endOfWeek } from "date-fns";
+import { format, addDays } from "date-fns";
 import useCalendarStore from "@/app/stores/useCalendarStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 
 import { ChevronLeft, ChevronRight } from "lucide-react";
 
@@ -12,13 +16,14 @@ import { ChevronLeft, ChevronRight } from "lucide-react";
  */
 export default function WeekNavigation() {
   const { currentWeekStart, changeWeek } = useCalendarStore();
+  const t = useSettingsStore(selectTranslator);
 
   return (
     <div className="flex justify-between items-center my-4 md:py-4">
       <button
         onClick={() => changeWeek("prev")}
         className="text-gray-400 cursor-pointer"
-        aria-label="Previous week"
+        aria-label={t("planner.previousWeek")}
       >
         <ChevronLeft className="w-6 h-6" />
       </button>
@@ -26,13 +31,13 @@ export default function WeekNavigation() {
       {/* Week date range */}
       <span className="text-lg">
         {format(currentWeekStart, "MMM d")} -{" "}
-        {format(endOfWeek(currentWeekStart), "MMM d, yyyy")}
+        {format(addDays(currentWeekStart, 6), "MMM d, yyyy")}
       </span>
 
       <button
         onClick={() => changeWeek("next")}
         className="text-gray-400 cursor-pointer"
-        aria-label="Next week"
+        aria-label={t("planner.nextWeek")}
       >
         <ChevronRight className="w-6 h-6" />
       </button>
@@ -2,11 +2,21 @@
 
 import dayjs from "dayjs";
 import { useMemo, memo, useState, useCallback } from "react";
+import { toast } from "sonner";
 import useCalendarStore from "@/app/stores/useCalendarStore";
 import { useTaskStore } from "@/app/stores/useTaskStore";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
 import { calculateInstancesForRange } from "@/lib/taskCalculator";
+import { isSingleOccurrence } from "@/lib/seriesEdit";
+import { resolveVisibleHours, timelineSlotToISO } from "@/lib/timeline";
+import { timelineHoursFromSettings } from "@/lib/settings";
 import DayColumn from "./day-column";
 import TimeLabels from "./time-labels";
+import { GoalProgressList } from "./goal-progress";
+import { RecurrenceActionModal } from "./modals/recurrence-action-modal";
 import { format, isSameDay } from "date-fns";
 
 dayjs.extend(require("dayjs/plugin/isSameOrAfter"));
@@ -49,11 +59,19 @@ const useSwipe = (changeWeek) => {
 const WeekView = () => {
   const { changeWeek, currentTime, selectDay, selectedDay, getWeekDays } =
     useCalendarStore();
-  const { tasks, exceptions } = useTaskStore();
+  const { tasks, exceptions, getGoalProgress, rescheduleInstance } =
+    useTaskStore();
+  const settings = useSettingsStore((state) => state.settings);
+  const t = useSettingsStore(selectTranslator);
   const weekDays = getWeekDays();
 
   const swipeHandlers = useSwipe(changeWeek);
 
+  // A dragged task, shown at its new slot/size until the change lands (or rolls back):
+  // { instance, changes: { startISO?, durationMinutes? }, status: "choosing" | "saving" }
+  const [pendingChange, setPendingChange] = useState(null);
+  const [changeScope, setChangeScope] = useState(null);
+
   const weekInstances = useMemo(() => {
     if (!weekDays?.length || !tasks) return [];
     const rangeStart = dayjs(weekDays[0]).startOf("day");
@@ -66,11 +84,102 @@ const WeekView = () => {
     );
   }, [tasks, exceptions, weekDays]);
 
+  // Optimistic position/size of a dragged task
+  const displayedInstances = useMemo(() => {
+    if (!pendingChange) return weekInstances;
+    const { startISO, durationMinutes } = pendingChange.changes;
+    return weekInstances.map((instance) =>
+      instance.id === pendingChange.instance.id
+        ? {
+            ...instance,
+            scheduled_time_utc: startISO ?? instance.scheduled_time_utc,
+            duration_minutes: durationMinutes ?? instance.duration_minutes,
+          }
+        : instance
+    );
+  }, [weekInstances, pendingChange]);
+
+  // Every column and the time labels share the same hours, so rows line up
+  const visibleHours = useMemo(
+    () =>
+      resolveVisibleHours(
+        timelineHoursFromSettings(settings),
+        displayedInstances
+      ),
+    [settings, displayedInstances]
+  );
+
+  // The optimistic position lasts until the save settles; after that the
+  // store's data (updated through realtime) takes over
+  const commitChange = async (change, scope) => {
+    const saving = { ...change, status: "saving" };
+    setPendingChange(saving);
+    try {
+      await rescheduleInstance(change.instance, change.changes, scope);
+    } catch (error) {
+      console.error("Failed to reschedule task:", error);
+      toast.error(error.message || t("planner.rescheduleFailed"));
+    } finally {
+      // A newer drag may have replaced this one meanwhile
+      setPendingChange((current) => (current === saving ? null : current));
+    }
+  };
+
+  // Recurring tasks ask which occurrences change, like the edit form does
+  const startChange = (instance, changes) => {
+    const change = {
+      instance,
+      changes,
+      status: "choosing",
+    };
+    const parentTask = tasks.find((task) => task.id === instance.task_id);
+    if (parentTask && !isSingleOccurrence(parentTask)) {
+      setChangeScope(null);
+      setPendingChange(change);
+    } else {
+      commitChange(change, "all");
+    }
+  };
+
+  const handleTaskDrop = (instance, dayKey, startMinutes) => {
+    const startISO = timelineSlotToISO(dayKey, startMinutes, instance.timezone);
+    if (dayjs.utc(startISO).isSame(dayjs.utc(instance.scheduled_time_utc)))
+      return;
+    startChange(instance, { startISO });
+  };
+
+  const handleTaskResize = (instance, durationMinutes) => {
+    if (durationMinutes === instance.duration_minutes) return;
+    startChange(instance, { durationMinutes });
+  };
+
+  // Previews what the selected scope would change, via the actions' dry runs
+  const getChangeImpact = useCallback(
+    async (scope) => {
+      if (!pendingChange) return null;
+      const { impact } = await rescheduleInstance(
+        pendingChange.instance,
+        pendingChange.changes,
+        scope,
+        { dryRun: true }
+      );
+      return impact;
+    },
+    [pendingChange, rescheduleInstance]
+  );
+
+  // "N times per week" goals have no time slot; show their progress instead
+  const goals = useMemo(
+    () => getGoalProgress(selectedDay ?? weekDays[0]),
+    [tasks, exceptions, selectedDay, weekDays, getGoalProgress]
+  );
+
   return (
     <div
       className="flex flex-col w-full h-full overflow-hidden"
       {...swipeHandlers}
     >
+      <GoalProgressList goals={goals} className="px-2 pb-2 flex-shrink-0" />
       <div className="flex-1 overflow-auto scrollbar-thin scrollbar-thumb-gray-700 scrollbar-track-transparent">
         {/* Single grid container for headers and timeline */}
         <div className="grid grid-rows-[auto,1fr] grid-cols-[12px_repeat(7,1fr)] gap-x-2 gap-y-2">
@@ -78,9 +187,9 @@ const WeekView = () => {
           <div className="contents ">
             {" "}
             {/* Phantom element for grid structure */}
-            <TimeLabels />
+            <TimeLabels hours={visibleHours} />
             {weekDays.map((date) => {
-              const tasksForDay = weekInstances.filter((instance) =>
+              const tasksForDay = displayedInstances.filter((instance) =>
                 dayjs(instance.scheduled_time_utc).isSame(date, "day")
               );
               return (
@@ -88,12 +197,31 @@ const WeekView = () => {
                   key={date.toISOString()}
                   date={date}
                   tasks={tasksForDay}
+                  hours={visibleHours}
+                  onTaskDrop={handleTaskDrop}
+                  onTaskResize={handleTaskResize}
                 />
               );
             })}
           </div>
         </div>
       </div>
+
+      <RecurrenceActionModal
+        actionType="modify"
+        isOpen={pendingChange?.status === "choosing"}
+        onClose={() => {
+          setPendingChange(null); // Cancelled: back to the original position
+          setChangeScope(null);
+        }}
+        onConfirm={(scope) => {
+          if (scope && pendingChange) commitChange(pendingChange, scope);
+          setChangeScope(null);
+        }}
+        selectedOption={changeScope}
+        setSelectedOption={setChangeScope}
+        getImpact={getChangeImpact}
+      />
     </div>
   );
 };
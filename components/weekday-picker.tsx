@@ -0,0 +1,112 @@
+"use client";
+import React from "react";
+import dayjs from "dayjs";
+import { Button } from "@/components/ui/button";
+import { cn } from "@/lib/utils";
+import {
+  selectTranslator,
+  useSettingsStore,
+} from "@/app/stores/useSettingsStore";
+import {
+  WEEKDAY_CODES,
+  WEEKDAY_PRESETS,
+  WeekdayCode,
+  normalizeWeekdayCodes,
+  weekStartCode,
+} from "@/lib/recurrence";
+
+// A weekday in the current locale, formatted with a dayjs pattern
+// (WEEKDAY_CODES start on Monday, dayjs weekdays on Sunday)
+const formatWeekday = (code: WeekdayCode, pattern: string) =>
+  dayjs()
+    .day((WEEKDAY_CODES.indexOf(code) + 1) % 7)
+    .format(pattern);
+
+// One letter per day, e.g. "M" or "L"
+const weekdayLabel = (code: WeekdayCode) =>
+  formatWeekday(code, "dd").charAt(0).toUpperCase();
+
+const presetOptions = [
+  { label: "weekdayPicker.weekdays", value: "weekdays" },
+  { label: "weekdayPicker.weekends", value: "weekends" },
+] as const;
+
+export interface WeekdayPickerProps {
+  value: string[];
+  onChange: (value: WeekdayCode[]) => void;
+  className?: string;
+}
+
+/**
+ * Multi-select of weekdays (RRULE BYDAY codes) with "Weekdays"/"Weekends" presets.
+ */
+export function WeekdayPicker({
+  value,
+  onChange,
+  className,
+}: WeekdayPickerProps) {
+  const selected = normalizeWeekdayCodes(value);
+  // Buttons run from the user's first day of the week
+  const weekStartsOn = useSettingsStore((state) => state.settings.week_start);
+  const t = useSettingsStore(selectTranslator);
+  const firstIndex = WEEKDAY_CODES.indexOf(weekStartCode(weekStartsOn));
+  const orderedCodes = [
+    ...WEEKDAY_CODES.slice(firstIndex),
+    ...WEEKDAY_CODES.slice(0, firstIndex),
+  ];
+
+  const toggleDay = (code: WeekdayCode) => {
+    const next = selected.includes(code)
+      ? selected.filter((day) => day !== code)
+      : [...selected, code];
+    onChange(normalizeWeekdayCodes(next));
+  };
+
+  const isPresetActive = (preset: string) =>
+    WEEKDAY_PRESETS[preset].length === selected.length &&
+    WEEKDAY_PRESETS[preset].every((code) => selected.includes(code));
+
+  return (
+    <div className={cn("space-y-3", className)}>
+      <div className="flex justify-between gap-1.5">
+        {orderedCodes.map((code) => (
+          <Button
+            key={code}
+            type="button"
+            variant="ghost"
+            aria-label={formatWeekday(code, "dddd")}
+            aria-pressed={selected.includes(code)}
+            onClick={() => toggleDay(code)}
+            className={cn(
+              "h-10 w-10 rounded-full p-0 text-sm font-semibold transition-colors hover:text-white",
+              selected.includes(code)
+                ? "bg-rose-400 text-white hover:bg-rose-500"
+                : "bg-zinc-900/50 text-gray-400 hover:bg-rose-400/10"
+            )}
+          >
+            {weekdayLabel(code)}
+          </Button>
+        ))}
+      </div>
+      <div className="flex gap-2">
+        {presetOptions.map((preset) => (
+          <Button
+            key={preset.value}
+            type="button"
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange(WEEKDAY_PRESETS[preset.value])}
+            className={cn(
+              "rounded-md border-0 text-xs hover:text-white",
+              isPresetActive(preset.value)
+                ? "bg-rose-400/90 text-white hover:bg-rose-500"
+                : "bg-zinc-900/50 text-gray-400 hover:bg-rose-400/10"
+            )}
+          >
+            {t(preset.label)}
+          </Button>
+        ))}
+      </div>
+    </div>
+  );
+}
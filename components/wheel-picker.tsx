@@ -2,14 +2,16 @@
 
 import { useState, useRef, useEffect, useCallback, useMemo } from "react";
 import dayjs from "dayjs";
+import { formatTimeOfDay, timePattern } from "@/lib/format";
 
 interface WheelPickerProps {
-  options: string[];
+  options: string[]; // Times of day, "HH:mm"
   onChange: (value: string) => void;
   isMobile?: boolean;
   itemHeight?: number;
   duration?: number; // Duration in minutes (default to 30 minutes)
   defaultValue?: string; // NEW: Default selected value
+  use24HourClock?: boolean; // Show 21:30 rather than 9:30 PM
 }
 
 // Helper type for clarity
@@ -25,6 +27,7 @@ export function WheelPicker({
   itemHeight = 20,
   duration = 30, // Default to 30 minutes
   defaultValue,
+  use24HourClock = false,
 }: WheelPickerProps) {
   // --- State ---
   const [selectedIndex, setSelectedIndex] = useState(0);
@@ -41,11 +44,7 @@ export function WheelPicker({
   // Calculate initial index only when defaultValue or options change
   const initialIndex = useMemo(() => {
     if (!defaultValue || !options || options.length === 0) return 0;
-    const formattedDefaultValue = dayjs(
-      `2000-01-01 ${defaultValue}`,
-      "YYYY-MM-DD HH:mm"
-    ).format("hh:mm A"); // Changed to hh:mm A
-    const index = options.indexOf(formattedDefaultValue);
+    const index = options.indexOf(defaultValue);
     return index >= 0 ? index : 0;
   }, [defaultValue, options]);
 
@@ -84,27 +83,7 @@ export function WheelPicker({
   useEffect(() => {
     const currentOptions = latestOptionsRef.current;
     if (currentOptions && currentOptions[selectedIndex]) {
-      const selectedTimeOption = currentOptions[selectedIndex];
-      const formatToParse = "hh:mm A";
-
-      // Manual parsing for iOS compatibility
-      const [time, period] = selectedTimeOption.split(" ");
-      const [hoursStr, minutesStr] = time.split(":");
-      let hours = parseInt(hoursStr, 10);
-      const minutes = parseInt(minutesStr, 10);
-
-      // Convert 12h to 24h format
-      if (period === "PM" && hours !== 12) hours += 12;
-      if (period === "AM" && hours === 12) hours = 0;
-
-      const parsedTime = dayjs().hour(hours).minute(minutes).second(0);
-
-      if (parsedTime.isValid()) {
-        const formattedTimeForParent = parsedTime.format("HH:mm");
-        latestOnChangeRef.current(formattedTimeForParent);
-      } else {
-        console.warn(`Invalid time: ${selectedTimeOption}`);
-      }
+      latestOnChangeRef.current(currentOptions[selectedIndex]);
     }
   }, [selectedIndex]);
 
@@ -229,28 +208,15 @@ export function WheelPicker({
       const currentOptions = latestOptionsRef.current;
       if (!currentOptions || !currentOptions[index]) return "Invalid time";
 
-      const timeString = currentOptions[index];
-      // Manually parse the time string (e.g., "09:00 AM")
-      const [time, period] = timeString.split(" ");
-      const [hoursStr, minutesStr] = time.split(":");
-
-      let hours = parseInt(hoursStr, 10);
-      const minutes = parseInt(minutesStr, 10);
-
-      // Convert 12-hour format to 24-hour
-      if (period === "PM" && hours !== 12) {
-        hours += 12;
-      } else if (period === "AM" && hours === 12) {
-        hours = 0;
-      }
-
+      const [hours, minutes] = currentOptions[index].split(":").map(Number);
       const startTime = dayjs().hour(hours).minute(minutes).second(0);
       if (!startTime.isValid()) return "Invalid time";
 
       const endTime = startTime.add(duration, "minute");
-      return `${startTime.format("h:mm A")} - ${endTime.format("h:mm A")}`;
+      const pattern = timePattern(use24HourClock);
+      return `${startTime.format(pattern)} - ${endTime.format(pattern)}`;
     },
-    [duration]
+    [duration, use24HourClock]
   );
 
   // --- Render ---
@@ -296,13 +262,22 @@ export function WheelPicker({
           }}
           onClick={() => handleOptionClick(index)}
         >
-          {isSelected ? getTimeRange(index) : option}
+          {isSelected
+            ? getTimeRange(index)
+            : formatTimeOfDay(option, use24HourClock)}
         </li>
       );
     });
 
     return [paddingTop, ...items, paddingBottom];
-  }, [options, selectedIndex, itemHeight, handleOptionClick, getTimeRange]); // Dependencies for rendering options
+  }, [
+    options,
+    selectedIndex,
+    itemHeight,
+    handleOptionClick,
+    getTimeRange,
+    use24HourClock,
+  ]); // Dependencies for rendering options
 
   return (
     <div
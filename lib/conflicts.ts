@@ -0,0 +1,328 @@
+// src/lib/conflicts.ts
+
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+import { Translator } from "@/lib/i18n";
+import { normalizeTimesOfDay } from "@/lib/recurrence";
+import { calculateInstancesForRange } from "@/lib/taskCalculator";
+import { minutesToTimeString, VisibleHours } from "@/lib/timeline";
+import {
+  CalculatedInstance,
+  TaskDefinition,
+  TaskException,
+} from "@/types/tasks";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/** How many upcoming occurrences of a task are checked for conflicts. */
+export const CONFLICT_CHECK_OCCURRENCES = 10;
+/** How far ahead (days) the occurrences to check are looked for. */
+const CONFLICT_HORIZON_DAYS = 366;
+/** Days a one-off task's free-slot search covers. */
+export const FREE_SLOT_SEARCH_DAYS = 14;
+
+/** The schedule of the task being checked, as it would be saved. */
+export type ConflictCandidate = Pick<
+  TaskDefinition,
+  | "dtstart"
+  | "duration_minutes"
+  | "rrule"
+  | "timezone"
+  | "times_of_day"
+  | "rdates"
+  | "exdates"
+  | "repeat_after_days"
+  | "goal_target"
+>;
+
+/**
+ * Instances left out of the check: every instance of `taskId` (the task being
+ * edited), or only its occurrence at `occurrenceTimeUTC` (a single-occurrence
+ * edit).
+ */
+export interface ConflictIgnore {
+  taskId?: string | null;
+  occurrenceTimeUTC?: string | null;
+}
+
+export interface ConflictCheckOptions {
+  fromISO?: string; // Only occurrences starting at or after this are checked (default: now)
+  limit?: number; // Occurrences checked (default CONFLICT_CHECK_OCCURRENCES)
+  ignore?: ConflictIgnore;
+}
+
+/** An occurrence of the checked task and the instances it overlaps. */
+export interface OccurrenceConflict {
+  occurrence_time_utc: string;
+  instances: Pick<
+    CalculatedInstance,
+    "task_id" | "title" | "scheduled_time_utc" | "duration_minutes"
+  >[];
+}
+
+export interface ConflictReport {
+  checked: number; // Occurrences checked
+  conflicts: OccurrenceConflict[]; // The ones that overlap something
+  titles: string[]; // Distinct titles of the overlapped tasks
+}
+
+const endOf = (startMs: number, durationMinutes: number) =>
+  startMs + durationMinutes * 60 * 1000;
+
+/** The candidate's next `limit` occurrence start times (ms), from `fromISO`. */
+const candidateOccurrences = (
+  candidate: ConflictCandidate,
+  fromISO: string,
+  limit: number
+): number[] =>
+  calculateInstancesForRange(
+    [
+      {
+        ...candidate,
+        id: "conflict-candidate",
+        user_id: "",
+        title: "",
+        icon_name: "",
+        status: "active",
+        created_at: "",
+        updated_at: "",
+      },
+    ],
+    [],
+    fromISO,
+    dayjs.utc(fromISO).add(CONFLICT_HORIZON_DAYS, "day").toISOString()
+  )
+    .map((instance) => dayjs.utc(instance.scheduled_time_utc).valueOf())
+    .filter((startMs) => startMs >= dayjs.utc(fromISO).valueOf())
+    .slice(0, limit);
+
+/** Existing instances between two instants, minus the ignored ones. */
+const existingInstances = (
+  tasks: TaskDefinition[],
+  exceptions: TaskException[],
+  startMs: number,
+  endMs: number,
+  ignore: ConflictIgnore = {}
+): CalculatedInstance[] =>
+  calculateInstancesForRange(
+    tasks,
+    exceptions,
+    // A day earlier, so instances that started before the range still count
+    dayjs.utc(startMs).subtract(1, "day").toISOString(),
+    dayjs.utc(endMs).toISOString()
+  ).filter(
+    (instance) =>
+      !ignore.taskId ||
+      instance.task_id !== ignore.taskId ||
+      (!!ignore.occurrenceTimeUTC &&
+        !dayjs
+          .utc(instance.original_occurrence_time_utc)
+          .isSame(ignore.occurrenceTimeUTC))
+  );
+
+/** Instances overlapping [startMs, startMs + duration). */
+const overlapping = (
+  instances: CalculatedInstance[],
+  startMs: number,
+  durationMinutes: number
+) =>
+  instances.filter((instance) => {
+    const instanceStart = dayjs.utc(instance.scheduled_time_utc).valueOf();
+    return (
+      instanceStart < endOf(startMs, durationMinutes) &&
+      startMs < endOf(instanceStart, instance.duration_minutes)
+    );
+  });
+
+const buildReport = (
+  occurrences: number[],
+  instances: CalculatedInstance[],
+  durationMinutes: number
+): ConflictReport => {
+  const conflicts = occurrences
+    .map((startMs) => ({
+      occurrence_time_utc: dayjs.utc(startMs).toISOString(),
+      instances: overlapping(instances, startMs, durationMinutes).map(
+        ({ task_id, title, scheduled_time_utc, duration_minutes }) => ({
+          task_id,
+          title,
+          scheduled_time_utc,
+          duration_minutes,
+        })
+      ),
+    }))
+    .filter((conflict) => conflict.instances.length > 0);
+  return {
+    checked: occurrences.length,
+    conflicts,
+    titles: Array.from(
+      new Set(
+        conflicts.flatMap((conflict) =>
+          conflict.instances.map((instance) => instance.title)
+        )
+      )
+    ),
+  };
+};
+
+/**
+ * The stretch of time a conflict check of `candidate` looks at (with
+ * `searchDays`, a free-slot search too), or null when it has no occurrences
+ * to check. Only instances in it can overlap, so it bounds what a check needs
+ * to load.
+ *
+ * @param candidate - The task's schedule as it would be saved.
+ * @param options - Where to start, how many occurrences and, for a free-slot
+ *   search, how many days it covers.
+ * @returns UTC ISO start (inclusive) and end (exclusive).
+ */
+export const conflictCheckWindow = (
+  candidate: ConflictCandidate,
+  {
+    fromISO = new Date().toISOString(),
+    limit = CONFLICT_CHECK_OCCURRENCES,
+    searchDays = 0,
+  }: Omit<ConflictCheckOptions, "ignore"> & { searchDays?: number } = {}
+): { startISO: string; endISO: string } | null => {
+  const occurrences = candidateOccurrences(candidate, fromISO, limit);
+  if (occurrences.length === 0) return null;
+  return {
+    // A day earlier, like `existingInstances`
+    startISO: dayjs.utc(occurrences[0]).subtract(1, "day").toISOString(),
+    endISO: dayjs
+      .utc(
+        endOf(occurrences[occurrences.length - 1], candidate.duration_minutes)
+      )
+      .add(searchDays, "day")
+      .toISOString(),
+  };
+};
+
+/**
+ * Checks the next occurrences of a task (new or edited) against the other
+ * tasks' instances, as `calculateInstancesForRange` places them, and reports
+ * the ones that overlap. Recurring tasks are checked on their next `limit`
+ * occurrences, e.g. "conflicts on 4 of the next 10 occurrences".
+ *
+ * @param candidate - The task's schedule as it would be saved.
+ * @param tasks - The user's task definitions.
+ * @param exceptions - Their exceptions.
+ * @param options - Where to start, how many occurrences and what to ignore.
+ */
+export const findScheduleConflicts = (
+  candidate: ConflictCandidate,
+  tasks: TaskDefinition[],
+  exceptions: TaskException[],
+  {
+    fromISO = new Date().toISOString(),
+    limit = CONFLICT_CHECK_OCCURRENCES,
+    ignore,
+  }: ConflictCheckOptions = {}
+): ConflictReport => {
+  const occurrences = candidateOccurrences(candidate, fromISO, limit);
+  if (occurrences.length === 0)
+    return { checked: 0, conflicts: [], titles: [] };
+  const instances = existingInstances(
+    tasks,
+    exceptions,
+    occurrences[0],
+    endOf(occurrences[occurrences.length - 1], candidate.duration_minutes),
+    ignore
+  );
+  return buildReport(occurrences, instances, candidate.duration_minutes);
+};
+
+/**
+ * Finds the earliest start at or after the task's next occurrence where none
+ * of its next `limit` occurrences overlap anything. Only starts that leave the
+ * whole task inside `hours` (e.g. the user's visible hours) are tried.
+ *
+ * One-off tasks are tried on the following `searchDays` days too; recurring
+ * tasks keep their days and only move their time of day, and tasks with
+ * several times of day aren't moved at all.
+ *
+ * @returns The new start (UTC ISO), or null when no free slot was found.
+ */
+export const findNextFreeSlot = (
+  candidate: ConflictCandidate,
+  tasks: TaskDefinition[],
+  exceptions: TaskException[],
+  {
+    fromISO = new Date().toISOString(),
+    limit = CONFLICT_CHECK_OCCURRENCES,
+    ignore,
+    hours,
+    stepMinutes = 15,
+    searchDays = FREE_SLOT_SEARCH_DAYS,
+  }: ConflictCheckOptions & {
+    hours: VisibleHours; // The part of the day to search
+    stepMinutes?: number; // Start times tried, in minutes since midnight
+    searchDays?: number; // One-off tasks only
+  }
+): string | null => {
+  const earliestMinutes = hours.startHour * 60;
+  const latestStartMinutes = hours.endHour * 60 - candidate.duration_minutes;
+  if (normalizeTimesOfDay(candidate.times_of_day).length > 1) return null;
+  const occurrences = candidateOccurrences(candidate, fromISO, limit);
+  if (occurrences.length === 0) return null;
+
+  const first = dayjs.utc(occurrences[0]).tz(candidate.timezone);
+  const isRecurring = occurrences.length > 1 || !!candidate.rrule;
+  const days = isRecurring ? 1 : searchDays;
+  const instances = existingInstances(
+    tasks,
+    exceptions,
+    occurrences[0],
+    endOf(
+      dayjs
+        .utc(occurrences[occurrences.length - 1])
+        .add(days, "day")
+        .valueOf(),
+      candidate.duration_minutes
+    ),
+    ignore
+  );
+
+  for (let day = 0; day < days; day++) {
+    const date = first.add(day, "day").format("YYYY-MM-DD");
+    for (
+      let minutes = Math.ceil(earliestMinutes / stepMinutes) * stepMinutes;
+      minutes <= latestStartMinutes;
+      minutes += stepMinutes
+    ) {
+      const start = dayjs.tz(
+        `${date} ${minutesToTimeString(minutes)}`,
+        "YYYY-MM-DD HH:mm",
+        candidate.timezone
+      );
+      if (start.valueOf() < occurrences[0]) continue;
+      const shift = start.valueOf() - occurrences[0];
+      const isFree = occurrences.every(
+        (startMs) =>
+          overlapping(instances, startMs + shift, candidate.duration_minutes)
+            .length === 0
+      );
+      if (isFree) return start.toISOString();
+    }
+  }
+  return null;
+};
+
+/**
+ * One-line summary of a conflict report, or null when nothing overlaps,
+ * e.g. "Overlaps Gym" or "Conflicts on 4 of the next 10 occurrences".
+ */
+export const describeConflicts = (
+  report: ConflictReport,
+  t: Translator
+): string | null => {
+  if (report.conflicts.length === 0) return null;
+  if (report.checked === 1)
+    return t("conflicts.overlaps", { titles: report.titles.join(", ") });
+  return t("conflicts.occurrences", {
+    conflicts: report.conflicts.length,
+    count: report.checked,
+  });
+};
@@ -0,0 +1,113 @@
+// src/lib/format.ts
+
+import dayjs from "dayjs";
+import localizedFormat from "dayjs/plugin/localizedFormat";
+import "dayjs/locale/de";
+import "dayjs/locale/en-gb";
+import "dayjs/locale/es";
+import { Locale, setDefaultOptions } from "date-fns";
+import { de, enGB, enUS, es } from "date-fns/locale";
+
+dayjs.extend(localizedFormat);
+
+/** How times of day are shown; "auto" follows the locale. */
+export const TIME_FORMATS = ["auto", "12h", "24h"] as const;
+export type TimeFormat = (typeof TIME_FORMATS)[number];
+
+/** Locales dates and times can be shown in, with their dayjs/date-fns data. */
+export const SUPPORTED_LOCALES: {
+  code: string;
+  label: string;
+  dayjs: string;
+  dateFns: Locale;
+}[] = [
+  { code: "en-US", label: "English (US)", dayjs: "en", dateFns: enUS },
+  { code: "en-GB", label: "English (UK)", dayjs: "en-gb", dateFns: enGB },
+  { code: "de", label: "Deutsch", dayjs: "de", dateFns: de },
+  { code: "es", label: "Español", dayjs: "es", dateFns: es },
+];
+
+export const DEFAULT_LOCALE = "en-US";
+
+const findLocale = (code?: string | null) =>
+  SUPPORTED_LOCALES.find(
+    (locale) => locale.code.toLowerCase() === code?.toLowerCase()
+  );
+
+/**
+ * The locale to use: the user's choice when it's supported, otherwise the
+ * first of the browser's languages we support (exactly, or by language, so
+ * "de-AT" gets "de" and "en-AU" gets English).
+ *
+ * @param preference - The user's chosen locale code, or null to detect it.
+ * @param languages - The browser's languages, most preferred first.
+ */
+export const resolveLocale = (
+  preference?: string | null,
+  languages: readonly string[] = typeof navigator !== "undefined"
+    ? (navigator.languages ?? [navigator.language])
+    : []
+): string => {
+  const chosen = findLocale(preference);
+  if (chosen) return chosen.code;
+  for (const language of languages) {
+    const match =
+      findLocale(language) ??
+      SUPPORTED_LOCALES.find(
+        (locale) =>
+          locale.code.split("-")[0] === language?.split("-")[0]?.toLowerCase()
+      );
+    if (match) return match.code;
+  }
+  return DEFAULT_LOCALE;
+};
+
+/** Whether times are shown on a 24-hour clock for a format preference. */
+export const uses24HourClock = (
+  timeFormat: TimeFormat,
+  locale: string = DEFAULT_LOCALE
+): boolean => {
+  if (timeFormat !== "auto") return timeFormat === "24h";
+  const { hourCycle } = new Intl.DateTimeFormat(locale, {
+    hour: "numeric",
+  }).resolvedOptions();
+  return hourCycle === "h23" || hourCycle === "h24";
+};
+
+/** dayjs pattern for a time of day, e.g. "9:30 PM" or "21:30". */
+export const timePattern = (use24HourClock: boolean): string =>
+  use24HourClock ? "HH:mm" : "h:mm A";
+
+/** date-fns pattern for an hour label on the timeline, e.g. "9PM" or "21:00". */
+export const hourLabelPattern = (use24HourClock: boolean): string =>
+  use24HourClock ? "HH:mm" : "ha";
+
+/** A stored time of day ("HH:mm") as shown to the user. */
+export const formatTimeOfDay = (time: string, use24HourClock: boolean) =>
+  dayjs(`2000-01-01 ${time}`).format(timePattern(use24HourClock));
+
+/** A day as a short heading in the current locale, e.g. "Wed, Oct 21" or "Mi., 21. Okt.". */
+export const formatDayHeading = (date: dayjs.ConfigType): string =>
+  new Intl.DateTimeFormat(dayjs.locale(), {
+    weekday: "short",
+    month: "short",
+    day: "numeric",
+  }).format(dayjs(date).toDate());
+
+/** The current locale's month names, January first. */
+export const monthNames = (): string[] =>
+  Array.from({ length: 12 }, (_, i) => dayjs().month(i).format("MMMM"));
+
+/** The current locale's short weekday names, indexed by weekday (0 = Sunday). */
+export const shortWeekdayNames = (): string[] =>
+  Array.from({ length: 7 }, (_, i) => dayjs().day(i).format("ddd"));
+
+/**
+ * Makes `locale` the one dayjs and date-fns format with by default, so month
+ * and weekday names everywhere follow it.
+ */
+export const applyLocale = (locale: string) => {
+  const supported = findLocale(locale) ?? findLocale(DEFAULT_LOCALE);
+  dayjs.locale(supported.dayjs);
+  setDefaultOptions({ locale: supported.dateFns });
+};
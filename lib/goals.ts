@@ -0,0 +1,127 @@
+// src/lib/goals.ts
+
+import dayjs from "dayjs";
+import isBetween from "dayjs/plugin/isBetween";
+import {
+  getSeriesLineageIds,
+  getSeriesStatus,
+  hasNewerSplit,
+} from "@/lib/seriesStatus";
+import { DEFAULT_WEEK_START, endOfWeek, startOfWeek } from "@/lib/week";
+import { TaskDefinition, TaskException } from "@/types/tasks";
+
+dayjs.extend(isBetween);
+
+/** Periods a goal-style task ("3 times per week") can count completions over. */
+export const GOAL_PERIODS = ["week", "month"] as const;
+export type GoalPeriod = (typeof GOAL_PERIODS)[number];
+
+/**
+ * Progress of one goal-style task in the period containing a given day.
+ */
+export interface GoalProgress {
+  task: TaskDefinition;
+  period: GoalPeriod;
+  periodStart: string; // ISO string (start of the first day, local time)
+  periodEnd: string; // ISO string (end of the last day, local time)
+  count: number; // Completions logged in the period
+  target: number;
+  remaining: number; // Completions still needed (0 once met)
+  daysLeft: number; // Days left in the period, counting the given day
+  isMet: boolean;
+  isAtRisk: boolean; // Unmet, with barely enough days left to reach the target
+  completions: TaskException[]; // Logged completions in the period, latest first
+}
+
+/**
+ * The local-time range of the goal period (week or month) containing `date`.
+ *
+ * @param period - "week" or "month".
+ * @param date - Any day in the period.
+ * @param weekStartsOn - First day of the week (0 = Sunday … 6 = Saturday).
+ */
+export const goalPeriodRange = (
+  period: GoalPeriod,
+  date: Date | string,
+  weekStartsOn: number = DEFAULT_WEEK_START
+): { start: dayjs.Dayjs; end: dayjs.Dayjs } => {
+  const day = dayjs(date).startOf("day");
+  if (period === "month") {
+    return { start: day.startOf("month"), end: day.endOf("month") };
+  }
+  return {
+    start: startOfWeek(day, weekStartsOn),
+    end: endOfWeek(day, weekStartsOn),
+  };
+};
+
+/**
+ * Goal progress for every active goal-style task (`goal_target` set) in the
+ * period containing `date`; paused and archived goals are left out.
+ * Completions are the task's completed exceptions, counted by their
+ * `completion_time`. A goal split by a "this and future" edit is one goal:
+ * the newest half counts the completions logged on the earlier ones, which
+ * aren't listed on their own.
+ *
+ * A goal is "at risk" when it's unmet and no more than one spare day is left
+ * to fit the remaining completions in (e.g. Friday of a 3-per-week goal with
+ * one run logged), which is when the task drawer brings it up.
+ *
+ * @param tasks - All task definitions.
+ * @param exceptions - All task exceptions.
+ * @param date - The day to evaluate (usually the selected day).
+ * @param weekStartsOn - First day of the week (0 = Sunday … 6 = Saturday).
+ * @returns Progress for each goal, in task order.
+ */
+export const calculateGoalProgress = (
+  tasks: TaskDefinition[],
+  exceptions: TaskException[],
+  date: Date | string,
+  weekStartsOn: number = DEFAULT_WEEK_START
+): GoalProgress[] =>
+  (tasks ?? [])
+    .filter(
+      (task) =>
+        task?.goal_target &&
+        getSeriesStatus(task, date) === "active" &&
+        !hasNewerSplit(task, tasks)
+    )
+    .map((task) => {
+      const period = (task.goal_period ?? "week") as GoalPeriod;
+      const { start, end } = goalPeriodRange(period, date, weekStartsOn);
+      const lineageIds = getSeriesLineageIds(task, tasks);
+      const completions = (exceptions ?? [])
+        .filter(
+          (ex) =>
+            lineageIds.includes(ex.task_id) &&
+            ex.is_complete &&
+            !ex.is_cancelled &&
+            dayjs(ex.completion_time ?? ex.original_occurrence_time).isBetween(
+              start,
+              end,
+              "millisecond",
+              "[]"
+            )
+        )
+        .sort((a, b) =>
+          dayjs(b.completion_time ?? b.original_occurrence_time).diff(
+            dayjs(a.completion_time ?? a.original_occurrence_time)
+          )
+        );
+      const count = completions.length;
+      const remaining = Math.max(0, task.goal_target - count);
+      const daysLeft = end.diff(dayjs(date).startOf("day"), "day") + 1;
+      return {
+        task,
+        period,
+        periodStart: start.toISOString(),
+        periodEnd: end.toISOString(),
+        count,
+        target: task.goal_target,
+        remaining,
+        daysLeft,
+        isMet: remaining === 0,
+        isAtRisk: remaining > 0 && daysLeft <= remaining + 1,
+        completions,
+      };
+    });
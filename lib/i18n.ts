@@ -0,0 +1,100 @@
+// src/lib/i18n.ts
+
+import en from "@/lib/messages/en";
+import de from "@/lib/messages/de";
+import es from "@/lib/messages/es";
+import { DEFAULT_LOCALE } from "@/lib/format";
+
+/** Keys of the message catalogs; English is the reference catalog. */
+export type MessageKey = keyof typeof en;
+
+/**
+ * A catalog entry: a string, or one string per plural category (picked by
+ * the `count` param with `Intl.PluralRules`; "other" is required).
+ * "{name}" placeholders are filled in from the params.
+ */
+export type Message =
+  | string
+  | ({ other: string } & Partial<Record<Intl.LDMLPluralRule, string>>);
+
+/** A complete catalog for one language. */
+export type Messages = Record<MessageKey, Message>;
+
+export type MessageParams = Record<string, string | number>;
+
+/** Looks up a message in one locale, e.g. `t("taskForm.title.new")`. */
+export type Translator = ((
+  key: MessageKey,
+  params?: MessageParams
+) => string) & {
+  locale: string;
+};
+
+// By language; regional locales (en-GB) share their language's catalog
+const CATALOGS: Record<string, Partial<Messages>> = { en, de, es };
+
+/** Cookie the user's language choice is mirrored to, for server rendering. */
+export const LOCALE_COOKIE = "locale";
+
+const catalogFor = (locale: string): Partial<Messages> =>
+  CATALOGS[locale.toLowerCase()] ?? CATALOGS[locale.split("-")[0]] ?? en;
+
+const interpolate = (text: string, params?: MessageParams) =>
+  params
+    ? text.replace(/\{(\w+)\}/g, (match, name) =>
+        name in params ? String(params[name]) : match
+      )
+    : text;
+
+const translators = new Map<string, Translator>();
+
+/**
+ * The translator for a locale (one of SUPPORTED_LOCALES; see
+ * `resolveLocale`). Messages missing from its catalog fall back to English.
+ * Translators are cached, so the same locale always gets the same function.
+ */
+export const getTranslator = (locale: string = DEFAULT_LOCALE): Translator => {
+  const cached = translators.get(locale);
+  if (cached) return cached;
+
+  const catalog = catalogFor(locale);
+  const pluralRules = new Intl.PluralRules(locale);
+  const t = ((key, params) => {
+    const message = catalog[key] ?? en[key] ?? key;
+    if (typeof message === "string") return interpolate(message, params);
+    const count = Number(params?.count);
+    const form = Number.isFinite(count) ? pluralRules.select(count) : "other";
+    return interpolate(message[form] ?? message.other, params);
+  }) as Translator;
+  t.locale = locale;
+
+  translators.set(locale, t);
+  return t;
+};
+
+/**
+ * Language codes from an Accept-Language header, most preferred first,
+ * e.g. "de-AT,de;q=0.9,en;q=0.8" → ["de-AT", "de", "en"].
+ */
+export const parseAcceptLanguage = (header?: string | null): string[] =>
+  (header ?? "")
+    .split(",")
+    .map((part) => {
+      const [code, ...options] = part.trim().split(";");
+      const q = options.find((option) => option.trim().startsWith("q="));
+      return { code, quality: q ? parseFloat(q.trim().slice(2)) : 1 };
+    })
+    .filter(({ code, quality }) => code && code !== "*" && quality > 0)
+    .sort((a, b) => b.quality - a.quality)
+    .map(({ code }) => code);
+
+/**
+ * Mirrors the user's language choice (null: detect it) to `LOCALE_COOKIE`,
+ * so server actions and the auth pages answer in it too.
+ */
+export const storeLocalePreference = (locale: string | null) => {
+  if (typeof document === "undefined") return;
+  document.cookie = locale
+    ? `${LOCALE_COOKIE}=${encodeURIComponent(locale)}; path=/; max-age=31536000; samesite=lax`
+    : `${LOCALE_COOKIE}=; path=/; max-age=0; samesite=lax`;
+};
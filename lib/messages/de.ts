@@ -0,0 +1,650 @@
+// src/lib/messages/de.ts
+
+import type { Messages } from "@/lib/i18n";
+
+/** German messages. */
+const de: Messages = {
+  // --- Shared ---
+  "common.cancel": "Abbrechen",
+  "common.delete": "Löschen",
+  "common.edit": "Bearbeiten",
+  "common.undo": "Rückgängig",
+  "common.redo": "Wiederholen",
+  "common.close": "Schließen",
+  "common.confirm": "Bestätigen",
+  "common.restore": "Wiederherstellen",
+  "common.apply": "Übernehmen",
+  "common.today": "Heute",
+  "common.selectDate": "Datum wählen",
+
+  // --- Undo / redo toasts ---
+  "undo.undone": "Rückgängig gemacht: {label}",
+  "undo.redone": "Wiederhergestellt: {label}",
+  "undo.undoFailed":
+    "Die letzte Änderung konnte nicht rückgängig gemacht werden.",
+  "undo.redoFailed": "Die Änderung konnte nicht wiederhergestellt werden.",
+  "undo.occurrenceMoved": "Termin verschoben.",
+  "undo.occurrenceResized": "Termindauer geändert.",
+  "undo.futureMoved": "Künftige Termine verschoben.",
+  "undo.futureResized": "Dauer künftiger Termine geändert.",
+  "undo.taskMoved": "Aufgabe verschoben.",
+  "undo.taskResized": "Aufgabendauer geändert.",
+
+  // --- Recurrence summaries ---
+  "recurrence.every.day": { one: "Jeden Tag", other: "Alle {count} Tage" },
+  "recurrence.every.week": { one: "Jede Woche", other: "Alle {count} Wochen" },
+  "recurrence.every.month": {
+    one: "Jeden Monat",
+    other: "Alle {count} Monate",
+  },
+  "recurrence.every.year": { one: "Jedes Jahr", other: "Alle {count} Jahre" },
+  "recurrence.onWeekdays": "am {days}",
+  "recurrence.onNthWeekdays": "am {days}",
+  "recurrence.nthWeekday": "{ordinal} {weekday}",
+  "recurrence.onMonthDays": {
+    one: "am {days}.",
+    other: "an den Tagen {days}",
+  },
+  "recurrence.onLastDay": "am letzten Tag",
+  "recurrence.inMonths": "im {months}",
+  "recurrence.count": { one: "einmal", other: "{count}-mal" },
+  "recurrence.until": "bis {date}",
+  "recurrence.ordinal.1": "ersten",
+  "recurrence.ordinal.2": "zweiten",
+  "recurrence.ordinal.3": "dritten",
+  "recurrence.ordinal.4": "vierten",
+  "recurrence.ordinal.5": "fünften",
+  "recurrence.ordinal.last": "letzten",
+  "recurrence.monthlyMode.nth_weekday": "Am {ordinal} {weekday}",
+  "recurrence.monthlyMode.last_weekday": "Am letzten {weekday}",
+  "recurrence.monthlyMode.last_day": "Am letzten Tag",
+  "recurrence.monthlyMode.day_of_month": "Am {day}.",
+
+  // --- Hand-written RRULEs ---
+  "rrule.errors.empty": "Gib eine Regel ein, z. B. FREQ=WEEKLY;BYDAY=MO,WE.",
+  "rrule.errors.onlyRule":
+    "Nur die RRULE-Zeile wird unterstützt; Startdatum und Zeitzone kommen aus der Aufgabe.",
+  "rrule.errors.invalid": "Ungültige RRULE: {detail}",
+  "rrule.errors.freqRequired":
+    "FREQ ist erforderlich (DAILY, WEEKLY, MONTHLY oder YEARLY).",
+  "rrule.errors.unsupportedFreq":
+    "Nur DAILY-, WEEKLY-, MONTHLY- und YEARLY-Regeln werden unterstützt.",
+  "rrule.errors.interval": "INTERVAL muss eine positive ganze Zahl sein.",
+  "rrule.errors.count": "COUNT muss eine positive ganze Zahl sein.",
+  "rrule.errors.countAndUntil":
+    "Verwende entweder COUNT oder UNTIL, nicht beides.",
+  "rrule.errors.weekday":
+    "BYDAY enthält einen unbekannten Wochentag (verwende MO, TU, WE, TH, FR, SA, SU).",
+  "rrule.errors.noOccurrence": "Diese Regel ergibt keinen einzigen Termin.",
+
+  // --- Scheduling conflicts ---
+  "conflicts.overlaps": "Überschneidet sich mit {titles}",
+  "conflicts.occurrences": {
+    one: "Überschneidung bei {conflicts} des nächsten Termins",
+    other: "Überschneidungen bei {conflicts} der nächsten {count} Termine",
+  },
+  "conflicts.with": "Mit {titles}",
+
+  // --- Task form ---
+  "taskForm.title.new": "Neue {noun}",
+  "taskForm.title.edit": "{noun} bearbeiten",
+  "taskForm.title.task": "Aufgabe",
+  "taskForm.title.occurrence": "Termin",
+  "taskForm.close": "Schließen",
+  "taskForm.drawerTitle": "Aufgabenformular",
+  "taskForm.namePlaceholder": "Name der Aufgabe",
+  "taskForm.when": "Wann",
+  "taskForm.removeTime": "{time} entfernen",
+  "taskForm.addTime": "+ {time} hinzufügen",
+  "taskForm.addAnyTime": "+ Uhrzeit hinzufügen",
+  "taskForm.timesOfDayHint":
+    "Füge eine weitere Uhrzeit hinzu, um die Aufgabe mehrmals täglich zu wiederholen.",
+  "taskForm.selectStartDate": "Startdatum wählen",
+  "taskForm.selectEndDate": "Enddatum wählen",
+  "taskForm.duration": "Dauer",
+  "taskForm.duration.15": "15 Min.",
+  "taskForm.duration.30": "30 Min.",
+  "taskForm.duration.45": "45 Min.",
+  "taskForm.duration.60": "1 Std.",
+  "taskForm.duration.90": "1,5 Std.",
+  "taskForm.duration.120": "2 Std.",
+  "taskForm.howOften": "Wie oft?",
+  "taskForm.frequency.once": "Einmal",
+  "taskForm.frequency.daily": "Täglich",
+  "taskForm.frequency.weekly": "Wöchentlich",
+  "taskForm.frequency.monthly": "Monatlich",
+  "taskForm.frequency.yearly": "Jährlich",
+  "taskForm.recurrenceLocked":
+    "Die Wiederholung kann beim Bearbeiten eines einzelnen Termins nicht geändert werden.",
+  "taskForm.recurrenceSettings": "Wiederholung",
+  "taskForm.repeat": "Wiederholen",
+  "taskForm.repeatFrom.schedule": "Nach Zeitplan",
+  "taskForm.repeatFrom.completion": "Nach Erledigung",
+  "taskForm.schedule": "Zeitplan",
+  "taskForm.scheduleType.weeklyFixed": "An festen Tagen",
+  "taskForm.scheduleType.weeklyGoal": "Mal pro Woche",
+  "taskForm.scheduleType.monthlyFixed": "An festen Daten",
+  "taskForm.scheduleType.monthlyGoal": "Mal pro Monat",
+  "taskForm.target": "Ziel",
+  "taskForm.goal.perWeek": {
+    one: "Mal pro Woche, an beliebigen Tagen",
+    other: "Mal pro Woche, an beliebigen Tagen",
+  },
+  "taskForm.goal.perMonth": {
+    one: "Mal pro Monat, an beliebigen Tagen",
+    other: "Mal pro Monat, an beliebigen Tagen",
+  },
+  "taskForm.repeatEvery": "Wiederholen alle",
+  "taskForm.interval.days": { one: "Tag", other: "Tage" },
+  "taskForm.interval.daysAfterCompletion": {
+    one: "Tag nach Erledigung",
+    other: "Tage nach Erledigung",
+  },
+  "taskForm.interval.weeks": { one: "Woche", other: "Wochen" },
+  "taskForm.interval.months": { one: "Monat", other: "Monate" },
+  "taskForm.interval.years": {
+    one: "Jahr am {date}",
+    other: "Jahre am {date}",
+  },
+  "taskForm.on": "Am",
+  "taskForm.repeatOn": "Wiederholen am",
+  "taskForm.ends": "Endet",
+  "taskForm.endType.never": "Nie",
+  "taskForm.endType.after": "Nach",
+  "taskForm.endType.on": "Am Datum",
+  "taskForm.occurrences": "Anzahl der Termine",
+  "taskForm.keepTotalCount":
+    "Gesamtzahl beibehalten, wenn nur dieser und künftige Termine geändert werden (die neue Serie erhält den Rest)",
+  "taskForm.rdates.label": "Zusätzlich am",
+  "taskForm.rdates.description":
+    "Einzelne zusätzliche Daten zur selben Uhrzeit.",
+  "taskForm.exdates.label": "Auslassen am",
+  "taskForm.exdates.description": "Aus der Serie entfernte Daten.",
+  "taskForm.advanced.toggle": "Erweitert (eigene RRULE)",
+  "taskForm.advanced.next": {
+    one: "Nächster Termin",
+    other: "Nächste {count} Termine",
+  },
+  "taskForm.advanced.none": "Keine anstehenden Termine",
+  "taskForm.advanced.hint":
+    "Startdatum und -uhrzeit oben werden als DTSTART verwendet. Schließe diesen Abschnitt, um zu den einfachen Einstellungen zurückzukehren.",
+  "taskForm.freeSlot.find": "Nächsten freien Zeitraum finden",
+  "taskForm.freeSlot.none": "Kein freier Zeitraum in der Nähe gefunden.",
+  "taskForm.freeSlot.failed": "Freier Zeitraum konnte nicht gesucht werden.",
+  "taskForm.saving": "Wird gespeichert...",
+  "taskForm.creating": "Wird erstellt...",
+  "taskForm.save": "Änderungen speichern",
+  "taskForm.create": "Aufgabe erstellen",
+  "taskForm.occurrenceUpdated": "Termin aktualisiert.",
+  "taskForm.taskUpdated": "Aufgabe aktualisiert.",
+  "taskForm.errors.titleRequired": "Titel ist erforderlich",
+  "taskForm.errors.startDateRequired": "Startdatum ist erforderlich",
+  "taskForm.errors.startTimeRequired": "Startzeit ist erforderlich",
+  "taskForm.errors.startTimeFormat":
+    "Die Uhrzeit muss im 24-Stunden-Format HH:mm sein",
+  "taskForm.errors.durationRequired": "Dauer erforderlich",
+  "taskForm.errors.durationNumber": "Die Dauer muss eine Zahl sein",
+  "taskForm.errors.durationMin": "Die Dauer muss mindestens 1 Minute betragen",
+  "taskForm.errors.frequencyRequired": "Häufigkeit ist erforderlich",
+  "taskForm.errors.intervalMin": "Das Intervall muss mindestens 1 sein",
+  "taskForm.errors.occurrencesMin": "Muss mindestens einmal stattfinden",
+  "taskForm.errors.goalTargetMin": "Das Ziel muss mindestens 1 sein",
+  "taskForm.errors.intervalRequired":
+    "Wiederholungen brauchen ein Intervall von mindestens 1",
+  "taskForm.errors.weekdayRequired": "Wähle mindestens einen Wochentag",
+  "taskForm.errors.endTypeRequired":
+    "Wiederholungen brauchen eine Endbedingung",
+  "taskForm.errors.occurrencesRequired":
+    "Anzahl der Termine erforderlich, wenn die Serie „nach“ endet",
+  "taskForm.errors.endDateRequired":
+    "Enddatum erforderlich, wenn die Serie „am Datum“ endet",
+  "taskForm.errors.endDateBeforeStart":
+    "Das Enddatum darf nicht vor dem Startdatum liegen",
+  "taskForm.errors.invalidStartTime":
+    "Ungültige Startzeit. Bitte wähle eine Uhrzeit im Format HH:mm.",
+  "taskForm.errors.cannotClose":
+    "Interner Konfigurationsfehler. Das Formular kann nicht geschlossen werden.",
+  "taskForm.errors.missingTaskId": "Aufgaben-ID fehlt für die Aktualisierung.",
+  "taskForm.errors.unknownAction": "Unbekannte Aktion.",
+  "taskForm.errors.createFailed": "Aufgabe konnte nicht erstellt werden.",
+  "taskForm.errors.updateFailed": "Aufgabe konnte nicht aktualisiert werden.",
+  "taskForm.errors.missingContext": "Kontext fehlt.",
+
+  // --- Task action menu ---
+  "taskMenu.title": "Aktionsmenü",
+  "taskMenu.untitled": "Aufgabe",
+  "taskMenu.close": "Menü schließen",
+  "taskMenu.complete": "Erledigt",
+  "taskMenu.uncheck": "Nicht erledigt",
+  "taskMenu.markedComplete": "Aufgabe als erledigt markiert.",
+  "taskMenu.markedIncomplete": "Aufgabe als nicht erledigt markiert.",
+  "taskMenu.deleted.task": "Aufgabe in den Papierkorb verschoben.",
+  "taskMenu.deleted.single": "Termin gelöscht.",
+  "taskMenu.deleted.future": "Künftige Termine gelöscht.",
+  "taskMenu.deleted.all": "Serie in den Papierkorb verschoben.",
+  "taskMenu.series.resume": "Serie fortsetzen",
+  "taskMenu.series.pause": "Serie pausieren",
+  "taskMenu.series.archive": "Serie archivieren",
+  "taskMenu.series.resumed": "Serie fortgesetzt.",
+  "taskMenu.series.resumeFailed": "Serie konnte nicht fortgesetzt werden.",
+  "taskMenu.series.paused": "Serie pausiert.",
+  "taskMenu.series.pausedUntil": "Serie pausiert bis {date}.",
+  "taskMenu.series.pauseFailed": "Serie konnte nicht pausiert werden.",
+  "taskMenu.series.archived":
+    "Serie archiviert. Du kannst sie unter „Pausiert & archiviert“ im Profilmenü wiederherstellen.",
+  "taskMenu.series.archiveFailed": "Serie konnte nicht archiviert werden.",
+  "taskMenu.confirmDelete.title": "Löschen bestätigen",
+  "taskMenu.confirmDelete.single":
+    "Möchtest du diesen Termin wirklich löschen?",
+  "taskMenu.confirmDelete.future":
+    "Möchtest du diesen und alle künftigen Termine wirklich löschen?",
+  "taskMenu.confirmDelete.all": {
+    one: "Möchtest du wirklich alle Termine dieser Serie löschen? Die Serie bleibt {count} Tag im Papierkorb.",
+    other:
+      "Möchtest du wirklich alle Termine dieser Serie löschen? Die Serie bleibt {count} Tage im Papierkorb.",
+  },
+  "taskMenu.confirmDelete.task": {
+    one: "Möchtest du diese Aufgabe wirklich löschen? Sie bleibt {count} Tag im Papierkorb.",
+    other:
+      "Möchtest du diese Aufgabe wirklich löschen? Sie bleibt {count} Tage im Papierkorb.",
+  },
+  "taskMenu.pause.description":
+    "Solange die Serie pausiert ist, werden keine Termine eingeplant. Lass das Datum leer, um bis zum manuellen Fortsetzen zu pausieren.",
+  "taskMenu.pause.resumeOn": "Fortsetzen am",
+  "taskMenu.pause.confirm": "Pausieren",
+  "taskMenu.errors.missingDetails":
+    "Status kann nicht geändert werden: Aufgabendetails fehlen.",
+  "taskMenu.errors.updateStatus":
+    "Aufgabenstatus konnte nicht aktualisiert werden.",
+  "taskMenu.errors.invalidScope": "Ungültiger Löschumfang ausgewählt.",
+  "taskMenu.errors.delete": "Aufgabe konnte nicht gelöscht werden.",
+
+  // --- Recurring change scope ---
+  "recurrenceModal.delete.title": "Wiederkehrende Aufgabe löschen",
+  "recurrenceModal.delete.single.title": "Nur diesen Termin löschen",
+  "recurrenceModal.delete.single.description": "Entfernt nur diesen Termin",
+  "recurrenceModal.delete.future.title":
+    "Diesen und alle künftigen Termine löschen",
+  "recurrenceModal.delete.future.description":
+    "Entfernt diesen Termin und alle folgenden",
+  "recurrenceModal.delete.all.title": "Alle Termine löschen",
+  "recurrenceModal.delete.all.description": "Entfernt die gesamte Serie",
+  "recurrenceModal.modify.title": "Wiederkehrende Aufgabe ändern",
+  "recurrenceModal.modify.single.title": "Nur diesen Termin ändern",
+  "recurrenceModal.modify.single.description": "Ändert nur diesen Termin",
+  "recurrenceModal.modify.future.title":
+    "Diesen und alle künftigen Termine ändern",
+  "recurrenceModal.modify.future.description":
+    "Übernimmt die Änderungen für diesen und alle folgenden",
+  "recurrenceModal.modify.all.title": "Alle Termine ändern",
+  "recurrenceModal.modify.all.description": "Ändert die gesamte Serie",
+  "recurrenceModal.impact.everyOccurrence":
+    "Betrifft alle Termine (die Serie endet nie).",
+  "recurrenceModal.impact.occurrences": {
+    one: "Betrifft {count} Termin.",
+    other: "Betrifft {count} Termine.",
+  },
+  "recurrenceModal.impact.completionsDeleted": {
+    one: "{count} Erledigung wird gelöscht.",
+    other: "{count} Erledigungen werden gelöscht.",
+  },
+  "recurrenceModal.impact.overridesDeleted": {
+    one: "{count} bearbeiteter Termin verliert seine Änderungen.",
+    other: "{count} bearbeitete Termine verlieren ihre Änderungen.",
+  },
+  "recurrenceModal.impact.completionsTrashed": {
+    one: "{count} Erledigung kommt mit der Serie in den Papierkorb.",
+    other: "{count} Erledigungen kommen mit der Serie in den Papierkorb.",
+  },
+  "recurrenceModal.impact.overridesTrashed": {
+    one: "{count} bearbeiteter Termin kommt mit der Serie in den Papierkorb.",
+    other:
+      "{count} bearbeitete Termine kommen mit der Serie in den Papierkorb.",
+  },
+  "recurrenceModal.impact.restorable": {
+    one: "Alles lässt sich {count} Tag lang aus dem Papierkorb wiederherstellen.",
+    other:
+      "Alles lässt sich {count} Tage lang aus dem Papierkorb wiederherstellen.",
+  },
+  "recurrenceModal.impact.overridesMoved": {
+    one: "{count} bearbeiteter Termin wird in den neuen Zeitplan verschoben.",
+    other:
+      "{count} bearbeitete Termine werden in den neuen Zeitplan verschoben.",
+  },
+  "recurrenceModal.impact.newEndDate": "Die Serie endet jetzt am {date}.",
+  "recurrenceModal.impact.failed":
+    "Die Vorschau dieser Änderung ist fehlgeschlagen.",
+  "recurrenceModal.impact.checking": "Prüfe, was sich ändert…",
+
+  // --- Planner ---
+  "planner.initializing": "Planer wird geladen...",
+  "planner.syncing": "Aufgaben werden synchronisiert...",
+  "planner.initFailed": "App-Daten konnten nicht geladen werden.",
+  "planner.loadFailed": "Planerdaten konnten nicht geladen werden.",
+  "planner.loadTasksFailed": "Aufgaben konnten nicht geladen werden.",
+  "planner.realtimeError.tasks":
+    "Fehler bei der Echtzeitverbindung (Aufgaben). Details in der Konsole.",
+  "planner.realtimeError.exceptions":
+    "Fehler bei der Echtzeitverbindung (Ausnahmen). Details in der Konsole.",
+  "planner.rescheduleFailed": "Aufgabe konnte nicht verschoben werden.",
+  "planner.createTask": "Neue Aufgabe erstellen",
+  "planner.previousWeek": "Vorherige Woche",
+  "planner.nextWeek": "Nächste Woche",
+  "planner.resizeTask": "Dauer der Aufgabe ändern",
+  "timeline.moreTasks": {
+    one: "{count} weitere Aufgabe",
+    other: "{count} weitere Aufgaben",
+  },
+  "planner.time.unavailable": "Keine Zeit",
+  "planner.time.invalid": "Ungültige Zeit",
+  "planner.errors.taskNotFound":
+    "Aufgabe kann nicht geändert werden: Aufgabendefinition nicht gefunden.",
+  "planner.errors.missingInstance":
+    "Aufgabe kann nicht bearbeitet werden: Angaben zum Termin fehlen.",
+  "planner.errors.editTaskNotFound":
+    "Die ursprüngliche Aufgabendefinition wurde nicht gefunden.",
+  "planner.errors.parseRule":
+    "Die Wiederholungsregel konnte nicht gelesen werden.",
+  "planner.errors.goalNotFound": "Das Ziel wurde nicht gefunden.",
+  "nav.planner": "Planer",
+  "weekdayPicker.weekdays": "Werktage",
+  "weekdayPicker.weekends": "Wochenenden",
+  "seriesDates.add": "Datum hinzufügen",
+  "seriesDates.remove": "{date} entfernen",
+
+  // --- Day drawer ---
+  "drawer.tasks": "Aufgaben",
+  "drawer.expand": "Aufklappen",
+  "drawer.collapse": "Zuklappen",
+  "drawer.loading": "Aufgaben werden geladen...",
+  "drawer.goalsAtRisk": "Ziele zum Aufholen",
+  "drawer.empty": "Für diesen Tag sind keine Aufgaben geplant.",
+  "drawer.done": "Erledigt",
+
+  // --- Goals ---
+  "goals.remaining.week": {
+    one: "Noch {remaining}, {count} Tag bleibt diese Woche",
+    other: "Noch {remaining}, {count} Tage bleiben diese Woche",
+  },
+  "goals.remaining.month": {
+    one: "Noch {remaining}, {count} Tag bleibt diesen Monat",
+    other: "Noch {remaining}, {count} Tage bleiben diesen Monat",
+  },
+  "goals.log": "{title} als erledigt eintragen",
+  "goals.undo": "Letzten Eintrag für {title} zurücknehmen",
+  "goals.edit": "{title} bearbeiten",
+  "goals.delete": "{title} löschen",
+  "goals.confirmDelete.title": "Ziel löschen?",
+  "goals.confirmDelete.message":
+    "„{title}“ und seine Einträge werden in den Papierkorb verschoben.",
+  "goals.errors.log": "Eintrag konnte nicht gespeichert werden.",
+  "goals.errors.undo": "Eintrag konnte nicht zurückgenommen werden.",
+  "goals.errors.delete": "Ziel konnte nicht gelöscht werden.",
+
+  // --- Profile menu, trash and archive ---
+  "profileMenu.picture": "Profilbild",
+  "profileMenu.user": "Nutzer",
+  "profileMenu.profile": "Profil",
+  "profileMenu.lightMode": "Heller Modus",
+  "profileMenu.darkMode": "Dunkler Modus",
+  "profileMenu.logOut": "Abmelden",
+  "trash.title": "Papierkorb",
+  "trash.retention": {
+    one: "Gelöschte Aufgaben werden nach {count} Tag endgültig entfernt.",
+    other: "Gelöschte Aufgaben werden nach {count} Tagen endgültig entfernt.",
+  },
+  "trash.empty": "Der Papierkorb ist leer.",
+  "trash.dates": "Gelöscht am {deleted} · entfernt am {purged}",
+  "trash.restored": "Aufgabe wiederhergestellt.",
+  "trash.restoreFailed": "Aufgabe konnte nicht wiederhergestellt werden.",
+  "trash.deleted": "Aufgabe endgültig gelöscht.",
+  "trash.deleteFailed": "Aufgabe konnte nicht gelöscht werden.",
+  "trash.deletePermanently": "Endgültig löschen",
+  "trash.confirm.title": "Endgültig löschen?",
+  "trash.confirm.message":
+    "„{title}“ und sein Verlauf werden gelöscht. Das kann nicht rückgängig gemacht werden.",
+  "archive.title": "Pausiert & archiviert",
+  "archive.empty": "Keine pausierten oder archivierten Serien.",
+  "archive.paused": "Pausiert",
+  "archive.archived": "Archiviert",
+  "archive.resumesOn": "Geht weiter am {date}",
+  "archive.pausedUntilResumed": "Pausiert, bis du sie fortsetzt",
+  "archive.resume": "Fortsetzen",
+  "archive.hidden": "Im Planer ausgeblendet",
+  "archive.restored": "Serie wiederhergestellt.",
+  "archive.restoreFailed": "Serie konnte nicht wiederhergestellt werden.",
+
+  // --- Settings ---
+  "settings.title": "Einstellungen",
+  "settings.saveFailed": "Einstellungen konnten nicht gespeichert werden.",
+  "settings.language.title": "Sprache & Zeit",
+  "settings.language.description": "Wie Datum und Uhrzeit angezeigt werden.",
+  "settings.language.label": "Sprache",
+  "settings.language.auto": "Automatisch (Browser)",
+  "settings.timeFormat.auto": "Automatisch",
+  "settings.timeFormat.12h": "12 Stunden",
+  "settings.timeFormat.24h": "24 Stunden",
+  "settings.weekStart.title": "Woche beginnt am",
+  "settings.weekStart.description":
+    "Gilt für die Wochenansicht, Kalender, Wochenziele und wiederkehrende Aufgaben.",
+  "settings.weekStart.sunday": "Sonntag",
+  "settings.weekStart.monday": "Montag",
+  "settings.dayHours.title": "Tagesstunden",
+  "settings.dayHours.description":
+    "Die Stunden, die die Wochenzeitleiste zeigt.",
+  "settings.dayHours.fixed": "Feste Stunden",
+  "settings.dayHours.fit": "An Aufgaben anpassen",
+  "settings.dayHours.from": "Von",
+  "settings.dayHours.until": "Bis",
+  "settings.dayHours.fitHint":
+    "Wochen mit Aufgaben außerhalb dieser Stunden zeigen mehr vom Tag.",
+  "settings.newTasks.title": "Neue Aufgaben",
+  "settings.newTasks.description": "Womit das Aufgabenformular beginnt.",
+  "settings.newTasks.icon": "Symbol",
+  "settings.newTasks.duration": "Dauer",
+  "settings.newTasks.minutes": "{minutes} Min.",
+
+  // --- Push notifications ---
+  "push.enable": "Benachrichtigungen aktivieren",
+  "push.disable": "Benachrichtigungen deaktivieren",
+  "push.enabled": "Benachrichtigungen aktiviert!",
+  "push.disabled": "Benachrichtigungen deaktiviert.",
+  "push.checking": "Benachrichtigungen werden geprüft...",
+  "push.denied": "Berechtigung verweigert",
+  "push.errors.missingKey": "VAPID-Schlüssel ist nicht konfiguriert.",
+  "push.errors.permissionDenied":
+    "Berechtigung für Benachrichtigungen verweigert.",
+  "push.errors.previouslyDenied":
+    "Die Berechtigung für Benachrichtigungen wurde bereits verweigert.",
+  "push.errors.signedOut":
+    "Du musst angemeldet sein, um Benachrichtigungen zu aktivieren.",
+  "push.errors.saveFailed":
+    "Abonnement konnte nicht gespeichert werden: {detail}",
+  "push.errors.enableFailed":
+    "Benachrichtigungen konnten nicht aktiviert werden. Siehe Konsole.",
+  "push.errors.removeFailed":
+    "Das Abonnement konnte nicht vom Server entfernt werden, wird aber lokal beendet.",
+  "push.errors.unsubscribeFailed":
+    "Benachrichtigungen konnten lokal nicht vollständig deaktiviert werden.",
+  "push.errors.disableFailed":
+    "Benachrichtigungen konnten nicht deaktiviert werden.",
+
+  // --- Auth pages ---
+  "auth.email": "E-Mail",
+  "auth.emailPlaceholder": "du@beispiel.de",
+  "auth.password": "Passwort",
+  "auth.passwordPlaceholder": "Dein Passwort",
+  "auth.or": "ODER",
+  "auth.continueWithGoogle": "Weiter mit Google",
+  "auth.submitting": "Wird gesendet...",
+  "auth.signIn.title": "Anmelden",
+  "auth.signIn.noAccount": "Noch kein Konto?",
+  "auth.signIn.forgotPassword": "Passwort vergessen?",
+  "auth.signIn.pending": "Anmeldung läuft...",
+  "auth.signIn.submit": "Mit E-Mail anmelden",
+  "auth.signUp.title": "Registrieren",
+  "auth.signUp.haveAccount": "Schon ein Konto?",
+  "auth.signUp.pending": "Registrierung läuft...",
+  "auth.signUp.checkEmail":
+    "Danke für deine Registrierung! Bitte prüfe dein Postfach auf einen Bestätigungslink.",
+  "auth.forgotPassword.title": "Passwort zurücksetzen",
+  "auth.forgotPassword.checkEmail":
+    "Prüfe dein Postfach auf einen Link zum Zurücksetzen deines Passworts.",
+  "auth.resetPassword.title": "Passwort zurücksetzen",
+  "auth.resetPassword.description": "Bitte gib unten dein neues Passwort ein.",
+  "auth.resetPassword.newPassword": "Neues Passwort",
+  "auth.resetPassword.confirmPassword": "Passwort bestätigen",
+  "auth.resetPassword.updated": "Passwort aktualisiert",
+  "auth.smtp.note": "Hinweis:",
+  "auth.smtp.rateLimited":
+    "E-Mails sind begrenzt. Aktiviere Custom SMTP, um das Limit zu erhöhen.",
+  "auth.smtp.learnMore": "Mehr erfahren",
+  "auth.errors.emailPasswordRequired": "E-Mail und Passwort sind erforderlich",
+  "auth.errors.emailRequired": "E-Mail ist erforderlich",
+  "auth.errors.resetFailed": "Passwort konnte nicht zurückgesetzt werden",
+  "auth.errors.passwordsRequired":
+    "Passwort und Passwortbestätigung sind erforderlich",
+  "auth.errors.passwordsMismatch": "Die Passwörter stimmen nicht überein",
+  "auth.errors.passwordUpdateFailed":
+    "Passwort konnte nicht aktualisiert werden",
+  "auth.errors.invalidCredentials":
+    "Ungültige E-Mail oder ungültiges Passwort.",
+  "auth.errors.emailNotConfirmed":
+    "Bitte bestätige deine E-Mail-Adresse, bevor du dich anmeldest.",
+  "auth.errors.userExists": "Mit dieser E-Mail gibt es bereits ein Konto.",
+  "auth.errors.weakPassword": "Bitte wähle ein stärkeres Passwort.",
+  "auth.errors.rateLimited":
+    "Es wurden zu viele E-Mails gesendet. Bitte versuche es später erneut.",
+
+  // --- Server action errors ---
+  "errors.notAuthenticated": "Nicht angemeldet.",
+  "errors.unauthorized": "Keine Berechtigung.",
+  "errors.taskNotFound": "Aufgabe nicht gefunden oder keine Berechtigung.",
+  "errors.originalNotFound":
+    "Ursprüngliche Aufgabe nicht gefunden oder Datenbankfehler.",
+  "errors.goalNotFound": "Ziel nicht gefunden oder keine Berechtigung.",
+  "errors.notAGoal": "Diese Aufgabe ist kein Ziel.",
+  "errors.taskIdRequired": "Aufgaben-ID ist erforderlich.",
+  "errors.taskDataRequired": "Aufgabendaten sind erforderlich.",
+  "errors.titleRequired": "Aufgabentitel ist erforderlich.",
+  "errors.startDateRequired": "Startdatum ist erforderlich.",
+  "errors.startTimeFormat": "Startzeit im Format HH:mm ist erforderlich.",
+  "errors.durationMin": "Die Dauer muss mindestens 1 Minute betragen.",
+  "errors.durationRange": "Die Dauer muss zwischen 1 und {max} Minuten liegen.",
+  "errors.frequencyRequired": "Eine Wiederholungshäufigkeit ist erforderlich.",
+  "errors.invalidStart":
+    "Gültiges Startdatum und gültige Startzeit erforderlich.",
+  "errors.invalidDuration": "Gültige Dauer erforderlich.",
+  "errors.invalidStartCombination":
+    "Ungültige Kombination aus Startdatum und -zeit. Bitte verwende YYYY-MM-DD und HH:mm.",
+  "errors.invalidDtstart":
+    "Datenbankfehler: Ungültiges Format für Startdatum/-zeit. Berechneter Wert: {value}",
+  "errors.invalidUpdatedStart":
+    "Ungültiges neues Startdatum bzw. ungültige neue Startzeit.",
+  "errors.recurrenceRule":
+    "Wiederholungsregel konnte nicht verarbeitet werden. Prüfe die Angaben.",
+  "errors.dataValidation": "Datenprüfung fehlgeschlagen: {detail}",
+  "errors.deleteFromRequired":
+    "Aufgaben-ID und der Termin, ab dem gelöscht wird, sind erforderlich.",
+  "errors.notRecurring":
+    "Künftige Termine einer nicht wiederkehrenden Aufgabe können nicht gelöscht werden.",
+  "errors.invalidCutoff": "Ungültiger Termin als Stichtag angegeben.",
+  "errors.updateRuleFailed":
+    "Wiederholungsregel konnte nicht aktualisiert werden.",
+  "errors.occurrenceTimeRequired":
+    "Zum Löschen eines wiederkehrenden Termins ist dessen ursprüngliche Zeit erforderlich.",
+  "errors.updateScope": "Der Änderungsumfang muss 'future' oder 'all' sein.",
+  "errors.futureScopeContext":
+    "Für Änderungen an künftigen Terminen ist die ursprüngliche Terminzeit erforderlich.",
+  "errors.newRuleFailed": "Neue Regel konnte nicht erstellt werden: {detail}",
+  "errors.originalTimeMissing":
+    "Ursprüngliche Zeit für künftige Termine fehlt.",
+  "errors.modifyRuleFailed":
+    "Regel der ursprünglichen Aufgabe konnte nicht geändert werden: {detail}",
+  "errors.invalidScope": "Ungültiger Umfang '{scope}'.",
+  "errors.occurrenceRequired":
+    "Aufgaben-ID und ursprüngliche Terminzeit sind erforderlich.",
+  "errors.completionStateRequired":
+    "Neuer Erledigungsstatus (true/false) ist erforderlich.",
+  "errors.userIdRequired": "Benutzer-ID ist für die Änderung erforderlich.",
+  "errors.userIdPlaceholder":
+    "Benutzer-ID enthält einen ungültigen Platzhalter.",
+  "errors.invalidOccurrenceTime":
+    "Ungültiges Format der ursprünglichen Terminzeit.",
+  "errors.goalPeriodRequired":
+    "Aufgaben-ID und Zielzeitraum sind erforderlich.",
+  "errors.noCompletionInPeriod":
+    "In diesem Zeitraum wurde keine Erledigung erfasst.",
+  "errors.restoreBeforePause":
+    "Stelle die Serie wieder her, bevor du sie pausierst.",
+  "errors.invalidResumeDate": "Ungültiges Fortsetzungsdatum.",
+  "errors.resumeDateInPast":
+    "Das Fortsetzungsdatum muss in der Zukunft liegen.",
+  "errors.notPaused": "Diese Serie ist nicht pausiert.",
+  "errors.notArchived": "Diese Serie ist nicht archiviert.",
+  "errors.undoIdRequired": "Rückgängig-ID erforderlich.",
+  "errors.undoNotFound":
+    "Diese Änderung kann nicht mehr rückgängig gemacht werden.",
+  "errors.undoConflict":
+    "Rückgängig nicht möglich: Die Aufgaben wurden inzwischen geändert.",
+  "errors.notInTrash": "Die Aufgabe ist nicht im Papierkorb.",
+  "errors.recurrence.frequency":
+    "Ungültige Wiederholungshäufigkeit: {frequency}",
+  "errors.recurrence.monthlyMode": "Ungültige monatliche Wiederholung: {mode}",
+  "errors.recurrence.endDateRequired": "Für „Am Datum“ ist ein Enddatum nötig.",
+  "errors.recurrence.endDateInvalid": "Ungültiges Enddatum.",
+  "errors.recurrence.endBeforeStart":
+    "Das Enddatum darf nicht vor dem Startdatum liegen.",
+  "errors.recurrence.seriesDate": "Ungültiges Datum in der Serie: {date}",
+  "errors.settings.unknown": "Unbekannte Einstellungen: {fields}.",
+  "errors.settings.hours":
+    "Die sichtbaren Stunden müssen volle Stunden zwischen 0 und 24 sein und vor ihrem Ende beginnen.",
+  "errors.settings.duration":
+    "Die Standarddauer muss eine ganze Zahl von Minuten sein.",
+  "errors.settings.icon": "Ein Standardsymbol ist erforderlich.",
+  "errors.settings.weekStart":
+    "Der Wochenbeginn muss ein Wochentag von 0 (Sonntag) bis 6 sein.",
+  "errors.settings.timeFormat":
+    "Das Zeitformat muss eines der folgenden sein: {formats}.",
+  "errors.settings.locale": "Nicht unterstützte Sprache: {locale}.",
+  "errors.db.loadTasks": "Datenbankfehler beim Laden der Aufgaben: {detail}",
+  "errors.db.loadExceptions":
+    "Datenbankfehler beim Laden der Ausnahmen: {detail}",
+  "errors.db.createTask":
+    "Datenbankfehler beim Erstellen der Aufgabe: {detail}",
+  "errors.db.fetchTask": "Datenbankfehler beim Abrufen der Aufgabe: {detail}",
+  "errors.db.fetchExceptions":
+    "Datenbankfehler beim Abrufen der Ausnahmen: {detail}",
+  "errors.db.deleteTask": "Datenbankfehler beim Löschen der Aufgabe: {detail}",
+  "errors.db.deleteExceptions":
+    "Datenbankfehler beim Löschen der Ausnahmen: {detail}",
+  "errors.db.updateRule":
+    "Datenbankfehler beim Aktualisieren der Regel: {detail}",
+  "errors.db.cancelOccurrence":
+    "Datenbankfehler beim Absagen des Termins: {detail}",
+  "errors.db.updateTask":
+    "Datenbankfehler beim Aktualisieren der Aufgabe: {detail}",
+  "errors.db.splitSeries": "Datenbankfehler beim Aufteilen der Serie: {detail}",
+  "errors.db.fetchCompletions":
+    "Datenbankfehler beim Abrufen der Erledigungen: {detail}",
+  "errors.db.modifyOccurrence":
+    "Datenbankfehler beim Ändern des Termins: {detail}",
+  "errors.db.removeCompletion":
+    "Datenbankfehler beim Entfernen der Erledigung: {detail}",
+  "errors.db.updateStatus":
+    "Datenbankfehler beim Aktualisieren des Aufgabenstatus: {detail}",
+  "errors.db.restoreTasks":
+    "Datenbankfehler beim Wiederherstellen der Aufgaben: {detail}",
+  "errors.db.restoreExceptions":
+    "Datenbankfehler beim Wiederherstellen der Ausnahmen: {detail}",
+  "errors.db.restoreTask":
+    "Datenbankfehler beim Wiederherstellen der Aufgabe: {detail}",
+  "errors.db.purgeTrash":
+    "Datenbankfehler beim Leeren des Papierkorbs: {detail}",
+  "errors.db.loadSettings":
+    "Einstellungen konnten nicht geladen werden: {detail}",
+  "errors.db.saveSettings":
+    "Einstellungen konnten nicht gespeichert werden: {detail}",
+};
+
+export default de;
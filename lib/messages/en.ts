@@ -0,0 +1,594 @@
+// src/lib/messages/en.ts
+
+/**
+ * English messages, the reference catalog: every key lives here, and other
+ * catalogs fall back to it (see `getTranslator`).
+ */
+const en = {
+  // --- Shared ---
+  "common.cancel": "Cancel",
+  "common.delete": "Delete",
+  "common.edit": "Edit",
+  "common.undo": "Undo",
+  "common.redo": "Redo",
+  "common.close": "Close",
+  "common.confirm": "Confirm",
+  "common.restore": "Restore",
+  "common.apply": "Apply",
+  "common.today": "Today",
+  "common.selectDate": "Select Date",
+
+  // --- Undo / redo toasts ---
+  "undo.undone": "Undone: {label}",
+  "undo.redone": "Redone: {label}",
+  "undo.undoFailed": "Couldn't undo the last change.",
+  "undo.redoFailed": "Couldn't redo the change.",
+  "undo.occurrenceMoved": "Task occurrence moved.",
+  "undo.occurrenceResized": "Task occurrence resized.",
+  "undo.futureMoved": "Future occurrences moved.",
+  "undo.futureResized": "Future occurrences resized.",
+  "undo.taskMoved": "Task moved.",
+  "undo.taskResized": "Task resized.",
+
+  // --- Recurrence summaries ---
+  "recurrence.every.day": { one: "Every day", other: "Every {count} days" },
+  "recurrence.every.week": { one: "Every week", other: "Every {count} weeks" },
+  "recurrence.every.month": {
+    one: "Every month",
+    other: "Every {count} months",
+  },
+  "recurrence.every.year": { one: "Every year", other: "Every {count} years" },
+  "recurrence.onWeekdays": "on {days}",
+  "recurrence.onNthWeekdays": "on the {days}",
+  "recurrence.nthWeekday": "{ordinal} {weekday}",
+  "recurrence.onMonthDays": { one: "on day {days}", other: "on days {days}" },
+  "recurrence.onLastDay": "on the last day",
+  "recurrence.inMonths": "in {months}",
+  "recurrence.count": { one: "once", other: "{count} times" },
+  "recurrence.until": "until {date}",
+  "recurrence.ordinal.1": "1st",
+  "recurrence.ordinal.2": "2nd",
+  "recurrence.ordinal.3": "3rd",
+  "recurrence.ordinal.4": "4th",
+  "recurrence.ordinal.5": "5th",
+  "recurrence.ordinal.last": "last",
+  "recurrence.monthlyMode.nth_weekday": "On the {ordinal} {weekday}",
+  "recurrence.monthlyMode.last_weekday": "On the last {weekday}",
+  "recurrence.monthlyMode.last_day": "On the last day",
+  "recurrence.monthlyMode.day_of_month": "On day {day}",
+
+  // --- Hand-written RRULEs ---
+  "rrule.errors.empty": "Enter a rule, e.g. FREQ=WEEKLY;BYDAY=MO,WE.",
+  "rrule.errors.onlyRule":
+    "Only the RRULE line is supported; start date and timezone come from the task.",
+  "rrule.errors.invalid": "Invalid RRULE: {detail}",
+  "rrule.errors.freqRequired":
+    "FREQ is required (DAILY, WEEKLY, MONTHLY or YEARLY).",
+  "rrule.errors.unsupportedFreq":
+    "Only DAILY, WEEKLY, MONTHLY and YEARLY rules are supported.",
+  "rrule.errors.interval": "INTERVAL must be a positive whole number.",
+  "rrule.errors.count": "COUNT must be a positive whole number.",
+  "rrule.errors.countAndUntil": "Use either COUNT or UNTIL, not both.",
+  "rrule.errors.weekday":
+    "BYDAY contains an unknown weekday (use MO, TU, WE, TH, FR, SA, SU).",
+  "rrule.errors.noOccurrence": "This rule never produces an occurrence.",
+
+  // --- Scheduling conflicts ---
+  "conflicts.overlaps": "Overlaps {titles}",
+  "conflicts.occurrences": {
+    one: "Conflicts on {conflicts} of the next occurrence",
+    other: "Conflicts on {conflicts} of the next {count} occurrences",
+  },
+  "conflicts.with": "With {titles}",
+
+  // --- Task form ---
+  "taskForm.title.new": "New {noun}",
+  "taskForm.title.edit": "Edit {noun}",
+  "taskForm.title.task": "Task",
+  "taskForm.title.occurrence": "Occurrence",
+  "taskForm.close": "Close",
+  "taskForm.drawerTitle": "Task form",
+  "taskForm.namePlaceholder": "Task name",
+  "taskForm.when": "When",
+  "taskForm.removeTime": "Remove {time}",
+  "taskForm.addTime": "+ Add {time}",
+  "taskForm.addAnyTime": "+ Add time",
+  "taskForm.timesOfDayHint":
+    "Add another time to repeat this task several times a day.",
+  "taskForm.selectStartDate": "Select Start Date",
+  "taskForm.selectEndDate": "Select End Date",
+  "taskForm.duration": "Duration",
+  "taskForm.duration.15": "15m",
+  "taskForm.duration.30": "30m",
+  "taskForm.duration.45": "45m",
+  "taskForm.duration.60": "1h",
+  "taskForm.duration.90": "1.5h",
+  "taskForm.duration.120": "2h",
+  "taskForm.howOften": "How often?",
+  "taskForm.frequency.once": "Once",
+  "taskForm.frequency.daily": "Daily",
+  "taskForm.frequency.weekly": "Weekly",
+  "taskForm.frequency.monthly": "Monthly",
+  "taskForm.frequency.yearly": "Yearly",
+  "taskForm.recurrenceLocked":
+    "Recurrence cannot be changed when editing a single occurrence.",
+  "taskForm.recurrenceSettings": "Recurrence Settings",
+  "taskForm.repeat": "Repeat",
+  "taskForm.repeatFrom.schedule": "On a schedule",
+  "taskForm.repeatFrom.completion": "After completion",
+  "taskForm.schedule": "Schedule",
+  "taskForm.scheduleType.weeklyFixed": "On set days",
+  "taskForm.scheduleType.weeklyGoal": "Times per week",
+  "taskForm.scheduleType.monthlyFixed": "On set dates",
+  "taskForm.scheduleType.monthlyGoal": "Times per month",
+  "taskForm.target": "Target",
+  "taskForm.goal.perWeek": {
+    one: "time per week, on any day",
+    other: "times per week, on any day",
+  },
+  "taskForm.goal.perMonth": {
+    one: "time per month, on any day",
+    other: "times per month, on any day",
+  },
+  "taskForm.repeatEvery": "Repeat every",
+  "taskForm.interval.days": { one: "day", other: "days" },
+  "taskForm.interval.daysAfterCompletion": {
+    one: "day after I complete it",
+    other: "days after I complete it",
+  },
+  "taskForm.interval.weeks": { one: "week", other: "weeks" },
+  "taskForm.interval.months": { one: "month", other: "months" },
+  "taskForm.interval.years": {
+    one: "year on {date}",
+    other: "years on {date}",
+  },
+  "taskForm.on": "On",
+  "taskForm.repeatOn": "Repeat on",
+  "taskForm.ends": "Ends",
+  "taskForm.endType.never": "Never",
+  "taskForm.endType.after": "After",
+  "taskForm.endType.on": "On Date",
+  "taskForm.occurrences": "Number of occurrences",
+  "taskForm.keepTotalCount":
+    "Keep the total when only this and future occurrences change (the new series gets what's left)",
+  "taskForm.rdates.label": "Also on",
+  "taskForm.rdates.description": "One-off extra dates at the same time of day.",
+  "taskForm.exdates.label": "Skip on",
+  "taskForm.exdates.description": "Dates removed from the series.",
+  "taskForm.advanced.toggle": "Advanced (custom RRULE)",
+  "taskForm.advanced.next": {
+    one: "Next occurrence",
+    other: "Next {count} occurrences",
+  },
+  "taskForm.advanced.none": "No upcoming occurrences",
+  "taskForm.advanced.hint":
+    "The start date and time above are used as DTSTART. Close this section to go back to the simple settings.",
+  "taskForm.freeSlot.find": "Find next free slot",
+  "taskForm.freeSlot.none": "No free slot found nearby.",
+  "taskForm.freeSlot.failed": "Failed to find a free slot.",
+  "taskForm.saving": "Saving...",
+  "taskForm.creating": "Creating...",
+  "taskForm.save": "Save Changes",
+  "taskForm.create": "Create Task",
+  "taskForm.occurrenceUpdated": "Task occurrence updated.",
+  "taskForm.taskUpdated": "Task updated.",
+  "taskForm.errors.titleRequired": "Title is required",
+  "taskForm.errors.startDateRequired": "Start date is required",
+  "taskForm.errors.startTimeRequired": "Start time is required",
+  "taskForm.errors.startTimeFormat": "Time must be in 24-hour HH:mm format",
+  "taskForm.errors.durationRequired": "Duration required",
+  "taskForm.errors.durationNumber": "Duration must be a number",
+  "taskForm.errors.durationMin": "Duration must be at least 1 minute",
+  "taskForm.errors.frequencyRequired": "Frequency is required",
+  "taskForm.errors.intervalMin": "Interval must be at least 1",
+  "taskForm.errors.occurrencesMin": "Must occur at least once",
+  "taskForm.errors.goalTargetMin": "Target must be at least 1",
+  "taskForm.errors.intervalRequired":
+    "Interval required & must be >= 1 for recurring",
+  "taskForm.errors.weekdayRequired": "Pick at least one day of the week",
+  "taskForm.errors.endTypeRequired": "End type required for recurring",
+  "taskForm.errors.occurrencesRequired":
+    "Occurrences required when ending 'after'",
+  "taskForm.errors.endDateRequired": "End date required when ending 'on'",
+  "taskForm.errors.endDateBeforeStart": "End date cannot be before start date",
+  "taskForm.errors.invalidStartTime":
+    "Invalid start time. Please select time in HH:mm format.",
+  "taskForm.errors.cannotClose":
+    "Internal configuration error. Cannot close form.",
+  "taskForm.errors.missingTaskId": "Task ID missing for definition update.",
+  "taskForm.errors.unknownAction": "Unknown action type.",
+  "taskForm.errors.createFailed": "Failed to create task.",
+  "taskForm.errors.updateFailed": "Failed to update task.",
+  "taskForm.errors.missingContext": "Missing context.",
+
+  // --- Task action menu ---
+  "taskMenu.title": "Action menu",
+  "taskMenu.untitled": "Task",
+  "taskMenu.close": "Close menu",
+  "taskMenu.complete": "Complete",
+  "taskMenu.uncheck": "Uncheck",
+  "taskMenu.markedComplete": "Task marked as complete.",
+  "taskMenu.markedIncomplete": "Task marked as incomplete.",
+  "taskMenu.deleted.task": "Task moved to the trash.",
+  "taskMenu.deleted.single": "Task occurrence deleted.",
+  "taskMenu.deleted.future": "Future occurrences deleted.",
+  "taskMenu.deleted.all": "Task series moved to the trash.",
+  "taskMenu.series.resume": "Resume series",
+  "taskMenu.series.pause": "Pause series",
+  "taskMenu.series.archive": "Archive series",
+  "taskMenu.series.resumed": "Series resumed.",
+  "taskMenu.series.resumeFailed": "Failed to resume series.",
+  "taskMenu.series.paused": "Series paused.",
+  "taskMenu.series.pausedUntil": "Series paused until {date}.",
+  "taskMenu.series.pauseFailed": "Failed to pause series.",
+  "taskMenu.series.archived":
+    "Series archived. Restore it from Paused & archived in your profile menu.",
+  "taskMenu.series.archiveFailed": "Failed to archive series.",
+  "taskMenu.confirmDelete.title": "Confirm Deletion",
+  "taskMenu.confirmDelete.single":
+    "Are you sure you want to delete this instance?",
+  "taskMenu.confirmDelete.future":
+    "Are you sure you want to delete this and all future instances?",
+  "taskMenu.confirmDelete.all": {
+    one: "Are you sure you want to delete all instances in this series? The series stays in the trash for {count} day.",
+    other:
+      "Are you sure you want to delete all instances in this series? The series stays in the trash for {count} days.",
+  },
+  "taskMenu.confirmDelete.task": {
+    one: "Are you sure you want to delete this task? It stays in the trash for {count} day.",
+    other:
+      "Are you sure you want to delete this task? It stays in the trash for {count} days.",
+  },
+  "taskMenu.pause.description":
+    "No occurrences are scheduled while the series is paused. Leave the date empty to pause until you resume it.",
+  "taskMenu.pause.resumeOn": "Resume on",
+  "taskMenu.pause.confirm": "Pause",
+  "taskMenu.errors.missingDetails":
+    "Cannot toggle completion: Task details missing.",
+  "taskMenu.errors.updateStatus": "Failed to update task status.",
+  "taskMenu.errors.invalidScope": "Invalid delete scope selected.",
+  "taskMenu.errors.delete": "Failed to delete task.",
+
+  // --- Recurring change scope ---
+  "recurrenceModal.delete.title": "Delete Recurring Task",
+  "recurrenceModal.delete.single.title": "Delete this instance only",
+  "recurrenceModal.delete.single.description": "Remove only this occurrence",
+  "recurrenceModal.delete.future.title": "Delete this and future instances",
+  "recurrenceModal.delete.future.description":
+    "Remove this occurrence and all following ones",
+  "recurrenceModal.delete.all.title": "Delete all instances",
+  "recurrenceModal.delete.all.description": "Remove entire series completely",
+  "recurrenceModal.modify.title": "Modify Recurring Task",
+  "recurrenceModal.modify.single.title": "Update this instance only",
+  "recurrenceModal.modify.single.description": "Change only this occurrence",
+  "recurrenceModal.modify.future.title": "Update this and future instances",
+  "recurrenceModal.modify.future.description":
+    "Apply changes to this and following ones",
+  "recurrenceModal.modify.all.title": "Update all instances",
+  "recurrenceModal.modify.all.description": "Modify entire series completely",
+  "recurrenceModal.impact.everyOccurrence":
+    "Affects every occurrence (the series never ends).",
+  "recurrenceModal.impact.occurrences": {
+    one: "Affects {count} occurrence.",
+    other: "Affects {count} occurrences.",
+  },
+  "recurrenceModal.impact.completionsDeleted": {
+    one: "{count} completion will be deleted.",
+    other: "{count} completions will be deleted.",
+  },
+  "recurrenceModal.impact.overridesDeleted": {
+    one: "{count} edited occurrence will lose its changes.",
+    other: "{count} edited occurrences will lose their changes.",
+  },
+  "recurrenceModal.impact.completionsTrashed": {
+    one: "{count} completion goes to the trash with the series.",
+    other: "{count} completions go to the trash with the series.",
+  },
+  "recurrenceModal.impact.overridesTrashed": {
+    one: "{count} edited occurrence goes to the trash with the series.",
+    other: "{count} edited occurrences go to the trash with the series.",
+  },
+  "recurrenceModal.impact.restorable": {
+    one: "You can restore all of it from the trash for {count} day.",
+    other: "You can restore all of it from the trash for {count} days.",
+  },
+  "recurrenceModal.impact.overridesMoved": {
+    one: "{count} edited occurrence will move to the new schedule.",
+    other: "{count} edited occurrences will move to the new schedule.",
+  },
+  "recurrenceModal.impact.newEndDate": "The series will now end on {date}.",
+  "recurrenceModal.impact.failed": "Couldn't preview this change.",
+  "recurrenceModal.impact.checking": "Checking what this changes…",
+
+  // --- Planner ---
+  "planner.initializing": "Initializing planner...",
+  "planner.syncing": "Syncing tasks...",
+  "planner.initFailed": "Failed to initialize application data.",
+  "planner.loadFailed": "Failed to load planner data.",
+  "planner.loadTasksFailed": "Failed to load initial task data.",
+  "planner.realtimeError.tasks":
+    "Realtime connection error (tasks). Check console.",
+  "planner.realtimeError.exceptions":
+    "Realtime connection error (exceptions). Check console.",
+  "planner.rescheduleFailed": "Failed to reschedule task.",
+  "planner.createTask": "Create new task",
+  "planner.previousWeek": "Previous week",
+  "planner.nextWeek": "Next week",
+  "planner.resizeTask": "Resize task",
+  "timeline.moreTasks": {
+    one: "{count} more task",
+    other: "{count} more tasks",
+  },
+  "planner.time.unavailable": "Time N/A",
+  "planner.time.invalid": "Invalid Time",
+  "planner.errors.taskNotFound":
+    "Cannot change task: task definition not found.",
+  "planner.errors.missingInstance":
+    "Cannot edit task: Essential instance details missing.",
+  "planner.errors.editTaskNotFound":
+    "Cannot find original task definition to edit.",
+  "planner.errors.parseRule": "Could not parse recurrence rule.",
+  "planner.errors.goalNotFound": "Cannot find goal to edit.",
+  "nav.planner": "Planner",
+  "weekdayPicker.weekdays": "Weekdays",
+  "weekdayPicker.weekends": "Weekends",
+  "seriesDates.add": "Add date",
+  "seriesDates.remove": "Remove {date}",
+
+  // --- Day drawer ---
+  "drawer.tasks": "Tasks",
+  "drawer.expand": "Expand drawer",
+  "drawer.collapse": "Collapse drawer",
+  "drawer.loading": "Loading tasks...",
+  "drawer.goalsAtRisk": "Goals to catch up on",
+  "drawer.empty": "No tasks scheduled for this day.",
+  "drawer.done": "Done",
+
+  // --- Goals ---
+  "goals.remaining.week": {
+    one: "{remaining} to go, {count} day left this week",
+    other: "{remaining} to go, {count} days left this week",
+  },
+  "goals.remaining.month": {
+    one: "{remaining} to go, {count} day left this month",
+    other: "{remaining} to go, {count} days left this month",
+  },
+  "goals.log": "Log {title} completion",
+  "goals.undo": "Undo last {title} completion",
+  "goals.edit": "Edit {title}",
+  "goals.delete": "Delete {title}",
+  "goals.confirmDelete.title": "Delete goal?",
+  "goals.confirmDelete.message":
+    '"{title}" and its logged completions will be moved to the trash.',
+  "goals.errors.log": "Failed to log completion.",
+  "goals.errors.undo": "Failed to undo completion.",
+  "goals.errors.delete": "Failed to delete goal.",
+
+  // --- Profile menu, trash and archive ---
+  "profileMenu.picture": "Profile Picture",
+  "profileMenu.user": "User",
+  "profileMenu.profile": "Profile",
+  "profileMenu.lightMode": "Light Mode",
+  "profileMenu.darkMode": "Dark Mode",
+  "profileMenu.logOut": "Log out",
+  "trash.title": "Trash",
+  "trash.retention": {
+    one: "Deleted tasks are removed for good after {count} day.",
+    other: "Deleted tasks are removed for good after {count} days.",
+  },
+  "trash.empty": "The trash is empty.",
+  "trash.dates": "Deleted {deleted} · gone {purged}",
+  "trash.restored": "Task restored.",
+  "trash.restoreFailed": "Failed to restore task.",
+  "trash.deleted": "Task deleted permanently.",
+  "trash.deleteFailed": "Failed to delete task.",
+  "trash.deletePermanently": "Delete permanently",
+  "trash.confirm.title": "Delete permanently?",
+  "trash.confirm.message":
+    '"{title}" and its history will be deleted. This cannot be undone.',
+  "archive.title": "Paused & archived",
+  "archive.empty": "No paused or archived series.",
+  "archive.paused": "Paused",
+  "archive.archived": "Archived",
+  "archive.resumesOn": "Resumes {date}",
+  "archive.pausedUntilResumed": "Paused until resumed",
+  "archive.resume": "Resume",
+  "archive.hidden": "Hidden from the planner",
+  "archive.restored": "Series restored.",
+  "archive.restoreFailed": "Failed to restore series.",
+
+  // --- Settings ---
+  "settings.title": "Settings",
+  "settings.saveFailed": "Failed to save settings.",
+  "settings.language.title": "Language & time",
+  "settings.language.description": "How dates and times are shown.",
+  "settings.language.label": "Language",
+  "settings.language.auto": "Automatic (browser)",
+  "settings.timeFormat.auto": "Automatic",
+  "settings.timeFormat.12h": "12-hour",
+  "settings.timeFormat.24h": "24-hour",
+  "settings.weekStart.title": "Week starts on",
+  "settings.weekStart.description":
+    "Used by the week view, calendars, weekly goals and repeating tasks.",
+  "settings.weekStart.sunday": "Sunday",
+  "settings.weekStart.monday": "Monday",
+  "settings.dayHours.title": "Day hours",
+  "settings.dayHours.description": "The hours shown on the week timeline.",
+  "settings.dayHours.fixed": "Fixed hours",
+  "settings.dayHours.fit": "Fit to tasks",
+  "settings.dayHours.from": "From",
+  "settings.dayHours.until": "Until",
+  "settings.dayHours.fitHint":
+    "Weeks with tasks outside these hours show more of the day.",
+  "settings.newTasks.title": "New tasks",
+  "settings.newTasks.description": "What the task form starts with.",
+  "settings.newTasks.icon": "Icon",
+  "settings.newTasks.duration": "Duration",
+  "settings.newTasks.minutes": "{minutes} min",
+
+  // --- Push notifications ---
+  "push.enable": "Enable Notifications",
+  "push.disable": "Disable Notifications",
+  "push.enabled": "Notifications Enabled!",
+  "push.disabled": "Notifications Disabled.",
+  "push.checking": "Checking Notifications...",
+  "push.denied": "Permissions Denied",
+  "push.errors.missingKey": "VAPID Key configuration missing.",
+  "push.errors.permissionDenied": "Notification permission denied.",
+  "push.errors.previouslyDenied":
+    "Notification permission was previously denied.",
+  "push.errors.signedOut": "You must be logged in to enable notifications.",
+  "push.errors.saveFailed": "Failed to save subscription: {detail}",
+  "push.errors.enableFailed": "Failed to enable notifications. Check console.",
+  "push.errors.removeFailed":
+    "Could not remove subscription from server, but unsubscribing locally.",
+  "push.errors.unsubscribeFailed":
+    "Failed to fully disable notifications locally.",
+  "push.errors.disableFailed": "Failed to disable notifications.",
+
+  // --- Auth pages ---
+  "auth.email": "Email",
+  "auth.emailPlaceholder": "you@example.com",
+  "auth.password": "Password",
+  "auth.passwordPlaceholder": "Your password",
+  "auth.or": "OR",
+  "auth.continueWithGoogle": "Continue with Google",
+  "auth.submitting": "Submitting...",
+  "auth.signIn.title": "Sign in",
+  "auth.signIn.noAccount": "Don't have an account?",
+  "auth.signIn.forgotPassword": "Forgot Password?",
+  "auth.signIn.pending": "Signing In...",
+  "auth.signIn.submit": "Sign in with Email",
+  "auth.signUp.title": "Sign up",
+  "auth.signUp.haveAccount": "Already have an account?",
+  "auth.signUp.pending": "Signing up...",
+  "auth.signUp.checkEmail":
+    "Thanks for signing up! Please check your email for a verification link.",
+  "auth.forgotPassword.title": "Reset Password",
+  "auth.forgotPassword.checkEmail":
+    "Check your email for a link to reset your password.",
+  "auth.resetPassword.title": "Reset password",
+  "auth.resetPassword.description": "Please enter your new password below.",
+  "auth.resetPassword.newPassword": "New password",
+  "auth.resetPassword.confirmPassword": "Confirm password",
+  "auth.resetPassword.updated": "Password updated",
+  "auth.smtp.note": "Note:",
+  "auth.smtp.rateLimited":
+    "Emails are rate limited. Enable Custom SMTP to increase the rate limit.",
+  "auth.smtp.learnMore": "Learn more",
+  "auth.errors.emailPasswordRequired": "Email and password are required",
+  "auth.errors.emailRequired": "Email is required",
+  "auth.errors.resetFailed": "Could not reset password",
+  "auth.errors.passwordsRequired": "Password and confirm password are required",
+  "auth.errors.passwordsMismatch": "Passwords do not match",
+  "auth.errors.passwordUpdateFailed": "Password update failed",
+  "auth.errors.invalidCredentials": "Invalid email or password.",
+  "auth.errors.emailNotConfirmed":
+    "Please confirm your email address before signing in.",
+  "auth.errors.userExists": "An account with this email already exists.",
+  "auth.errors.weakPassword": "Please choose a stronger password.",
+  "auth.errors.rateLimited":
+    "Too many emails were sent. Please try again later.",
+
+  // --- Server action errors ---
+  "errors.notAuthenticated": "User not authenticated.",
+  "errors.unauthorized": "Unauthorized.",
+  "errors.taskNotFound": "Task not found or unauthorized.",
+  "errors.originalNotFound": "Original task not found or DB error.",
+  "errors.goalNotFound": "Goal not found or unauthorized.",
+  "errors.notAGoal": "This task is not a goal.",
+  "errors.taskIdRequired": "Task ID is required.",
+  "errors.taskDataRequired": "Task data is required.",
+  "errors.titleRequired": "Task title is required.",
+  "errors.startDateRequired": "Start date is required.",
+  "errors.startTimeFormat": "Start time is required in HH:mm format.",
+  "errors.durationMin": "Duration must be at least 1 minute.",
+  "errors.durationRange": "Duration must be between 1 and {max} minutes.",
+  "errors.frequencyRequired": "Recurrence frequency selection is required.",
+  "errors.invalidStart": "Valid Start Date/Time required.",
+  "errors.invalidDuration": "Valid Duration required.",
+  "errors.invalidStartCombination":
+    "Invalid start date/time combination. Please use YYYY-MM-DD and HH:mm.",
+  "errors.invalidDtstart":
+    "Database error: Invalid format for start date/time. Calculated value: {value}",
+  "errors.invalidUpdatedStart": "Invalid updated start date/time.",
+  "errors.recurrenceRule":
+    "Failed to process recurrence rule. Check parameters.",
+  "errors.dataValidation": "Data validation failed: {detail}",
+  "errors.deleteFromRequired":
+    "Task ID and the occurrence time to delete from are required.",
+  "errors.notRecurring":
+    "Cannot delete future occurrences of a non-recurring task.",
+  "errors.invalidCutoff": "Invalid occurrence time provided for cutoff.",
+  "errors.updateRuleFailed": "Failed to update recurrence rule.",
+  "errors.occurrenceTimeRequired":
+    "Original occurrence time is required to delete a recurring instance.",
+  "errors.updateScope": "Update scope must be 'future' or 'all'.",
+  "errors.futureScopeContext":
+    "Original occurrence time context required for 'future' scope update.",
+  "errors.newRuleFailed": "Failed to generate new rule: {detail}",
+  "errors.originalTimeMissing": "Original time missing for future scope.",
+  "errors.modifyRuleFailed": "Failed to modify original task rule: {detail}",
+  "errors.invalidScope": "Invalid scope '{scope}'.",
+  "errors.occurrenceRequired":
+    "Task ID and original occurrence time are required.",
+  "errors.completionStateRequired":
+    "New completion state (true/false) is required.",
+  "errors.userIdRequired": "User ID is required for modification.",
+  "errors.userIdPlaceholder": "User ID contains an invalid placeholder value.",
+  "errors.invalidOccurrenceTime": "Invalid original occurrence time format.",
+  "errors.goalPeriodRequired": "Task ID and goal period are required.",
+  "errors.noCompletionInPeriod": "No completion logged in this period.",
+  "errors.restoreBeforePause": "Restore the series before pausing it.",
+  "errors.invalidResumeDate": "Invalid resume date.",
+  "errors.resumeDateInPast": "Resume date must be in the future.",
+  "errors.notPaused": "This series isn't paused.",
+  "errors.notArchived": "This series isn't archived.",
+  "errors.undoIdRequired": "Undo ID is required.",
+  "errors.undoNotFound": "There's nothing to undo for this change anymore.",
+  "errors.undoConflict": "Can't undo: these tasks have changed since.",
+  "errors.notInTrash": "Task isn't in the trash.",
+  "errors.recurrence.frequency":
+    "Invalid recurrence frequency provided: {frequency}",
+  "errors.recurrence.monthlyMode": "Invalid monthly mode provided: {mode}",
+  "errors.recurrence.endDateRequired": "End date is required for 'on'.",
+  "errors.recurrence.endDateInvalid": "Invalid end date format.",
+  "errors.recurrence.endBeforeStart":
+    "End date cannot be before the start date.",
+  "errors.recurrence.seriesDate": "Invalid series date: {date}",
+  "errors.settings.unknown": "Unknown settings: {fields}.",
+  "errors.settings.hours":
+    "Visible hours must be whole hours between 0 and 24, starting before they end.",
+  "errors.settings.duration":
+    "Default duration must be a whole number of minutes.",
+  "errors.settings.icon": "Default icon is required.",
+  "errors.settings.weekStart":
+    "Week start must be a weekday from 0 (Sunday) to 6.",
+  "errors.settings.timeFormat": "Time format must be one of: {formats}.",
+  "errors.settings.locale": "Unsupported language: {locale}.",
+  "errors.db.loadTasks": "DB error loading tasks: {detail}",
+  "errors.db.loadExceptions": "DB error loading exceptions: {detail}",
+  "errors.db.createTask": "Database error creating task: {detail}",
+  "errors.db.fetchTask": "Database error fetching task: {detail}",
+  "errors.db.fetchExceptions": "DB error fetching exceptions: {detail}",
+  "errors.db.deleteTask": "Database error deleting task: {detail}",
+  "errors.db.deleteExceptions": "Database error deleting exceptions: {detail}",
+  "errors.db.updateRule": "Database error updating task rule: {detail}",
+  "errors.db.cancelOccurrence":
+    "Database error cancelling occurrence: {detail}",
+  "errors.db.updateTask": "DB update error ('all'): {detail}",
+  "errors.db.splitSeries": "DB error splitting the series: {detail}",
+  "errors.db.fetchCompletions": "Database error fetching completions: {detail}",
+  "errors.db.modifyOccurrence": "Database error modifying occurrence: {detail}",
+  "errors.db.removeCompletion": "Database error removing completion: {detail}",
+  "errors.db.updateStatus": "Database error updating task status: {detail}",
+  "errors.db.restoreTasks": "Database error restoring tasks: {detail}",
+  "errors.db.restoreExceptions":
+    "Database error restoring exceptions: {detail}",
+  "errors.db.restoreTask": "Database error restoring task: {detail}",
+  "errors.db.purgeTrash": "Database error purging trash: {detail}",
+  "errors.db.loadSettings": "Failed to load settings: {detail}",
+  "errors.db.saveSettings": "Failed to save settings: {detail}",
+};
+
+export default en;
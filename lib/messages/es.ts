@@ -0,0 +1,634 @@
+// src/lib/messages/es.ts
+
+import type { Messages } from "@/lib/i18n";
+
+/** Spanish messages. */
+const es: Messages = {
+  // --- Shared ---
+  "common.cancel": "Cancelar",
+  "common.delete": "Eliminar",
+  "common.edit": "Editar",
+  "common.undo": "Deshacer",
+  "common.redo": "Rehacer",
+  "common.close": "Cerrar",
+  "common.confirm": "Confirmar",
+  "common.restore": "Restaurar",
+  "common.apply": "Aplicar",
+  "common.today": "Hoy",
+  "common.selectDate": "Seleccionar fecha",
+
+  // --- Undo / redo toasts ---
+  "undo.undone": "Deshecho: {label}",
+  "undo.redone": "Rehecho: {label}",
+  "undo.undoFailed": "No se pudo deshacer el último cambio.",
+  "undo.redoFailed": "No se pudo rehacer el cambio.",
+  "undo.occurrenceMoved": "Repetición movida.",
+  "undo.occurrenceResized": "Duración de la repetición cambiada.",
+  "undo.futureMoved": "Repeticiones futuras movidas.",
+  "undo.futureResized": "Duración de las repeticiones futuras cambiada.",
+  "undo.taskMoved": "Tarea movida.",
+  "undo.taskResized": "Duración de la tarea cambiada.",
+
+  // --- Recurrence summaries ---
+  "recurrence.every.day": { one: "Cada día", other: "Cada {count} días" },
+  "recurrence.every.week": {
+    one: "Cada semana",
+    other: "Cada {count} semanas",
+  },
+  "recurrence.every.month": { one: "Cada mes", other: "Cada {count} meses" },
+  "recurrence.every.year": { one: "Cada año", other: "Cada {count} años" },
+  "recurrence.onWeekdays": "el {days}",
+  "recurrence.onNthWeekdays": "el {days}",
+  "recurrence.nthWeekday": "{ordinal} {weekday}",
+  "recurrence.onMonthDays": {
+    one: "el día {days}",
+    other: "los días {days}",
+  },
+  "recurrence.onLastDay": "el último día",
+  "recurrence.inMonths": "en {months}",
+  "recurrence.count": { one: "una vez", other: "{count} veces" },
+  "recurrence.until": "hasta el {date}",
+  "recurrence.ordinal.1": "primer",
+  "recurrence.ordinal.2": "segundo",
+  "recurrence.ordinal.3": "tercer",
+  "recurrence.ordinal.4": "cuarto",
+  "recurrence.ordinal.5": "quinto",
+  "recurrence.ordinal.last": "último",
+  "recurrence.monthlyMode.nth_weekday": "El {ordinal} {weekday}",
+  "recurrence.monthlyMode.last_weekday": "El último {weekday}",
+  "recurrence.monthlyMode.last_day": "El último día",
+  "recurrence.monthlyMode.day_of_month": "El día {day}",
+
+  // --- Hand-written RRULEs ---
+  "rrule.errors.empty": "Escribe una regla, p. ej. FREQ=WEEKLY;BYDAY=MO,WE.",
+  "rrule.errors.onlyRule":
+    "Solo se admite la línea RRULE; la fecha de inicio y la zona horaria vienen de la tarea.",
+  "rrule.errors.invalid": "RRULE no válida: {detail}",
+  "rrule.errors.freqRequired":
+    "FREQ es obligatorio (DAILY, WEEKLY, MONTHLY o YEARLY).",
+  "rrule.errors.unsupportedFreq":
+    "Solo se admiten reglas DAILY, WEEKLY, MONTHLY y YEARLY.",
+  "rrule.errors.interval": "INTERVAL debe ser un número entero positivo.",
+  "rrule.errors.count": "COUNT debe ser un número entero positivo.",
+  "rrule.errors.countAndUntil": "Usa COUNT o UNTIL, no ambos.",
+  "rrule.errors.weekday":
+    "BYDAY contiene un día de la semana desconocido (usa MO, TU, WE, TH, FR, SA, SU).",
+  "rrule.errors.noOccurrence": "Esta regla nunca produce ninguna repetición.",
+
+  // --- Scheduling conflicts ---
+  "conflicts.overlaps": "Se solapa con {titles}",
+  "conflicts.occurrences": {
+    one: "Conflictos en {conflicts} de la próxima repetición",
+    other: "Conflictos en {conflicts} de las próximas {count} repeticiones",
+  },
+  "conflicts.with": "Con {titles}",
+
+  // --- Task form ---
+  "taskForm.title.new": "Nueva {noun}",
+  "taskForm.title.edit": "Editar {noun}",
+  "taskForm.title.task": "tarea",
+  "taskForm.title.occurrence": "repetición",
+  "taskForm.close": "Cerrar",
+  "taskForm.drawerTitle": "Formulario de tarea",
+  "taskForm.namePlaceholder": "Nombre de la tarea",
+  "taskForm.when": "Cuándo",
+  "taskForm.removeTime": "Quitar {time}",
+  "taskForm.addTime": "+ Añadir {time}",
+  "taskForm.addAnyTime": "+ Añadir hora",
+  "taskForm.timesOfDayHint":
+    "Añade otra hora para repetir esta tarea varias veces al día.",
+  "taskForm.selectStartDate": "Elegir fecha de inicio",
+  "taskForm.selectEndDate": "Elegir fecha de fin",
+  "taskForm.duration": "Duración",
+  "taskForm.duration.15": "15 min",
+  "taskForm.duration.30": "30 min",
+  "taskForm.duration.45": "45 min",
+  "taskForm.duration.60": "1 h",
+  "taskForm.duration.90": "1,5 h",
+  "taskForm.duration.120": "2 h",
+  "taskForm.howOften": "¿Con qué frecuencia?",
+  "taskForm.frequency.once": "Una vez",
+  "taskForm.frequency.daily": "Diaria",
+  "taskForm.frequency.weekly": "Semanal",
+  "taskForm.frequency.monthly": "Mensual",
+  "taskForm.frequency.yearly": "Anual",
+  "taskForm.recurrenceLocked":
+    "La repetición no se puede cambiar al editar una sola repetición.",
+  "taskForm.recurrenceSettings": "Ajustes de repetición",
+  "taskForm.repeat": "Repetir",
+  "taskForm.repeatFrom.schedule": "Según un horario",
+  "taskForm.repeatFrom.completion": "Tras completarla",
+  "taskForm.schedule": "Horario",
+  "taskForm.scheduleType.weeklyFixed": "En días fijos",
+  "taskForm.scheduleType.weeklyGoal": "Veces por semana",
+  "taskForm.scheduleType.monthlyFixed": "En fechas fijas",
+  "taskForm.scheduleType.monthlyGoal": "Veces por mes",
+  "taskForm.target": "Objetivo",
+  "taskForm.goal.perWeek": {
+    one: "vez por semana, cualquier día",
+    other: "veces por semana, cualquier día",
+  },
+  "taskForm.goal.perMonth": {
+    one: "vez al mes, cualquier día",
+    other: "veces al mes, cualquier día",
+  },
+  "taskForm.repeatEvery": "Repetir cada",
+  "taskForm.interval.days": { one: "día", other: "días" },
+  "taskForm.interval.daysAfterCompletion": {
+    one: "día después de completarla",
+    other: "días después de completarla",
+  },
+  "taskForm.interval.weeks": { one: "semana", other: "semanas" },
+  "taskForm.interval.months": { one: "mes", other: "meses" },
+  "taskForm.interval.years": {
+    one: "año, el {date}",
+    other: "años, el {date}",
+  },
+  "taskForm.on": "Los",
+  "taskForm.repeatOn": "Repetir el",
+  "taskForm.ends": "Termina",
+  "taskForm.endType.never": "Nunca",
+  "taskForm.endType.after": "Después de",
+  "taskForm.endType.on": "En fecha",
+  "taskForm.occurrences": "Número de repeticiones",
+  "taskForm.keepTotalCount":
+    "Mantener el total si solo cambian esta y las siguientes repeticiones (la nueva serie recibe las restantes)",
+  "taskForm.rdates.label": "También el",
+  "taskForm.rdates.description": "Fechas extra sueltas a la misma hora.",
+  "taskForm.exdates.label": "Saltar el",
+  "taskForm.exdates.description": "Fechas quitadas de la serie.",
+  "taskForm.advanced.toggle": "Avanzado (RRULE personalizada)",
+  "taskForm.advanced.next": {
+    one: "Próxima repetición",
+    other: "Próximas {count} repeticiones",
+  },
+  "taskForm.advanced.none": "No hay repeticiones próximas",
+  "taskForm.advanced.hint":
+    "La fecha y hora de inicio de arriba se usan como DTSTART. Cierra esta sección para volver a los ajustes sencillos.",
+  "taskForm.freeSlot.find": "Buscar el próximo hueco libre",
+  "taskForm.freeSlot.none": "No hay ningún hueco libre cerca.",
+  "taskForm.freeSlot.failed": "No se pudo buscar un hueco libre.",
+  "taskForm.saving": "Guardando...",
+  "taskForm.creating": "Creando...",
+  "taskForm.save": "Guardar cambios",
+  "taskForm.create": "Crear tarea",
+  "taskForm.occurrenceUpdated": "Repetición actualizada.",
+  "taskForm.taskUpdated": "Tarea actualizada.",
+  "taskForm.errors.titleRequired": "El título es obligatorio",
+  "taskForm.errors.startDateRequired": "La fecha de inicio es obligatoria",
+  "taskForm.errors.startTimeRequired": "La hora de inicio es obligatoria",
+  "taskForm.errors.startTimeFormat":
+    "La hora debe estar en formato de 24 horas HH:mm",
+  "taskForm.errors.durationRequired": "La duración es obligatoria",
+  "taskForm.errors.durationNumber": "La duración debe ser un número",
+  "taskForm.errors.durationMin": "La duración debe ser de al menos 1 minuto",
+  "taskForm.errors.frequencyRequired": "La frecuencia es obligatoria",
+  "taskForm.errors.intervalMin": "El intervalo debe ser al menos 1",
+  "taskForm.errors.occurrencesMin": "Debe repetirse al menos una vez",
+  "taskForm.errors.goalTargetMin": "El objetivo debe ser al menos 1",
+  "taskForm.errors.intervalRequired":
+    "Las tareas repetidas necesitan un intervalo de al menos 1",
+  "taskForm.errors.weekdayRequired": "Elige al menos un día de la semana",
+  "taskForm.errors.endTypeRequired":
+    "Las tareas repetidas necesitan una condición de fin",
+  "taskForm.errors.occurrencesRequired":
+    "Indica el número de repeticiones al terminar «después de»",
+  "taskForm.errors.endDateRequired":
+    "Indica la fecha de fin al terminar «en fecha»",
+  "taskForm.errors.endDateBeforeStart":
+    "La fecha de fin no puede ser anterior a la de inicio",
+  "taskForm.errors.invalidStartTime":
+    "Hora de inicio no válida. Elige una hora en formato HH:mm.",
+  "taskForm.errors.cannotClose":
+    "Error interno de configuración. No se puede cerrar el formulario.",
+  "taskForm.errors.missingTaskId":
+    "Falta el ID de la tarea para la actualización.",
+  "taskForm.errors.unknownAction": "Tipo de acción desconocido.",
+  "taskForm.errors.createFailed": "No se pudo crear la tarea.",
+  "taskForm.errors.updateFailed": "No se pudo actualizar la tarea.",
+  "taskForm.errors.missingContext": "Falta contexto.",
+
+  // --- Task action menu ---
+  "taskMenu.title": "Menú de acciones",
+  "taskMenu.untitled": "Tarea",
+  "taskMenu.close": "Cerrar menú",
+  "taskMenu.complete": "Completar",
+  "taskMenu.uncheck": "Desmarcar",
+  "taskMenu.markedComplete": "Tarea marcada como completada.",
+  "taskMenu.markedIncomplete": "Tarea marcada como pendiente.",
+  "taskMenu.deleted.task": "Tarea movida a la papelera.",
+  "taskMenu.deleted.single": "Repetición eliminada.",
+  "taskMenu.deleted.future": "Repeticiones futuras eliminadas.",
+  "taskMenu.deleted.all": "Serie movida a la papelera.",
+  "taskMenu.series.resume": "Reanudar serie",
+  "taskMenu.series.pause": "Pausar serie",
+  "taskMenu.series.archive": "Archivar serie",
+  "taskMenu.series.resumed": "Serie reanudada.",
+  "taskMenu.series.resumeFailed": "No se pudo reanudar la serie.",
+  "taskMenu.series.paused": "Serie en pausa.",
+  "taskMenu.series.pausedUntil": "Serie en pausa hasta el {date}.",
+  "taskMenu.series.pauseFailed": "No se pudo pausar la serie.",
+  "taskMenu.series.archived":
+    "Serie archivada. Puedes restaurarla desde «En pausa y archivadas» en el menú de perfil.",
+  "taskMenu.series.archiveFailed": "No se pudo archivar la serie.",
+  "taskMenu.confirmDelete.title": "Confirmar eliminación",
+  "taskMenu.confirmDelete.single":
+    "¿Seguro que quieres eliminar esta repetición?",
+  "taskMenu.confirmDelete.future":
+    "¿Seguro que quieres eliminar esta repetición y todas las futuras?",
+  "taskMenu.confirmDelete.all": {
+    one: "¿Seguro que quieres eliminar todas las repeticiones de esta serie? La serie se queda en la papelera {count} día.",
+    other:
+      "¿Seguro que quieres eliminar todas las repeticiones de esta serie? La serie se queda en la papelera {count} días.",
+  },
+  "taskMenu.confirmDelete.task": {
+    one: "¿Seguro que quieres eliminar esta tarea? Se queda en la papelera {count} día.",
+    other:
+      "¿Seguro que quieres eliminar esta tarea? Se queda en la papelera {count} días.",
+  },
+  "taskMenu.pause.description":
+    "No se programa ninguna repetición mientras la serie está en pausa. Deja la fecha vacía para pausarla hasta que la reanudes.",
+  "taskMenu.pause.resumeOn": "Reanudar el",
+  "taskMenu.pause.confirm": "Pausar",
+  "taskMenu.errors.missingDetails":
+    "No se puede cambiar el estado: faltan los detalles de la tarea.",
+  "taskMenu.errors.updateStatus":
+    "No se pudo actualizar el estado de la tarea.",
+  "taskMenu.errors.invalidScope": "Alcance de eliminación no válido.",
+  "taskMenu.errors.delete": "No se pudo eliminar la tarea.",
+
+  // --- Recurring change scope ---
+  "recurrenceModal.delete.title": "Eliminar tarea repetida",
+  "recurrenceModal.delete.single.title": "Eliminar solo esta repetición",
+  "recurrenceModal.delete.single.description": "Quita solo esta repetición",
+  "recurrenceModal.delete.future.title":
+    "Eliminar esta y las repeticiones futuras",
+  "recurrenceModal.delete.future.description":
+    "Quita esta repetición y todas las siguientes",
+  "recurrenceModal.delete.all.title": "Eliminar todas las repeticiones",
+  "recurrenceModal.delete.all.description": "Quita la serie entera",
+  "recurrenceModal.modify.title": "Modificar tarea repetida",
+  "recurrenceModal.modify.single.title": "Actualizar solo esta repetición",
+  "recurrenceModal.modify.single.description": "Cambia solo esta repetición",
+  "recurrenceModal.modify.future.title":
+    "Actualizar esta y las repeticiones futuras",
+  "recurrenceModal.modify.future.description":
+    "Aplica los cambios a esta y a las siguientes",
+  "recurrenceModal.modify.all.title": "Actualizar todas las repeticiones",
+  "recurrenceModal.modify.all.description": "Modifica la serie entera",
+  "recurrenceModal.impact.everyOccurrence":
+    "Afecta a todas las repeticiones (la serie nunca termina).",
+  "recurrenceModal.impact.occurrences": {
+    one: "Afecta a {count} repetición.",
+    other: "Afecta a {count} repeticiones.",
+  },
+  "recurrenceModal.impact.completionsDeleted": {
+    one: "Se eliminará {count} registro de completado.",
+    other: "Se eliminarán {count} registros de completado.",
+  },
+  "recurrenceModal.impact.overridesDeleted": {
+    one: "{count} repetición editada perderá sus cambios.",
+    other: "{count} repeticiones editadas perderán sus cambios.",
+  },
+  "recurrenceModal.impact.completionsTrashed": {
+    one: "{count} registro de completado va a la papelera con la serie.",
+    other: "{count} registros de completado van a la papelera con la serie.",
+  },
+  "recurrenceModal.impact.overridesTrashed": {
+    one: "{count} repetición editada va a la papelera con la serie.",
+    other: "{count} repeticiones editadas van a la papelera con la serie.",
+  },
+  "recurrenceModal.impact.restorable": {
+    one: "Puedes restaurarlo todo desde la papelera durante {count} día.",
+    other: "Puedes restaurarlo todo desde la papelera durante {count} días.",
+  },
+  "recurrenceModal.impact.overridesMoved": {
+    one: "{count} repetición editada pasará al nuevo horario.",
+    other: "{count} repeticiones editadas pasarán al nuevo horario.",
+  },
+  "recurrenceModal.impact.newEndDate": "La serie terminará ahora el {date}.",
+  "recurrenceModal.impact.failed": "No se pudo previsualizar este cambio.",
+  "recurrenceModal.impact.checking": "Comprobando qué cambia…",
+
+  // --- Planner ---
+  "planner.initializing": "Iniciando el planificador...",
+  "planner.syncing": "Sincronizando tareas...",
+  "planner.initFailed": "No se pudieron cargar los datos de la aplicación.",
+  "planner.loadFailed": "No se pudieron cargar los datos del planificador.",
+  "planner.loadTasksFailed": "No se pudieron cargar las tareas.",
+  "planner.realtimeError.tasks":
+    "Error en la conexión en tiempo real (tareas). Revisa la consola.",
+  "planner.realtimeError.exceptions":
+    "Error en la conexión en tiempo real (excepciones). Revisa la consola.",
+  "planner.rescheduleFailed": "No se pudo mover la tarea.",
+  "planner.createTask": "Crear tarea",
+  "planner.previousWeek": "Semana anterior",
+  "planner.nextWeek": "Semana siguiente",
+  "planner.resizeTask": "Cambiar la duración de la tarea",
+  "timeline.moreTasks": {
+    one: "{count} tarea más",
+    other: "{count} tareas más",
+  },
+  "planner.time.unavailable": "Sin hora",
+  "planner.time.invalid": "Hora no válida",
+  "planner.errors.taskNotFound":
+    "No se puede cambiar la tarea: no se encontró su definición.",
+  "planner.errors.missingInstance":
+    "No se puede editar la tarea: faltan datos de la repetición.",
+  "planner.errors.editTaskNotFound":
+    "No se encontró la definición original de la tarea.",
+  "planner.errors.parseRule": "No se pudo leer la regla de repetición.",
+  "planner.errors.goalNotFound": "No se encontró el objetivo.",
+  "nav.planner": "Planificador",
+  "weekdayPicker.weekdays": "Entre semana",
+  "weekdayPicker.weekends": "Fines de semana",
+  "seriesDates.add": "Añadir fecha",
+  "seriesDates.remove": "Quitar {date}",
+
+  // --- Day drawer ---
+  "drawer.tasks": "Tareas",
+  "drawer.expand": "Expandir",
+  "drawer.collapse": "Contraer",
+  "drawer.loading": "Cargando tareas...",
+  "drawer.goalsAtRisk": "Objetivos por recuperar",
+  "drawer.empty": "No hay tareas para este día.",
+  "drawer.done": "Hecha",
+
+  // --- Goals ---
+  "goals.remaining.week": {
+    one: "Faltan {remaining}, queda {count} día esta semana",
+    other: "Faltan {remaining}, quedan {count} días esta semana",
+  },
+  "goals.remaining.month": {
+    one: "Faltan {remaining}, queda {count} día este mes",
+    other: "Faltan {remaining}, quedan {count} días este mes",
+  },
+  "goals.log": "Registrar {title}",
+  "goals.undo": "Deshacer el último registro de {title}",
+  "goals.edit": "Editar {title}",
+  "goals.delete": "Eliminar {title}",
+  "goals.confirmDelete.title": "¿Eliminar el objetivo?",
+  "goals.confirmDelete.message":
+    "«{title}» y sus registros se moverán a la papelera.",
+  "goals.errors.log": "No se pudo registrar.",
+  "goals.errors.undo": "No se pudo deshacer el registro.",
+  "goals.errors.delete": "No se pudo eliminar el objetivo.",
+
+  // --- Profile menu, trash and archive ---
+  "profileMenu.picture": "Foto de perfil",
+  "profileMenu.user": "Usuario",
+  "profileMenu.profile": "Perfil",
+  "profileMenu.lightMode": "Modo claro",
+  "profileMenu.darkMode": "Modo oscuro",
+  "profileMenu.logOut": "Cerrar sesión",
+  "trash.title": "Papelera",
+  "trash.retention": {
+    one: "Las tareas eliminadas se borran definitivamente tras {count} día.",
+    other: "Las tareas eliminadas se borran definitivamente tras {count} días.",
+  },
+  "trash.empty": "La papelera está vacía.",
+  "trash.dates": "Eliminada el {deleted} · se borra el {purged}",
+  "trash.restored": "Tarea restaurada.",
+  "trash.restoreFailed": "No se pudo restaurar la tarea.",
+  "trash.deleted": "Tarea eliminada definitivamente.",
+  "trash.deleteFailed": "No se pudo eliminar la tarea.",
+  "trash.deletePermanently": "Eliminar definitivamente",
+  "trash.confirm.title": "¿Eliminar definitivamente?",
+  "trash.confirm.message":
+    "«{title}» y su historial se eliminarán. No se puede deshacer.",
+  "archive.title": "En pausa y archivadas",
+  "archive.empty": "No hay series en pausa ni archivadas.",
+  "archive.paused": "En pausa",
+  "archive.archived": "Archivadas",
+  "archive.resumesOn": "Se reanuda el {date}",
+  "archive.pausedUntilResumed": "En pausa hasta que la reanudes",
+  "archive.resume": "Reanudar",
+  "archive.hidden": "Oculta en el planificador",
+  "archive.restored": "Serie restaurada.",
+  "archive.restoreFailed": "No se pudo restaurar la serie.",
+
+  // --- Settings ---
+  "settings.title": "Ajustes",
+  "settings.saveFailed": "No se pudieron guardar los ajustes.",
+  "settings.language.title": "Idioma y hora",
+  "settings.language.description": "Cómo se muestran las fechas y las horas.",
+  "settings.language.label": "Idioma",
+  "settings.language.auto": "Automático (navegador)",
+  "settings.timeFormat.auto": "Automático",
+  "settings.timeFormat.12h": "12 horas",
+  "settings.timeFormat.24h": "24 horas",
+  "settings.weekStart.title": "La semana empieza el",
+  "settings.weekStart.description":
+    "Se usa en la vista semanal, los calendarios, los objetivos semanales y las tareas repetidas.",
+  "settings.weekStart.sunday": "Domingo",
+  "settings.weekStart.monday": "Lunes",
+  "settings.dayHours.title": "Horas del día",
+  "settings.dayHours.description":
+    "Las horas que muestra la línea de tiempo semanal.",
+  "settings.dayHours.fixed": "Horas fijas",
+  "settings.dayHours.fit": "Ajustar a las tareas",
+  "settings.dayHours.from": "Desde",
+  "settings.dayHours.until": "Hasta",
+  "settings.dayHours.fitHint":
+    "Las semanas con tareas fuera de estas horas muestran más del día.",
+  "settings.newTasks.title": "Tareas nuevas",
+  "settings.newTasks.description": "Con qué empieza el formulario de tareas.",
+  "settings.newTasks.icon": "Icono",
+  "settings.newTasks.duration": "Duración",
+  "settings.newTasks.minutes": "{minutes} min",
+
+  // --- Push notifications ---
+  "push.enable": "Activar notificaciones",
+  "push.disable": "Desactivar notificaciones",
+  "push.enabled": "¡Notificaciones activadas!",
+  "push.disabled": "Notificaciones desactivadas.",
+  "push.checking": "Comprobando notificaciones...",
+  "push.denied": "Permiso denegado",
+  "push.errors.missingKey": "Falta la configuración de la clave VAPID.",
+  "push.errors.permissionDenied": "Permiso de notificaciones denegado.",
+  "push.errors.previouslyDenied":
+    "El permiso de notificaciones ya se denegó anteriormente.",
+  "push.errors.signedOut":
+    "Tienes que iniciar sesión para activar las notificaciones.",
+  "push.errors.saveFailed": "No se pudo guardar la suscripción: {detail}",
+  "push.errors.enableFailed":
+    "No se pudieron activar las notificaciones. Revisa la consola.",
+  "push.errors.removeFailed":
+    "No se pudo quitar la suscripción del servidor, pero se cancela localmente.",
+  "push.errors.unsubscribeFailed":
+    "No se pudieron desactivar del todo las notificaciones localmente.",
+  "push.errors.disableFailed": "No se pudieron desactivar las notificaciones.",
+
+  // --- Auth pages ---
+  "auth.email": "Correo electrónico",
+  "auth.emailPlaceholder": "tu@ejemplo.com",
+  "auth.password": "Contraseña",
+  "auth.passwordPlaceholder": "Tu contraseña",
+  "auth.or": "O",
+  "auth.continueWithGoogle": "Continuar con Google",
+  "auth.submitting": "Enviando...",
+  "auth.signIn.title": "Iniciar sesión",
+  "auth.signIn.noAccount": "¿No tienes cuenta?",
+  "auth.signIn.forgotPassword": "¿Olvidaste la contraseña?",
+  "auth.signIn.pending": "Iniciando sesión...",
+  "auth.signIn.submit": "Iniciar sesión con correo",
+  "auth.signUp.title": "Registrarse",
+  "auth.signUp.haveAccount": "¿Ya tienes cuenta?",
+  "auth.signUp.pending": "Registrando...",
+  "auth.signUp.checkEmail":
+    "¡Gracias por registrarte! Revisa tu correo para encontrar el enlace de verificación.",
+  "auth.forgotPassword.title": "Restablecer contraseña",
+  "auth.forgotPassword.checkEmail":
+    "Revisa tu correo para encontrar el enlace para restablecer la contraseña.",
+  "auth.resetPassword.title": "Restablecer contraseña",
+  "auth.resetPassword.description": "Introduce tu nueva contraseña.",
+  "auth.resetPassword.newPassword": "Nueva contraseña",
+  "auth.resetPassword.confirmPassword": "Confirmar contraseña",
+  "auth.resetPassword.updated": "Contraseña actualizada",
+  "auth.smtp.note": "Nota:",
+  "auth.smtp.rateLimited":
+    "Los correos tienen un límite de envío. Activa Custom SMTP para aumentarlo.",
+  "auth.smtp.learnMore": "Más información",
+  "auth.errors.emailPasswordRequired":
+    "El correo y la contraseña son obligatorios",
+  "auth.errors.emailRequired": "El correo es obligatorio",
+  "auth.errors.resetFailed": "No se pudo restablecer la contraseña",
+  "auth.errors.passwordsRequired":
+    "La contraseña y su confirmación son obligatorias",
+  "auth.errors.passwordsMismatch": "Las contraseñas no coinciden",
+  "auth.errors.passwordUpdateFailed": "No se pudo actualizar la contraseña",
+  "auth.errors.invalidCredentials": "Correo o contraseña incorrectos.",
+  "auth.errors.emailNotConfirmed":
+    "Confirma tu dirección de correo antes de iniciar sesión.",
+  "auth.errors.userExists": "Ya existe una cuenta con este correo.",
+  "auth.errors.weakPassword": "Elige una contraseña más segura.",
+  "auth.errors.rateLimited":
+    "Se han enviado demasiados correos. Inténtalo de nuevo más tarde.",
+
+  // --- Server action errors ---
+  "errors.notAuthenticated": "No has iniciado sesión.",
+  "errors.unauthorized": "No autorizado.",
+  "errors.taskNotFound": "Tarea no encontrada o no autorizada.",
+  "errors.originalNotFound":
+    "No se encontró la tarea original o hubo un error de base de datos.",
+  "errors.goalNotFound": "Objetivo no encontrado o no autorizado.",
+  "errors.notAGoal": "Esta tarea no es un objetivo.",
+  "errors.taskIdRequired": "El ID de la tarea es obligatorio.",
+  "errors.taskDataRequired": "Los datos de la tarea son obligatorios.",
+  "errors.titleRequired": "El título de la tarea es obligatorio.",
+  "errors.startDateRequired": "La fecha de inicio es obligatoria.",
+  "errors.startTimeFormat":
+    "La hora de inicio es obligatoria en formato HH:mm.",
+  "errors.durationMin": "La duración debe ser de al menos 1 minuto.",
+  "errors.durationRange": "La duración debe estar entre 1 y {max} minutos.",
+  "errors.frequencyRequired": "Hay que elegir una frecuencia de repetición.",
+  "errors.invalidStart": "Se necesita una fecha y hora de inicio válidas.",
+  "errors.invalidDuration": "Se necesita una duración válida.",
+  "errors.invalidStartCombination":
+    "Combinación de fecha y hora de inicio no válida. Usa YYYY-MM-DD y HH:mm.",
+  "errors.invalidDtstart":
+    "Error de base de datos: formato de fecha/hora de inicio no válido. Valor calculado: {value}",
+  "errors.invalidUpdatedStart": "La nueva fecha/hora de inicio no es válida.",
+  "errors.recurrenceRule":
+    "No se pudo procesar la regla de repetición. Revisa los parámetros.",
+  "errors.dataValidation": "La validación de datos falló: {detail}",
+  "errors.deleteFromRequired":
+    "Se necesitan el ID de la tarea y la repetición desde la que eliminar.",
+  "errors.notRecurring":
+    "No se pueden eliminar repeticiones futuras de una tarea que no se repite.",
+  "errors.invalidCutoff": "La repetición indicada como límite no es válida.",
+  "errors.updateRuleFailed": "No se pudo actualizar la regla de repetición.",
+  "errors.occurrenceTimeRequired":
+    "Para eliminar una repetición se necesita su hora original.",
+  "errors.updateScope": "El alcance debe ser 'future' o 'all'.",
+  "errors.futureScopeContext":
+    "Para actualizar las repeticiones futuras se necesita la hora original de la repetición.",
+  "errors.newRuleFailed": "No se pudo generar la nueva regla: {detail}",
+  "errors.originalTimeMissing":
+    "Falta la hora original para las repeticiones futuras.",
+  "errors.modifyRuleFailed":
+    "No se pudo modificar la regla de la tarea original: {detail}",
+  "errors.invalidScope": "Alcance '{scope}' no válido.",
+  "errors.occurrenceRequired":
+    "Se necesitan el ID de la tarea y la hora original de la repetición.",
+  "errors.completionStateRequired":
+    "Se necesita el nuevo estado de completado (true/false).",
+  "errors.userIdRequired": "Se necesita el ID de usuario para la modificación.",
+  "errors.userIdPlaceholder":
+    "El ID de usuario contiene un marcador no válido.",
+  "errors.invalidOccurrenceTime":
+    "Formato no válido de la hora original de la repetición.",
+  "errors.goalPeriodRequired":
+    "Se necesitan el ID de la tarea y el periodo del objetivo.",
+  "errors.noCompletionInPeriod":
+    "No hay ningún completado registrado en este periodo.",
+  "errors.restoreBeforePause": "Restaura la serie antes de pausarla.",
+  "errors.invalidResumeDate": "Fecha de reanudación no válida.",
+  "errors.resumeDateInPast": "La fecha de reanudación debe ser futura.",
+  "errors.notPaused": "Esta serie no está en pausa.",
+  "errors.notArchived": "Esta serie no está archivada.",
+  "errors.undoIdRequired": "Se requiere el ID de deshacer.",
+  "errors.undoNotFound": "Ya no se puede deshacer este cambio.",
+  "errors.undoConflict":
+    "No se puede deshacer: las tareas han cambiado desde entonces.",
+  "errors.notInTrash": "La tarea no está en la papelera.",
+  "errors.recurrence.frequency":
+    "Frecuencia de repetición no válida: {frequency}",
+  "errors.recurrence.monthlyMode": "Repetición mensual no válida: {mode}",
+  "errors.recurrence.endDateRequired":
+    "Se necesita una fecha de fin para «En fecha».",
+  "errors.recurrence.endDateInvalid": "Fecha de fin no válida.",
+  "errors.recurrence.endBeforeStart":
+    "La fecha de fin no puede ser anterior a la de inicio.",
+  "errors.recurrence.seriesDate": "Fecha de la serie no válida: {date}",
+  "errors.settings.unknown": "Ajustes desconocidos: {fields}.",
+  "errors.settings.hours":
+    "Las horas visibles deben ser horas enteras entre 0 y 24 y empezar antes de terminar.",
+  "errors.settings.duration":
+    "La duración predeterminada debe ser un número entero de minutos.",
+  "errors.settings.icon": "Se necesita un icono predeterminado.",
+  "errors.settings.weekStart":
+    "El inicio de semana debe ser un día de 0 (domingo) a 6.",
+  "errors.settings.timeFormat":
+    "El formato de hora debe ser uno de: {formats}.",
+  "errors.settings.locale": "Idioma no compatible: {locale}.",
+  "errors.db.loadTasks": "Error de base de datos al cargar tareas: {detail}",
+  "errors.db.loadExceptions":
+    "Error de base de datos al cargar excepciones: {detail}",
+  "errors.db.createTask": "Error de base de datos al crear la tarea: {detail}",
+  "errors.db.fetchTask": "Error de base de datos al obtener la tarea: {detail}",
+  "errors.db.fetchExceptions":
+    "Error de base de datos al obtener excepciones: {detail}",
+  "errors.db.deleteTask":
+    "Error de base de datos al eliminar la tarea: {detail}",
+  "errors.db.deleteExceptions":
+    "Error de base de datos al eliminar excepciones: {detail}",
+  "errors.db.updateRule":
+    "Error de base de datos al actualizar la regla: {detail}",
+  "errors.db.cancelOccurrence":
+    "Error de base de datos al cancelar la repetición: {detail}",
+  "errors.db.updateTask":
+    "Error de base de datos al actualizar la tarea: {detail}",
+  "errors.db.splitSeries":
+    "Error de base de datos al dividir la serie: {detail}",
+  "errors.db.fetchCompletions":
+    "Error de base de datos al obtener completados: {detail}",
+  "errors.db.modifyOccurrence":
+    "Error de base de datos al modificar la repetición: {detail}",
+  "errors.db.removeCompletion":
+    "Error de base de datos al quitar el completado: {detail}",
+  "errors.db.updateStatus":
+    "Error de base de datos al actualizar el estado de la tarea: {detail}",
+  "errors.db.restoreTasks":
+    "Error de base de datos al restaurar tareas: {detail}",
+  "errors.db.restoreExceptions":
+    "Error de base de datos al restaurar excepciones: {detail}",
+  "errors.db.restoreTask":
+    "Error de base de datos al restaurar la tarea: {detail}",
+  "errors.db.purgeTrash":
+    "Error de base de datos al vaciar la papelera: {detail}",
+  "errors.db.loadSettings": "No se pudieron cargar los ajustes: {detail}",
+  "errors.db.saveSettings": "No se pudieron guardar los ajustes: {detail}",
+};
+
+export default es;
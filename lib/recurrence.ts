@@ -0,0 +1,969 @@
+// src/lib/recurrence.ts
+
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+import { RRule, RRuleSet, Options, Weekday } from "rrule";
+import { TaskData, TaskDefinition, TaskException } from "@/types/tasks";
+import { MessageKey, Translator, getTranslator } from "@/lib/i18n";
+import { monthNames } from "@/lib/format";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/** RRULE weekday codes in the order rrule.js numbers them (0 = Monday). */
+export const WEEKDAY_CODES = [
+  "MO",
+  "TU",
+  "WE",
+  "TH",
+  "FR",
+  "SA",
+  "SU",
+] as const;
+export type WeekdayCode = (typeof WEEKDAY_CODES)[number];
+
+/** HH:mm in 24-hour time, the format used for start times and times_of_day. */
+export const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/** Quick selections offered next to the weekday picker in the task form. */
+export const WEEKDAY_PRESETS: Record<string, WeekdayCode[]> = {
+  weekdays: ["MO", "TU", "WE", "TH", "FR"],
+  weekends: ["SA", "SU"],
+};
+
+/**
+ * How a monthly rule picks its day:
+ * - day_of_month: same date as dtstart (falls back to the month's last day for the 29th–31st)
+ * - nth_weekday:  e.g. "2nd Tuesday", from dtstart's weekday and week of the month
+ * - last_weekday: e.g. "last Friday"
+ * - last_day:     last day of every month
+ */
+export const MONTHLY_MODES = [
+  "day_of_month",
+  "nth_weekday",
+  "last_weekday",
+  "last_day",
+] as const;
+export type MonthlyMode = (typeof MONTHLY_MODES)[number];
+
+const FREQUENCY_MAP: Record<string, number> = {
+  daily: RRule.DAILY,
+  weekly: RRule.WEEKLY,
+  monthly: RRule.MONTHLY,
+  yearly: RRule.YEARLY,
+};
+
+/**
+ * Returns the BYDAY code for a date, using the weekday of that date as seen in its own timezone.
+ * (dayjs numbers Sunday as 0, rrule.js numbers Monday as 0.)
+ */
+export const weekdayCodeFromDate = (date: dayjs.Dayjs): WeekdayCode =>
+  WEEKDAY_CODES[(date.day() + 6) % 7];
+
+/**
+ * The WKST code for a week-start preference (0 = Sunday … 6 = Saturday).
+ */
+export const weekStartCode = (weekStartsOn: number): WeekdayCode =>
+  WEEKDAY_CODES[(weekStartsOn + 6) % 7];
+
+/**
+ * Which occurrence of its weekday a date is within its month (1–5).
+ */
+export const weekdayOrdinalInMonth = (date: dayjs.Dayjs): number =>
+  Math.ceil(date.date() / 7);
+
+// Ordinals the summaries name ("2nd Tuesday", "last Friday"), by BYSETPOS / BYDAY n
+const ORDINAL_KEYS: Record<number, MessageKey> = {
+  1: "recurrence.ordinal.1",
+  2: "recurrence.ordinal.2",
+  3: "recurrence.ordinal.3",
+  4: "recurrence.ordinal.4",
+  5: "recurrence.ordinal.5",
+  [-1]: "recurrence.ordinal.last",
+};
+
+/**
+ * Human label for a monthly mode relative to the start date, e.g. "On the 2nd Tuesday".
+ *
+ * @param mode - The monthly mode.
+ * @param date - The series start date (in the task's timezone).
+ * @param t - Translator for the user's language.
+ */
+export const describeMonthlyMode = (
+  mode: MonthlyMode,
+  date: dayjs.Dayjs,
+  t: Translator
+): string => {
+  const ordinal = weekdayOrdinalInMonth(date);
+  const weekday = date.format("dddd");
+  switch (mode) {
+    case "nth_weekday":
+      return ordinal > 4
+        ? t("recurrence.monthlyMode.last_weekday", { weekday })
+        : t("recurrence.monthlyMode.nth_weekday", {
+            ordinal: t(ORDINAL_KEYS[ordinal]),
+            weekday,
+          });
+    case "last_weekday":
+      return t("recurrence.monthlyMode.last_weekday", { weekday });
+    case "last_day":
+      return t("recurrence.monthlyMode.last_day");
+    case "day_of_month":
+    default:
+      return t("recurrence.monthlyMode.day_of_month", { day: date.date() });
+  }
+};
+
+/**
+ * Filters out unknown codes, removes duplicates and sorts Monday → Sunday.
+ */
+export const normalizeWeekdayCodes = (codes?: string[] | null): WeekdayCode[] =>
+  WEEKDAY_CODES.filter((code) => codes?.includes(code));
+
+/**
+ * BYMONTHDAY / BYDAY / BYSETPOS parts for a monthly rule, derived from the local start date.
+ */
+const buildMonthlyOptions = (
+  mode: MonthlyMode,
+  localStartDateTime: dayjs.Dayjs,
+  t: Translator
+): Partial<Options> => {
+  const weekday = RRule[weekdayCodeFromDate(localStartDateTime)];
+  const dayOfMonth = localStartDateTime.date();
+
+  switch (mode) {
+    case "nth_weekday": {
+      // A 5th weekday doesn't exist in most months, so it means "last"
+      const ordinal = weekdayOrdinalInMonth(localStartDateTime);
+      return { byweekday: [weekday], bysetpos: [ordinal > 4 ? -1 : ordinal] };
+    }
+    case "last_weekday":
+      return { byweekday: [weekday], bysetpos: [-1] };
+    case "last_day":
+      return { bymonthday: [-1] };
+    case "day_of_month":
+      // Plain BYMONTHDAY=31 skips shorter months. Pick the latest existing day
+      // from 28..dayOfMonth instead, so the 31st lands on Feb 28/29, Apr 30, etc.
+      if (dayOfMonth > 28) {
+        return {
+          bymonthday: Array.from({ length: dayOfMonth - 27 }, (_, i) => 28 + i),
+          bysetpos: [-1],
+        };
+      }
+      return { bymonthday: [dayOfMonth] };
+    default:
+      throw new Error(t("errors.recurrence.monthlyMode", { mode }));
+  }
+};
+
+/**
+ * Converts the recurrence section of a task payload into RRule options.
+ * Weekday (BYDAY) values are wall-clock weekdays in the task's timezone,
+ * which is how `calculateInstancesForRange` expands them.
+ *
+ * @param recurrence - The `recurrence` object sent by the task form.
+ * @param localStartDateTime - The task's dtstart as a Dayjs object in the task's timezone.
+ * @param timeZone - IANA timezone name of the task.
+ * @param weekStartsOn - The user's first day of the week (0 = Sunday), written
+ *   as WKST on weekly rules so "every 2 weeks on Sun and Mon" groups the days
+ *   into the user's weeks. Left out, the RFC default (Monday) applies.
+ * @param t - Translator for the error messages (English by default).
+ * @returns RRule options, or null when the task does not repeat.
+ * @throws {Error} If the frequency or end condition is invalid.
+ */
+export const buildRRuleOptions = (
+  recurrence: TaskData["recurrence"],
+  localStartDateTime: dayjs.Dayjs,
+  timeZone: string,
+  weekStartsOn?: number,
+  t: Translator = getTranslator()
+): Partial<Options> | null => {
+  const {
+    frequency,
+    interval = 1,
+    end_type = "never",
+    occurrences,
+    end_date,
+    by_weekday,
+    monthly_mode = "day_of_month",
+  } = recurrence || ({} as TaskData["recurrence"]);
+
+  if (!frequency || frequency === "once") return null;
+
+  // Hand-written rule from the form's Advanced section; end conditions are part of it
+  if (frequency === "custom") {
+    return validateRRuleString(
+      recurrence.rrule ?? "",
+      toWallClock(localStartDateTime.toDate(), timeZone),
+      t
+    );
+  }
+
+  if (!(frequency in FREQUENCY_MAP)) {
+    throw new Error(t("errors.recurrence.frequency", { frequency }));
+  }
+
+  const ruleOptions: Partial<Options> = {
+    freq: FREQUENCY_MAP[frequency],
+    interval: Math.max(1, parseInt(String(interval), 10) || 1),
+  };
+
+  // Specific weekdays only make sense for weekly rules
+  if (frequency === "weekly") {
+    const weekdays = normalizeWeekdayCodes(by_weekday);
+    if (weekdays.length > 0) {
+      ruleOptions.byweekday = weekdays.map((code) => RRule[code]);
+    }
+    if (weekStartsOn !== undefined) {
+      ruleOptions.wkst = RRule[weekStartCode(weekStartsOn)];
+    }
+  }
+
+  if (frequency === "monthly") {
+    Object.assign(
+      ruleOptions,
+      buildMonthlyOptions(monthly_mode as MonthlyMode, localStartDateTime, t)
+    );
+  }
+
+  // Feb 29 only exists in leap years; fall back to Feb 28 in the others
+  if (
+    frequency === "yearly" &&
+    localStartDateTime.month() === 1 &&
+    localStartDateTime.date() === 29
+  ) {
+    Object.assign(ruleOptions, {
+      bymonth: [2],
+      bymonthday: [28, 29],
+      bysetpos: [-1],
+    });
+  }
+
+  // Add end condition based on end_type
+  switch (end_type) {
+    case "after":
+      ruleOptions.count = Math.max(1, parseInt(String(occurrences), 10) || 1);
+      break;
+    case "on": {
+      if (!end_date) throw new Error(t("errors.recurrence.endDateRequired"));
+      // Parse end date string (YYYY-MM-DD) IN THE TASK'S TIMEZONE.
+      // Use endOf('day') to include the whole day.
+      const untilDateTime = dayjs
+        .tz(end_date, "YYYY-MM-DD", timeZone)
+        .endOf("day");
+      if (!untilDateTime.isValid())
+        throw new Error(t("errors.recurrence.endDateInvalid"));
+      if (untilDateTime.isBefore(localStartDateTime, "day")) {
+        throw new Error(t("errors.recurrence.endBeforeStart"));
+      }
+      // Convert to UTC Date object for RRULE 'until'
+      ruleOptions.until = untilDateTime.utc().toDate();
+      break;
+    }
+    case "never":
+    default:
+      // No end condition ('count' or 'until') needed for never-ending rules
+      break;
+  }
+
+  return ruleOptions;
+};
+
+/**
+ * Form-facing representation of a stored RRULE (see `openTaskFormForEdit`).
+ */
+export interface ParsedRecurrence {
+  frequency: "once" | "daily" | "weekly" | "monthly" | "yearly";
+  interval: number;
+  end_type: "never" | "after" | "on";
+  occurrences?: number;
+  end_date?: Date;
+  by_weekday: WeekdayCode[];
+  monthly_mode: MonthlyMode;
+  /** The stored rule as a single RRULE line (without the "RRULE:" prefix). */
+  custom_rrule: string;
+  /** True when the simple controls can't express the rule and the Advanced editor is needed. */
+  use_custom_rrule: boolean;
+}
+
+/**
+ * Parses a stored RRULE string back into the values the task form edits.
+ *
+ * @param rruleString - The RRULE stored on the task (may include a DTSTART line).
+ * @param dtstartISO - The task's dtstart (UTC ISO string).
+ * @param timeZone - The task's IANA timezone.
+ * @returns The parsed recurrence values.
+ * @throws {Error} If the RRULE cannot be parsed.
+ */
+export const parseRRuleForForm = (
+  rruleString: string,
+  dtstartISO: string,
+  timeZone: string
+): ParsedRecurrence => {
+  const options = RRule.parseString(rruleString);
+  const localStart = dayjs.utc(dtstartISO).tz(timeZone);
+
+  const freqMapReverse: Record<number, ParsedRecurrence["frequency"]> = {
+    [RRule.DAILY]: "daily",
+    [RRule.WEEKLY]: "weekly",
+    [RRule.MONTHLY]: "monthly",
+    [RRule.YEARLY]: "yearly",
+  };
+  const frequency = freqMapReverse[options.freq] || "once";
+
+  const parsed: ParsedRecurrence = {
+    frequency,
+    interval: options.interval || 1,
+    end_type: "never",
+    by_weekday: [],
+    monthly_mode: "day_of_month",
+    custom_rrule: RRule.optionsToString({
+      ...options,
+      dtstart: null,
+      tzid: null,
+    }).replace(/^RRULE:/, ""),
+    use_custom_rrule: false,
+  };
+
+  if (options.count) {
+    parsed.end_type = "after";
+    parsed.occurrences = options.count;
+  } else if (options.until) {
+    parsed.end_type = "on";
+    parsed.end_date = dayjs.utc(options.until).tz(timeZone).toDate();
+  }
+
+  if (frequency === "weekly") {
+    const byweekday = [].concat(options.byweekday ?? []) as (
+      | Weekday
+      | number
+    )[];
+    parsed.by_weekday = normalizeWeekdayCodes(
+      byweekday.map((day) =>
+        typeof day === "number"
+          ? WEEKDAY_CODES[day]
+          : WEEKDAY_CODES[day.weekday]
+      )
+    );
+    // Rules without BYDAY repeat on the weekday of dtstart
+    if (parsed.by_weekday.length === 0) {
+      parsed.by_weekday = [weekdayCodeFromDate(localStart)];
+    }
+  }
+
+  if (frequency === "monthly") {
+    parsed.monthly_mode = monthlyModeFromOptions(options);
+  }
+
+  parsed.use_custom_rrule = !isExpressibleBySimpleControls(
+    options,
+    parsed,
+    localStart,
+    timeZone
+  );
+
+  return parsed;
+};
+
+/**
+ * Whether rebuilding a rule from its parsed form values gives the same
+ * schedule. Compares the first occurrences of both rules (end conditions
+ * aside), so equivalent spellings such as BYDAY=2TU and BYDAY=TU;BYSETPOS=2
+ * still count as expressible.
+ */
+const isExpressibleBySimpleControls = (
+  options: Partial<Options>,
+  parsed: ParsedRecurrence,
+  localStart: dayjs.Dayjs,
+  timeZone: string
+): boolean => {
+  if (parsed.frequency === "once") return false;
+  try {
+    const rebuilt = buildRRuleOptions(
+      {
+        frequency: parsed.frequency,
+        interval: parsed.interval,
+        by_weekday: parsed.by_weekday,
+        monthly_mode: parsed.monthly_mode,
+        end_type: "never",
+      },
+      localStart,
+      timeZone
+    );
+    // Saving re-applies the user's week start, so the stored one isn't compared
+    if (rebuilt) rebuilt.wkst = options.wkst;
+    const dtstart = toWallClock(localStart.toDate(), timeZone);
+    const sample = (parts: Partial<Options> | null) =>
+      new RRule({ ...parts, tzid: null, dtstart, until: null, count: 24 })
+        .all()
+        .map((date) => date.getTime())
+        .join();
+    return sample(options) === sample(rebuilt);
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Works out which monthly mode produced a set of RRULE parts.
+ * Accepts both BYDAY=TU;BYSETPOS=2 and the equivalent BYDAY=2TU form.
+ */
+const monthlyModeFromOptions = (options: Partial<Options>): MonthlyMode => {
+  const bymonthday = [].concat(options.bymonthday ?? []) as number[];
+  const bysetpos = [].concat(options.bysetpos ?? []) as number[];
+  const byweekday = [].concat(options.byweekday ?? []) as (Weekday | number)[];
+
+  if (bymonthday.length === 1 && bymonthday[0] === -1) return "last_day";
+  if (byweekday.length > 0) {
+    const first = byweekday[0];
+    const position =
+      bysetpos[0] ?? (typeof first === "number" ? undefined : first.n);
+    return position === -1 ? "last_weekday" : "nth_weekday";
+  }
+  return "day_of_month";
+};
+
+/**
+ * Returns the wall-clock time of `date` in `timeZone`, written as a UTC Date
+ * ("floating" time). rrule.js has no real timezone support, so rules are
+ * expanded on floating dates and converted back with `fromWallClock`.
+ */
+export const toWallClock = (date: Date, timeZone: string): Date =>
+  new Date(dayjs.utc(date).tz(timeZone).format("YYYY-MM-DDTHH:mm:ss.SSS[Z]"));
+
+/**
+ * Inverse of `toWallClock`: resolves a floating wall-clock Date to the real
+ * UTC instant in `timeZone`, using the UTC offset in effect on that date.
+ */
+export const fromWallClock = (floating: Date, timeZone: string): Date =>
+  dayjs
+    .tz(dayjs.utc(floating).format("YYYY-MM-DDTHH:mm:ss.SSS"), timeZone)
+    .toDate();
+
+/**
+ * Builds an RRule that runs on floating wall-clock dates for a task.
+ * UNTIL is read as a UTC instant (the RFC 5545 "Z" form `buildRRuleOptions`
+ * writes) and moved to wall-clock time along with DTSTART.
+ *
+ * @param rruleString - The RRULE stored on the task.
+ * @param dtstartISO - The task's dtstart (UTC ISO string).
+ * @param timeZone - The task's IANA timezone.
+ */
+export const buildWallClockRule = (
+  rruleString: string,
+  dtstartISO: string,
+  timeZone: string
+): RRule => {
+  // parseString only returns the parts written in the rule (no defaults filled in)
+  const options = RRule.parseString(rruleString);
+  return new RRule({
+    ...options,
+    tzid: null,
+    dtstart: toWallClock(dayjs.utc(dtstartISO).toDate(), timeZone),
+    until: options.until ? toWallClock(options.until, timeZone) : null,
+  });
+};
+
+/**
+ * Expands a task's RRULE into UTC occurrence dates within [rangeStart, rangeEnd).
+ *
+ * The rule is expanded in wall-clock time of the task's timezone and every
+ * occurrence is converted to UTC with its own offset, so a daily 9:00
+ * America/New_York task stays at 9:00 local across DST changes and BYDAY
+ * values refer to weekdays in that timezone.
+ *
+ * @param rruleString - The RRULE stored on the task.
+ * @param dtstartISO - The task's dtstart (UTC ISO string).
+ * @param timeZone - The task's IANA timezone.
+ * @param rangeStart - Start of the range (inclusive).
+ * @param rangeEnd - End of the range (exclusive).
+ * @returns Occurrence start times as JS Dates (UTC), sorted.
+ */
+export const expandRRuleBetween = (
+  rruleString: string,
+  dtstartISO: string,
+  timeZone: string,
+  rangeStart: Date,
+  rangeEnd: Date
+): Date[] => {
+  return betweenInTimeZone(
+    buildWallClockRule(rruleString, dtstartISO, timeZone),
+    timeZone,
+    rangeStart,
+    rangeEnd
+  );
+};
+
+/**
+ * Runs a wall-clock rule (or rule set) over [rangeStart, rangeEnd) and
+ * returns the occurrences as real UTC instants.
+ */
+const betweenInTimeZone = (
+  rule: RRule | RRuleSet,
+  timeZone: string,
+  rangeStart: Date,
+  rangeEnd: Date
+): Date[] => {
+  // Pad the floating window by a day: the UTC offset can differ between the
+  // range bounds and the occurrences. The exact range is applied afterwards.
+  const dayMs = 24 * 60 * 60 * 1000;
+  return rule
+    .between(
+      new Date(toWallClock(rangeStart, timeZone).getTime() - dayMs),
+      new Date(toWallClock(rangeEnd, timeZone).getTime() + dayMs),
+      true
+    )
+    .map((floating) => fromWallClock(floating, timeZone))
+    .filter((date) => date >= rangeStart && date < rangeEnd);
+};
+
+/**
+ * The UTC time an occurrence had before DST-stable expansion, when rules were
+ * expanded with dtstart's fixed UTC offset. Used to match exceptions saved
+ * under the old keys (see supabase/migrations for the one-off key rewrite).
+ *
+ * @param occurrenceISO - The DST-stable occurrence time (UTC ISO string).
+ * @param dtstartISO - The task's dtstart (UTC ISO string).
+ * @param timeZone - The task's IANA timezone.
+ * @returns The legacy occurrence time as a UTC ISO string.
+ */
+export const legacyOccurrenceTime = (
+  occurrenceISO: string,
+  dtstartISO: string,
+  timeZone: string
+): string => {
+  const occurrence = dayjs.utc(occurrenceISO);
+  const offsetDrift =
+    occurrence.tz(timeZone).utcOffset() -
+    dayjs.utc(dtstartISO).tz(timeZone).utcOffset();
+  return occurrence.add(offsetDrift, "minute").toISOString();
+};
+
+/**
+ * Valid, de-duplicated HH:mm times sorted from earliest to latest.
+ */
+export const normalizeTimesOfDay = (times?: string[] | null): string[] =>
+  Array.from(
+    new Set((times ?? []).filter((time) => TIME_OF_DAY_PATTERN.test(time)))
+  ).sort();
+
+/**
+ * Builds the RRuleSet of a task on floating wall-clock dates: its RRULE plus
+ * the series-level added dates (RDATE) and removed dates (EXDATE).
+ *
+ * Follows iCalendar semantics so the set exports as DTSTART/RRULE/RDATE/EXDATE
+ * lines: RDATEs and EXDATEs are exact occurrence start times, an EXDATE also
+ * removes a matching RDATE, and a task without an RRULE still occurs on its
+ * dtstart. Tasks with several `times_of_day` (e.g. medication at 08:00, 14:00
+ * and 20:00) get one copy of the rule per time, so every dose is its own
+ * occurrence with its own exception key.
+ *
+ * @param task - The task definition.
+ */
+export const buildWallClockRuleSet = (
+  task: Pick<
+    TaskDefinition,
+    "rrule" | "dtstart" | "timezone" | "times_of_day" | "rdates" | "exdates"
+  >
+): RRuleSet => {
+  const ruleSet = new RRuleSet();
+  const times = normalizeTimesOfDay(task.times_of_day);
+  const localStartDate = dayjs
+    .utc(task.dtstart)
+    .tz(task.timezone)
+    .format("YYYY-MM-DD");
+  const starts =
+    times.length > 1
+      ? times.map((time) =>
+          dayjs
+            .tz(`${localStartDate} ${time}`, "YYYY-MM-DD HH:mm", task.timezone)
+            .toISOString()
+        )
+      : [task.dtstart];
+
+  for (const start of starts) {
+    if (task.rrule) {
+      ruleSet.rrule(buildWallClockRule(task.rrule, start, task.timezone));
+    } else {
+      ruleSet.rdate(toWallClock(dayjs.utc(start).toDate(), task.timezone));
+    }
+  }
+  for (const date of task.rdates ?? []) {
+    ruleSet.rdate(toWallClock(dayjs.utc(date).toDate(), task.timezone));
+  }
+  for (const date of task.exdates ?? []) {
+    ruleSet.exdate(toWallClock(dayjs.utc(date).toDate(), task.timezone));
+  }
+  return ruleSet;
+};
+
+/**
+ * Expands a task into UTC occurrence dates within [rangeStart, rangeEnd),
+ * merging its RRULE, extra dates and excluded dates (see `buildWallClockRuleSet`).
+ *
+ * @param task - The task definition.
+ * @param rangeStart - Start of the range (inclusive).
+ * @param rangeEnd - End of the range (exclusive).
+ * @returns Occurrence start times as JS Dates (UTC), sorted.
+ */
+export const expandTaskOccurrences = (
+  task: Pick<
+    TaskDefinition,
+    "rrule" | "dtstart" | "timezone" | "times_of_day" | "rdates" | "exdates"
+  >,
+  rangeStart: Date,
+  rangeEnd: Date
+): Date[] =>
+  betweenInTimeZone(
+    buildWallClockRuleSet(task),
+    task.timezone,
+    rangeStart,
+    rangeEnd
+  );
+
+/**
+ * UTC start times for a list of local dates (YYYY-MM-DD) at each of the given
+ * times of day, in the task's timezone. Used to turn the dates picked in the
+ * task form into RDATE/EXDATE values that match the series' occurrences.
+ *
+ * @param dates - Local dates (YYYY-MM-DD).
+ * @param times - HH:mm times of day.
+ * @param timeZone - The task's IANA timezone.
+ * @param t - Translator for the error message (English by default).
+ * @returns Sorted UTC ISO strings, or null when there are none.
+ * @throws {Error} If a date is not a valid YYYY-MM-DD date.
+ */
+export const seriesDatesToUTC = (
+  dates: string[] | undefined | null,
+  times: string[],
+  timeZone: string,
+  t: Translator = getTranslator()
+): string[] | null => {
+  const result = new Set<string>();
+  for (const date of dates ?? []) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !dayjs(date).isValid()) {
+      throw new Error(t("errors.recurrence.seriesDate", { date }));
+    }
+    for (const time of times) {
+      result.add(
+        dayjs.tz(`${date} ${time}`, "YYYY-MM-DD HH:mm", timeZone).toISOString()
+      );
+    }
+  }
+  return result.size > 0 ? Array.from(result).sort() : null;
+};
+
+/**
+ * Inverse of `seriesDatesToUTC`: the distinct local dates (YYYY-MM-DD) of
+ * stored RDATE/EXDATE values, for the task form.
+ */
+export const seriesDatesToLocal = (
+  dates: string[] | undefined | null,
+  timeZone: string
+): string[] =>
+  Array.from(
+    new Set(
+      (dates ?? []).map((date) =>
+        dayjs.utc(date).tz(timeZone).format("YYYY-MM-DD")
+      )
+    )
+  ).sort();
+
+/** Number of upcoming occurrences listed under the Advanced RRULE editor. */
+export const RRULE_PREVIEW_COUNT = 10;
+
+const SUPPORTED_FREQUENCIES: number[] = Object.values(FREQUENCY_MAP);
+
+/**
+ * Parses and checks a hand-written RRULE (the task form's Advanced section).
+ * Used for inline form errors and again by the server actions before a rule
+ * is stored in `tasks.rrule`.
+ *
+ * @param raw - A single RRULE line, with or without the "RRULE:" prefix.
+ * @param dtstart - Start used to check that the rule produces an occurrence (floating wall-clock time).
+ * @param t - Translator for the messages (English by default).
+ * @returns The parts written in the rule, without DTSTART/TZID (those come from the task).
+ * @throws {Error} With a user-facing message when the rule is invalid.
+ */
+export const validateRRuleString = (
+  raw: string,
+  dtstart: Date = new Date(),
+  t: Translator = getTranslator()
+): Partial<Options> => {
+  const line = (raw ?? "")
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .toUpperCase();
+  if (!line) {
+    throw new Error(t("rrule.errors.empty"));
+  }
+  if (/[\r\n]/.test(line) || /(^|;)(DTSTART|TZID)=/.test(line)) {
+    throw new Error(t("rrule.errors.onlyRule"));
+  }
+
+  let options: Partial<Options>;
+  try {
+    options = RRule.parseString(line);
+  } catch (error) {
+    throw new Error(
+      t("rrule.errors.invalid", { detail: (error as Error).message })
+    );
+  }
+
+  if (options.freq === undefined || options.freq === null) {
+    throw new Error(t("rrule.errors.freqRequired"));
+  }
+  if (!SUPPORTED_FREQUENCIES.includes(options.freq)) {
+    throw new Error(t("rrule.errors.unsupportedFreq"));
+  }
+  if (
+    options.interval !== undefined &&
+    !(Number.isInteger(options.interval) && options.interval > 0)
+  ) {
+    throw new Error(t("rrule.errors.interval"));
+  }
+  if (
+    options.count !== undefined &&
+    options.count !== null &&
+    !(Number.isInteger(options.count) && options.count > 0)
+  ) {
+    throw new Error(t("rrule.errors.count"));
+  }
+  if (options.count && options.until) {
+    throw new Error(t("rrule.errors.countAndUntil"));
+  }
+  if (
+    ([].concat(options.byweekday ?? []) as unknown[]).some((day) => day == null)
+  ) {
+    throw new Error(t("rrule.errors.weekday"));
+  }
+
+  const { dtstart: _dtstart, tzid: _tzid, ...ruleParts } = options;
+  let first: Date | null;
+  try {
+    first = new RRule({ ...ruleParts, dtstart }).after(dtstart, true);
+  } catch (error) {
+    throw new Error(
+      t("rrule.errors.invalid", { detail: (error as Error).message })
+    );
+  }
+  if (!first) {
+    throw new Error(t("rrule.errors.noOccurrence"));
+  }
+
+  return ruleParts;
+};
+
+const EVERY_KEYS: Record<number, MessageKey> = {
+  [RRule.DAILY]: "recurrence.every.day",
+  [RRule.WEEKLY]: "recurrence.every.week",
+  [RRule.MONTHLY]: "recurrence.every.month",
+  [RRule.YEARLY]: "recurrence.every.year",
+};
+
+// Rule parts a summary can describe; rules using any other part get none
+const DESCRIBED_PARTS = [
+  "freq",
+  "interval",
+  "count",
+  "until",
+  "byweekday",
+  "bymonthday",
+  "bymonth",
+  "bysetpos",
+  "wkst",
+];
+
+/**
+ * One-line summary of a rule in the user's language, e.g. "Every 2 weeks on
+ * Monday and Wednesday, 5 times", or null for rules it can't put in words
+ * (BYHOUR, BYWEEKNO, ...).
+ *
+ * @param options - The rule's parts, with UNTIL as a real (UTC) time.
+ * @param t - Translator for the user's language.
+ */
+export const describeRRule = (
+  options: Partial<Options>,
+  t: Translator
+): string | null => {
+  const { freq, interval, count, until, bymonth, bysetpos } = options;
+  if (!(freq in EVERY_KEYS)) return null;
+  if (
+    Object.entries(options).some(
+      ([part, value]) =>
+        !DESCRIBED_PARTS.includes(part) &&
+        value !== null &&
+        value !== undefined &&
+        !(Array.isArray(value) && value.length === 0)
+    )
+  )
+    return null;
+
+  const list = (items: string[]) =>
+    new Intl.ListFormat(t.locale, { type: "conjunction" }).format(items);
+  const weekdayName = (day: Weekday | number) =>
+    dayjs()
+      .day(((typeof day === "number" ? day : day.weekday) + 1) % 7)
+      .format("dddd");
+  const ordinal = (n: number) => (ORDINAL_KEYS[n] ? t(ORDINAL_KEYS[n]) : null);
+
+  const weekdays = [].concat(options.byweekday ?? []) as (Weekday | number)[];
+  const monthDays = [].concat(options.bymonthday ?? []) as number[];
+  const setPositions = [].concat(bysetpos ?? []) as number[];
+  const parts = [t(EVERY_KEYS[freq], { count: interval || 1 })];
+
+  if (setPositions.length > 0) {
+    // Only "the nth <weekday>" (one weekday, one position) reads naturally
+    const nth = setPositions.length === 1 && ordinal(setPositions[0]);
+    if (!nth || weekdays.length !== 1 || monthDays.length > 0) return null;
+    parts.push(
+      t("recurrence.onNthWeekdays", {
+        days: t("recurrence.nthWeekday", {
+          ordinal: nth,
+          weekday: weekdayName(weekdays[0]),
+        }),
+      })
+    );
+  } else if (weekdays.some((day) => typeof day !== "number" && day.n)) {
+    const days = weekdays.map((day) => {
+      const nth = typeof day !== "number" && day.n ? ordinal(day.n) : null;
+      return nth
+        ? t("recurrence.nthWeekday", {
+            ordinal: nth,
+            weekday: weekdayName(day),
+          })
+        : null;
+    });
+    if (days.includes(null)) return null;
+    parts.push(t("recurrence.onNthWeekdays", { days: list(days) }));
+  } else if (weekdays.length > 0) {
+    parts.push(
+      t("recurrence.onWeekdays", { days: list(weekdays.map(weekdayName)) })
+    );
+  }
+
+  if (monthDays.length > 0 && setPositions.length === 0) {
+    if (monthDays.length === 1 && monthDays[0] === -1) {
+      parts.push(t("recurrence.onLastDay"));
+    } else if (monthDays.every((day) => day > 0)) {
+      parts.push(
+        t("recurrence.onMonthDays", {
+          count: monthDays.length,
+          days: list(monthDays.map(String)),
+        })
+      );
+    } else {
+      return null;
+    }
+  }
+
+  const months = [].concat(bymonth ?? []) as number[];
+  if (months.length > 0) {
+    const names = monthNames();
+    parts.push(
+      t("recurrence.inMonths", {
+        months: list(months.map((month) => names[month - 1])),
+      })
+    );
+  }
+
+  const summary = parts.join(" ");
+  if (count) return `${summary}, ${t("recurrence.count", { count })}`;
+  if (until)
+    return `${summary}, ${t("recurrence.until", { date: dayjs(until).format("ll") })}`;
+  return summary;
+};
+
+/**
+ * Summary and upcoming occurrences of a hand-written RRULE, expanded in the
+ * task's timezone like `expandRRuleBetween`.
+ *
+ * @param raw - A single RRULE line, with or without the "RRULE:" prefix.
+ * @param dtstartISO - The series start (UTC ISO string).
+ * @param timeZone - The task's IANA timezone.
+ * @param t - Translator for the summary and error messages.
+ * @param count - How many occurrences to return.
+ * @returns The summary (see `describeRRule`; the rule itself when there's
+ *   none) and the next `count` occurrences from now (UTC Dates).
+ * @throws {Error} If the rule is invalid (see `validateRRuleString`).
+ */
+export const previewRRule = (
+  raw: string,
+  dtstartISO: string,
+  timeZone: string,
+  t: Translator,
+  count: number = RRULE_PREVIEW_COUNT
+): { text: string; occurrences: Date[] } => {
+  const floatingStart = toWallClock(dayjs.utc(dtstartISO).toDate(), timeZone);
+  const ruleParts = validateRRuleString(raw, floatingStart, t);
+  const rule = buildWallClockRule(
+    RRule.optionsToString(ruleParts),
+    dtstartISO,
+    timeZone
+  );
+
+  const from = toWallClock(new Date(), timeZone);
+  const upcoming: Date[] = [];
+  rule.all((date) => {
+    if (date >= from) upcoming.push(date);
+    return upcoming.length < count;
+  });
+
+  // UNTIL is a UTC instant, as in `buildWallClockRule`, so the summary's end
+  // date is the one the expansion stops at
+  const text =
+    describeRRule(ruleParts, t) ??
+    RRule.optionsToString(ruleParts).replace(/^RRULE:/, "");
+
+  return {
+    text,
+    occurrences: upcoming.map((floating) => fromWallClock(floating, timeZone)),
+  };
+};
+
+/**
+ * Next occurrence of a completion-relative task ("every N days after I last
+ * did it"). Only this one occurrence exists at a time: it falls
+ * `repeat_after_days` days after the latest completion (or skip) recorded in
+ * the task's exceptions, at the task's usual time of day, and on dtstart
+ * while there is none.
+ *
+ * @param task - The task definition (with `repeat_after_days` set).
+ * @param exceptions - The task's exceptions.
+ * @returns The pending occurrence's original start time (UTC).
+ */
+export const nextFloatingOccurrence = (
+  task: Pick<TaskDefinition, "dtstart" | "timezone" | "repeat_after_days">,
+  exceptions: Pick<
+    TaskException,
+    | "original_occurrence_time"
+    | "is_complete"
+    | "completion_time"
+    | "is_cancelled"
+  >[]
+): Date => {
+  // Completing an occurrence anchors the schedule at the completion; skipping
+  // (cancelling) it anchors at the time it was due
+  const anchors = exceptions
+    .map((ex) =>
+      ex.is_complete && ex.completion_time
+        ? ex.completion_time
+        : ex.is_cancelled
+          ? ex.original_occurrence_time
+          : null
+    )
+    .filter(Boolean)
+    .map((iso) => dayjs.utc(iso));
+  if (anchors.length === 0) return dayjs.utc(task.dtstart).toDate();
+
+  const latest = anchors.reduce((a, b) => (b.isAfter(a) ? b : a));
+  const timeOfDay = dayjs.utc(task.dtstart).tz(task.timezone).format("HH:mm");
+  const nextDate = latest
+    .tz(task.timezone)
+    .add(task.repeat_after_days, "day")
+    .format("YYYY-MM-DD");
+  return dayjs
+    .tz(`${nextDate} ${timeOfDay}`, "YYYY-MM-DD HH:mm", task.timezone)
+    .toDate();
+};
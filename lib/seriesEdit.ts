@@ -0,0 +1,358 @@
+// src/lib/seriesEdit.ts
+
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+import { RRule } from "rrule";
+import {
+  buildWallClockRuleSet,
+  expandTaskOccurrences,
+  fromWallClock,
+  toWallClock,
+} from "@/lib/recurrence";
+import { TaskDefinition, TaskException } from "@/types/tasks";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+type SeriesShape = Pick<
+  TaskDefinition,
+  | "rrule"
+  | "dtstart"
+  | "timezone"
+  | "times_of_day"
+  | "rdates"
+  | "exdates"
+  | "repeat_after_days"
+  | "goal_target"
+>;
+
+/**
+ * What happens to a series' exceptions when the whole series is edited.
+ */
+export interface ExceptionRemapPlan {
+  keep: TaskException[]; // Still match an occurrence, or are kept as history
+  remap: { exception: TaskException; original_occurrence_time: string }[]; // Moved to the equivalent new occurrence
+  drop: TaskException[]; // Overrides of occurrences that no longer exist
+}
+
+/**
+ * Whether a task has just the one occurrence at dtstart, so editing it needs
+ * no "this / this and future / all" choice.
+ */
+export const isSingleOccurrence = (task: SeriesShape) =>
+  !task.rrule &&
+  !task.rdates?.length &&
+  !task.repeat_after_days &&
+  !task.goal_target;
+
+/** Occurrences of `task` on the local calendar day of `time`, in order. */
+const occurrencesOnLocalDay = (task: SeriesShape, time: dayjs.Dayjs) => {
+  const day = time.tz(task.timezone).startOf("day");
+  return expandTaskOccurrences(
+    task,
+    day.toDate(),
+    day.endOf("day").toDate()
+  ).map((date) => dayjs.utc(date).toISOString());
+};
+
+/**
+ * Plans how a series' exceptions carry over when the series is edited with
+ * scope "all" (old definition → new definition).
+ *
+ * - An exception whose occurrence still exists at the same time is kept.
+ * - Otherwise it moves to the occurrence in the same slot on the same local
+ *   day (e.g. 9:00 → 10:00, or the 2nd of two daily times), if that slot
+ *   exists and isn't already taken.
+ * - Completions that can't be moved are kept as they are, so history is
+ *   never lost; other overrides without an equivalent are dropped.
+ *
+ * Goals and completion-relative tasks have no fixed grid: their completions
+ * are kept and other overrides dropped.
+ *
+ * @param oldTask - The series before the edit.
+ * @param newTask - The series after the edit.
+ * @param exceptions - The series' exceptions.
+ * @returns Which exceptions to keep, re-key and delete.
+ */
+export const planExceptionRemap = (
+  oldTask: SeriesShape,
+  newTask: SeriesShape,
+  exceptions: TaskException[]
+): ExceptionRemapPlan => {
+  const plan: ExceptionRemapPlan = { keep: [], remap: [], drop: [] };
+  const keepOrDrop = (exception: TaskException) =>
+    (exception.is_complete ? plan.keep : plan.drop).push(exception);
+
+  if (newTask.goal_target || newTask.repeat_after_days) {
+    exceptions.forEach(keepOrDrop);
+    return plan;
+  }
+
+  // A one-off task edited into another one-off: its exception follows it
+  if (isSingleOccurrence(oldTask) && isSingleOccurrence(newTask)) {
+    const oldTimeISO = dayjs.utc(oldTask.dtstart).toISOString();
+    const newTimeISO = dayjs.utc(newTask.dtstart).toISOString();
+    for (const exception of exceptions) {
+      const timeISO = dayjs
+        .utc(exception.original_occurrence_time)
+        .toISOString();
+      if (timeISO === newTimeISO) plan.keep.push(exception);
+      else if (timeISO === oldTimeISO)
+        plan.remap.push({ exception, original_occurrence_time: newTimeISO });
+      else keepOrDrop(exception);
+    }
+    return plan;
+  }
+
+  const taken = new Set<string>();
+  const unmatched: TaskException[] = [];
+
+  // Exact matches first, so they keep their own slot
+  for (const exception of exceptions) {
+    const time = dayjs.utc(exception.original_occurrence_time);
+    if (occurrencesOnLocalDay(newTask, time).includes(time.toISOString())) {
+      plan.keep.push(exception);
+      taken.add(time.toISOString());
+    } else {
+      unmatched.push(exception);
+    }
+  }
+
+  unmatched.sort((a, b) =>
+    dayjs.utc(a.original_occurrence_time).diff(b.original_occurrence_time)
+  );
+  for (const exception of unmatched) {
+    const time = dayjs.utc(exception.original_occurrence_time);
+    let target: string | undefined;
+    if (!oldTask.goal_target && !oldTask.repeat_after_days) {
+      const slot = Math.max(
+        0,
+        occurrencesOnLocalDay(oldTask, time).indexOf(time.toISOString())
+      );
+      target = occurrencesOnLocalDay(newTask, time)[slot];
+    }
+    if (target && !taken.has(target)) {
+      plan.remap.push({ exception, original_occurrence_time: target });
+      taken.add(target);
+    } else {
+      keepOrDrop(exception);
+    }
+  }
+
+  return plan;
+};
+
+/**
+ * Plans how a series' exceptions from `splitISO` on carry over to the new
+ * series of a "this and future" split, the same way an 'all' edit re-keys
+ * them (see `planExceptionRemap`). Kept and re-keyed exceptions move to the
+ * new series; earlier ones stay with the old one and aren't in the plan.
+ *
+ * @param oldTask - The series being split.
+ * @param newTask - The new series, from the split on.
+ * @param exceptions - The old series' exceptions.
+ * @param splitISO - The first occurrence of the new series (UTC ISO string).
+ */
+export const planSplitExceptionMove = (
+  oldTask: SeriesShape,
+  newTask: SeriesShape,
+  exceptions: TaskException[],
+  splitISO: string
+): ExceptionRemapPlan =>
+  planExceptionRemap(
+    oldTask,
+    newTask,
+    exceptions.filter(
+      (ex) => !dayjs.utc(ex.original_occurrence_time).isBefore(splitISO)
+    )
+  );
+
+/**
+ * Ends a series' rule just before `splitISO` for a "this and future" split.
+ * The old rule gets an UNTIL just before the split, which keeps exactly the
+ * occurrences before it for every time of day. A COUNT series also reports
+ * how many of its occurrences are left from the split on (counted on the
+ * whole set: times of day, extra and removed dates), so the new series can
+ * continue the count (a 10-session course split at session 4 becomes 3 + 7).
+ *
+ * @param task - The series being split.
+ * @param splitISO - The first occurrence of the new series (UTC ISO string).
+ * @returns The old series' new rule (null when nothing is left before the
+ *   split) and the occurrences left for the new series (null without a COUNT).
+ */
+export const splitRuleAt = (
+  task: SeriesShape,
+  splitISO: string
+): { oldRule: string | null; occurrencesLeft: number | null } => {
+  // Only the parts written in the rule: rrule's expanded `options` would pin
+  // BYHOUR/BYMINUTE/BYDAY to UTC values derived from dtstart, which no longer
+  // match once rules are expanded in wall-clock time.
+  const parts = RRule.parseString(task.rrule);
+  const dtstart = dayjs.utc(task.dtstart);
+  const split = dayjs.utc(splitISO);
+  const occurrencesLeft = parts.count
+    ? Math.max(countOccurrences(task, splitISO), 1)
+    : null;
+  if (!split.isAfter(dtstart) || !lastOccurrenceBefore(task, splitISO))
+    return { oldRule: null, occurrencesLeft };
+
+  return {
+    oldRule: new RRule({
+      ...parts,
+      dtstart: dtstart.toDate(),
+      until: split.subtract(1, "millisecond").toDate(),
+      count: undefined,
+    }).toString(),
+    occurrencesLeft,
+  };
+};
+
+/**
+ * The smallest COUNT for `task`'s rule that gives the series at least
+ * `occurrences` occurrences, with its times of day and extra and removed
+ * dates taken into account.
+ *
+ * @param task - The series, with the rule the COUNT goes on.
+ * @param occurrences - How many occurrences the series should have.
+ */
+export const countForOccurrences = (
+  task: SeriesShape,
+  occurrences: number
+): number => {
+  const parts = RRule.parseString(task.rrule);
+  const withCount = (count: number) =>
+    countOccurrences({
+      ...task,
+      rrule: new RRule({ ...parts, count, until: undefined }).toString(),
+    }) ?? 0;
+  // Every COUNT adds at least one occurrence unless it's a removed date
+  let low = 1;
+  let high = occurrences + (task.exdates?.length ?? 0);
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (withCount(middle) >= occurrences) high = middle;
+    else low = middle + 1;
+  }
+  return low;
+};
+
+/**
+ * What a scoped edit or delete would do, as reported by the dry-run variants
+ * of the series actions and shown before the change is confirmed.
+ */
+export interface ScopeImpact {
+  occurrences: number | null; // Occurrences changed or removed; null when the series never ends
+  completionsDeleted: number;
+  overridesDeleted: number; // Non-completion exceptions (moves, retitles, skips)
+  overridesMoved: number; // Exceptions re-keyed onto the new schedule ('all' edits)
+  newEndDate: string | null; // ISO start of the last occurrence left before a split
+  movedToTrash?: boolean; // The exceptions go to the trash with the series instead of being deleted
+}
+
+/** Whether the series keeps generating occurrences forever. */
+const isUnbounded = (task: SeriesShape) => {
+  if (task.repeat_after_days || task.goal_target) return true;
+  if (!task.rrule) return false;
+  const { count, until } = RRule.parseString(task.rrule);
+  return !count && !until;
+};
+
+/**
+ * Number of occurrences of `task` starting at or after `fromISO` (all of them
+ * when omitted), or null when the series never ends.
+ */
+export const countOccurrences = (
+  task: SeriesShape,
+  fromISO?: string
+): number | null => {
+  if (isUnbounded(task)) return null;
+  const from = fromISO ? dayjs.utc(fromISO) : null;
+  return buildWallClockRuleSet(task)
+    .all()
+    .map((floating) => fromWallClock(floating, task.timezone))
+    .filter((date) => !from || !from.isAfter(date)).length;
+};
+
+/**
+ * Start of the last occurrence of `task` strictly before `beforeISO`, i.e.
+ * where the series ends once everything from `beforeISO` on is cut off.
+ */
+export const lastOccurrenceBefore = (
+  task: SeriesShape,
+  beforeISO: string
+): string | null => {
+  if (task.repeat_after_days || task.goal_target) return null;
+  const last = buildWallClockRuleSet(task).before(
+    toWallClock(dayjs.utc(beforeISO).toDate(), task.timezone),
+    false
+  );
+  return last ? fromWallClock(last, task.timezone).toISOString() : null;
+};
+
+/** Splits deleted exceptions into completions and other overrides. */
+const countDeleted = (exceptions: TaskException[]) => ({
+  completionsDeleted: exceptions.filter((ex) => ex.is_complete).length,
+  overridesDeleted: exceptions.filter((ex) => !ex.is_complete).length,
+});
+
+/**
+ * Impact of cutting a series off at `fromISO` ("this and future" deletes and
+ * splits): the occurrences from there on, the exceptions that go with them
+ * and the new last occurrence.
+ */
+export const calculateSplitImpact = (
+  task: SeriesShape,
+  exceptions: TaskException[],
+  fromISO: string
+): ScopeImpact => ({
+  occurrences: countOccurrences(task, fromISO),
+  ...countDeleted(
+    exceptions.filter(
+      (ex) => !dayjs.utc(ex.original_occurrence_time).isBefore(fromISO)
+    )
+  ),
+  overridesMoved: 0,
+  newEndDate: lastOccurrenceBefore(task, fromISO),
+});
+
+/**
+ * Impact of a "this and future" edit: the occurrences from `fromISO` on move
+ * to the new series, with the exceptions its move plan carries over.
+ */
+export const calculateSplitEditImpact = (
+  task: SeriesShape,
+  plan: ExceptionRemapPlan,
+  fromISO: string
+): ScopeImpact => ({
+  occurrences: countOccurrences(task, fromISO),
+  ...countDeleted(plan.drop),
+  overridesMoved: plan.remap.length,
+  newEndDate: lastOccurrenceBefore(task, fromISO),
+});
+
+/**
+ * Impact of deleting a whole series, which moves it to the trash with all of
+ * its exceptions.
+ */
+export const calculateSeriesDeleteImpact = (
+  task: SeriesShape,
+  exceptions: TaskException[]
+): ScopeImpact => ({
+  occurrences: countOccurrences(task),
+  ...countDeleted(exceptions),
+  overridesMoved: 0,
+  newEndDate: null,
+  movedToTrash: true,
+});
+
+/** Impact of an 'all' edit, from its exception remap plan. */
+export const calculateRemapImpact = (
+  newTask: SeriesShape,
+  plan: ExceptionRemapPlan
+): ScopeImpact => ({
+  occurrences: countOccurrences(newTask),
+  ...countDeleted(plan.drop),
+  overridesMoved: plan.remap.length,
+  newEndDate: null,
+});
@@ -0,0 +1,90 @@
+// src/lib/seriesStatus.ts
+
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import { isTrashed } from "@/lib/trash";
+import { TaskDefinition } from "@/types/tasks";
+
+dayjs.extend(utc);
+
+/** Statuses a task series can have (`tasks.status`). */
+export const SERIES_STATUSES = [
+  "active",
+  "paused",
+  "completed",
+  "archived",
+] as const;
+export type SeriesStatus = (typeof SERIES_STATUSES)[number];
+
+type StatusFields = Pick<TaskDefinition, "status" | "paused_at" | "resume_at">;
+
+/**
+ * Whether an occurrence at `time` falls inside the series' pause window
+ * [paused_at, resume_at). A pause without a resume date lasts until the
+ * series is resumed by hand.
+ */
+export const isPausedAt = (
+  task: StatusFields,
+  time: Date | string
+): boolean => {
+  if (task?.status !== "paused" || !task.paused_at) return false;
+  const at = dayjs.utc(time);
+  if (at.isBefore(dayjs.utc(task.paused_at))) return false;
+  return !task.resume_at || at.isBefore(dayjs.utc(task.resume_at));
+};
+
+/**
+ * The status a series effectively has at `time`. A paused series whose
+ * resume date has passed counts as active again, even before the row is
+ * updated.
+ */
+export const getSeriesStatus = (
+  task: StatusFields,
+  time: Date | string = new Date()
+): SeriesStatus => {
+  const status = (task?.status ?? "active") as SeriesStatus;
+  if (
+    status === "paused" &&
+    task.resume_at &&
+    !dayjs.utc(time).isBefore(dayjs.utc(task.resume_at))
+  ) {
+    return "active";
+  }
+  return status;
+};
+
+type LineageFields = Pick<
+  TaskDefinition,
+  "id" | "parent_task_id" | "deleted_at"
+>;
+
+/**
+ * Ids of `task` and of the series it was split from by "this and future"
+ * edits (`parent_task_id`), newest first. The halves of a split are one
+ * habit, so goal progress counts the completions of all of them.
+ */
+export const getSeriesLineageIds = (
+  task: LineageFields,
+  tasks: LineageFields[]
+): string[] => {
+  const byId = new Map((tasks ?? []).map((other) => [other.id, other]));
+  const ids = [task.id];
+  let parentId = task.parent_task_id;
+  while (parentId && !ids.includes(parentId)) {
+    ids.push(parentId);
+    parentId = byId.get(parentId)?.parent_task_id;
+  }
+  return ids;
+};
+
+/**
+ * Whether a newer series was split off `task` (and isn't in the trash): the
+ * habit continues there, and `task` only holds its earlier history.
+ */
+export const hasNewerSplit = (
+  task: LineageFields,
+  tasks: LineageFields[]
+): boolean =>
+  (tasks ?? []).some(
+    (other) => other.parent_task_id === task.id && !isTrashed(other)
+  );
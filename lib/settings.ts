@@ -0,0 +1,132 @@
+// src/lib/settings.ts
+
+import {
+  DAY_END_HOUR,
+  DAY_START_HOUR,
+  TimelineHoursSetting,
+  normalizeTimelineHours,
+} from "@/lib/timeline";
+import { DEFAULT_WEEK_START } from "@/lib/week";
+import { SUPPORTED_LOCALES, TIME_FORMATS, TimeFormat } from "@/lib/format";
+import { Translator, getTranslator } from "@/lib/i18n";
+
+/** A user's preferences, as stored in `user_settings` (one row per user). */
+export interface UserSettings {
+  day_start_hour: number; // 0-23
+  day_end_hour: number; // 1-24, after day_start_hour
+  day_hours_mode: "fixed" | "fit";
+  default_duration_minutes: number;
+  default_icon_name: string;
+  week_start: number; // First day of the week, 0 = Sunday … 6 = Saturday
+  time_format: TimeFormat; // 12- or 24-hour clock; "auto" follows the locale
+  locale: string | null; // One of SUPPORTED_LOCALES; null detects it from the browser
+}
+
+/** What a user without a `user_settings` row gets. */
+export const DEFAULT_USER_SETTINGS: UserSettings = {
+  day_start_hour: DAY_START_HOUR,
+  day_end_hour: DAY_END_HOUR,
+  day_hours_mode: "fixed",
+  default_duration_minutes: 30,
+  default_icon_name: "Activity",
+  week_start: DEFAULT_WEEK_START,
+  time_format: "auto",
+  locale: null,
+};
+
+/** The columns a user can change. */
+export const USER_SETTINGS_FIELDS = Object.keys(
+  DEFAULT_USER_SETTINGS
+) as (keyof UserSettings)[];
+
+/**
+ * Valid settings from a `user_settings` row (or null when the user has none),
+ * falling back to the defaults for anything missing or invalid.
+ */
+export const normalizeUserSettings = (row: unknown): UserSettings => {
+  const value = (row ?? {}) as Partial<UserSettings>;
+  const hours = normalizeTimelineHours({
+    mode: value.day_hours_mode,
+    startHour: value.day_start_hour,
+    endHour: value.day_end_hour,
+  });
+  const duration = Number(value.default_duration_minutes);
+  const weekStart = Number(value.week_start);
+  return {
+    day_start_hour: hours.startHour,
+    day_end_hour: hours.endHour,
+    day_hours_mode: hours.mode,
+    default_duration_minutes:
+      Number.isInteger(duration) && duration > 0
+        ? duration
+        : DEFAULT_USER_SETTINGS.default_duration_minutes,
+    default_icon_name:
+      typeof value.default_icon_name === "string" && value.default_icon_name
+        ? value.default_icon_name
+        : DEFAULT_USER_SETTINGS.default_icon_name,
+    week_start:
+      Number.isInteger(weekStart) && weekStart >= 0 && weekStart <= 6
+        ? weekStart
+        : DEFAULT_USER_SETTINGS.week_start,
+    time_format: TIME_FORMATS.includes(value.time_format)
+      ? value.time_format
+      : DEFAULT_USER_SETTINGS.time_format,
+    locale: SUPPORTED_LOCALES.some(({ code }) => code === value.locale)
+      ? value.locale
+      : DEFAULT_USER_SETTINGS.locale,
+  };
+};
+
+/**
+ * Checks a partial update against the current settings and returns the
+ * merged result. Duration limits are checked by the caller, which knows the
+ * configured maximum.
+ *
+ * @param t - Translator for the error messages (English by default).
+ * @throws {Error} On unknown fields or invalid values.
+ */
+export const applySettingsChanges = (
+  current: UserSettings,
+  changes: Partial<UserSettings>,
+  t: Translator = getTranslator()
+): UserSettings => {
+  const unknown = Object.keys(changes ?? {}).filter(
+    (field) => !USER_SETTINGS_FIELDS.includes(field as keyof UserSettings)
+  );
+  if (unknown.length > 0)
+    throw new Error(
+      t("errors.settings.unknown", { fields: unknown.join(", ") })
+    );
+
+  const merged = { ...current, ...changes };
+  const normalized = normalizeUserSettings(merged);
+  if (
+    normalized.day_start_hour !== merged.day_start_hour ||
+    normalized.day_end_hour !== merged.day_end_hour ||
+    normalized.day_hours_mode !== merged.day_hours_mode
+  ) {
+    throw new Error(t("errors.settings.hours"));
+  }
+  if (normalized.default_duration_minutes !== merged.default_duration_minutes)
+    throw new Error(t("errors.settings.duration"));
+  if (normalized.default_icon_name !== merged.default_icon_name)
+    throw new Error(t("errors.settings.icon"));
+  if (normalized.week_start !== merged.week_start)
+    throw new Error(t("errors.settings.weekStart"));
+  if (normalized.time_format !== merged.time_format)
+    throw new Error(
+      t("errors.settings.timeFormat", { formats: TIME_FORMATS.join(", ") })
+    );
+  if (normalized.locale !== merged.locale)
+    throw new Error(t("errors.settings.locale", { locale: merged.locale }));
+  return normalized;
+};
+
+/** The visible-hours preference the week timeline reads. */
+export const timelineHoursFromSettings = (
+  settings: UserSettings
+): TimelineHoursSetting => ({
+  mode: settings.day_hours_mode,
+  startHour: settings.day_start_hour,
+  endHour: settings.day_end_hour,
+});
@@ -6,6 +6,13 @@ import timezone from "dayjs/plugin/timezone";
 import isSameOrBefore from "dayjs/plugin/isSameOrBefore";
 import isBetween from "dayjs/plugin/isBetween";
 import { RRule, RRuleSet, rrulestr } from "rrule";
+import {
+  expandTaskOccurrences,
+  legacyOccurrenceTime,
+  nextFloatingOccurrence,
+} from "@/lib/recurrence";
+import { hasNewerSplit, isPausedAt } from "@/lib/seriesStatus";
+import { isTrashed } from "@/lib/trash";
 import {
   TaskDefinition,
   TaskException,
@@ -18,14 +25,89 @@ dayjs.extend(timezone);
 dayjs.extend(isSameOrBefore);
 dayjs.extend(isBetween);
 
+/**
+ * Builds a display instance for one occurrence of a task, applying any
+ * exception overrides.
+ */
+const buildInstance = (
+  task: TaskDefinition,
+  originalTimeISO: string,
+  exception?: TaskException
+): CalculatedInstance => ({
+  id: exception?.id || `${task.id}-${originalTimeISO}`,
+  task_id: task.id,
+  original_occurrence_time_utc: originalTimeISO,
+  scheduled_time_utc: exception?.new_start_time
+    ? dayjs.utc(exception.new_start_time).toISOString()
+    : originalTimeISO,
+  duration_minutes: exception?.new_duration_minutes ?? task.duration_minutes,
+  title: exception?.override_title ?? task.title,
+  icon_name: exception?.icon_name ?? task.icon_name,
+  is_complete: exception?.is_complete ?? false,
+  completion_time: exception?.completion_time ?? null,
+  is_cancelled: false,
+  timezone: task.timezone,
+});
+
+/**
+ * Resolves an exception's `original_occurrence_time` to the occurrence of
+ * `task` it belongs to, or null if the task doesn't generate an occurrence
+ * there (anymore). Exceptions saved under legacy fixed-offset keys resolve to
+ * their DST-stable occurrence time.
+ */
+const resolveOriginalOccurrence = (
+  task: TaskDefinition,
+  exception: TaskException,
+  taskExceptions: TaskException[]
+): string | null => {
+  const originalTimeISO = dayjs
+    .utc(exception.original_occurrence_time)
+    .toISOString();
+
+  if (task.repeat_after_days) {
+    return exception.is_complete ||
+      nextFloatingOccurrence(task, taskExceptions).toISOString() ===
+        originalTimeISO
+      ? originalTimeISO
+      : null;
+  }
+
+  if (!task.rrule && !task.rdates?.length) {
+    return dayjs.utc(task.dtstart).toISOString() === originalTimeISO
+      ? originalTimeISO
+      : null;
+  }
+
+  // Look a day either side so legacy keys (off by the DST shift) still match
+  const original = dayjs.utc(originalTimeISO);
+  const dtstartISO = dayjs.utc(task.dtstart).toISOString();
+  const candidates = expandTaskOccurrences(
+    { ...task, dtstart: dtstartISO },
+    original.subtract(1, "day").toDate(),
+    original.add(1, "day").toDate()
+  ).map((date) => dayjs.utc(date).toISOString());
+  return (
+    candidates.find((iso) => iso === originalTimeISO) ??
+    candidates.find(
+      (iso) =>
+        legacyOccurrenceTime(iso, dtstartISO, task.timezone) === originalTimeISO
+    ) ??
+    null
+  );
+};
+
 /**
  * Calculates the actual task instances within a given date range,
  * considering recurrence rules (RRULE) and applying exceptions.
  *
+ * Instances are placed by their scheduled time: an occurrence rescheduled
+ * into the range shows up even if it originally fell outside it, and one
+ * moved out of the range is left to the range it was moved into.
+ *
  * @param tasks - Array of TaskDefinition objects from the database.
  * @param exceptions - Array of TaskException objects from the database.
  * @param rangeStartISO - The start of the date range (inclusive) as an ISO 8601 string (UTC or with offset).
- * @param rangeEndISO - The end of the date range (exclusive or inclusive depending on usage) as an ISO 8601 string.
+ * @param rangeEndISO - The end of the date range (exclusive) as an ISO 8601 string.
  * @returns An array of CalculatedInstance objects, sorted by time.
  */
 export const calculateInstancesForRange = (
@@ -44,13 +126,19 @@ export const calculateInstancesForRange = (
   // Use startOf('day') and endOf('day') for full day inclusion if needed by UI logic
   // For RRULE `between`, raw Date objects are often required.
   const queryStartUTC = dayjs.utc(rangeStartISO).toDate();
-  const queryEndUTC = dayjs.utc(rangeEndISO).toDate(); // RRULE 'between' end is typically exclusive
+  const queryEndUTC = dayjs.utc(rangeEndISO).toDate();
+
+  // Every instance, expanded or moved in, is placed by the same [start, end)
+  // bound, so one at exactly `end` only shows up in the following range
+  const isInRange = (iso: string | Date) =>
+    dayjs.utc(iso).isBetween(rangeStartISO, rangeEndISO, "millisecond", "[)");
 
   // Create an efficient lookup map for exceptions:
   // { [taskId]: { [originalTimeISO]: exceptionData } }
   const exceptionsMap: Record<string, Record<string, TaskException>> = {};
   for (const ex of exceptions) {
     if (!ex || !ex.task_id || !ex.original_occurrence_time) continue; // Skip invalid exceptions
+    if (isTrashed(ex)) continue; // Trashed along with their series
 
     if (!exceptionsMap[ex.task_id]) {
       exceptionsMap[ex.task_id] = {};
@@ -90,20 +178,58 @@ export const calculateInstancesForRange = (
       continue;
     }
 
-    // --- 3. Handle Single Occurrence Tasks ---
-    if (!task.rrule) {
-      // Check if the single occurrence falls within the query range
-      // Using isBetween for clearer range checking (inclusive start, exclusive end by default)
-      // Adjust inclusivity based on how queryEndUTC is defined (e.g., endOf('day'))
+    // Goal-style tasks ("3 times per week") have no scheduled occurrences;
+    // their logged completions are tracked by calculateGoalProgress
+    if (task.goal_target) continue;
+
+    // Archived and trashed series generate nothing until restored
+    if (task.status === "archived" || isTrashed(task)) continue;
+
+    // Paused series skip occurrences inside the pause window, except ones
+    // already completed (history stays visible)
+    const isSkippedByPause = (
+      originalTimeISO: string,
+      exception?: TaskException
+    ) => !exception?.is_complete && isPausedAt(task, originalTimeISO);
+
+    // --- Handle Completion-Relative Tasks ("N days after last done") ---
+    if (task.repeat_after_days) {
+      const taskExceptions = Object.values(exceptionsMap[task.id] ?? {});
+
+      // Past occurrences only exist as completed exceptions
+      for (const exception of taskExceptions) {
+        if (!exception.is_complete || exception.is_cancelled) continue;
+        const originalTimeISO = dayjs
+          .utc(exception.original_occurrence_time)
+          .toISOString();
+        if (isInRange(originalTimeISO)) {
+          finalInstances.push(buildInstance(task, originalTimeISO, exception));
+        }
+      }
+
+      // Only the next occurrence is materialized, from the latest completion
+      // (once a newer series was split off, it's that series' to schedule)
+      if (hasNewerSplit(task, tasks)) continue;
+      const nextTimeISO = nextFloatingOccurrence(
+        task,
+        taskExceptions
+      ).toISOString();
+      const nextException = exceptionsMap[task.id]?.[nextTimeISO];
       if (
-        taskDtstartUTC.isBetween(
-          rangeStartISO,
-          rangeEndISO,
-          "millisecond",
-          "[)"
-        )
+        isInRange(nextTimeISO) &&
+        !nextException?.is_complete &&
+        !nextException?.is_cancelled &&
+        !isSkippedByPause(nextTimeISO, nextException)
       ) {
-        // Inclusive start, exclusive end
+        finalInstances.push(buildInstance(task, nextTimeISO, nextException));
+      }
+      continue;
+    }
+
+    // --- 3. Handle Single Occurrence Tasks ---
+    if (!task.rrule && !task.rdates?.length) {
+      // Check if the single occurrence falls within the query range
+      if (isInRange(taskDtstartUTC.toDate())) {
         const originalTimeISO = taskDtstartUTC.toISOString();
         const exception = exceptionsMap[task.id]?.[originalTimeISO];
 
@@ -139,20 +265,15 @@ export const calculateInstancesForRange = (
     // --- 4. Handle Recurring Tasks ---
     else {
       try {
-        // Prepare RRULE options. DTSTART is crucial.
-        const ruleOptions = {
-          dtstart: taskDtstartUTC.toDate(), // Pass JS Date object in UTC
-          // Consider adding tzid to ruleOptions if rrule.js supports it well,
-          // otherwise rely on dtstart being correctly timestamped.
-          // tzid: task.timezone // May or may not be needed depending on rrule.js version/usage
-        };
-
-        // Use rrulestr to parse the rule string along with the DTSTART context
-        const rule = rrulestr(task.rrule, ruleOptions);
-
-        // Get occurrences strictly within the specified UTC range
-        // Note: `between`'s end date is exclusive by default.
-        const occurrences = rule.between(queryStartUTC, queryEndUTC, true); // `true` makes start inclusive
+        // Get occurrences within the specified UTC range, expanded in
+        // wall-clock time of the task's own timezone (DST-stable), with one
+        // occurrence per time of day for multi-time tasks and the series'
+        // extra/excluded dates merged in.
+        const occurrences = expandTaskOccurrences(
+          { ...task, dtstart: taskDtstartUTC.toISOString() },
+          queryStartUTC,
+          queryEndUTC
+        );
 
         for (const occurrenceDate of occurrences) {
           // rrule.js returns Date objects, convert to Dayjs UTC for consistency
@@ -165,10 +286,24 @@ export const calculateInstancesForRange = (
           }
 
           const originalTimeISO = occurrenceStartTimeUTC.toISOString();
-          const exception = exceptionsMap[task.id]?.[originalTimeISO];
+          // Exceptions saved before DST-stable expansion are keyed by the old
+          // fixed-offset time; fall back to that key until they are migrated.
+          const exception =
+            exceptionsMap[task.id]?.[originalTimeISO] ??
+            exceptionsMap[task.id]?.[
+              legacyOccurrenceTime(
+                originalTimeISO,
+                taskDtstartUTC.toISOString(),
+                task.timezone
+              )
+            ];
 
           // Skip if this specific occurrence is cancelled via an exception
-          if (exception?.is_cancelled) {
+          // or falls inside the series' pause window
+          if (
+            exception?.is_cancelled ||
+            isSkippedByPause(originalTimeISO, exception)
+          ) {
             continue;
           }
 
@@ -184,7 +319,7 @@ export const calculateInstancesForRange = (
             duration_minutes:
               exception?.new_duration_minutes ?? task.duration_minutes,
             title: exception?.override_title ?? task.title,
-            icon_name: exception?.icon_name, // Icon name for the task (e.g., "Activity")
+            icon_name: exception?.icon_name ?? task.icon_name, // Icon name for the task (e.g., "Activity")
             is_complete: exception?.is_complete ?? false,
             completion_time: exception?.completion_time ?? null,
             is_cancelled: false,
@@ -204,12 +339,65 @@ export const calculateInstancesForRange = (
     }
   }
 
-  // --- 5. Sort Final Instances by Scheduled Time ---
-  finalInstances.sort((a, b) =>
+  // --- 5. Place Instances by Scheduled Time ---
+  // Occurrences moved out of the range belong to the range they moved into
+  const placedInstances = finalInstances.filter((instance) =>
+    isInRange(instance.scheduled_time_utc)
+  );
+
+  // Occurrences moved into the range from outside it weren't expanded above
+  const placedIds = new Set(placedInstances.map((instance) => instance.id));
+  const tasksById = new Map(tasks.map((task) => [task?.id, task]));
+  for (const exception of exceptions) {
+    if (
+      !exception?.new_start_time ||
+      exception.is_cancelled ||
+      placedIds.has(exception.id) ||
+      !isInRange(exception.new_start_time)
+    ) {
+      continue;
+    }
+
+    const task = tasksById.get(exception.task_id);
+    if (
+      !task?.dtstart ||
+      !task.timezone ||
+      task.goal_target ||
+      task.status === "archived" ||
+      isTrashed(task) ||
+      isTrashed(exception)
+    ) {
+      continue;
+    }
+
+    try {
+      const originalTimeISO = resolveOriginalOccurrence(
+        task,
+        exception,
+        Object.values(exceptionsMap[task.id] ?? {})
+      );
+      if (
+        !originalTimeISO ||
+        (!exception.is_complete && isPausedAt(task, originalTimeISO))
+      ) {
+        continue;
+      }
+      placedInstances.push(buildInstance(task, originalTimeISO, exception));
+      placedIds.add(exception.id);
+    } catch (rruleError) {
+      console.error(
+        `taskCalculator: Error resolving moved occurrence for task ${task.id}:`,
+        rruleError
+      );
+    }
+  }
+
+  // --- 6. Sort Final Instances by Scheduled Time ---
+  placedInstances.sort((a, b) =>
     dayjs(a.scheduled_time_utc).diff(dayjs(b.scheduled_time_utc))
   );
 
-  return finalInstances;
+  return placedInstances;
 };
 
 // --- Example Usage (in a component or selector) ---
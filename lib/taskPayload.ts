@@ -0,0 +1,213 @@
+// src/lib/taskPayload.ts
+
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+import {
+  WEEKDAY_CODES,
+  WeekdayCode,
+  normalizeTimesOfDay,
+} from "@/lib/recurrence";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Task form values (see TaskForm's schema and the store's edit form values).
+ * Only the fields the payload builders read are listed.
+ */
+export interface TaskFormValues {
+  title: string;
+  start_date: Date | string;
+  start_time: string; // HH:mm
+  duration_minutes: number;
+  icon_name?: string;
+  frequency: string;
+  interval?: number;
+  end_type?: string;
+  occurrences?: number;
+  keep_total_count?: boolean;
+  end_date?: Date | string | null;
+  by_weekday?: string[];
+  monthly_mode?: string;
+  repeat_from?: string;
+  schedule_type?: string;
+  goal_target?: number;
+  times_of_day?: string[];
+  rdates?: string[];
+  exdates?: string[];
+  use_custom_rrule?: boolean;
+  custom_rrule?: string;
+  _originalOccurrenceTimeUTC?: string;
+  _exceptionId?: string;
+  _taskId?: string;
+}
+
+/**
+ * Fields shared by the create and update payloads of the task actions.
+ *
+ * @param data - Validated form values (start_time already HH:mm).
+ * @param timeZone - IANA timezone the local date/time are in.
+ */
+export const buildTaskBasePayload = (
+  data: TaskFormValues,
+  timeZone: string
+) => ({
+  title: data.title.trim(), // Trim title whitespace
+  start_date: dayjs(data.start_date).format("YYYY-MM-DD"), // Format date
+  start_time: data.start_time, // Use validated HH:mm time
+  duration_minutes: data.duration_minutes,
+  icon_name: data.icon_name,
+  timezone: timeZone, // Pass timezone for server-side dtstart calculation
+  // Extra daily times only apply to recurring tasks
+  times_of_day:
+    data.frequency !== "once" ? normalizeTimesOfDay(data.times_of_day) : [],
+  // Series-level extra (RDATE) and removed (EXDATE) dates, as YYYY-MM-DD
+  rdates: data.frequency !== "once" ? (data.rdates ?? []) : [],
+  exdates: data.frequency !== "once" ? (data.exdates ?? []) : [],
+});
+
+/**
+ * Recurrence rule from the Advanced editor, sent as-is and validated by the
+ * action, or null when the simple controls are used.
+ */
+export const buildCustomRecurrence = (data: TaskFormValues) =>
+  data.frequency !== "once" && data.use_custom_rrule
+    ? { frequency: "custom", rrule: data.custom_rrule?.trim() }
+    : null;
+
+/**
+ * Payload for `createTaskAction` (and the conflict check), from the values of
+ * a new task.
+ *
+ * @param data - Validated form values (start_time already HH:mm).
+ * @param timeZone - IANA timezone the local date/time are in.
+ */
+export const buildTaskCreatePayload = (
+  data: TaskFormValues,
+  timeZone: string
+) => ({
+  ...buildTaskBasePayload(data, timeZone), // Title, start date/time, duration, timezone
+  // Pass recurrence details object for action to parse
+  recurrence: buildCustomRecurrence(data) ?? {
+    frequency: data.frequency,
+    // Only include recurrence details if frequency is not 'once'
+    ...(data.frequency !== "once" && {
+      interval: data.interval || 1, // Default interval if not set but recurring
+      end_type: data.end_type || "never", // Default end_type
+      ...(data.frequency === "weekly" && { by_weekday: data.by_weekday }),
+      ...(data.frequency === "monthly" && {
+        monthly_mode: data.monthly_mode || "day_of_month",
+      }),
+      ...(data.frequency === "daily" && {
+        repeat_from: data.repeat_from || "schedule",
+      }),
+      ...((data.frequency === "weekly" || data.frequency === "monthly") && {
+        schedule_type: data.schedule_type || "fixed",
+        ...(data.schedule_type === "goal" && {
+          goal_target: data.goal_target,
+        }),
+      }),
+      ...(data.end_type === "after" && { occurrences: data.occurrences }),
+      ...(data.end_type === "on" && {
+        end_date: data.end_date
+          ? dayjs(data.end_date).format("YYYY-MM-DD")
+          : undefined,
+      }),
+    }),
+  },
+});
+
+/**
+ * Payload for `updateTaskDefinitionAction` (and the context the scope choice
+ * needs), from the values of a task opened for editing.
+ *
+ * @param data - Validated form values (start_time already HH:mm).
+ * @param timeZone - IANA timezone the local date/time are in.
+ */
+export const buildTaskUpdatePayload = (
+  data: TaskFormValues,
+  timeZone: string
+) => ({
+  ...buildTaskBasePayload(data, timeZone), // title, start_date, start_time, duration, timezone
+  recurrence: buildCustomRecurrence(data) ?? {
+    // Include recurrence fields for the action
+    frequency: data.frequency,
+    interval: data.interval,
+    end_type: data.end_type,
+    occurrences: data.occurrences,
+    end_date: data.end_date
+      ? dayjs(data.end_date).format("YYYY-MM-DD")
+      : undefined,
+    by_weekday: data.frequency === "weekly" ? data.by_weekday : undefined,
+    monthly_mode: data.frequency === "monthly" ? data.monthly_mode : undefined,
+    repeat_from: data.frequency === "daily" ? data.repeat_from : undefined,
+    schedule_type:
+      data.frequency === "weekly" || data.frequency === "monthly"
+        ? data.schedule_type
+        : undefined,
+    goal_target: data.schedule_type === "goal" ? data.goal_target : undefined,
+  },
+  // A 'future' split continues the old COUNT instead of starting the form's
+  keep_total_count: data.end_type === "after" && !!data.keep_total_count,
+  // Pass context needed for 'single'/'future' scope handling in action/confirmation
+  _originalOccurrenceTimeUTC: data._originalOccurrenceTimeUTC,
+  _exceptionId: data._exceptionId,
+  _taskId: data._taskId, // Ensure taskId is in payload if needed by action directly
+});
+
+/**
+ * Form values for moving an occurrence (e.g. by dragging it on the timeline)
+ * from `fromISO` to `toISO`, for an update with scope "future" or "all".
+ *
+ * The new start comes from the moved occurrence; with `seriesStartISO` (an
+ * "all" edit) the series keeps its first date, shifted by the same number of
+ * days, so earlier occurrences aren't dropped. The moved slot of a
+ * multi-time series and the weekdays of a weekly rule move along.
+ *
+ * @param values - Edit form values of the occurrence (store's getEditFormValues).
+ * @param move - Old and new start (UTC ISO), the series' timezone and, for
+ *   "all" edits, the series' dtstart.
+ */
+export const applyMoveToFormValues = (
+  values: TaskFormValues,
+  move: {
+    fromISO: string;
+    toISO: string;
+    timeZone: string;
+    seriesStartISO?: string;
+  }
+): TaskFormValues => {
+  const from = dayjs.utc(move.fromISO).tz(move.timeZone);
+  const to = dayjs.utc(move.toISO).tz(move.timeZone);
+  const dayShift = to.startOf("day").diff(from.startOf("day"), "day");
+  const startDate = move.seriesStartISO
+    ? dayjs.utc(move.seriesStartISO).tz(move.timeZone).add(dayShift, "day")
+    : to;
+
+  const timesOfDay = values.times_of_day ?? [];
+  const byWeekday = values.by_weekday ?? [];
+  return {
+    ...values,
+    start_date: startDate.format("YYYY-MM-DD"),
+    start_time: to.format("HH:mm"),
+    times_of_day:
+      timesOfDay.length > 1
+        ? timesOfDay.map((time) =>
+            time === from.format("HH:mm") ? to.format("HH:mm") : time
+          )
+        : timesOfDay,
+    by_weekday:
+      values.frequency === "weekly" && dayShift !== 0
+        ? byWeekday.map(
+            (code) =>
+              WEEKDAY_CODES[
+                (WEEKDAY_CODES.indexOf(code as WeekdayCode) +
+                  (dayShift % 7) +
+                  7) %
+                  7
+              ]
+          )
+        : byWeekday,
+  };
+};
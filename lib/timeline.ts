@@ -0,0 +1,296 @@
+// src/lib/timeline.ts
+
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+import timezone from "dayjs/plugin/timezone";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/** First hour shown on the day timeline (0-23), unless the user changes it. */
+export const DAY_START_HOUR = 8;
+/** Hour the day timeline ends at (exclusive, up to 24), unless the user changes it. */
+export const DAY_END_HOUR = 24;
+/** Height of one hour on the timeline, in pixels. */
+export const HOUR_HEIGHT = 60;
+
+/** Narrowest a side-by-side lane of overlapping tasks gets, in pixels. */
+export const MIN_LANE_WIDTH_PX = 20;
+
+/** Minute steps a dragged task snaps to; the fine step applies while Alt is held. */
+export const DRAG_SNAP_MINUTES = 15;
+export const DRAG_FINE_SNAP_MINUTES = 5;
+
+/** The hours a day column shows: from `startHour` up to `endHour` (exclusive). */
+export interface VisibleHours {
+  startHour: number; // 0-23
+  endHour: number; // 1-24, after startHour
+}
+
+/**
+ * The user's visible-hours preference: a fixed window, or ("fit") a window
+ * that grows to fit the week's tasks.
+ */
+export interface TimelineHoursSetting extends VisibleHours {
+  mode: "fixed" | "fit";
+}
+
+export const DEFAULT_VISIBLE_HOURS: VisibleHours = {
+  startHour: DAY_START_HOUR,
+  endHour: DAY_END_HOUR,
+};
+
+export const DEFAULT_TIMELINE_HOURS: TimelineHoursSetting = {
+  mode: "fixed",
+  ...DEFAULT_VISIBLE_HOURS,
+};
+
+/**
+ * A valid visible-hours setting from a stored value, falling back to the
+ * defaults for anything missing or out of range.
+ */
+export const normalizeTimelineHours = (
+  value: unknown
+): TimelineHoursSetting => {
+  const setting = (value ?? {}) as Partial<TimelineHoursSetting>;
+  const startHour = Number(setting.startHour);
+  const endHour = Number(setting.endHour);
+  const isValid =
+    Number.isInteger(startHour) &&
+    Number.isInteger(endHour) &&
+    startHour >= 0 &&
+    endHour <= 24 &&
+    startHour < endHour;
+  return {
+    mode: setting.mode === "fit" ? "fit" : "fixed",
+    ...(isValid ? { startHour, endHour } : DEFAULT_VISIBLE_HOURS),
+  };
+};
+
+/**
+ * The hours to show for a set of instances: the setting's window, grown in
+ * "fit" mode to take in every instance (in its own timezone). Instances that
+ * run past midnight stretch the window to the end of the day.
+ */
+export const resolveVisibleHours = (
+  setting: TimelineHoursSetting,
+  instances: {
+    scheduled_time_utc: string;
+    duration_minutes: number;
+    timezone: string;
+  }[] = []
+): VisibleHours => {
+  let { startHour, endHour } = setting;
+  if (setting.mode !== "fit") return { startHour, endHour };
+  for (const instance of instances) {
+    const start = dayjs.utc(instance.scheduled_time_utc).tz(instance.timezone);
+    if (!start.isValid()) continue;
+    const end = start.add(instance.duration_minutes ?? 0, "minute");
+    startHour = Math.min(startHour, start.hour());
+    endHour = Math.max(
+      endHour,
+      end.isSame(start, "day")
+        ? Math.ceil((end.hour() * 60 + end.minute()) / 60)
+        : 24
+    );
+  }
+  return { startHour, endHour };
+};
+
+/** Total height of a day column, in pixels. */
+export const timelineHeight = (
+  hours: VisibleHours = DEFAULT_VISIBLE_HOURS
+): number => (hours.endHour - hours.startHour) * HOUR_HEIGHT;
+
+/** Vertical offset on the timeline (px) → minutes since midnight. */
+export const offsetToMinutes = (
+  offset: number,
+  hours: VisibleHours = DEFAULT_VISIBLE_HOURS
+): number => hours.startHour * 60 + (offset / HOUR_HEIGHT) * 60;
+
+/** Minutes since midnight → vertical offset on the timeline (px). */
+export const minutesToOffset = (
+  minutes: number,
+  hours: VisibleHours = DEFAULT_VISIBLE_HOURS
+): number => ((minutes - hours.startHour * 60) / 60) * HOUR_HEIGHT;
+
+/**
+ * Vertical offset (px) of an instance on its day column, from its start time
+ * in its own timezone. Instances starting before the visible hours are
+ * pinned to the top.
+ */
+export const instanceOffset = (
+  instance: { scheduled_time_utc?: string; timezone?: string },
+  hours: VisibleHours = DEFAULT_VISIBLE_HOURS
+): number => {
+  if (!instance?.scheduled_time_utc || !instance?.timezone) return 0;
+  const start = dayjs.utc(instance.scheduled_time_utc).tz(instance.timezone);
+  if (!start.isValid()) return 0;
+  return Math.max(
+    0,
+    minutesToOffset(start.hour() * 60 + start.minute(), hours)
+  );
+};
+
+/**
+ * How far (0-100 %) `now` is through the visible hours of `date`'s day.
+ */
+export const dayProgressPercent = (
+  date: Date | string,
+  now: Date | string,
+  hours: VisibleHours = DEFAULT_VISIBLE_HOURS
+): number => {
+  const dayStart = dayjs(date).startOf("day");
+  const rangeStart = dayStart.add(hours.startHour, "hour");
+  const rangeEnd = dayStart.add(hours.endHour, "hour");
+  const current = dayjs(now);
+  if (current.isBefore(rangeStart)) return 0;
+  if (current.isAfter(rangeEnd)) return 100;
+  const percent =
+    (current.diff(rangeStart, "minute") /
+      ((hours.endHour - hours.startHour) * 60)) *
+    100;
+  return Math.min(100, Math.max(0, percent));
+};
+
+/**
+ * Snaps a start time (minutes since midnight) to `step` and keeps the task
+ * inside the visible hours.
+ *
+ * @param minutes - Unsnapped start, in minutes since midnight.
+ * @param durationMinutes - The task's duration.
+ * @param step - Snap step in minutes.
+ * @param hours - The visible hours.
+ */
+export const snapStartMinutes = (
+  minutes: number,
+  durationMinutes: number,
+  step: number = DRAG_SNAP_MINUTES,
+  hours: VisibleHours = DEFAULT_VISIBLE_HOURS
+): number => {
+  const snapped = Math.round(minutes / step) * step;
+  const latestStart = hours.endHour * 60 - Math.max(durationMinutes, step);
+  return Math.min(Math.max(snapped, hours.startHour * 60), latestStart);
+};
+
+/** Minutes since midnight → "HH:mm". */
+export const minutesToTimeString = (minutes: number): string =>
+  `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+
+/**
+ * Start time (UTC ISO) of a slot on the timeline: a local day (YYYY-MM-DD)
+ * and minutes since midnight, in the task's timezone.
+ */
+export const timelineSlotToISO = (
+  dayKey: string,
+  minutes: number,
+  timeZone: string
+): string =>
+  dayjs
+    .tz(
+      `${dayKey} ${minutesToTimeString(minutes)}`,
+      "YYYY-MM-DD HH:mm",
+      timeZone
+    )
+    .toISOString();
+
+/**
+ * Snaps a dragged duration to `step`, keeping it at least one step long and
+ * at most `maxMinutes` (the duration limit or the end of the day).
+ */
+export const snapDurationMinutes = (
+  minutes: number,
+  step: number = DRAG_SNAP_MINUTES,
+  maxMinutes: number = Infinity
+): number =>
+  Math.max(Math.min(Math.round(minutes / step) * step, maxMinutes), step);
+
+/** A task pill's vertical extent on the timeline (px). */
+export interface TimelineItem {
+  id: string;
+  top: number;
+  height: number;
+}
+
+/** Where a pill goes: lane `lane` of `laneCount` side-by-side lanes. */
+export interface LanePlacement {
+  lane: number;
+  laneCount: number;
+}
+
+/** Stand-in for the pills of a cluster that don't fit ("+N"). */
+export interface LaneOverflow {
+  key: string;
+  top: number;
+  lane: number;
+  laneCount: number;
+  ids: string[];
+}
+
+/**
+ * Lays out overlapping task pills side by side. Pills that overlap (directly
+ * or through others) form a cluster; each pill gets the first lane in its
+ * cluster that is free at its start, and every pill in the cluster shares the
+ * cluster's lane count.
+ *
+ * When a cluster needs more than `maxLanes` lanes, the last visible lane is
+ * given to an overflow marker and the pills that would have gone in it or
+ * beyond are left out of `placements`.
+ *
+ * @param items - The pills' ids and vertical extents.
+ * @param maxLanes - How many lanes fit in the column.
+ * @returns Placements by pill id, and the overflow markers.
+ */
+export const layoutTimelineLanes = (
+  items: TimelineItem[],
+  maxLanes: number = Infinity
+): { placements: Record<string, LanePlacement>; overflows: LaneOverflow[] } => {
+  const placements: Record<string, LanePlacement> = {};
+  const overflows: LaneOverflow[] = [];
+  const sorted = [...items].sort(
+    (a, b) => a.top - b.top || b.height - a.height
+  );
+
+  const placeCluster = (cluster: { item: TimelineItem; lane: number }[]) => {
+    const laneCount = Math.max(...cluster.map(({ lane }) => lane)) + 1;
+    if (laneCount <= maxLanes) {
+      for (const { item, lane } of cluster)
+        placements[item.id] = { lane, laneCount };
+      return;
+    }
+
+    const visibleLanes = Math.max(maxLanes - 1, 0);
+    const hidden = cluster.filter(({ lane }) => lane >= visibleLanes);
+    for (const { item, lane } of cluster) {
+      if (lane < visibleLanes)
+        placements[item.id] = { lane, laneCount: maxLanes };
+    }
+    overflows.push({
+      key: hidden[0].item.id,
+      top: Math.min(...hidden.map(({ item }) => item.top)),
+      lane: visibleLanes,
+      laneCount: maxLanes,
+      ids: hidden.map(({ item }) => item.id),
+    });
+  };
+
+  let cluster: { item: TimelineItem; lane: number }[] = [];
+  let laneEnds: number[] = []; // Bottom of the last pill in each lane
+  let clusterBottom = -Infinity;
+  for (const item of sorted) {
+    if (cluster.length > 0 && item.top >= clusterBottom) {
+      placeCluster(cluster);
+      cluster = [];
+      laneEnds = [];
+      clusterBottom = -Infinity;
+    }
+    let lane = laneEnds.findIndex((bottom) => bottom <= item.top);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = item.top + item.height;
+    cluster.push({ item, lane });
+    clusterBottom = Math.max(clusterBottom, item.top + item.height);
+  }
+  if (cluster.length > 0) placeCluster(cluster);
+
+  return { placements, overflows };
+};
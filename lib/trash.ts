@@ -0,0 +1,21 @@
+// src/lib/trash.ts
+
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc";
+
+dayjs.extend(utc);
+
+/** Days a deleted series stays in the trash before it's purged for good. */
+export const TRASH_RETENTION_DAYS = 30;
+
+/** Whether a task or exception row has been moved to the trash. */
+export const isTrashed = (row: { deleted_at?: string | null } | null) =>
+  !!row?.deleted_at;
+
+/** When a trashed row will be purged (ISO string). */
+export const getTrashPurgeDate = (row: { deleted_at: string }): string =>
+  dayjs.utc(row.deleted_at).add(TRASH_RETENTION_DAYS, "day").toISOString();
+
+/** Rows trashed before this moment (ISO string) are due to be purged. */
+export const getTrashPurgeCutoff = (now: Date | string = new Date()): string =>
+  dayjs.utc(now).subtract(TRASH_RETENTION_DAYS, "day").toISOString();
@@ -0,0 +1,50 @@
+// src/lib/week.ts
+
+import dayjs from "dayjs";
+
+/** First day of the week when the user hasn't picked one (0 = Sunday). */
+export const DEFAULT_WEEK_START = 0;
+
+/**
+ * The start (local midnight) of the week containing `date`. Weekdays are
+ * numbered the dayjs/date-fns way: 0 = Sunday … 6 = Saturday.
+ *
+ * dayjs's own `startOf("week")` follows the global locale instead, so it
+ * isn't used for anything the week-start preference should affect.
+ */
+export const startOfWeek = (
+  date: dayjs.ConfigType,
+  weekStartsOn: number = DEFAULT_WEEK_START
+): dayjs.Dayjs => {
+  const day = dayjs(date).startOf("day");
+  return day.subtract((day.day() - weekStartsOn + 7) % 7, "day");
+};
+
+/** The last moment of the week containing `date`. */
+export const endOfWeek = (
+  date: dayjs.ConfigType,
+  weekStartsOn: number = DEFAULT_WEEK_START
+): dayjs.Dayjs => startOfWeek(date, weekStartsOn).add(6, "day").endOf("day");
+
+/** Weekday numbers (0 = Sunday) in the order a week is shown. */
+export const weekdayOrder = (
+  weekStartsOn: number = DEFAULT_WEEK_START
+): number[] => Array.from({ length: 7 }, (_, i) => (weekStartsOn + i) % 7);
+
+/**
+ * Month grid for a calendar: full weeks from the one containing the 1st to
+ * the one containing the last day.
+ */
+export const monthCalendarWeeks = (
+  month: dayjs.ConfigType,
+  weekStartsOn: number = DEFAULT_WEEK_START
+): Date[][] => {
+  const start = startOfWeek(dayjs(month).startOf("month"), weekStartsOn);
+  const end = endOfWeek(dayjs(month).endOf("month"), weekStartsOn);
+  const days: Date[] = [];
+  for (let curr = start; curr.isBefore(end); curr = curr.add(1, "day"))
+    days.push(curr.toDate());
+  return Array.from({ length: Math.ceil(days.length / 7) }, (_, i) =>
+    days.slice(i * 7, i * 7 + 7)
+  );
+};
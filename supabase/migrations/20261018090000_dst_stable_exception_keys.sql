@@ -0,0 +1,41 @@
+-- Recurring tasks used to be expanded from a UTC dtstart, so every occurrence
+-- kept dtstart's UTC offset and drifted by an hour after a DST change.
+-- Occurrences are now expanded in wall-clock time of tasks.timezone
+-- (see lib/recurrence.ts: expandRRuleBetween). Exceptions on the far side of
+-- a DST change were saved under the old drifted time and must be re-keyed.
+--
+-- legacy time + dtstart's offset = the wall-clock time the user saw;
+-- that wall-clock time read in the task's timezone = the new key.
+--
+-- DEPLOY ORDER: run this migration BEFORE the app code that expands in
+-- wall-clock time goes live. Every exception is assumed to use the legacy
+-- keying; one written by the new code first would be shifted a second time.
+-- Rows are told apart only by key, not by when they were written, since the
+-- old code keeps writing legacy keys right up to the deploy.
+
+with rekeyed as (
+  select
+    e.id,
+    e.task_id,
+    (
+      (e.original_occurrence_time at time zone 'UTC')
+      + ((t.dtstart at time zone t.timezone) - (t.dtstart at time zone 'UTC'))
+    ) at time zone t.timezone as new_original_occurrence_time
+  from public.task_instance_exceptions e
+  join public.tasks t on t.id = e.task_id
+  where t.rrule is not null
+)
+update public.task_instance_exceptions e
+set original_occurrence_time = r.new_original_occurrence_time
+from rekeyed r
+where e.id = r.id
+  and e.original_occurrence_time <> r.new_original_occurrence_time
+  -- Should an exception already exist under the new key (e.g. the deploy
+  -- order above wasn't kept), keep that one and leave the legacy row for the
+  -- calculator's fallback.
+  and not exists (
+    select 1
+    from public.task_instance_exceptions other
+    where other.task_id = r.task_id
+      and other.original_occurrence_time = r.new_original_occurrence_time
+  );
@@ -0,0 +1,12 @@
+-- Several daily start times for one recurring series (e.g. vitamins at
+-- 08:00, 14:00 and 20:00). NULL means the series only uses dtstart's time.
+-- Each time produces its own occurrence, so exceptions (completions,
+-- cancellations) stay keyed per time via original_occurrence_time.
+alter table public.tasks
+  add column if not exists times_of_day text[];
+
+alter table public.tasks
+  add constraint tasks_times_of_day_format check (
+    times_of_day is null
+    or array_to_string(times_of_day, ',') ~ '^([01][0-9]|2[0-3]):[0-5][0-9](,([01][0-9]|2[0-3]):[0-5][0-9])*$'
+  );
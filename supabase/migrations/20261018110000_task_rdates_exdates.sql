@@ -0,0 +1,8 @@
+-- Series-level extra dates (iCalendar RDATE) and removed dates (EXDATE).
+-- Values are exact occurrence start times in UTC, so they map 1:1 onto
+-- RDATE/EXDATE;VALUE=DATE-TIME lines on export. NULL means none.
+-- Removing a single occurrence through task_instance_exceptions.is_cancelled
+-- keeps working; EXDATE is for dates that are no longer part of the series.
+alter table public.tasks
+  add column if not exists rdates timestamptz[],
+  add column if not exists exdates timestamptz[];
@@ -0,0 +1,12 @@
+-- Completion-relative recurrence ("every N days after I last did it").
+-- Such tasks have no RRULE: only the next occurrence exists, placed N days
+-- after the latest completion_time in task_instance_exceptions (or on
+-- dtstart before the first completion), at dtstart's time of day.
+alter table public.tasks
+  add column if not exists repeat_after_days integer;
+
+alter table public.tasks
+  add constraint tasks_repeat_after_days_check check (
+    repeat_after_days is null
+    or (repeat_after_days > 0 and rrule is null)
+  );
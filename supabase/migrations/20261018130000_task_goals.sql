@@ -0,0 +1,18 @@
+-- Goal-style tasks: "run 3 times per week, any day". A goal has a target
+-- number of completions per period and no schedule (rrule is null). Each
+-- logged completion is a task_instance_exceptions row with is_complete = true,
+-- keyed by the time it was logged.
+alter table public.tasks
+  add column if not exists goal_target integer,
+  add column if not exists goal_period text;
+
+alter table public.tasks
+  add constraint tasks_goal_check check (
+    goal_target is null
+    or (
+      goal_target > 0
+      and goal_period in ('week', 'month')
+      and rrule is null
+      and repeat_after_days is null
+    )
+  );
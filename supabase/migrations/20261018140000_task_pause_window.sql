@@ -0,0 +1,23 @@
+-- Pause/resume/archive for task series.
+-- While status is 'paused', occurrences in [paused_at, resume_at) are not
+-- generated; a null resume_at pauses until the series is resumed by hand.
+-- On resume, the elapsed part of the window is folded into exdates so the
+-- paused stretch stays empty afterwards. Archived series generate nothing.
+alter table public.tasks
+  add column if not exists status text not null default 'active',
+  add column if not exists paused_at timestamptz,
+  add column if not exists resume_at timestamptz;
+
+alter table public.tasks
+  drop constraint if exists tasks_status_check;
+
+alter table public.tasks
+  add constraint tasks_status_check check (
+    status in ('active', 'paused', 'completed', 'archived')
+  );
+
+alter table public.tasks
+  add constraint tasks_pause_window_check check (
+    (status = 'paused') = (paused_at is not null)
+    and (resume_at is null or (paused_at is not null and resume_at > paused_at))
+  );
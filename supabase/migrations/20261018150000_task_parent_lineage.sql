@@ -0,0 +1,10 @@
+-- Lineage of split series. A "this and future" edit ends the original series
+-- and continues it in a new row; parent_task_id points from the new row to
+-- the one it was split from, so both halves count as one habit (see
+-- lib/seriesStatus.ts: getSeriesLineageIds).
+alter table public.tasks
+  add column if not exists parent_task_id uuid
+    references public.tasks (id) on delete set null;
+
+create index if not exists tasks_parent_task_id_idx
+  on public.tasks (parent_task_id);
@@ -0,0 +1,48 @@
+-- Soft-delete trash for task series.
+-- Deleting a series stamps deleted_at on the task and on its exceptions
+-- (with the same timestamp, so a restore brings back exactly those rows).
+-- Trashed rows are ignored by the planner and purged after 30 days.
+alter table public.tasks
+  add column if not exists deleted_at timestamptz;
+
+alter table public.task_instance_exceptions
+  add column if not exists deleted_at timestamptz;
+
+create index if not exists tasks_deleted_at_idx
+  on public.tasks (user_id, deleted_at)
+  where deleted_at is not null;
+
+-- Hard-deletes series that have been in the trash for 30 days (their
+-- exceptions go with them via ON DELETE CASCADE).
+create or replace function public.purge_expired_trash()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  purged integer;
+begin
+  delete from public.tasks
+  where deleted_at is not null
+    and deleted_at < now() - interval '30 days';
+  get diagnostics purged = row_count;
+  return purged;
+end;
+$$;
+
+revoke all on function public.purge_expired_trash() from public, anon, authenticated;
+
+-- Run the purge nightly where pg_cron is available; the app also purges the
+-- signed-in user's expired trash when it loads.
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule(
+      'purge-expired-trash',
+      '0 3 * * *',
+      'select public.purge_expired_trash()'
+    );
+  end if;
+end;
+$$;
@@ -0,0 +1,93 @@
+-- Per-user preferences, one row per user, read at startup and kept in sync
+-- across devices through realtime. A missing row means all defaults.
+create table if not exists public.user_settings (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  -- Hours the week timeline shows; 'fit' grows them to fit the week's tasks
+  day_start_hour smallint not null default 8,
+  day_end_hour smallint not null default 24,
+  day_hours_mode text not null default 'fixed',
+  -- Defaults for new tasks
+  default_duration_minutes integer not null default 30,
+  default_icon_name text not null default 'Activity',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint user_settings_day_hours_check check (
+    day_start_hour >= 0
+    and day_end_hour <= 24
+    and day_start_hour < day_end_hour
+    and day_hours_mode in ('fixed', 'fit')
+  ),
+  constraint user_settings_default_duration_check check (
+    default_duration_minutes > 0
+  )
+);
+
+alter table public.user_settings enable row level security;
+
+create policy "Users read their own settings"
+  on public.user_settings for select
+  using (auth.uid() = user_id);
+
+create policy "Users create their own settings"
+  on public.user_settings for insert
+  with check (auth.uid() = user_id);
+
+create policy "Users update their own settings"
+  on public.user_settings for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Visible hours used to live in the auth user metadata (timeline_hours).
+-- Like normalizeTimelineHours (lib/timeline.ts), a missing, non-numeric or
+-- out-of-range pair falls back to the defaults and an unknown mode to
+-- 'fixed', so one bad value can't abort the migration.
+insert into public.user_settings (
+  user_id,
+  day_start_hour,
+  day_end_hour,
+  day_hours_mode
+)
+select
+  id,
+  case when is_valid then start_hour else 8 end,
+  case when is_valid then end_hour else 24 end,
+  case when mode = 'fit' then 'fit' else 'fixed' end
+from (
+  select
+    id,
+    start_hour,
+    end_hour,
+    mode,
+    coalesce(
+      start_hour >= 0 and end_hour <= 24 and start_hour < end_hour,
+      false
+    ) as is_valid
+  from (
+    select
+      id,
+      case
+        when hours ->> 'startHour' ~ '^\d{1,2}$'
+        then (hours ->> 'startHour')::smallint
+      end as start_hour,
+      case
+        when hours ->> 'endHour' ~ '^\d{1,2}$'
+        then (hours ->> 'endHour')::smallint
+      end as end_hour,
+      hours ->> 'mode' as mode
+    from (
+      select id, raw_user_meta_data -> 'timeline_hours' as hours
+      from auth.users
+      where raw_user_meta_data ? 'timeline_hours'
+    ) as stored
+  ) as parsed
+) as checked
+on conflict (user_id) do nothing;
+
+-- Changes made on one device reach the others
+do $$
+begin
+  if exists (select 1 from pg_publication where pubname = 'supabase_realtime') then
+    alter publication supabase_realtime add table public.user_settings;
+  end if;
+end;
+$$;
@@ -0,0 +1,8 @@
+-- First day of the week for the week view, date pickers, weekly goals and the
+-- WKST of new weekly rules. 0 = Sunday … 6 = Saturday, as in JavaScript.
+alter table public.user_settings
+  add column if not exists week_start smallint not null default 0;
+
+alter table public.user_settings
+  add constraint user_settings_week_start_check
+  check (week_start between 0 and 6);
@@ -0,0 +1,9 @@
+-- How dates and times are shown: a 12- or 24-hour clock ('auto' follows the
+-- locale), and the locale itself (null detects it from the browser).
+alter table public.user_settings
+  add column if not exists time_format text not null default 'auto',
+  add column if not exists locale text;
+
+alter table public.user_settings
+  add constraint user_settings_time_format_check
+  check (time_format in ('auto', '12h', '24h'));
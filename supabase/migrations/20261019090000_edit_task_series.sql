@@ -0,0 +1,79 @@
+-- Editing a whole series ("all" scope) updates the task and re-keys its
+-- exceptions onto the new schedule (see lib/seriesEdit.ts:
+-- planExceptionRemap). Doing that as separate requests could leave the task
+-- on its new schedule with the exceptions deleted but not re-inserted, so
+-- it now runs in one transaction and re-keys the rows in place.
+create or replace function public.edit_task_series(
+  p_task_id uuid,
+  p_changes jsonb,
+  p_drop_ids uuid[],
+  p_remap jsonb
+)
+returns public.tasks
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  current_task public.tasks;
+  updated_task public.tasks;
+begin
+  select * into current_task
+  from public.tasks
+  where id = p_task_id
+  for update;
+  if not found then
+    raise exception 'Task % not found', p_task_id using errcode = 'P0002';
+  end if;
+
+  -- Columns missing from p_changes keep their current value
+  updated_task := jsonb_populate_record(current_task, p_changes);
+
+  update public.tasks
+  set
+    title = updated_task.title,
+    dtstart = updated_task.dtstart,
+    duration_minutes = updated_task.duration_minutes,
+    icon_name = updated_task.icon_name,
+    rrule = updated_task.rrule,
+    timezone = updated_task.timezone,
+    times_of_day = updated_task.times_of_day,
+    rdates = updated_task.rdates,
+    exdates = updated_task.exdates,
+    repeat_after_days = updated_task.repeat_after_days,
+    goal_target = updated_task.goal_target,
+    goal_period = updated_task.goal_period,
+    status = updated_task.status,
+    updated_at = updated_task.updated_at
+  where id = p_task_id
+  returning * into updated_task;
+
+  delete from public.task_instance_exceptions
+  where task_id = p_task_id
+    and id = any(coalesce(p_drop_ids, '{}'));
+
+  -- Park the re-keyed rows first: keys swapped between two of them
+  -- (9:00 <-> 10:00) would otherwise hit the unique
+  -- (task_id, original_occurrence_time) constraint halfway through.
+  update public.task_instance_exceptions e
+  set original_occurrence_time = e.original_occurrence_time - interval '1000 years'
+  from jsonb_to_recordset(coalesce(p_remap, '[]'))
+    as r(id uuid, original_occurrence_time timestamptz)
+  where e.id = r.id
+    and e.task_id = p_task_id;
+
+  update public.task_instance_exceptions e
+  set
+    original_occurrence_time = r.original_occurrence_time,
+    updated_at = now()
+  from jsonb_to_recordset(coalesce(p_remap, '[]'))
+    as r(id uuid, original_occurrence_time timestamptz)
+  where e.id = r.id
+    and e.task_id = p_task_id;
+
+  return updated_task;
+end;
+$$;
+
+revoke all on function public.edit_task_series(uuid, jsonb, uuid[], jsonb) from public, anon;
+grant execute on function public.edit_task_series(uuid, jsonb, uuid[], jsonb) to authenticated;
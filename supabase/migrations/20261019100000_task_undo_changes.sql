@@ -0,0 +1,244 @@
+-- Undo/redo of task mutations. A mutation made with an undo id (sent as the
+-- x-undo-id request header, see utils/supabase/server.ts) logs every task and
+-- exception row it changes, as it was before and after. Undo puts exactly
+-- those rows back, and only while they're still as the mutation left them,
+-- so later changes are never overwritten; redo does the reverse.
+create table if not exists public.task_undo_changes (
+  id bigint generated always as identity primary key,
+  undo_id uuid not null,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  table_name text not null,
+  row_id uuid not null,
+  old_row jsonb, -- null when the mutation inserted the row
+  new_row jsonb, -- null when the mutation deleted the row
+  created_at timestamptz not null default now()
+);
+
+create index if not exists task_undo_changes_undo_id_idx
+  on public.task_undo_changes (undo_id);
+
+-- Rows are only written by the trigger below
+alter table public.task_undo_changes enable row level security;
+
+create policy "Users read their own undo changes"
+  on public.task_undo_changes for select
+  using (auth.uid() = user_id);
+
+create or replace function public.log_task_undo_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  undo_id uuid;
+  changed_id uuid;
+begin
+  undo_id := nullif(
+    nullif(current_setting('request.headers', true), '')::json ->> 'x-undo-id',
+    ''
+  )::uuid;
+  if undo_id is null or auth.uid() is null then
+    return null;
+  end if;
+
+  if tg_op = 'DELETE' then
+    changed_id := old.id;
+  else
+    changed_id := new.id;
+  end if;
+
+  insert into public.task_undo_changes
+    (undo_id, user_id, table_name, row_id, old_row, new_row)
+  values (
+    undo_id,
+    auth.uid(),
+    tg_table_name,
+    changed_id,
+    case when tg_op = 'INSERT' then null else to_jsonb(old) end,
+    case when tg_op = 'DELETE' then null else to_jsonb(new) end
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists tasks_log_undo_change on public.tasks;
+create trigger tasks_log_undo_change
+  after insert or update or delete on public.tasks
+  for each row execute function public.log_task_undo_change();
+
+drop trigger if exists task_instance_exceptions_log_undo_change
+  on public.task_instance_exceptions;
+create trigger task_instance_exceptions_log_undo_change
+  after insert or update or delete on public.task_instance_exceptions
+  for each row execute function public.log_task_undo_change();
+
+-- Each row touched under p_undo_id once: the state undo (or redo) expects to
+-- find it in and the state it puts it back to (null = no row).
+create or replace function public.task_undo_states(
+  p_undo_id uuid,
+  p_redo boolean
+)
+returns table (
+  table_name text,
+  row_id uuid,
+  expected_row jsonb,
+  target_row jsonb
+)
+language sql
+stable
+security invoker
+set search_path = public
+as $$
+  select
+    table_name,
+    row_id,
+    case when p_redo then before_row else after_row end,
+    case when p_redo then after_row else before_row end
+  from (
+    select
+      table_name,
+      row_id,
+      (array_agg(old_row order by id))[1] as before_row,
+      (array_agg(new_row order by id desc))[1] as after_row
+    from public.task_undo_changes
+    where undo_id = p_undo_id and user_id = auth.uid()
+    group by table_name, row_id
+  ) touched;
+$$;
+
+-- Undoes (or with p_redo, redoes) the mutation logged under p_undo_id, in one
+-- transaction. Raises 'undo_not_found' when nothing was logged under it and
+-- 'undo_conflict' when a row it touched has changed since.
+create or replace function public.apply_task_undo(
+  p_undo_id uuid,
+  p_redo boolean default false
+)
+returns void
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  change record;
+  current_row jsonb;
+  column_list text;
+begin
+  if not exists (
+    select 1 from public.task_undo_changes
+    where undo_id = p_undo_id and user_id = auth.uid()
+  ) then
+    raise exception 'undo_not_found';
+  end if;
+
+  -- 1. Every touched row must still be as the mutation (or the undo) left it
+  for change in
+    select * from public.task_undo_states(p_undo_id, p_redo)
+  loop
+    execute format(
+      'select to_jsonb(t) from public.%I t where id = $1',
+      change.table_name
+    ) into current_row using change.row_id;
+    if current_row is distinct from change.expected_row then
+      raise exception 'undo_conflict';
+    end if;
+    -- A series about to be deleted mustn't have gained exceptions since
+    if change.table_name = 'tasks' and change.target_row is null and exists (
+      select 1 from public.task_instance_exceptions e
+      where e.task_id = change.row_id
+        and not exists (
+          select 1 from public.task_undo_changes c
+          where c.undo_id = p_undo_id
+            and c.table_name = 'task_instance_exceptions'
+            and c.row_id = e.id
+        )
+    ) then
+      raise exception 'undo_conflict';
+    end if;
+  end loop;
+
+  -- 2. Exceptions go before their series is deleted and after it's written.
+  -- Re-keyed exceptions are parked first, so keys swapped between two of them
+  -- can't hit the unique (task_id, original_occurrence_time) constraint.
+  delete from public.task_instance_exceptions
+  where id in (
+    select row_id from public.task_undo_states(p_undo_id, p_redo)
+    where table_name = 'task_instance_exceptions' and target_row is null
+  );
+  update public.task_instance_exceptions
+  set original_occurrence_time = original_occurrence_time - interval '1000 years'
+  where id in (
+    select row_id from public.task_undo_states(p_undo_id, p_redo)
+    where table_name = 'task_instance_exceptions'
+      and target_row is not null
+      and expected_row is not null
+  );
+
+  for change in
+    select * from public.task_undo_states(p_undo_id, p_redo)
+    where target_row is not null
+    order by (table_name = 'tasks') desc
+  loop
+    if change.expected_row is null then
+      execute format(
+        'insert into public.%I select * from jsonb_populate_record(null::public.%I, $1)',
+        change.table_name,
+        change.table_name
+      ) using change.target_row;
+    else
+      select string_agg(quote_ident(key), ', ') into column_list
+      from jsonb_object_keys(change.target_row) as key;
+      execute format(
+        'update public.%I set (%s) = (select %s from jsonb_populate_record(null::public.%I, $1)) where id = $2',
+        change.table_name,
+        column_list,
+        column_list,
+        change.table_name
+      ) using change.target_row, change.row_id;
+    end if;
+  end loop;
+
+  delete from public.tasks
+  where id in (
+    select row_id from public.task_undo_states(p_undo_id, p_redo)
+    where table_name = 'tasks' and target_row is null
+  );
+end;
+$$;
+
+revoke all on function public.log_task_undo_change() from public, anon, authenticated;
+revoke all on function public.apply_task_undo(uuid, boolean) from public, anon;
+grant execute on function public.apply_task_undo(uuid, boolean) to authenticated;
+revoke all on function public.task_undo_states(uuid, boolean) from public, anon;
+grant execute on function public.task_undo_states(uuid, boolean) to authenticated;
+
+-- Undo only reaches back a few minutes; drop logged changes after a day
+create or replace function public.purge_task_undo_changes()
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  purged integer;
+begin
+  delete from public.task_undo_changes
+  where created_at < now() - interval '1 day';
+  get diagnostics purged = row_count;
+  return purged;
+end;
+$$;
+
+revoke all on function public.purge_task_undo_changes() from public, anon, authenticated;
+
+do $$
+begin
+  if exists (select 1 from pg_extension where extname = 'pg_cron') then
+    perform cron.schedule(
+      'purge-task-undo-changes',
+      '30 * * * *',
+      'select public.purge_task_undo_changes()'
+    );
+  end if;
+end;
+$$;
@@ -0,0 +1,109 @@
+-- Editing "this and future" occurrences splits a series: the task is ended
+-- before the split and a new one, linked through parent_task_id, takes over
+-- from there. The exceptions from the split on move to the new task (re-keyed
+-- onto its schedule, see lib/seriesEdit.ts: planExceptionRemap) instead of
+-- being deleted, so completions stay in the history. It all runs in one
+-- transaction, so a failure halfway can't leave both series, or neither,
+-- covering the dates after the split.
+create or replace function public.split_task_series(
+  p_task_id uuid,
+  p_old_changes jsonb,
+  p_new_task jsonb,
+  p_drop_ids uuid[],
+  p_move jsonb
+)
+returns public.tasks
+language plpgsql
+security invoker
+set search_path = public
+as $$
+declare
+  current_task public.tasks;
+  ended_task public.tasks;
+  future_task public.tasks;
+begin
+  select * into current_task
+  from public.tasks
+  where id = p_task_id
+  for update;
+  if not found then
+    raise exception 'Task % not found', p_task_id using errcode = 'P0002';
+  end if;
+
+  -- Only the rule, its series dates and updated_at change on the old task
+  ended_task := jsonb_populate_record(current_task, p_old_changes);
+
+  update public.tasks
+  set
+    rrule = ended_task.rrule,
+    rdates = ended_task.rdates,
+    exdates = ended_task.exdates,
+    updated_at = ended_task.updated_at
+  where id = p_task_id;
+
+  -- The new task carries over every column p_new_task doesn't set (status
+  -- and pause window included)
+  future_task := jsonb_populate_record(current_task, p_new_task);
+
+  insert into public.tasks (
+    user_id,
+    title,
+    dtstart,
+    duration_minutes,
+    icon_name,
+    rrule,
+    timezone,
+    times_of_day,
+    rdates,
+    exdates,
+    repeat_after_days,
+    goal_target,
+    goal_period,
+    status,
+    paused_at,
+    resume_at,
+    parent_task_id
+  )
+  values (
+    current_task.user_id,
+    future_task.title,
+    future_task.dtstart,
+    future_task.duration_minutes,
+    future_task.icon_name,
+    future_task.rrule,
+    future_task.timezone,
+    future_task.times_of_day,
+    future_task.rdates,
+    future_task.exdates,
+    future_task.repeat_after_days,
+    future_task.goal_target,
+    future_task.goal_period,
+    future_task.status,
+    future_task.paused_at,
+    future_task.resume_at,
+    p_task_id
+  )
+  returning * into future_task;
+
+  delete from public.task_instance_exceptions
+  where task_id = p_task_id
+    and id = any(coalesce(p_drop_ids, '{}'));
+
+  -- The new task has no exceptions yet and the moved keys are distinct, so
+  -- unlike edit_task_series nothing needs parking first
+  update public.task_instance_exceptions e
+  set
+    task_id = future_task.id,
+    original_occurrence_time = r.original_occurrence_time,
+    updated_at = now()
+  from jsonb_to_recordset(coalesce(p_move, '[]'))
+    as r(id uuid, original_occurrence_time timestamptz)
+  where e.id = r.id
+    and e.task_id = p_task_id;
+
+  return future_task;
+end;
+$$;
+
+revoke all on function public.split_task_series(uuid, jsonb, jsonb, uuid[], jsonb) from public, anon;
+grant execute on function public.split_task_series(uuid, jsonb, jsonb, uuid[], jsonb) to authenticated;
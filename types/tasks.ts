@@ -35,12 +35,28 @@ export type TaskData = {
   start_time: string; // formatted as HH:mm
   duration_minutes: number;
   timezone: string;
+  times_of_day?: string[]; // HH:mm start times for multi-time recurring tasks
+  rdates?: string[]; // YYYY-MM-DD extra dates added to the series
+  exdates?: string[]; // YYYY-MM-DD dates removed from the series
   recurrence: {
-    frequency: "once" | "daily" | "weekly" | "monthly" | string;
+    frequency:
+      | "once"
+      | "daily"
+      | "weekly"
+      | "monthly"
+      | "yearly"
+      | "custom"
+      | string;
     interval?: number;
     end_type?: "never" | "after" | "on" | string;
     occurrences?: number;
     end_date?: string;
+    by_weekday?: string[]; // BYDAY codes ("MO".."SU") for weekly rules
+    monthly_mode?: "day_of_month" | "nth_weekday" | "last_weekday" | "last_day";
+    rrule?: string; // Raw RRULE line when frequency is "custom" (Advanced editor)
+    repeat_from?: "schedule" | "completion"; // Daily only: "completion" repeats N days after the last completion
+    schedule_type?: "fixed" | "goal"; // Weekly/monthly only: "goal" is N times per period on any days
+    goal_target?: number; // Completions per period when schedule_type is "goal"
   };
 };
 
@@ -57,7 +73,17 @@ export interface TaskDefinition {
   rrule?: string | null; // RRULE string or null/undefined
   icon_name: string; // Icon name for the task (e.g., "Activity")
   timezone: string; // IANA timezone name (e.g., 'America/New_York')
+  times_of_day?: string[] | null; // HH:mm times; one occurrence per time on each recurring day
+  rdates?: string[] | null; // ISO 8601 (UTC) extra occurrence start times (iCalendar RDATE)
+  exdates?: string[] | null; // ISO 8601 (UTC) removed occurrence start times (iCalendar EXDATE)
+  repeat_after_days?: number | null; // Completion-relative recurrence: next occurrence N days after the last completion (rrule is null)
+  goal_target?: number | null; // Goal-style task: completions wanted per goal_period, on any days (rrule is null)
+  goal_period?: "week" | "month" | null;
   status: "active" | "paused" | "completed" | "archived"; // Task series status
+  paused_at?: string | null; // ISO 8601 (UTC) start of the pause window while status is "paused"
+  resume_at?: string | null; // ISO 8601 (UTC) end of the pause window; null pauses until resumed by hand
+  parent_task_id?: string | null; // Series this one was split from by a "this and future" edit
+  deleted_at?: string | null; // ISO 8601 (UTC) time the series was moved to the trash
   created_at: string; // ISO 8601 string
   updated_at: string; // ISO 8601 string
   // Add other optional fields from your tasks table if needed
@@ -81,6 +107,7 @@ export interface TaskException {
   is_cancelled: boolean;
   is_complete: boolean;
   completion_time?: string | null; // ISO 8601 string (TIMESTAMPTZ)
+  deleted_at?: string | null; // Set together with its series' deleted_at while in the trash
   created_at: string; // ISO 8601 string
   updated_at: string; // ISO 8601 string
   // Add other optional override fields if needed
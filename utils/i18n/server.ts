@@ -0,0 +1,20 @@
+import { cookies, headers } from "next/headers";
+import { resolveLocale } from "@/lib/format";
+import { LOCALE_COOKIE, getTranslator, parseAcceptLanguage } from "@/lib/i18n";
+
+/**
+ * The locale of the current request: the language the user picked (mirrored
+ * to a cookie by the settings store), otherwise the browser's.
+ */
+export const getServerLocale = async () => {
+  const cookieStore = await cookies();
+  const headerList = await headers();
+  return resolveLocale(
+    cookieStore.get(LOCALE_COOKIE)?.value,
+    parseAcceptLanguage(headerList.get("accept-language"))
+  );
+};
+
+/** The translator for the current request (see `getServerLocale`). */
+export const getServerTranslator = async () =>
+  getTranslator(await getServerLocale());
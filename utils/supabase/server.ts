@@ -1,13 +1,23 @@
 import { createServerClient } from "@supabase/ssr";
 import { cookies } from "next/headers";
 
-export const createClient = async () => {
+/**
+ * Supabase client for server code, signed in as the current user.
+ *
+ * @param options.undoId - Logs the task and exception rows this client
+ *   changes under this undo id, so the mutation can be undone
+ *   (see apply_task_undo in the task_undo_changes migration).
+ */
+export const createClient = async ({
+  undoId,
+}: { undoId?: string | null } = {}) => {
   const cookieStore = await cookies();
 
   return createServerClient(
     process.env.NEXT_PUBLIC_SUPABASE_URL!,
     process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY!,
     {
+      ...(undoId && { global: { headers: { "x-undo-id": undoId } } }),
       cookies: {
         getAll() {
           return cookieStore.getAll();